@@ -0,0 +1,222 @@
+const {
+  OPPORTUNITY_TYPES,
+  getMidPrice,
+  getFeeRate,
+  searchArbitrageOpportunities,
+  findArbitrageOpportunities
+} = require('../arbitrage-detector');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const DAI = '0x6b175474e89094c44da98b954eedeac495271d0f';
+
+const tokens = [
+  { address: WETH, symbol: 'WETH', decimals: 18 },
+  { address: USDC, symbol: 'USDC', decimals: 6 },
+  { address: DAI, symbol: 'DAI', decimals: 18 }
+];
+
+/**
+ * Build a pool quoting token1 per token0 at the given raw price
+ */
+function pool(id, token0, token1, reserve0, reserve1, fee = 3000, chain = 'Ethereum') {
+  return {
+    id,
+    dexName: 'Test DEX',
+    chain,
+    token0,
+    token1,
+    reserve0: BigInt(reserve0),
+    reserve1: BigInt(reserve1),
+    fee: BigInt(fee)
+  };
+}
+
+describe('Arbitrage Detector', () => {
+  describe('getMidPrice()', () => {
+    test('should quote token1 per token0 in raw units', () => {
+      expect(getMidPrice(pool('0x1', USDC, WETH, '2000000000', '1000000000000000000'))).toBe(5e8);
+    });
+
+    test('should return 0 for empty pools', () => {
+      expect(getMidPrice(pool('0x1', USDC, WETH, '0', '1000'))).toBe(0);
+    });
+  });
+
+  describe('getFeeRate()', () => {
+    test('should convert fee tiers to fractions', () => {
+      expect(getFeeRate(pool('0x1', USDC, WETH, '1', '1', 3000))).toBe(0.003);
+      expect(getFeeRate(pool('0x1', USDC, WETH, '1', '1', 500))).toBe(0.0005);
+    });
+  });
+
+  describe('findArbitrageOpportunities()', () => {
+    test('should find a two-pool cycle when the spread exceeds both fees', () => {
+      const pools = [
+        pool('0xcheap', USDC, WETH, '2000000000', '1000000000000000000'),
+        pool('0xdear', USDC, WETH, '2100000000', '1000000000000000000')
+      ];
+
+      const opportunities = findArbitrageOpportunities({ tokens, pools });
+
+      expect(opportunities.length).toBe(1);
+      const [opportunity] = opportunities;
+      expect(opportunity.type).toBe(OPPORTUNITY_TYPES.TWO_POOL);
+      expect(opportunity.chain).toBe('Ethereum');
+      expect(opportunity.symbols).toEqual(['USDC', 'WETH', 'USDC']);
+      // Buy WETH where it is cheap, sell it where it is dear
+      expect(opportunity.hops.map(hop => hop.poolId)).toEqual(['0xcheap', '0xdear']);
+      expect(opportunity.grossSpreadBps).toBeCloseTo(500, 6);
+      expect(opportunity.netSpreadBps).toBeCloseTo((1.05 * 0.997 * 0.997 - 1) * 10000, 6);
+    });
+
+    test('should ignore spreads smaller than the combined fees', () => {
+      const pools = [
+        pool('0xa', USDC, WETH, '2000000000', '1000000000000000000'),
+        pool('0xb', USDC, WETH, '2010000000', '1000000000000000000')
+      ];
+
+      expect(findArbitrageOpportunities({ tokens, pools })).toEqual([]);
+    });
+
+    test('should find triangular cycles', () => {
+      // 1 WETH = 2000 USDC = 2100 DAI, USDC/DAI at par
+      const pools = [
+        pool('0xweth-usdc', USDC, WETH, '2000000000', '1000000000000000000'),
+        pool('0xusdc-dai', USDC, DAI, '1000000', '1000000000000000000', 100),
+        pool('0xweth-dai', DAI, WETH, '2100000000000000000000', '1000000000000000000')
+      ];
+
+      const opportunities = findArbitrageOpportunities({ tokens, pools });
+
+      expect(opportunities.length).toBe(1);
+      expect(opportunities[0].type).toBe(OPPORTUNITY_TYPES.TRIANGULAR);
+      expect(opportunities[0].symbols).toEqual(['DAI', 'USDC', 'WETH', 'DAI']);
+      expect(opportunities[0].grossSpreadBps).toBeCloseTo(500, 6);
+    });
+
+    test('should skip triangular cycles when disabled', () => {
+      const pools = [
+        pool('0xweth-usdc', USDC, WETH, '2000000000', '1000000000000000000'),
+        pool('0xusdc-dai', USDC, DAI, '1000000', '1000000000000000000', 100),
+        pool('0xweth-dai', DAI, WETH, '2100000000000000000000', '1000000000000000000')
+      ];
+
+      expect(findArbitrageOpportunities({ tokens, pools }, { includeTriangular: false })).toEqual([]);
+    });
+
+    test('should not pair pools across chains', () => {
+      const pools = [
+        pool('0xa', USDC, WETH, '2000000000', '1000000000000000000', 3000, 'Ethereum'),
+        pool('0xb', USDC, WETH, '2100000000', '1000000000000000000', 3000, 'Polygon')
+      ];
+
+      expect(findArbitrageOpportunities({ tokens, pools })).toEqual([]);
+    });
+
+    test('should rank by fee-adjusted spread and apply options', () => {
+      const pools = [
+        pool('0xa', USDC, WETH, '2000000000', '1000000000000000000'),
+        pool('0xb', USDC, WETH, '2100000000', '1000000000000000000'),
+        pool('0xc', USDC, WETH, '2400000000', '1000000000000000000'),
+        pool('0xd', USDC, WETH, '2000000000', '1000000000000000000', 3000, 'Polygon'),
+        pool('0xe', USDC, WETH, '2200000000', '1000000000000000000', 3000, 'Polygon')
+      ];
+
+      const all = findArbitrageOpportunities({ tokens, pools });
+      expect(all.map(o => o.hops.map(hop => hop.poolId).join())).toEqual(['0xa,0xc', '0xb,0xc', '0xd,0xe', '0xa,0xb']);
+
+      expect(findArbitrageOpportunities({ tokens, pools }, { limit: 2 }).length).toBe(2);
+      expect(findArbitrageOpportunities({ tokens, pools }, { chain: 'Polygon' }).length).toBe(1);
+      expect(findArbitrageOpportunities({ tokens, pools }, { minNetSpreadBps: 1000 }).length).toBe(2);
+    });
+
+    test('should price every token pair of an N-token pool', () => {
+      const E18 = BigInt('1000000000000000000');
+      // Balanced stable pool: every token trades 1:1 at the spot price
+      const curve = {
+        id: '0xcurve',
+        dexName: 'Curve',
+        chain: 'Ethereum',
+        token0: DAI,
+        token1: USDC,
+        tokens: [DAI, USDC, WETH],
+        balances: [BigInt(1000000) * E18, BigInt('1000000000000'), BigInt(1000000) * E18],
+        tokenDecimals: [18, 6, 18],
+        amplification: BigInt(200),
+        reserve0: BigInt(1000000) * E18,
+        reserve1: BigInt('1000000000000'),
+        fee: BigInt(400)
+      };
+      // DAI buys 1% more WETH here than in the stable pool
+      const opportunities = findArbitrageOpportunities({
+        tokens,
+        pools: [curve, pool('0xcheap', DAI, WETH, '1000000000000000000000000', '1010000000000000000000000', 500)]
+      });
+
+      expect(opportunities).toHaveLength(1);
+      expect(opportunities[0].hops.map(hop => hop.poolId).sort()).toEqual(['0xcheap', '0xcurve']);
+      expect(opportunities[0].grossSpreadBps).toBeCloseTo(100, 0);
+    });
+
+    test('should skip pools whose fee is only known at swap time', () => {
+      const pools = [
+        pool('0xcheap', USDC, WETH, '2000000000', '1000000000000000000'),
+        { ...pool('0xdynamic', USDC, WETH, '2100000000', '1000000000000000000', 0), dynamicFee: true }
+      ];
+
+      expect(findArbitrageOpportunities({ tokens, pools })).toEqual([]);
+    });
+
+    test('should skip empty pools', () => {
+      const pools = [
+        pool('0xa', USDC, WETH, '2000000000', '1000000000000000000'),
+        pool('0xempty', USDC, WETH, '0', '0')
+      ];
+
+      expect(findArbitrageOpportunities({ tokens, pools })).toEqual([]);
+    });
+  });
+
+  describe('searchArbitrageOpportunities()', () => {
+    // Three WETH prices per quote token, so every pair and triangle has spreads
+    const pools = [
+      pool('0xusdc-1', USDC, WETH, '2000000000', '1000000000000000000'),
+      pool('0xusdc-2', USDC, WETH, '2100000000', '1000000000000000000'),
+      pool('0xusdc-3', USDC, WETH, '2200000000', '1000000000000000000'),
+      pool('0xdai-1', DAI, WETH, '2000000000000000000000', '1000000000000000000'),
+      pool('0xdai-2', DAI, WETH, '2300000000000000000000', '1000000000000000000'),
+      pool('0xusdc-dai', USDC, DAI, '1000000', '1000000000000000000', 100)
+    ];
+
+    test('should count every opportunity while only keeping the best', () => {
+      const all = searchArbitrageOpportunities({ tokens, pools }, { limit: Infinity });
+      const best = searchArbitrageOpportunities({ tokens, pools }, { limit: 2 });
+
+      expect(all.total).toBe(all.opportunities.length);
+      expect(best.total).toBe(all.total);
+      expect(best.opportunities).toEqual(all.opportunities.slice(0, 2));
+    });
+
+    test('should search one cycle type at a time', () => {
+      const all = searchArbitrageOpportunities({ tokens, pools }, { limit: Infinity });
+      const triangular = searchArbitrageOpportunities({ tokens, pools }, { includeTwoPool: false, limit: Infinity });
+      const twoPool = searchArbitrageOpportunities({ tokens, pools }, { includeTriangular: false, limit: Infinity });
+
+      expect(triangular.opportunities.length).toBeGreaterThan(0);
+      expect(twoPool.opportunities.length).toBeGreaterThan(0);
+      expect(triangular.opportunities.every(o => o.type === OPPORTUNITY_TYPES.TRIANGULAR)).toBe(true);
+      expect(twoPool.opportunities.every(o => o.type === OPPORTUNITY_TYPES.TWO_POOL)).toBe(true);
+      expect(triangular.total + twoPool.total).toBe(all.total);
+    });
+
+    test('should use three distinct pools in every triangular cycle', () => {
+      const { opportunities } = searchArbitrageOpportunities({ tokens, pools }, { includeTwoPool: false, limit: Infinity });
+
+      opportunities.forEach((opportunity) => {
+        expect(new Set(opportunity.hops.map(hop => hop.poolId)).size).toBe(3);
+        expect(opportunity.path[0]).toBe(opportunity.path[3]);
+      });
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const {
+  simulateCycle,
+  findOptimalTradeSize,
+  sizeArbitrageOpportunity
+} = require('../arbitrage-sizing');
+const { findArbitrageOpportunities } = require('../arbitrage-detector');
+const { deriveUniswapV3State } = require('../dex-adapters');
+const { getSqrtRatioAtTick } = require('../uniswap-v3-math');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+const tokens = [
+  { address: WETH, symbol: 'WETH', decimals: 18 },
+  { address: USDC, symbol: 'USDC', decimals: 6 }
+];
+
+function v2Pool(id, reserveUsdc, reserveWeth) {
+  return {
+    id,
+    dexName: 'Test DEX',
+    chain: 'Ethereum',
+    token0: USDC,
+    token1: WETH,
+    reserve0: BigInt(reserveUsdc),
+    reserve1: BigInt(reserveWeth),
+    fee: BigInt(3000)
+  };
+}
+
+// 2,000,000 USDC / 1000 WETH and 2,100,000 USDC / 1000 WETH
+const cheap = v2Pool('0xcheap', '2000000000000', '1000000000000000000000');
+const dear = v2Pool('0xdear', '2100000000000', '1000000000000000000000');
+const cycle = [
+  { pool: cheap, tokenIn: USDC },
+  { pool: dear, tokenIn: WETH }
+];
+
+describe('Arbitrage Sizing', () => {
+  describe('simulateCycle()', () => {
+    test('should chain each hop output into the next hop', () => {
+      const amounts = simulateCycle(cycle, BigInt(1000000000));
+      expect(amounts.length).toBe(3);
+      expect(amounts[0]).toBe(BigInt(1000000000));
+      expect(amounts[1]).toBeGreaterThan(BigInt(0));
+      expect(amounts[2]).toBeGreaterThan(amounts[0]);
+    });
+  });
+
+  describe('findOptimalTradeSize()', () => {
+    test('should match the closed-form optimum for two constant-product pools', () => {
+      const { amountIn, profit, amounts } = findOptimalTradeSize(cycle);
+
+      // Compose both pools into one virtual pool (Ea, Eb) and solve dProfit/dx = 0
+      const gamma = 0.997;
+      const [a1, b1, b2, a2] = [2e12, 1e21, 1e21, 2.1e12];
+      const ea = (a1 * b2) / (b2 + gamma * b1);
+      const eb = (gamma * b1 * a2) / (b2 + gamma * b1);
+      const expected = (Math.sqrt(ea * eb * gamma) - ea) / gamma;
+
+      expect(Math.abs(Number(amountIn) - expected) / expected).toBeLessThan(0.001);
+      expect(profit).toBeGreaterThan(BigInt(0));
+      expect(amounts[2] - amounts[0]).toBe(profit);
+    });
+
+    test('should be a local maximum of profit', () => {
+      const { amountIn, profit } = findOptimalTradeSize(cycle);
+      const step = amountIn / BigInt(100);
+
+      [amountIn - step, amountIn + step].forEach((nearby) => {
+        const amounts = simulateCycle(cycle, nearby);
+        expect(amounts[2] - nearby).toBeLessThanOrEqual(profit);
+      });
+    });
+
+    test('should return zero when no size is profitable', () => {
+      const reversed = [
+        { pool: dear, tokenIn: USDC },
+        { pool: cheap, tokenIn: WETH }
+      ];
+
+      expect(findOptimalTradeSize(reversed)).toEqual({
+        amountIn: BigInt(0),
+        amountOut: BigInt(0),
+        profit: BigInt(0),
+        amounts: [BigInt(0), BigInt(0), BigInt(0)]
+      });
+    });
+
+    test('should respect maxAmountIn', () => {
+      const maxAmountIn = BigInt(1000000000);
+      const { amountIn } = findOptimalTradeSize(cycle, { maxAmountIn });
+      expect(amountIn).toBeLessThanOrEqual(maxAmountIn);
+      // Profit is still rising at the bound, so the search ends next to it (within rounding)
+      expect(amountIn).toBeGreaterThan(maxAmountIn - BigInt(1000));
+    });
+
+    test('should size cycles through concentrated liquidity pools', () => {
+      // WETH priced at ~2100 USDC in a V3 pool: tick for 2100e6 / 1e18 raw
+      const tick = Math.round(Math.log(2100e6 / 1e18) / Math.log(1.0001));
+      const v3 = {
+        id: '0xv3',
+        dexName: 'Uniswap V3',
+        chain: 'Ethereum',
+        token0: USDC,
+        token1: WETH,
+        fee: BigInt(500),
+        ...deriveUniswapV3State({
+          liquidity: BigInt('1000000000000000000000'),
+          sqrtPriceX96: getSqrtRatioAtTick(tick),
+          tick,
+          fee: BigInt(500)
+        }, 6, 18)
+      };
+      const hops = [
+        { pool: cheap, tokenIn: USDC },
+        { pool: v3, tokenIn: WETH }
+      ];
+
+      const { amountIn, profit } = findOptimalTradeSize(hops);
+
+      expect(profit).toBeGreaterThan(BigInt(0));
+      const step = amountIn / BigInt(100);
+      [amountIn - step, amountIn + step].forEach((nearby) => {
+        const amounts = simulateCycle(hops, nearby);
+        expect(amounts[2] - nearby).toBeLessThanOrEqual(profit);
+      });
+    });
+  });
+
+  describe('sizeArbitrageOpportunity()', () => {
+    test('should attach the optimal trade to a detected opportunity', () => {
+      const [opportunity] = findArbitrageOpportunities({ tokens, pools: [cheap, dear] });
+      const sized = sizeArbitrageOpportunity(opportunity);
+
+      expect(sized.type).toBe(opportunity.type);
+      expect(sized.tradeSize).toEqual(findOptimalTradeSize(cycle));
+    });
+  });
+});
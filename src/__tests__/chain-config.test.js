@@ -0,0 +1,65 @@
+const {
+  CHAINS,
+  getChainConfig,
+  getChainByNetworkId,
+  getChainByChainId,
+  getWrappedNativeToken,
+  getStablecoins,
+  getRpcUrlsFromEnv
+} = require('../chain-config');
+const { NETWORK_MAPPING } = require('../api/pool-filters');
+
+describe('Chain Config', () => {
+  test('should describe every network accepted by the API', () => {
+    expect(Object.keys(NETWORK_MAPPING)).toEqual([
+      'arbitrum-one', 'avalanche', 'base', 'bsc', 'mainnet', 'optimism', 'polygon', 'unichain'
+    ]);
+    Object.entries(NETWORK_MAPPING).forEach(([networkId, chain]) => {
+      expect(getChainByNetworkId(networkId)).toBe(CHAINS[chain]);
+    });
+  });
+
+  test('should look up chains by name', () => {
+    expect(getChainConfig('Base')).toMatchObject({ chainId: 8453, networkId: 'base', rpcUrlEnvVar: 'BASE_RPC_URL' });
+    expect(getChainConfig('Solana')).toBeUndefined();
+    expect(getChainByNetworkId('solana')).toBeUndefined();
+    expect(getChainByChainId(42161)).toBe(CHAINS.Arbitrum);
+    expect(getChainByChainId(999)).toBeUndefined();
+  });
+
+  test('should expose the wrapped native token of each chain', () => {
+    expect(getWrappedNativeToken('BSC')).toEqual({
+      address: '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c',
+      symbol: 'WBNB',
+      decimals: 18
+    });
+    Object.values(CHAINS).forEach((chain) => {
+      expect(chain.wrappedNativeToken.address).toMatch(/^0x[0-9a-f]{40}$/);
+    });
+  });
+
+  test('should expose the stablecoins of each chain', () => {
+    expect(getStablecoins('Ethereum').map(token => token.symbol)).toEqual(['USDC', 'USDT', 'DAI']);
+    expect(getStablecoins('Solana')).toEqual([]);
+    Object.values(CHAINS).forEach((chain) => {
+      expect(chain.stablecoins.length).toBeGreaterThan(0);
+      chain.stablecoins.forEach((token) => {
+        expect(token.address).toMatch(/^0x[0-9a-f]{40}$/);
+      });
+    });
+  });
+
+  test('should read RPC URLs from the environment', () => {
+    const original = process.env.ARBITRUM_RPC_URL;
+    process.env.ARBITRUM_RPC_URL = 'https://arbitrum.example.com';
+    try {
+      expect(getRpcUrlsFromEnv().Arbitrum).toBe('https://arbitrum.example.com');
+    } finally {
+      if (original === undefined) {
+        delete process.env.ARBITRUM_RPC_URL;
+      } else {
+        process.env.ARBITRUM_RPC_URL = original;
+      }
+    }
+  });
+});
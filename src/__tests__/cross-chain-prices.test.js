@@ -0,0 +1,103 @@
+const { compareCanonicalAssetPrices } = require('../cross-chain-prices');
+
+const ETHEREUM_WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const ETHEREUM_USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const POLYGON_WETH = '0x7ceb23fd6bc0add59e62ac25578270cff1b9f619';
+const POLYGON_USDC = '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359';
+const ARBITRUM_WETH = '0x82af49447d8a07e3bd95bd0d56f35241523fbab1';
+
+const E6 = BigInt(1000000);
+const E18 = BigInt('1000000000000000000');
+
+const dexData = {
+  tokens: [
+    { address: ETHEREUM_WETH, symbol: 'WETH', decimals: 18 },
+    { address: ETHEREUM_USDC, symbol: 'USDC', decimals: 6 },
+    { address: POLYGON_WETH, symbol: 'WETH', decimals: 18 },
+    { address: POLYGON_USDC, symbol: 'USDC', decimals: 6 }
+  ],
+  pools: [
+    // $2000 per WETH on Ethereum, $1980 on Polygon
+    {
+      id: '0xethereum',
+      dexName: 'Uniswap V2',
+      chain: 'Ethereum',
+      token0: ETHEREUM_USDC,
+      token1: ETHEREUM_WETH,
+      reserve0: BigInt(2000000) * E6,
+      reserve1: BigInt(1000) * E18,
+      fee: BigInt(3000)
+    },
+    {
+      id: '0xpolygon',
+      dexName: 'QuickSwap',
+      chain: 'Polygon',
+      token0: POLYGON_USDC,
+      token1: POLYGON_WETH,
+      reserve0: BigInt(1980000) * E6,
+      reserve1: BigInt(1000) * E18,
+      fee: BigInt(3000)
+    }
+  ]
+};
+
+const ethAsset = {
+  id: 'ETH',
+  name: 'Ether',
+  tokens: [
+    { chainId: 1, address: ETHEREUM_WETH },
+    { chainId: 137, address: POLYGON_WETH },
+    { chainId: 42161, address: ARBITRUM_WETH }
+  ]
+};
+
+describe('Cross-chain Prices', () => {
+  describe('compareCanonicalAssetPrices()', () => {
+    const [eth] = compareCanonicalAssetPrices(dexData, { assets: [ethAsset] });
+
+    test('should price each representation on its own chain', () => {
+      expect(eth.prices.map(price => [price.network, price.symbol])).toEqual([
+        ['mainnet', 'WETH'],
+        ['polygon', 'WETH'],
+        ['arbitrum-one', null]
+      ]);
+      expect(eth.prices[0].priceUSD).toBeCloseTo(2000, 6);
+      expect(eth.prices[1].priceUSD).toBeCloseTo(1980, 6);
+    });
+
+    test('should compare the prices against their median', () => {
+      expect(eth.medianPriceUSD).toBeCloseTo(1990, 6);
+      expect(eth.spreadBps).toBeCloseTo((2000 / 1980 - 1) * 10000, 6);
+      expect(eth.prices[0].deviationBps).toBeCloseTo((2000 / 1990 - 1) * 10000, 6);
+      expect(eth.prices[1].deviationBps).toBeLessThan(0);
+    });
+
+    test('should leave representations without a price out of the statistics', () => {
+      expect(eth.prices[2]).toMatchObject({ chain: 'Arbitrum', chainId: 42161, priceUSD: null, deviationBps: null });
+    });
+
+    test('should only name a representation held by a pool on its own chain', () => {
+      // Same address as Ethereum WETH, but no Arbitrum pool holds it
+      const [asset] = compareCanonicalAssetPrices(dexData, {
+        assets: [{ id: 'ETH', name: 'Ether', tokens: [{ chainId: 1, address: ETHEREUM_WETH }, { chainId: 42161, address: ETHEREUM_WETH }] }]
+      });
+      expect(asset.prices.map(price => [price.network, price.symbol])).toEqual([
+        ['mainnet', 'WETH'],
+        ['arbitrum-one', null]
+      ]);
+    });
+
+    test('should report no median or spread without prices', () => {
+      const [btc] = compareCanonicalAssetPrices(dexData, {
+        assets: [{ id: 'BTC', name: 'Bitcoin', tokens: [{ chainId: 1, address: '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599' }] }]
+      });
+      expect(btc).toMatchObject({ asset: 'BTC', medianPriceUSD: null, spreadBps: null });
+    });
+
+    test('should compare every registry asset by default', () => {
+      const comparisons = compareCanonicalAssetPrices(dexData);
+      expect(comparisons.map(comparison => comparison.asset)).toEqual(['ETH', 'BTC', 'USDC', 'USDT', 'DAI']);
+      expect(comparisons[0].spreadBps).toBeCloseTo(eth.spreadBps, 6);
+    });
+  });
+});
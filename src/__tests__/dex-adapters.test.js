@@ -0,0 +1,670 @@
+const mockResponses = new Map();
+
+// Serve canned subgraph responses keyed by endpoint URL
+jest.mock('graphql-request', () => ({
+  GraphQLClient: jest.fn().mockImplementation((url) => ({
+    request: jest.fn(async (query, variables) => {
+      const entry = mockResponses.get(url);
+      const response = typeof entry === 'function' ? entry(query, variables) : entry;
+      if (response instanceof Error) {
+        throw response;
+      }
+      // Serve everything on the first page only
+      return variables.lastId === '' ? response : {};
+    })
+  }))
+}));
+
+const {
+  PROTOCOL_KINDS,
+  PROTOCOL_FAMILIES,
+  DYNAMIC_FEE_FLAG,
+  parseReserveToBigInt,
+  normalizeAmount,
+  createUniswapV2Adapter,
+  createUniswapV3Adapter,
+  createUniswapV4Adapter,
+  createCurveAdapter,
+  createBalancerAdapter,
+  registerAdapter,
+  unregisterAdapter,
+  getAdapter,
+  getAdapters,
+  getAdaptersForChain,
+  resolveSourceUrl,
+  getUnconfiguredAdapters,
+  toDexId,
+  getPoolDex,
+  getProtocolFamily,
+  isQuotablePool
+} = require('../dex-adapters');
+const { fetchAllDexData, fetchAdapterData } = require('../dex-data-fetcher');
+const { CHAINS } = require('../chain-config');
+
+const WETH = { id: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', symbol: 'WETH', decimals: '18' };
+const USDC = { id: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', symbol: 'USDC', decimals: '6' };
+
+const config = {
+  ethereumRpcUrl: 'https://eth.example.com',
+  polygonRpcUrl: 'https://polygon.example.com'
+};
+
+describe('DEX Adapters', () => {
+  let consoleLogSpy;
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    mockResponses.clear();
+    consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('parseReserveToBigInt()', () => {
+    test('should scale decimal strings without precision loss', () => {
+      expect(parseReserveToBigInt('1.5', 18)).toBe(BigInt('1500000000000000000'));
+      expect(parseReserveToBigInt('123.4567891', 6)).toBe(BigInt('123456789'));
+    });
+
+    test('should return zero for empty values', () => {
+      expect(parseReserveToBigInt('', 18)).toBe(BigInt(0));
+      expect(parseReserveToBigInt('0', 18)).toBe(BigInt(0));
+    });
+  });
+
+  describe('normalizeAmount()', () => {
+    test('should scale low-decimal amounts up to 18 decimals', () => {
+      expect(normalizeAmount(BigInt('1000000'), 6)).toBe(BigInt('1000000000000000000'));
+      expect(normalizeAmount(BigInt('100000000'), 8)).toBe(BigInt('1000000000000000000'));
+    });
+
+    test('should leave 18-decimal amounts unchanged', () => {
+      expect(normalizeAmount(BigInt('42'), 18)).toBe(BigInt('42'));
+    });
+
+    test('should scale high-decimal amounts down', () => {
+      expect(normalizeAmount(BigInt('1000000000000000000000'), 21)).toBe(BigInt('1000000000000000000'));
+    });
+  });
+
+  describe('Registry', () => {
+    test('should register the built-in adapters', () => {
+      const names = getAdapters().map(adapter => adapter.name);
+      expect(names).toEqual(expect.arrayContaining(['uniswapV3', 'sushiswap', 'quickswap']));
+      expect(getAdapter('quickswap').chain).toBe('Polygon');
+      expect(getAdapter('uniswapV3').kind).toBe(PROTOCOL_KINDS.UNISWAP_V3);
+    });
+
+    test('should register a Uniswap V2 source on Ethereum', () => {
+      const adapter = getAdapter('uniswapV2');
+      expect(adapter).toMatchObject({
+        dexName: 'Uniswap V2',
+        dex: 'uniswap_v2',
+        chain: 'Ethereum',
+        kind: PROTOCOL_KINDS.UNISWAP_V2,
+        source: expect.objectContaining({ urlEnvVar: 'UNISWAP_V2_SUBGRAPH_URL' }),
+        factory: '0x5c69bee701ef814a2b6a3edd4b1652cb9cc5aa6f'
+      });
+      expect(getAdaptersForChain('Ethereum').map(candidate => candidate.dex))
+        .toEqual(['uniswap_v3', 'uniswap_v2', 'sushiswap', 'uniswap_v4', 'curve', 'balancer']);
+    });
+
+    test('should register a source for every supported chain', () => {
+      Object.keys(CHAINS).forEach((chain) => {
+        expect(getAdaptersForChain(chain).length).toBeGreaterThan(0);
+      });
+      expect(getAdaptersForChain('Arbitrum').map(adapter => adapter.dexName)).toEqual(['Uniswap V3', 'SushiSwap']);
+    });
+
+    test('should register and unregister adapters at runtime', () => {
+      const adapter = createUniswapV2Adapter({
+        name: 'testswap',
+        dexName: 'TestSwap',
+        chain: 'Base',
+        subgraphUrl: 'https://testswap.example.com'
+      });
+
+      registerAdapter(adapter);
+      expect(getAdapter('testswap')).toBe(adapter);
+      expect(getAdapters()).toContain(adapter);
+
+      expect(unregisterAdapter('testswap')).toBe(true);
+      expect(getAdapter('testswap')).toBeUndefined();
+      expect(unregisterAdapter('testswap')).toBe(false);
+    });
+
+    test('should reject duplicate adapter names', () => {
+      const adapter = createUniswapV2Adapter({
+        name: 'sushiswap',
+        dexName: 'SushiSwap',
+        chain: 'Ethereum',
+        subgraphUrl: 'https://example.com'
+      });
+
+      expect(() => registerAdapter(adapter)).toThrow('DEX adapter already registered: sushiswap');
+    });
+
+    test('should reject incomplete adapters', () => {
+      expect(() => registerAdapter({ name: 'broken', dexName: 'Broken' }))
+        .toThrow('Invalid DEX adapter: missing chain, kind, source, query, entityName, normalizeTokens, normalizePool');
+    });
+  });
+
+  describe('resolveSourceUrl()', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test('should prefer the environment override', () => {
+      process.env.SUSHISWAP_SUBGRAPH_URL = 'https://custom.example.com';
+      expect(resolveSourceUrl(getAdapter('sushiswap'))).toBe('https://custom.example.com');
+    });
+
+    test('should fall back to the default URL', () => {
+      delete process.env.SUSHISWAP_SUBGRAPH_URL;
+      expect(resolveSourceUrl(getAdapter('sushiswap')))
+        .toBe('https://api.thegraph.com/subgraphs/name/sushiswap/exchange');
+    });
+  });
+
+  describe('getUnconfiguredAdapters()', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test('should list sources without a default URL until their env var is set', () => {
+      delete process.env.CURVE_POLYGON_SUBGRAPH_URL;
+      delete process.env.UNISWAP_V3_UNICHAIN_SUBGRAPH_URL;
+      expect(getUnconfiguredAdapters().map(adapter => adapter.name)).toEqual(['curvePolygon', 'uniswapV3Unichain']);
+
+      process.env.UNISWAP_V3_UNICHAIN_SUBGRAPH_URL = 'https://unichain.example.com';
+      expect(getUnconfiguredAdapters().map(adapter => adapter.name)).toEqual(['curvePolygon']);
+    });
+  });
+
+  describe('Normalizers', () => {
+    test('should normalize a Uniswap V2-style pair', () => {
+      const adapter = createUniswapV2Adapter({
+        name: 'v2',
+        dexName: 'TestSwap',
+        chain: 'Base',
+        subgraphUrl: 'https://example.com',
+        fee: BigInt(2500),
+        factory: '0xFACTORY'
+      });
+      const pair = { id: '0xPAIR', token0: WETH, token1: USDC, reserve0: '1.5', reserve1: '3000' };
+
+      expect(adapter.normalizeTokens(pair, adapter)).toEqual([
+        { symbol: 'WETH', decimals: 18, address: WETH.id.toLowerCase() },
+        { symbol: 'USDC', decimals: 6, address: USDC.id.toLowerCase() }
+      ]);
+
+      const pool = adapter.normalizePool(pair, adapter);
+      expect(pool).toMatchObject({
+        id: '0xpair',
+        factory: '0xfactory',
+        dexName: 'TestSwap',
+        chain: 'Base',
+        token0: WETH.id.toLowerCase(),
+        token1: USDC.id.toLowerCase(),
+        fee: BigInt(2500),
+        dex: 'testswap',
+        protocolFamily: PROTOCOL_FAMILIES.V2_CONSTANT_PRODUCT
+      });
+    });
+
+    test('should scale V2 reserves by each token\'s own decimals', () => {
+      const adapter = getAdapter('sushiswap');
+      const WBTC = { id: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599', symbol: 'WBTC', decimals: '8' };
+      const pool = adapter.normalizePool({
+        id: '0xpair',
+        token0: WBTC,
+        token1: USDC,
+        reserve0: '12.5',
+        reserve1: '750000.123456'
+      }, adapter);
+
+      // Raw on-chain units
+      expect(pool.reserve0).toBe(BigInt('1250000000'));
+      expect(pool.reserve1).toBe(BigInt('750000123456'));
+      // 18-decimal fixed point
+      expect(pool.normalizedReserve0).toBe(BigInt('12500000000000000000'));
+      expect(pool.normalizedReserve1).toBe(BigInt('750000123456000000000000'));
+    });
+
+    test('should default to 18 decimals when the subgraph omits them', () => {
+      const adapter = getAdapter('sushiswap');
+      const pool = adapter.normalizePool({
+        id: '0xpair',
+        token0: { ...WETH, decimals: null },
+        token1: WETH,
+        reserve0: '1',
+        reserve1: '1'
+      }, adapter);
+
+      expect(pool.reserve0).toBe(BigInt('1000000000000000000'));
+      expect(adapter.normalizeTokens({ token0: { ...WETH, decimals: null }, token1: WETH })[0].decimals).toBe(18);
+    });
+
+    test('should normalize a Uniswap V3-style pool', () => {
+      const adapter = createUniswapV3Adapter({
+        name: 'v3',
+        dexName: 'Uniswap V3',
+        chain: 'Ethereum',
+        subgraphUrl: 'https://example.com'
+      });
+      const pool = adapter.normalizePool({
+        id: '0xPOOL',
+        factory: { id: '0xFACTORY' },
+        token0: WETH,
+        token1: USDC,
+        liquidity: '1000000',
+        sqrtPrice: '79228162514264337593543950336',
+        tick: '0',
+        feeTier: '500',
+        totalValueLockedToken0: '1',
+        totalValueLockedToken1: '2'
+      }, adapter);
+
+      expect(pool).toMatchObject({
+        id: '0xpool',
+        factory: '0xfactory',
+        dex: 'uniswap_v3',
+        protocolFamily: PROTOCOL_FAMILIES.V3_CONCENTRATED,
+        fee: BigInt(500),
+        reserve0: BigInt(1000000),
+        reserve1: BigInt(1000000),
+        tick: 0,
+        tickSpacing: 10,
+        tickLower: 0,
+        tickUpper: 10,
+        normalizedReserve0: BigInt(1000000),
+        normalizedReserve1: BigInt('1000000000000000000'),
+        totalValueLocked0: BigInt('1000000000000000000'),
+        totalValueLocked1: BigInt('2000000')
+      });
+    });
+
+    test('should normalize a Uniswap V4 pool from its pool key', () => {
+      const ETH = { id: '0x0000000000000000000000000000000000000000', symbol: 'ETH', decimals: '18' };
+      const adapter = createUniswapV4Adapter({
+        name: 'v4',
+        chain: 'Ethereum',
+        subgraphUrl: 'https://example.com',
+        poolManager: '0x000000000004444c5dc75cB358380D2e3dE08A90'
+      });
+      const pool = adapter.normalizePool({
+        id: '0x21C67E77068DE97969BA93D4AAB21826D33CA12BB9F565D8496E8FDA8A82CA27',
+        token0: ETH,
+        token1: USDC,
+        feeTier: '3000',
+        tickSpacing: '10',
+        hooks: '0x0000000000000000000000000000000000000000',
+        liquidity: '1000000',
+        sqrtPrice: '79228162514264337593543950336',
+        tick: '5',
+        totalValueLockedToken0: '1',
+        totalValueLockedToken1: '2'
+      }, adapter);
+
+      expect(pool).toMatchObject({
+        id: '0x21c67e77068de97969ba93d4aab21826d33ca12bb9f565d8496e8fda8a82ca27',
+        factory: '0x000000000004444c5dc75cb358380d2e3de08a90',
+        dexName: 'Uniswap V4',
+        dex: 'uniswap_v4',
+        protocolFamily: PROTOCOL_FAMILIES.V4,
+        token0: ETH.id,
+        fee: BigInt(3000),
+        dynamicFee: false,
+        hooks: '0x0000000000000000000000000000000000000000',
+        // Tick spacing comes from the pool key, not the fee tier
+        tickSpacing: 10,
+        tickLower: 0,
+        tickUpper: 10
+      });
+      expect(getAdapter('uniswapV4').kind).toBe(PROTOCOL_KINDS.UNISWAP_V4);
+    });
+
+    test('should mark dynamic-fee V4 pools as unquotable', () => {
+      const adapter = getAdapter('uniswapV4');
+      const pool = adapter.normalizePool({
+        id: '0xabc',
+        token0: WETH,
+        token1: USDC,
+        feeTier: String(DYNAMIC_FEE_FLAG),
+        tickSpacing: '60',
+        hooks: '0xHOOKS',
+        liquidity: '0',
+        sqrtPrice: '0',
+        tick: null
+      }, adapter);
+
+      expect(pool).toMatchObject({ fee: BigInt(0), dynamicFee: true, hooks: '0xhooks', tickSpacing: 60 });
+      expect(isQuotablePool(pool)).toBe(false);
+      expect(isQuotablePool({ ...pool, fee: BigInt(500), dynamicFee: false })).toBe(true);
+    });
+  });
+
+  describe('N-token normalizers', () => {
+    const DAI = { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', symbol: 'DAI', decimals: '18' };
+    const USDT = { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', symbol: 'USDT', decimals: '6' };
+
+    test('should normalize a Curve pool', () => {
+      const adapter = getAdapter('curve');
+      const entity = {
+        id: '0xBEBC44782C7DB0A1A60CB6FE97D0B483032FF1C7',
+        A: '2000',
+        fee: '0.0001',
+        coins: [
+          { index: 0, balance: '150000000.5', token: DAI },
+          { index: 1, balance: '160000000.25', token: { ...USDC, address: USDC.id } },
+          { index: 2, balance: '90000000', token: USDT }
+        ]
+      };
+
+      expect(adapter.normalizeTokens(entity, adapter).map(token => token.symbol)).toEqual(['DAI', 'USDC', 'USDT']);
+      expect(adapter.normalizePool(entity, adapter)).toMatchObject({
+        id: '0xbebc44782c7db0a1a60cb6fe97d0b483032ff1c7',
+        dexName: 'Curve',
+        dex: 'curve',
+        protocolFamily: PROTOCOL_FAMILIES.STABLESWAP,
+        chain: 'Ethereum',
+        fee: BigInt(100),
+        amplification: BigInt(2000),
+        tokens: [DAI.address.toLowerCase(), USDC.id.toLowerCase(), USDT.address.toLowerCase()],
+        balances: [BigInt('150000000500000000000000000'), BigInt('160000000250000'), BigInt('90000000000000')],
+        tokenDecimals: [18, 6, 6],
+        // token0/token1 mirror the first two coins
+        token0: DAI.address.toLowerCase(),
+        token1: USDC.id.toLowerCase(),
+        reserve1: BigInt('160000000250000'),
+        normalizedReserve1: BigInt('160000000250000000000000000')
+      });
+    });
+
+    test('should normalize a Balancer weighted pool', () => {
+      const adapter = createBalancerAdapter({ name: 'balancerTest', chain: 'Polygon', subgraphUrl: 'https://example.com' });
+      const pool = adapter.normalizePool({
+        id: '0x5c6ee304399dbdb9c8ef030ab642b10820db8f56000200000000000000000014',
+        address: '0x5C6EE304399DBDB9C8EF030AB642B10820DB8F56',
+        factory: '0xA5BF2DDF098BB0EF6D120C98217DD6B141C74EE0',
+        poolType: 'Weighted',
+        swapFee: '0.01',
+        amp: null,
+        tokens: [
+          { address: '0xba100000625a3754423978a60c9317c58a424e3D', symbol: 'BAL', decimals: 18, balance: '40000000', weight: '0.8' },
+          { ...WETH, address: WETH.id, balance: '15000', weight: '0.2' }
+        ]
+      }, adapter);
+
+      expect(pool).toMatchObject({
+        id: '0x5c6ee304399dbdb9c8ef030ab642b10820db8f56',
+        factory: '0xa5bf2ddf098bb0ef6d120c98217dd6b141c74ee0',
+        dex: 'balancer',
+        protocolFamily: PROTOCOL_FAMILIES.WEIGHTED,
+        chain: 'Polygon',
+        fee: BigInt(10000),
+        weights: [BigInt('800000000000000000'), BigInt('200000000000000000')]
+      });
+      expect(pool.amplification).toBeUndefined();
+    });
+
+    test('should drop the BPT from Balancer composable stable pools', () => {
+      const adapter = getAdapter('balancerPolygon');
+      const address = '0x06Df3b2bbB68adc8B0e302443692037ED9f91b42';
+      const entity = {
+        id: '0x06df3b2bbb68adc8b0e302443692037ed9f91b42000000000000000000000012',
+        address,
+        factory: null,
+        poolType: 'ComposableStable',
+        swapFee: '0.0001',
+        amp: '1472',
+        tokens: [
+          { address, symbol: 'bb-USD', decimals: 18, balance: '2596148429267413.8', weight: null },
+          { ...DAI, balance: '1000', weight: null },
+          { ...USDT, balance: '1000', weight: null }
+        ]
+      };
+
+      expect(adapter.normalizeTokens(entity, adapter)).toHaveLength(2);
+      expect(adapter.normalizePool(entity, adapter)).toMatchObject({
+        protocolFamily: PROTOCOL_FAMILIES.STABLESWAP,
+        amplification: BigInt(1472),
+        tokens: [DAI.address.toLowerCase(), USDT.address.toLowerCase()],
+        balances: [BigInt('1000000000000000000000'), BigInt('1000000000')],
+        fee: BigInt(100)
+      });
+    });
+
+    test('should register Curve and Balancer on Ethereum and Polygon', () => {
+      ['curve', 'curvePolygon', 'balancer', 'balancerPolygon'].forEach((name) => {
+        expect(getAdapter(name)).toBeDefined();
+      });
+      expect(getAdapter('curve').kind).toBe(PROTOCOL_KINDS.CURVE);
+      expect(getAdapter('balancerPolygon')).toMatchObject({ chain: 'Polygon', kind: PROTOCOL_KINDS.BALANCER_V2 });
+      expect(createCurveAdapter({ name: 'c', chain: 'Base', subgraphUrl: '' }).dexName).toBe('Curve');
+    });
+  });
+
+  describe('Protocol classification', () => {
+    test('should derive DEX ids from DEX names', () => {
+      expect(toDexId('Uniswap V3')).toBe('uniswap_v3');
+      expect(toDexId('Trader Joe')).toBe('trader_joe');
+      expect(toDexId('SushiSwap')).toBe('sushiswap');
+      expect(getAdapter('traderJoe').dex).toBe('trader_joe');
+    });
+
+    test('should let adapters override their DEX id', () => {
+      const adapter = createUniswapV2Adapter({
+        name: 'pancake',
+        dexName: 'PancakeSwap V2',
+        dex: 'pancakeswap',
+        chain: 'BSC',
+        subgraphUrl: 'https://example.com'
+      });
+      expect(adapter.normalizePool({ id: '0xpair', token0: WETH, token1: USDC, reserve0: '1', reserve1: '1' }, adapter).dex)
+        .toBe('pancakeswap');
+    });
+
+    test('should prefer the fields stamped on a pool', () => {
+      const pool = { dexName: 'Uniswap V3', dex: 'custom', protocolFamily: PROTOCOL_FAMILIES.V4 };
+      expect(getPoolDex(pool)).toBe('custom');
+      expect(getProtocolFamily(pool)).toBe(PROTOCOL_FAMILIES.V4);
+    });
+
+    test('should infer the classification of pools without one', () => {
+      expect(getPoolDex({ dexName: 'QuickSwap' })).toBe('quickswap');
+      expect(getProtocolFamily({ reserve0: BigInt(1) })).toBe(PROTOCOL_FAMILIES.V2_CONSTANT_PRODUCT);
+      expect(getProtocolFamily({ sqrtPriceX96: BigInt(1) })).toBe(PROTOCOL_FAMILIES.V3_CONCENTRATED);
+      expect(getProtocolFamily({ sqrtPriceX96: BigInt(1), hooks: '0x0' })).toBe(PROTOCOL_FAMILIES.V4);
+      expect(getProtocolFamily({ tokens: [], weights: [] })).toBe(PROTOCOL_FAMILIES.WEIGHTED);
+      expect(getProtocolFamily({ tokens: [], amplification: BigInt(100) })).toBe(PROTOCOL_FAMILIES.STABLESWAP);
+    });
+  });
+
+  describe('fetchAllDexData() with registered adapters', () => {
+    const extraAdapter = createUniswapV2Adapter({
+      name: 'baseswap',
+      dexName: 'BaseSwap',
+      chain: 'Base',
+      subgraphUrl: 'https://baseswap.example.com'
+    });
+
+    beforeEach(() => {
+      registerAdapter(extraAdapter);
+    });
+
+    afterEach(() => {
+      unregisterAdapter('baseswap');
+    });
+
+    test('should fetch from every registered adapter', async () => {
+      mockResponses.set('https://baseswap.example.com', {
+        pairs: [{ id: '0xbasepair', token0: WETH, token1: USDC, reserve0: '1', reserve1: '2' }]
+      });
+      mockResponses.set(resolveSourceUrl(getAdapter('quickswap')), {
+        pairs: [{ id: '0xquickpair', token0: WETH, token1: USDC, reserve0: '3', reserve1: '4' }]
+      });
+
+      const result = await fetchAllDexData(config);
+
+      const dexNames = result.pools.map(pool => pool.dexName).sort();
+      expect(dexNames).toEqual(['BaseSwap', 'QuickSwap']);
+      expect(result.tokens.length).toBe(2);
+    });
+
+    test('should fetch pools of the other supported chains', async () => {
+      mockResponses.set(resolveSourceUrl(getAdapter('uniswapV3Base')), {
+        pools: [{
+          id: '0xbasepool',
+          token0: WETH,
+          token1: USDC,
+          liquidity: '0',
+          sqrtPrice: '0',
+          tick: null,
+          feeTier: '500'
+        }]
+      });
+
+      const result = await fetchAllDexData(config);
+
+      expect(result.pools.find(pool => pool.id === '0xbasepool')).toMatchObject({ chain: 'Base', dexName: 'Uniswap V3' });
+    });
+
+    test('should only fetch sources without a default URL once configured', async () => {
+      const { GraphQLClient } = require('graphql-request');
+      const unichainUrl = 'https://unichain.example.com';
+      mockResponses.set(unichainUrl, {
+        pools: [{ id: '0xunipool', token0: WETH, token1: USDC, liquidity: '0', sqrtPrice: '0', tick: null, feeTier: '3000' }]
+      });
+
+      await fetchAllDexData(config);
+      expect(GraphQLClient).not.toHaveBeenCalledWith('', expect.anything());
+
+      process.env.UNISWAP_V3_UNICHAIN_SUBGRAPH_URL = unichainUrl;
+      try {
+        const result = await fetchAllDexData(config);
+        expect(result.pools.find(pool => pool.id === '0xunipool').chain).toBe('Unichain');
+      } finally {
+        delete process.env.UNISWAP_V3_UNICHAIN_SUBGRAPH_URL;
+      }
+    });
+
+    test('should keep pools priced at either tick limit', async () => {
+      const { getSqrtRatioAtTick } = require('../uniswap-v3-math');
+      const poolAtTick = (id, tick) => ({
+        id,
+        token0: WETH,
+        token1: USDC,
+        liquidity: '1000000',
+        sqrtPrice: getSqrtRatioAtTick(tick).toString(),
+        tick: String(tick),
+        feeTier: '3000'
+      });
+      mockResponses.set(resolveSourceUrl(getAdapter('uniswapV3Base')), {
+        pools: [poolAtTick('0xhigh', 887250), poolAtTick('0xlow', -887272)]
+      });
+
+      const result = await fetchAllDexData(config);
+
+      expect(result.pools.find(pool => pool.id === '0xhigh')).toMatchObject({ tickLower: 887160, tickUpper: 887220 });
+      expect(result.pools.find(pool => pool.id === '0xlow')).toMatchObject({ tickLower: -887220, tickUpper: -887160 });
+    });
+
+    test('should skip malformed pools without dropping the rest of the source', async () => {
+      mockResponses.set('https://baseswap.example.com', {
+        pairs: [
+          { id: '0xbroken', token0: null, token1: USDC, reserve0: '1', reserve1: '2' },
+          { id: '0xbasepair', token0: WETH, token1: USDC, reserve0: '1', reserve1: '2' }
+        ]
+      });
+
+      const result = await fetchAllDexData(config);
+
+      expect(result.pools.map(pool => pool.id)).toEqual(['0xbasepair']);
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error normalizing BaseSwap pool 0xbroken:', expect.any(Error));
+    });
+
+    test('should skip adapters whose source fails', async () => {
+      mockResponses.set('https://baseswap.example.com', new Error('Subgraph down'));
+
+      const result = await fetchAllDexData(config);
+
+      expect(result.pools).toEqual([]);
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Error fetching BaseSwap data:', expect.any(Error));
+    });
+  });
+
+  describe('fetchAdapterData() in monitored-only mode', () => {
+    const WMATIC = { id: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', symbol: 'WMATIC', decimals: '18' };
+    const POLYGON_USDC = { id: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174', symbol: 'USDC', decimals: '6' };
+    const OTHER = { id: '0x1111111111111111111111111111111111111111', symbol: 'OTHER', decimals: '18' };
+    const monitoredConfig = { ...config, monitoredOnly: true };
+
+    test('should query two-token pools by token0 and by token1 and merge the results', async () => {
+      const adapter = createUniswapV2Adapter({
+        name: 'monitoredswap',
+        dexName: 'MonitoredSwap',
+        chain: 'Polygon',
+        subgraphUrl: 'https://monitoredswap.example.com'
+      });
+      const requests = [];
+      mockResponses.set('https://monitoredswap.example.com', (query, variables) => {
+        requests.push({ query, variables });
+        const shared = { id: '0xshared', token0: WMATIC, token1: POLYGON_USDC, reserve0: '1', reserve1: '2' };
+        return query.includes('token0_in: $tokens')
+          ? { pairs: [shared, { id: '0xtoken0', token0: WMATIC, token1: OTHER, reserve0: '1', reserve1: '2' }] }
+          : { pairs: [shared, { id: '0xtoken1', token0: OTHER, token1: POLYGON_USDC, reserve0: '1', reserve1: '2' }] };
+      });
+
+      const result = await fetchAdapterData(adapter, monitoredConfig);
+
+      expect(requests.map(request => request.query.match(/token[01]_in/)[0])).toEqual(['token0_in', 'token1_in']);
+      expect(requests[0].variables.tokens).toContain(WMATIC.id.toLowerCase());
+      expect(requests[0].query).toContain('$tokens: [String!]!');
+      expect(result.pools.map(pool => pool.id)).toEqual(['0xshared', '0xtoken0', '0xtoken1']);
+      expect(result.tokens.length).toBe(3);
+    });
+
+    test('should filter sources without token filters after fetching', async () => {
+      const adapter = createCurveAdapter({ name: 'curveMonitored', chain: 'Polygon', subgraphUrl: 'https://curve-monitored.example.com' });
+      const coin = (index, token) => ({ index, balance: '100', token: { ...token, address: token.id } });
+      mockResponses.set('https://curve-monitored.example.com', (query) => {
+        expect(query).not.toContain('$tokens');
+        return {
+          pools: [
+            { id: '0xmonitored', A: '100', fee: '0.0004', coins: [coin(0, POLYGON_USDC), coin(1, OTHER)] },
+            { id: '0xunmonitored', A: '100', fee: '0.0004', coins: [coin(0, OTHER), coin(1, { ...OTHER, id: '0x2222222222222222222222222222222222222222' })] }
+          ]
+        };
+      });
+
+      const result = await fetchAdapterData(adapter, monitoredConfig);
+
+      expect(result.pools.map(pool => pool.id)).toEqual(['0xmonitored']);
+      expect(result.tokens.map(token => token.symbol).sort()).toEqual(['OTHER', 'USDC']);
+    });
+
+    test('should skip chains without monitored tokens', async () => {
+      const { GraphQLClient } = require('graphql-request');
+      GraphQLClient.mockClear();
+      const adapter = createUniswapV2Adapter({
+        name: 'unmonitoredswap',
+        dexName: 'UnmonitoredSwap',
+        chain: 'Avalanche',
+        subgraphUrl: 'https://unmonitoredswap.example.com'
+      });
+
+      await expect(fetchAdapterData(adapter, monitoredConfig)).resolves.toEqual({ tokens: [], pools: [] });
+      expect(GraphQLClient).not.toHaveBeenCalled();
+    });
+  });
+});
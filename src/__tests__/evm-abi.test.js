@@ -0,0 +1,82 @@
+const {
+  SELECTORS,
+  encodeUint,
+  encodeAddress,
+  encodeBytes,
+  decodeWords,
+  decodeUint,
+  decodeInt,
+  decodeAddress,
+  encodeAggregate3,
+  decodeAggregate3
+} = require('../evm-abi');
+const { decodeAggregate3Calls, encodeAggregate3Results } = require('./helpers/json-rpc-stub');
+
+describe('EVM ABI', () => {
+  describe('Word encoding', () => {
+    test('should left-pad integers and addresses to 32 bytes', () => {
+      expect(encodeUint(255)).toBe('0'.repeat(62) + 'ff');
+      expect(encodeAddress('0xABCDEF0000000000000000000000000000000001'))
+        .toBe('0'.repeat(24) + 'abcdef0000000000000000000000000000000001');
+    });
+
+    test('should encode bytes with a length word and right padding', () => {
+      const encoded = encodeBytes('0x0902f1ac');
+      expect(encoded.slice(0, 64)).toBe(encodeUint(4));
+      expect(encoded.slice(64)).toBe('0902f1ac' + '0'.repeat(56));
+    });
+
+    test('should encode empty bytes as a zero length word', () => {
+      expect(encodeBytes('0x')).toBe(encodeUint(0));
+    });
+  });
+
+  describe('Word decoding', () => {
+    test('should split data into words', () => {
+      const words = decodeWords(`0x${encodeUint(1)}${encodeUint(2)}`);
+      expect(words.map(decodeUint)).toEqual([BigInt(1), BigInt(2)]);
+    });
+
+    test('should decode negative signed integers', () => {
+      expect(decodeInt('f'.repeat(64))).toBe(BigInt(-1));
+      expect(decodeInt(encodeUint(887272))).toBe(BigInt(887272));
+      const minusTen = ((BigInt(1) << BigInt(256)) - BigInt(10)).toString(16);
+      expect(decodeInt(minusTen)).toBe(BigInt(-10));
+    });
+
+    test('should decode addresses', () => {
+      expect(decodeAddress(encodeAddress('0x00000000000000000000000000000000000000aa')))
+        .toBe('0x00000000000000000000000000000000000000aa');
+    });
+  });
+
+  describe('Multicall3 aggregate3', () => {
+    const calls = [
+      { target: '0x1111111111111111111111111111111111111111', allowFailure: true, callData: SELECTORS.getReserves },
+      { target: '0x2222222222222222222222222222222222222222', allowFailure: false, callData: SELECTORS.slot0 },
+      { target: '0x3333333333333333333333333333333333333333', allowFailure: true, callData: `0x70a08231${encodeAddress('0x4444444444444444444444444444444444444444')}` }
+    ];
+
+    test('should start with the aggregate3 selector', () => {
+      expect(encodeAggregate3(calls).startsWith(SELECTORS.aggregate3)).toBe(true);
+    });
+
+    test('should round-trip encoded calls', () => {
+      expect(decodeAggregate3Calls(encodeAggregate3(calls))).toEqual(calls);
+    });
+
+    test('should decode aggregate3 results', () => {
+      const results = [
+        { success: true, returnData: `0x${encodeUint(1)}${encodeUint(2)}${encodeUint(3)}` },
+        { success: false, returnData: '0x' },
+        { success: true, returnData: `0x${encodeUint(42)}` }
+      ];
+
+      expect(decodeAggregate3(encodeAggregate3Results(results))).toEqual(results);
+    });
+
+    test('should decode an empty result list', () => {
+      expect(decodeAggregate3(encodeAggregate3Results([]))).toEqual([]);
+    });
+  });
+});
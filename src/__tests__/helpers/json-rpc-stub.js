@@ -0,0 +1,151 @@
+/**
+ * Local JSON-RPC stand-in for tests
+ * Serves eth_blockNumber, eth_call (including Multicall3 aggregate3) and any
+ * extra methods registered by the test, over a real HTTP server on localhost
+ */
+
+const http = require('http');
+const {
+  SELECTORS,
+  strip0x,
+  encodeUint,
+  encodeBool,
+  encodeBytes,
+  decodeUint,
+  decodeAddress
+} = require('../../evm-abi');
+
+/**
+ * Decode aggregate3((address,bool,bytes)[]) calldata into its sub-calls
+ * @param {string} calldata - 0x-prefixed calldata including the selector
+ * @returns {{target: string, allowFailure: boolean, callData: string}[]}
+ */
+function decodeAggregate3Calls(calldata) {
+  const data = strip0x(calldata).slice(8);
+  const readWord = byteOffset => data.slice(byteOffset * 2, byteOffset * 2 + 64);
+
+  const arrayStart = Number(decodeUint(readWord(0)));
+  const length = Number(decodeUint(readWord(arrayStart)));
+  const elementsStart = arrayStart + 32;
+  const calls = [];
+
+  for (let i = 0; i < length; i++) {
+    const tupleStart = elementsStart + Number(decodeUint(readWord(elementsStart + i * 32)));
+    const bytesStart = tupleStart + Number(decodeUint(readWord(tupleStart + 64)));
+    const bytesLength = Number(decodeUint(readWord(bytesStart)));
+    calls.push({
+      target: decodeAddress(readWord(tupleStart)),
+      allowFailure: decodeUint(readWord(tupleStart + 32)) === BigInt(1),
+      callData: `0x${data.slice((bytesStart + 32) * 2, (bytesStart + 32 + bytesLength) * 2)}`
+    });
+  }
+
+  return calls;
+}
+
+/**
+ * Encode (bool success, bytes returnData)[] as returned by aggregate3
+ * @param {{success: boolean, returnData: string}[]} results - Per-call results
+ * @returns {string} - 0x-prefixed return data
+ */
+function encodeAggregate3Results(results) {
+  const tuples = results.map(result =>
+    encodeBool(result.success) + encodeUint(64) + encodeBytes(result.returnData)
+  );
+
+  let offset = results.length * 32;
+  const offsets = tuples.map((tuple) => {
+    const encoded = encodeUint(offset);
+    offset += tuple.length / 2;
+    return encoded;
+  });
+
+  return `0x${encodeUint(32)}${encodeUint(results.length)}${offsets.join('')}${tuples.join('')}`;
+}
+
+/**
+ * Start a JSON-RPC stand-in
+ * @param {Object} [options] - Stub options
+ * @param {number} [options.blockNumber] - Block number reported by eth_blockNumber
+ * @param {Object<string, Object<string, string>>} [options.contracts] - Return data keyed by
+ *   lowercase contract address, then by calldata (or 4-byte selector)
+ * @param {Object<string, function(Array): *>} [options.methods] - Extra RPC method handlers
+ * @returns {Promise<{url: string, requests: Object[], close: function(): Promise<void>}>}
+ */
+async function startJsonRpcStub(options = {}) {
+  const contracts = options.contracts || {};
+  const methods = options.methods || {};
+  const requests = [];
+
+  const callContract = (to, data) => {
+    const contract = contracts[to.toLowerCase()];
+    if (!contract) {
+      return null;
+    }
+    return contract[data] ?? contract[data.slice(0, 10)] ?? null;
+  };
+
+  const handle = (request) => {
+    requests.push(request);
+    const { method, params } = request;
+
+    if (methods[method]) {
+      return methods[method](params);
+    }
+
+    if (method === 'eth_blockNumber') {
+      return `0x${(options.blockNumber || 1).toString(16)}`;
+    }
+
+    if (method === 'eth_call') {
+      const [{ to, data }] = params;
+      if (data.startsWith(SELECTORS.aggregate3)) {
+        const results = decodeAggregate3Calls(data).map((call) => {
+          const returnData = callContract(call.target, call.callData);
+          return returnData === null
+            ? { success: false, returnData: '0x' }
+            : { success: true, returnData };
+        });
+        return encodeAggregate3Results(results);
+      }
+      const returnData = callContract(to, data);
+      if (returnData === null) {
+        throw Object.assign(new Error('execution reverted'), { code: 3 });
+      }
+      return returnData;
+    }
+
+    throw Object.assign(new Error(`Method not found: ${method}`), { code: -32601 });
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      let response;
+      try {
+        response = { jsonrpc: '2.0', id: request.id, result: handle(request) };
+      } catch (error) {
+        response = { jsonrpc: '2.0', id: request.id, error: { code: error.code || -32000, message: error.message } };
+      }
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = {
+  decodeAggregate3Calls,
+  encodeAggregate3Results,
+  startJsonRpcStub
+};
@@ -0,0 +1,281 @@
+const {
+  MULTICALL3_ADDRESS,
+  getRpcUrlForChain,
+  readPoolStates,
+  refreshPoolsFromChain
+} = require('../onchain-reserves');
+const { createRpcClient } = require('../rpc-client');
+const { SELECTORS, encodeUint } = require('../evm-abi');
+const { Q96, getSqrtRatioAtTick } = require('../uniswap-v3-math');
+const {
+  startJsonRpcStub,
+  decodeAggregate3Calls,
+  encodeAggregate3Results
+} = require('./helpers/json-rpc-stub');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const V2_PAIR = '0x397ff1542f962076d0bfe58ea045ffa2d347aca0';
+const V3_POOL = '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640';
+const MISSING_PAIR = '0x0000000000000000000000000000000000000bad';
+
+/**
+ * Encode a negative int24 tick as a sign-extended word
+ */
+function encodeTick(tick) {
+  return tick >= 0
+    ? encodeUint(tick)
+    : ((BigInt(1) << BigInt(256)) + BigInt(tick)).toString(16);
+}
+
+const tokens = [
+  { address: WETH, symbol: 'WETH', decimals: 18 },
+  { address: USDC, symbol: 'USDC', decimals: 6 }
+];
+
+const subgraphPools = [
+  {
+    id: V2_PAIR,
+    dexName: 'SushiSwap',
+    chain: 'Ethereum',
+    token0: USDC,
+    token1: WETH,
+    reserve0: BigInt(1),
+    reserve1: BigInt(1),
+    fee: BigInt(3000)
+  },
+  {
+    id: V3_POOL,
+    dexName: 'Uniswap V3',
+    chain: 'Ethereum',
+    token0: USDC,
+    token1: WETH,
+    reserve0: BigInt(1),
+    reserve1: BigInt(1),
+    fee: BigInt(500),
+    sqrtPriceX96: BigInt(1),
+    tick: 0,
+    liquidity: BigInt(1)
+  },
+  {
+    id: MISSING_PAIR,
+    dexName: 'SushiSwap',
+    chain: 'Ethereum',
+    token0: USDC,
+    token1: WETH,
+    reserve0: BigInt(7),
+    reserve1: BigInt(8),
+    fee: BigInt(3000)
+  }
+];
+
+describe('On-chain Reserves', () => {
+  let stub;
+  const tick = -201000;
+  const sqrtPriceX96 = getSqrtRatioAtTick(tick);
+
+  beforeAll(async () => {
+    stub = await startJsonRpcStub({
+      blockNumber: 19000000,
+      contracts: {
+        [V2_PAIR]: {
+          [SELECTORS.getReserves]: `0x${encodeUint('50000000000000')}${encodeUint('20000000000000000000000')}${encodeUint(1700000000)}`
+        },
+        [V3_POOL]: {
+          [SELECTORS.slot0]: `0x${encodeUint(sqrtPriceX96)}${encodeTick(tick)}${encodeUint(1)}${encodeUint(1)}${encodeUint(1)}${encodeUint(0)}${encodeUint(1)}`,
+          [SELECTORS.liquidity]: `0x${encodeUint('30000000000000000000')}`
+        }
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await stub.close();
+  });
+
+  describe('getRpcUrlForChain()', () => {
+    test('should map chains to configured RPC URLs', () => {
+      const config = { ethereumRpcUrl: 'https://eth', polygonRpcUrl: 'https://polygon' };
+      expect(getRpcUrlForChain('Ethereum', config)).toBe('https://eth');
+      expect(getRpcUrlForChain('Polygon', config)).toBe('https://polygon');
+      expect(getRpcUrlForChain('Base', config)).toBeUndefined();
+    });
+
+    test('should map other chains through rpcUrls', () => {
+      const config = { ethereumRpcUrl: 'https://eth', polygonRpcUrl: 'https://polygon', rpcUrls: { Base: 'https://base' } };
+      expect(getRpcUrlForChain('Base', config)).toBe('https://base');
+      expect(getRpcUrlForChain('Arbitrum', config)).toBeUndefined();
+    });
+  });
+
+  describe('readPoolStates()', () => {
+    test('should batch reads through Multicall3 at the latest block', async () => {
+      const states = await readPoolStates(createRpcClient(stub.url), subgraphPools);
+
+      const ethCall = stub.requests.filter(request => request.method === 'eth_call').pop();
+      expect(ethCall.params[0].to).toBe(MULTICALL3_ADDRESS);
+      expect(ethCall.params[1]).toBe(`0x${(19000000).toString(16)}`);
+      expect(decodeAggregate3Calls(ethCall.params[0].data).map(call => call.callData)).toEqual([
+        SELECTORS.getReserves,
+        SELECTORS.slot0,
+        SELECTORS.liquidity,
+        SELECTORS.getReserves
+      ]);
+
+      expect(states.get(V2_PAIR)).toEqual({
+        blockNumber: 19000000,
+        reserve0: BigInt('50000000000000'),
+        reserve1: BigInt('20000000000000000000000')
+      });
+      expect(states.get(V3_POOL)).toEqual({
+        blockNumber: 19000000,
+        sqrtPriceX96,
+        tick,
+        liquidity: BigInt('30000000000000000000')
+      });
+    });
+
+    test('should skip pools whose calls fail', async () => {
+      const states = await readPoolStates(createRpcClient(stub.url), subgraphPools);
+      expect(states.has(MISSING_PAIR)).toBe(false);
+    });
+
+    test('should split pools into batches', async () => {
+      const client = {
+        getBlockNumber: jest.fn(async () => 5),
+        ethCall: jest.fn(async (tx, blockTag) => {
+          const rpc = createRpcClient(stub.url);
+          return rpc.ethCall(tx, blockTag);
+        })
+      };
+
+      const states = await readPoolStates(client, subgraphPools, { batchSize: 1 });
+
+      expect(client.ethCall).toHaveBeenCalledTimes(3);
+      expect(states.get(V2_PAIR).blockNumber).toBe(5);
+    });
+
+    test('should read at a pinned block when given', async () => {
+      const client = {
+        getBlockNumber: jest.fn(),
+        ethCall: jest.fn(async () => encodeAggregate3Results([{ success: false, returnData: '0x' }]))
+      };
+
+      const states = await readPoolStates(client, [subgraphPools[0]], { blockNumber: 42 });
+
+      expect(client.getBlockNumber).not.toHaveBeenCalled();
+      expect(client.ethCall.mock.calls[0][1]).toBe(42);
+      expect(states.size).toBe(0);
+    });
+
+    test('should reject multicall responses that do not match the calls', async () => {
+      const client = {
+        getBlockNumber: jest.fn(async () => 1),
+        ethCall: jest.fn(async () => encodeAggregate3Results([]))
+      };
+
+      await expect(readPoolStates(client, [subgraphPools[0]]))
+        .rejects.toThrow('Multicall returned 0 results for 1 calls');
+    });
+  });
+
+  describe('refreshPoolsFromChain()', () => {
+    test('should replace reserves and stamp the block number', async () => {
+      const pools = await refreshPoolsFromChain(
+        { tokens, pools: subgraphPools },
+        { ethereumRpcUrl: stub.url, polygonRpcUrl: '' }
+      );
+
+      const v2 = pools.find(pool => pool.id === V2_PAIR);
+      expect(v2).toMatchObject({
+        blockNumber: 19000000,
+        reserve0: BigInt('50000000000000'),
+        reserve1: BigInt('20000000000000000000000'),
+        normalizedReserve0: BigInt('50000000000000000000000000'),
+        normalizedReserve1: BigInt('20000000000000000000000')
+      });
+
+      const v3 = pools.find(pool => pool.id === V3_POOL);
+      expect(v3.blockNumber).toBe(19000000);
+      expect(v3.sqrtPriceX96).toBe(sqrtPriceX96);
+      expect(v3.tick).toBe(tick);
+      expect(v3.tickLower).toBe(-201000);
+      expect(v3.tickUpper).toBe(-200990);
+      expect(v3.reserve0).toBe((BigInt('30000000000000000000') * Q96) / sqrtPriceX96);
+    });
+
+    test('should keep subgraph values for pools that could not be read', async () => {
+      const pools = await refreshPoolsFromChain(
+        { tokens, pools: subgraphPools },
+        { ethereumRpcUrl: stub.url, polygonRpcUrl: '' }
+      );
+
+      const missing = pools.find(pool => pool.id === MISSING_PAIR);
+      expect(missing).toBe(subgraphPools[2]);
+      expect(missing.blockNumber).toBeUndefined();
+    });
+
+    test('should keep subgraph values for pools whose state cannot be applied', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      // A zero tick spacing makes the active range underivable
+      const malformed = { ...subgraphPools[1], tickSpacing: 0 };
+
+      const pools = await refreshPoolsFromChain(
+        { tokens, pools: [subgraphPools[0], malformed] },
+        { ethereumRpcUrl: stub.url, polygonRpcUrl: '' }
+      );
+
+      expect(pools[0].blockNumber).toBe(19000000);
+      expect(pools[1]).toBe(malformed);
+      expect(consoleSpy).toHaveBeenCalledWith(`Error applying on-chain state of pool ${V3_POOL}:`, expect.any(Error));
+      consoleSpy.mockRestore();
+    });
+
+    test('should leave Uniswap V4 pools to the subgraph', async () => {
+      const v4Pool = {
+        ...subgraphPools[1],
+        id: '0x21c67e77068de97969ba93d4aab21826d33ca12bb9f565d8496e8fda8a82ca27',
+        dexName: 'Uniswap V4',
+        hooks: '0x0000000000000000000000000000000000000000'
+      };
+
+      const pools = await refreshPoolsFromChain(
+        { tokens, pools: [v4Pool] },
+        { ethereumRpcUrl: stub.url, polygonRpcUrl: '' }
+      );
+
+      expect(pools).toEqual([v4Pool]);
+    });
+
+    test('should leave Curve and Balancer pools to the subgraph', async () => {
+      const curvePool = {
+        ...subgraphPools[0],
+        dexName: 'Curve',
+        tokens: [subgraphPools[0].token0, subgraphPools[0].token1],
+        balances: [subgraphPools[0].reserve0, subgraphPools[0].reserve1],
+        tokenDecimals: [18, 18],
+        amplification: BigInt(100)
+      };
+
+      const pools = await refreshPoolsFromChain(
+        { tokens, pools: [curvePool] },
+        { ethereumRpcUrl: stub.url, polygonRpcUrl: '' }
+      );
+
+      expect(pools).toEqual([curvePool]);
+    });
+
+    test('should keep subgraph values when the RPC is unreachable', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const pools = await refreshPoolsFromChain(
+        { tokens, pools: subgraphPools },
+        { ethereumRpcUrl: 'http://127.0.0.1:1', polygonRpcUrl: '' }
+      );
+
+      expect(pools).toEqual(subgraphPools);
+      expect(consoleSpy).toHaveBeenCalledWith('Error reading Ethereum pool state over RPC:', expect.anything());
+      consoleSpy.mockRestore();
+    });
+  });
+});
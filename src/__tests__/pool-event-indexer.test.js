@@ -0,0 +1,347 @@
+const {
+  POOL_LOG_TYPES,
+  decodePoolLog,
+  applyPoolEvent,
+  createPoolEventIndexer
+} = require('../pool-event-indexer');
+const { createRpcClient } = require('../rpc-client');
+const { EVENT_TOPICS, encodeUint, encodeAddress } = require('../evm-abi');
+const { Q96, getSqrtRatioAtTick } = require('../uniswap-v3-math');
+const { deriveUniswapV3State } = require('../dex-adapters');
+const { startJsonRpcStub } = require('./helpers/json-rpc-stub');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const V2_PAIR = '0x397ff1542f962076d0bfe58ea045ffa2d347aca0';
+const V3_POOL = '0x88e6a0c2ddd26feeb64f039a2c41296fcb3f5640';
+const OWNER = '0x1111111111111111111111111111111111111111';
+
+/**
+ * Encode a signed integer as a two's complement word
+ */
+function encodeInt(value) {
+  return value >= 0
+    ? encodeUint(value)
+    : ((BigInt(1) << BigInt(256)) + BigInt(value)).toString(16);
+}
+
+/**
+ * Build a raw log as returned by eth_getLogs
+ */
+function buildLog(address, topics, words, blockNumber, logIndex, blockHash = `0xa${blockNumber}`) {
+  return {
+    address,
+    topics,
+    data: `0x${words.join('')}`,
+    blockNumber: `0x${blockNumber.toString(16)}`,
+    blockHash,
+    logIndex: `0x${logIndex.toString(16)}`,
+    removed: false
+  };
+}
+
+const syncLog = (reserve0, reserve1, blockNumber, logIndex = 0, blockHash) =>
+  buildLog(V2_PAIR, [EVENT_TOPICS.Sync], [encodeUint(reserve0), encodeUint(reserve1)], blockNumber, logIndex, blockHash);
+
+const swapLog = (sqrtPriceX96, liquidity, tick, blockNumber, logIndex = 0) =>
+  buildLog(
+    V3_POOL,
+    [EVENT_TOPICS.Swap, `0x${encodeAddress(OWNER)}`, `0x${encodeAddress(OWNER)}`],
+    [encodeInt(-1000), encodeInt(990), encodeUint(sqrtPriceX96), encodeUint(liquidity), encodeInt(tick)],
+    blockNumber,
+    logIndex
+  );
+
+const positionLog = (topic, tickLower, tickUpper, words, blockNumber) =>
+  buildLog(
+    V3_POOL,
+    [topic, `0x${encodeAddress(OWNER)}`, `0x${encodeInt(tickLower)}`, `0x${encodeInt(tickUpper)}`],
+    words,
+    blockNumber,
+    0
+  );
+
+const mintLog = (tickLower, tickUpper, amount, blockNumber) =>
+  positionLog(EVENT_TOPICS.Mint, tickLower, tickUpper, [encodeAddress(OWNER), encodeUint(amount), encodeUint(1), encodeUint(1)], blockNumber);
+
+const burnLog = (tickLower, tickUpper, amount, blockNumber) =>
+  positionLog(EVENT_TOPICS.Burn, tickLower, tickUpper, [encodeUint(amount), encodeUint(1), encodeUint(1)], blockNumber);
+
+const tokens = [
+  { address: WETH, symbol: 'WETH', decimals: 18 },
+  { address: USDC, symbol: 'USDC', decimals: 6 }
+];
+const tokenMap = new Map(tokens.map(token => [token.address, token]));
+
+const v2Pool = {
+  id: V2_PAIR,
+  dexName: 'SushiSwap',
+  chain: 'Ethereum',
+  token0: USDC,
+  token1: WETH,
+  reserve0: BigInt(1000),
+  reserve1: BigInt(1000),
+  fee: BigInt(3000)
+};
+
+const v3Pool = {
+  id: V3_POOL,
+  dexName: 'Uniswap V3',
+  chain: 'Ethereum',
+  token0: USDC,
+  token1: WETH,
+  fee: BigInt(3000),
+  ...deriveUniswapV3State({ liquidity: BigInt('1000000000000000000'), sqrtPriceX96: Q96, tick: 0, fee: BigInt(3000) }, 6, 18)
+};
+
+describe('Pool Event Indexer', () => {
+  describe('decodePoolLog()', () => {
+    test('should decode Sync events', () => {
+      expect(decodePoolLog(syncLog(5, 7, 255, 3))).toEqual({
+        type: POOL_LOG_TYPES.SYNC,
+        address: V2_PAIR,
+        blockNumber: 255,
+        blockHash: '0xa255',
+        logIndex: 3,
+        reserve0: BigInt(5),
+        reserve1: BigInt(7)
+      });
+    });
+
+    test('should decode the post-swap state of Swap events', () => {
+      const event = decodePoolLog(swapLog(Q96, BigInt(42), -201000, 10));
+
+      expect(event).toMatchObject({ type: POOL_LOG_TYPES.SWAP, sqrtPriceX96: Q96, liquidity: BigInt(42), tick: -201000 });
+    });
+
+    test('should decode the position and amount of Mint and Burn events', () => {
+      expect(decodePoolLog(mintLog(-60, 120, 500, 10)))
+        .toMatchObject({ type: POOL_LOG_TYPES.MINT, tickLower: -60, tickUpper: 120, amount: BigInt(500) });
+      expect(decodePoolLog(burnLog(-60, 120, 300, 10)))
+        .toMatchObject({ type: POOL_LOG_TYPES.BURN, tickLower: -60, tickUpper: 120, amount: BigInt(300) });
+    });
+
+    test('should ignore unrelated events', () => {
+      expect(decodePoolLog(buildLog(V2_PAIR, [`0x${encodeUint(1)}`], [], 10, 0))).toBeNull();
+    });
+  });
+
+  describe('applyPoolEvent()', () => {
+    test('should set V2 reserves from Sync events', () => {
+      const pool = applyPoolEvent(v2Pool, decodePoolLog(syncLog(BigInt('2000000000'), BigInt('1000000000000000000'), 50)), tokenMap);
+
+      expect(pool.reserve0).toBe(BigInt('2000000000'));
+      expect(pool.normalizedReserve0).toBe(BigInt('2000000000000000000000'));
+      expect(pool.normalizedReserve1).toBe(BigInt('1000000000000000000'));
+      expect(pool.blockNumber).toBe(50);
+    });
+
+    test('should set V3 price and liquidity from Swap events', () => {
+      const sqrtPriceX96 = Q96 * BigInt(2);
+      const pool = applyPoolEvent(v3Pool, decodePoolLog(swapLog(sqrtPriceX96, BigInt('500000000000000000'), 13863, 50)), tokenMap);
+
+      expect(pool.sqrtPriceX96).toBe(sqrtPriceX96);
+      expect(pool.tick).toBe(13863);
+      expect(pool.liquidity).toBe(BigInt('500000000000000000'));
+      expect(pool.tickLower).toBe(13860);
+      expect(pool.reserve1).toBe(BigInt('1000000000000000000'));
+    });
+
+    test('should apply Swap events near the tick limits', () => {
+      const sqrtPriceX96 = getSqrtRatioAtTick(887250);
+      const pool = applyPoolEvent(v3Pool, decodePoolLog(swapLog(sqrtPriceX96, BigInt(1000), 887250, 50)), tokenMap);
+
+      expect(pool.tick).toBe(887250);
+      expect(pool.tickUpper).toBe(887220);
+    });
+
+    test('should only change active liquidity for positions spanning the current tick', () => {
+      const minted = applyPoolEvent(v3Pool, decodePoolLog(mintLog(-60, 60, 1000, 50)), tokenMap);
+      const burned = applyPoolEvent(minted, decodePoolLog(burnLog(-60, 60, 400, 51)), tokenMap);
+      const outOfRange = applyPoolEvent(v3Pool, decodePoolLog(mintLog(60, 120, 1000, 50)), tokenMap);
+
+      expect(minted.liquidity).toBe(v3Pool.liquidity + BigInt(1000));
+      expect(burned.liquidity).toBe(v3Pool.liquidity + BigInt(600));
+      expect(outOfRange).toBe(v3Pool);
+    });
+
+    test('should ignore events from the other pool family', () => {
+      expect(applyPoolEvent(v3Pool, decodePoolLog(syncLog(1, 1, 50)), tokenMap)).toBe(v3Pool);
+      expect(applyPoolEvent(v2Pool, decodePoolLog(swapLog(Q96, BigInt(1), 0, 50)), tokenMap)).toBe(v2Pool);
+    });
+  });
+
+  describe('createPoolEventIndexer()', () => {
+    // Simulated chain: blocks at or after forkBlock carry the current branch in their hash
+    let chain;
+    let stub;
+
+    const getBlockHash = blockNumber =>
+      `0x${blockNumber >= chain.forkBlock ? chain.branch : 'a'}${blockNumber}`;
+
+    beforeAll(async () => {
+      stub = await startJsonRpcStub({
+        methods: {
+          eth_blockNumber: () => `0x${chain.head.toString(16)}`,
+          eth_getBlockByNumber: ([blockTag]) => {
+            const blockNumber = parseInt(blockTag, 16);
+            return blockNumber <= chain.head ? { number: blockTag, hash: getBlockHash(blockNumber) } : null;
+          },
+          eth_getLogs: ([filter]) => chain.logs.filter((log) => {
+            const blockNumber = parseInt(log.blockNumber, 16);
+            return filter.address.includes(log.address)
+              && blockNumber >= parseInt(filter.fromBlock, 16)
+              && blockNumber <= parseInt(filter.toBlock, 16);
+          })
+        }
+      });
+    });
+
+    beforeEach(() => {
+      chain = { head: 100, forkBlock: Infinity, branch: 'a', logs: [] };
+      stub.requests.length = 0;
+    });
+
+    afterAll(async () => {
+      await stub.close();
+    });
+
+    const createIndexer = options => createPoolEventIndexer({
+      client: createRpcClient(stub.url),
+      dexData: { tokens, pools: [v2Pool, v3Pool] },
+      startBlock: 100,
+      ...options
+    });
+
+    test('should apply events in block and log order', async () => {
+      const indexer = createIndexer();
+      chain.head = 103;
+      chain.logs = [
+        syncLog(300, 300, 102, 7),
+        syncLog(200, 200, 102, 2),
+        swapLog(Q96 * BigInt(2), BigInt(5000), 13863, 101),
+        syncLog(100, 100, 101, 9)
+      ];
+
+      const result = await indexer.poll();
+      const { pools } = indexer.getDexData();
+
+      expect(result).toEqual({ fromBlock: 101, toBlock: 103, eventCount: 4, reorged: false });
+      expect(pools[0].reserve0).toBe(BigInt(300));
+      expect(pools[1].liquidity).toBe(BigInt(5000));
+      expect(pools.map(pool => pool.blockNumber)).toEqual([103, 103]);
+    });
+
+    test('should only stamp the pools it follows', async () => {
+      const v4Pool = { ...v3Pool, id: `0x${'ab'.repeat(32)}`, dexName: 'Uniswap V4', hooks: '0x0000000000000000000000000000000000000000' };
+      const curvePool = { ...v2Pool, id: '0x2222222222222222222222222222222222222222', dexName: 'Curve', tokens: [USDC, WETH], balances: [BigInt(1), BigInt(1)], tokenDecimals: [6, 18], amplification: BigInt(100) };
+      const indexer = createIndexer({ dexData: { tokens, pools: [v2Pool, v4Pool, curvePool] } });
+      chain.head = 103;
+
+      await indexer.poll();
+      const { pools } = indexer.getDexData();
+
+      expect(pools[0].blockNumber).toBe(103);
+      expect(pools[1]).toBe(v4Pool);
+      expect(pools[2]).toBe(curvePool);
+    });
+
+    test('should stop following pools whose events cannot be applied', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      // A zero tick spacing makes the active range underivable
+      const malformed = { ...v3Pool, tickSpacing: 0 };
+      const indexer = createIndexer({ dexData: { tokens, pools: [v2Pool, malformed] } });
+      chain.head = 103;
+      chain.logs = [swapLog(Q96 * BigInt(2), BigInt(5000), 13863, 101), syncLog(200, 200, 102)];
+
+      await indexer.poll();
+      const { pools } = indexer.getDexData();
+
+      expect(pools[0]).toMatchObject({ reserve0: BigInt(200), blockNumber: 103 });
+      expect(pools[1]).toBe(malformed);
+      expect(consoleSpy).toHaveBeenCalledWith(`Error applying event to pool ${V3_POOL}:`, expect.any(Error));
+
+      chain.head = 104;
+      stub.requests.length = 0;
+      await indexer.poll();
+      const filter = stub.requests.find(request => request.method === 'eth_getLogs').params[0];
+      expect(filter.address).toEqual([V2_PAIR]);
+      consoleSpy.mockRestore();
+    });
+
+    test('should only scan new blocks', async () => {
+      const indexer = createIndexer();
+      chain.head = 103;
+      chain.logs = [syncLog(200, 200, 102)];
+      await indexer.poll();
+
+      chain.logs.push(syncLog(400, 400, 104));
+      chain.head = 104;
+      expect(await indexer.poll()).toEqual({ fromBlock: 104, toBlock: 104, eventCount: 1, reorged: false });
+      expect(await indexer.poll()).toEqual({ fromBlock: 105, toBlock: 104, eventCount: 0, reorged: false });
+      expect(indexer.getDexData().pools[0].reserve0).toBe(BigInt(400));
+    });
+
+    test('should split large ranges across eth_getLogs calls', async () => {
+      const indexer = createIndexer({ maxBlockRange: 10 });
+      chain.head = 125;
+
+      await indexer.poll();
+      const ranges = stub.requests
+        .filter(request => request.method === 'eth_getLogs')
+        .map(request => [request.params[0].fromBlock, request.params[0].toBlock]);
+
+      expect(ranges).toEqual([['0x65', '0x6e'], ['0x6f', '0x78'], ['0x79', '0x7d']]);
+    });
+
+    test('should confirm events once they are deep enough', async () => {
+      const indexer = createIndexer({ confirmations: 5 });
+      chain.head = 110;
+
+      await indexer.poll();
+
+      expect(indexer.getBlockNumber()).toBe(110);
+      expect(indexer.getConfirmedBlockNumber()).toBe(105);
+    });
+
+    test('should roll back unconfirmed events on a reorg', async () => {
+      const indexer = createIndexer({ confirmations: 5 });
+      chain.head = 106;
+      chain.logs = [syncLog(111, 111, 101), syncLog(444, 444, 104)];
+      await indexer.poll();
+      expect(indexer.getDexData().pools[0].reserve0).toBe(BigInt(444));
+      expect(indexer.getConfirmedBlockNumber()).toBe(101);
+
+      // Blocks from 103 are replaced by a branch without the Sync at 104
+      chain.forkBlock = 103;
+      chain.branch = 'b';
+      chain.logs = [syncLog(111, 111, 101), syncLog(555, 555, 107, 0, '0xb107')];
+      chain.head = 107;
+
+      const result = await indexer.poll();
+      expect(result).toEqual({ fromBlock: 102, toBlock: 107, eventCount: 1, reorged: true });
+      expect(indexer.getDexData().pools[0].reserve0).toBe(BigInt(555));
+
+      chain.logs.pop();
+      chain.branch = 'c';
+      await indexer.poll();
+      expect(indexer.getDexData().pools[0].reserve0).toBe(BigInt(111));
+    });
+
+    test('should poll on an interval once started', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failing = createPoolEventIndexer({
+        client: { getBlockNumber: jest.fn().mockRejectedValue(new Error('Network error')) },
+        dexData: { tokens, pools: [v2Pool] },
+        startBlock: 100
+      });
+
+      failing.start();
+      await new Promise(resolve => setImmediate(resolve));
+      failing.stop();
+
+      expect(consoleSpy).toHaveBeenCalledWith('Error indexing pool events:', expect.any(Error));
+      consoleSpy.mockRestore();
+    });
+  });
+});
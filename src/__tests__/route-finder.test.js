@@ -0,0 +1,164 @@
+const {
+  DEFAULT_MAX_POOLS_PER_PAIR,
+  DEFAULT_MAX_SPLIT_CANDIDATES,
+  findCandidateRoutes,
+  findBestRoute
+} = require('../route-finder');
+const { getAmountOut } = require('../swap-math');
+
+// Polygon addresses from MONITORED_TOKENS
+const WMATIC = '0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270';
+const USDC = '0x2791bca1f2de4661ed88a30c99a7a9449aa84174';
+const WETH = '0x7ceb23fd6bc0add59e62ac25578270cff1b9f619';
+const WBTC = '0x1bfd67037b42cf73acf2047067bd4f2c47d9bfd6';
+const UNLISTED = '0x0000000000000000000000000000000000000001';
+
+const tokens = [
+  { address: WMATIC, symbol: 'WMATIC', decimals: 18 },
+  { address: USDC, symbol: 'USDC', decimals: 6 },
+  { address: WETH, symbol: 'WETH', decimals: 18 },
+  { address: WBTC, symbol: 'WBTC', decimals: 8 },
+  { address: UNLISTED, symbol: 'SCAM', decimals: 18 }
+];
+
+function pool(id, token0, token1, reserve0, reserve1, chain = 'Polygon') {
+  return {
+    id,
+    dexName: 'QuickSwap',
+    chain,
+    token0,
+    token1,
+    reserve0: BigInt(reserve0),
+    reserve1: BigInt(reserve1),
+    fee: BigInt(3000)
+  };
+}
+
+// 1 WETH = 2000 USDC, 1 WBTC = 20 WETH, 1 WMATIC = 1 USDC
+const usdcWethA = pool('0xusdc-weth-a', USDC, WETH, '2000000000000', '1000000000000000000000');
+const usdcWethB = pool('0xusdc-weth-b', USDC, WETH, '2000000000000', '1000000000000000000000');
+const wethWbtc = pool('0xweth-wbtc', WETH, WBTC, '20000000000000000000000', '100000000000');
+const usdcWmatic = pool('0xusdc-wmatic', USDC, WMATIC, '1000000000000', '1000000000000000000000000');
+const wmaticWbtc = pool('0xwmatic-wbtc', WMATIC, WBTC, '400000000000000000000000', '1000000000');
+const usdcScam = pool('0xusdc-scam', USDC, UNLISTED, '1000000000000', '1000000000000000000000000');
+const scamWbtc = pool('0xscam-wbtc', UNLISTED, WBTC, '1000000000000000000000000', '100000000000');
+
+const dexData = {
+  tokens,
+  pools: [usdcWethA, usdcWethB, wethWbtc, usdcWmatic, wmaticWbtc, usdcScam, scamWbtc]
+};
+
+// 40 parallel pools on every pair of a USDC/WETH/WMATIC/WBTC square; pool i holds i + 1 units of depth
+const parallelPools = [[USDC, WETH], [WETH, WBTC], [USDC, WMATIC], [WMATIC, WBTC], [WETH, WMATIC]]
+  .flatMap(([token0, token1]) => Array.from({ length: 40 }, (_, i) => {
+    const depth = BigInt(i + 1) * BigInt('1000000000000000000000');
+    return pool(`0x${token0.slice(2, 6)}-${token1.slice(2, 6)}-${i}`, token0, token1, depth, depth);
+  }));
+
+describe('Route Finder', () => {
+  describe('findCandidateRoutes()', () => {
+    test('should find multi-hop paths through monitored tokens', () => {
+      const candidates = findCandidateRoutes(dexData, USDC, WBTC).get('Polygon');
+      const paths = candidates.map(hops => hops.map(hop => hop.pool.id).join());
+
+      expect(paths).toEqual(expect.arrayContaining([
+        '0xusdc-weth-a,0xweth-wbtc',
+        '0xusdc-weth-b,0xweth-wbtc',
+        '0xusdc-wmatic,0xwmatic-wbtc'
+      ]));
+      expect(paths.some(path => path.includes('scam'))).toBe(false);
+    });
+
+    test('should include unlisted tokens when monitoredOnly is false', () => {
+      const candidates = findCandidateRoutes(dexData, USDC, WBTC, { monitoredOnly: false }).get('Polygon');
+      expect(candidates.some(hops => hops[0].pool === usdcScam)).toBe(true);
+    });
+
+    test('should respect maxHops', () => {
+      expect(findCandidateRoutes(dexData, USDC, WBTC, { maxHops: 1 }).size).toBe(0);
+
+      const twoHops = findCandidateRoutes(dexData, USDC, WBTC, { maxHops: 2 }).get('Polygon');
+      twoHops.forEach(hops => expect(hops.length).toBeLessThanOrEqual(2));
+    });
+
+    test('should never revisit a token', () => {
+      findCandidateRoutes(dexData, USDC, WBTC).get('Polygon').forEach((hops) => {
+        const visited = [hops[0].tokenIn, ...hops.map(hop => hop.tokenOut)];
+        expect(new Set(visited).size).toBe(visited.length);
+      });
+    });
+
+    test('should only route through the deepest pools of each pair', () => {
+      const candidates = findCandidateRoutes({ tokens, pools: parallelPools }, USDC, WBTC, { maxHops: 4 }).get('Polygon');
+
+      // Two 2-hop and two 3-hop token paths, each hop through one of the deepest pools
+      const perPath = DEFAULT_MAX_POOLS_PER_PAIR;
+      expect(candidates.length).toBe(2 * perPath ** 2 + 2 * perPath ** 3);
+      candidates.forEach((hops) => {
+        hops.forEach(hop => expect(Number(hop.pool.id.split('-')[2])).toBeGreaterThanOrEqual(40 - perPath));
+      });
+    });
+
+    test('should skip pools whose fee is only known at swap time', () => {
+      const dynamic = { ...usdcWethA, id: '0xusdc-weth-dynamic', fee: BigInt(0), dynamicFee: true };
+      const candidates = findCandidateRoutes({ tokens, pools: [dynamic, usdcWethB] }, USDC, WETH).get('Polygon');
+
+      expect(candidates.map(hops => hops[0].pool.id)).toEqual(['0xusdc-weth-b']);
+    });
+
+    test('should not mix pools from different chains', () => {
+      const data = {
+        tokens,
+        pools: [usdcWethA, pool('0xeth-weth-wbtc', WETH, WBTC, '20000000000000000000000', '100000000000', 'Ethereum')]
+      };
+      expect(findCandidateRoutes(data, USDC, WBTC).size).toBe(0);
+    });
+  });
+
+  describe('findBestRoute()', () => {
+    test('should pick the path with the best output', () => {
+      const amountIn = BigInt('1000000000');
+      const result = findBestRoute(dexData, USDC, WBTC, amountIn, { maxSplits: 1 });
+
+      expect(result.chain).toBe('Polygon');
+      expect(result.routes.length).toBe(1);
+      expect(result.routes[0].path).toEqual([USDC, WETH, WBTC]);
+      expect(result.amountOut).toBe(
+        getAmountOut(wethWbtc, WETH, getAmountOut(usdcWethA, USDC, amountIn))
+      );
+    });
+
+    test('should split large trades across pools', () => {
+      // 20% of a pool's USDC reserve: splitting between the two identical pools halves the price impact
+      const amountIn = BigInt('400000000000');
+      const single = findBestRoute(dexData, USDC, WETH, amountIn, { maxSplits: 1 });
+      const split = findBestRoute(dexData, USDC, WETH, amountIn);
+
+      expect(split.routes.length).toBeGreaterThan(1);
+      expect(split.amountOut).toBeGreaterThan(single.amountOut);
+      expect(split.amountIn).toBe(amountIn);
+      expect(split.routes.reduce((sum, route) => sum + route.amountIn, BigInt(0))).toBe(amountIn);
+    });
+
+    test('should keep split routes disjoint', () => {
+      const split = findBestRoute(dexData, USDC, WBTC, BigInt('400000000000'));
+      const pools = split.routes.flatMap(route => route.hops.map(hop => hop.pool.id));
+      expect(new Set(pools).size).toBe(pools.length);
+    });
+
+    test('should only split across the best candidate routes', () => {
+      const data = { tokens, pools: parallelPools };
+      const split = findBestRoute(data, USDC, WBTC, BigInt('100000000000000000000000'), { maxHops: 4, maxSplits: 5 });
+      const single = findBestRoute(data, USDC, WBTC, BigInt('100000000000000000000000'), { maxHops: 4, maxSplits: 1 });
+
+      expect(findCandidateRoutes(data, USDC, WBTC, { maxHops: 4 }).get('Polygon').length).toBeGreaterThan(DEFAULT_MAX_SPLIT_CANDIDATES);
+      expect(split.routes.length).toBeGreaterThan(1);
+      expect(split.routes.length).toBeLessThanOrEqual(5);
+      expect(split.amountOut).toBeGreaterThan(single.amountOut);
+    });
+
+    test('should return null when the tokens are not connected', () => {
+      expect(findBestRoute(dexData, USDC, WBTC, BigInt(1000), { maxHops: 1 })).toBeNull();
+    });
+  });
+});
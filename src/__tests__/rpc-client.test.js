@@ -0,0 +1,78 @@
+const { createRpcClient } = require('../rpc-client');
+const { startJsonRpcStub } = require('./helpers/json-rpc-stub');
+
+describe('RPC Client', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = await startJsonRpcStub({
+      blockNumber: 19000000,
+      contracts: {
+        '0x1111111111111111111111111111111111111111': { '0x0902f1ac': '0x2a' }
+      },
+      methods: {
+        eth_chainId: () => '0x1',
+        eth_getBlockByNumber: ([blockTag]) => ({ number: blockTag, hash: '0xabc' }),
+        eth_getLogs: () => []
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await stub.close();
+  });
+
+  test('should send JSON-RPC requests and return results', async () => {
+    const client = createRpcClient(stub.url);
+    await expect(client.call('eth_chainId')).resolves.toBe('0x1');
+
+    const request = stub.requests[stub.requests.length - 1];
+    expect(request).toMatchObject({ jsonrpc: '2.0', method: 'eth_chainId', params: [] });
+  });
+
+  test('should parse the latest block number', async () => {
+    const client = createRpcClient(stub.url);
+    await expect(client.getBlockNumber()).resolves.toBe(19000000);
+  });
+
+  test('should pass block numbers to eth_call as hex tags', async () => {
+    const client = createRpcClient(stub.url);
+    const result = await client.ethCall(
+      { to: '0x1111111111111111111111111111111111111111', data: '0x0902f1ac' },
+      255
+    );
+
+    expect(result).toBe('0x2a');
+    expect(stub.requests[stub.requests.length - 1].params[1]).toBe('0xff');
+  });
+
+  test('should request block headers by number', async () => {
+    const client = createRpcClient(stub.url);
+    await expect(client.getBlock(16)).resolves.toEqual({ number: '0x10', hash: '0xabc' });
+    expect(stub.requests[stub.requests.length - 1].params).toEqual(['0x10', false]);
+  });
+
+  test('should pass log filter block ranges as hex tags', async () => {
+    const client = createRpcClient(stub.url);
+    await client.getLogs({ address: ['0x1111111111111111111111111111111111111111'], topics: [], fromBlock: 16, toBlock: 'latest' });
+
+    expect(stub.requests[stub.requests.length - 1].params).toEqual([{
+      address: ['0x1111111111111111111111111111111111111111'],
+      topics: [],
+      fromBlock: '0x10',
+      toBlock: 'latest'
+    }]);
+  });
+
+  test('should surface JSON-RPC errors', async () => {
+    const client = createRpcClient(stub.url);
+    await expect(client.call('eth_unknown')).rejects.toThrow('RPC error -32601 in eth_unknown');
+  });
+
+  test('should surface HTTP errors', async () => {
+    const fetch = jest.fn(async () => ({ ok: false, status: 429 }));
+    const client = createRpcClient('http://rpc.example.com', { fetch });
+
+    await expect(client.call('eth_blockNumber')).rejects.toThrow('failed with HTTP 429');
+  });
+});
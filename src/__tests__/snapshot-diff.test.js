@@ -0,0 +1,126 @@
+const { getPoolKey, diffDexData } = require('../snapshot-diff');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const DAI = '0x6b175474e89094c44da98b954eedeac495271d0f';
+
+function pool(id, reserve0, reserve1, overrides = {}) {
+  return {
+    id,
+    dexName: 'SushiSwap',
+    chain: 'Ethereum',
+    token0: USDC,
+    token1: WETH,
+    reserve0: BigInt(reserve0),
+    reserve1: BigInt(reserve1),
+    fee: BigInt(3000),
+    ...overrides
+  };
+}
+
+describe('Snapshot Diff', () => {
+  describe('getPoolKey()', () => {
+    test('should combine chain and lowercase address', () => {
+      expect(getPoolKey(pool('0xABC', 1, 1))).toBe('Ethereum:0xabc');
+    });
+  });
+
+  describe('diffDexData()', () => {
+    const before = {
+      tokens: [
+        { address: USDC, symbol: 'USDC', decimals: 6 },
+        { address: WETH, symbol: 'WETH', decimals: 18 }
+      ],
+      pools: [
+        pool('0xmoved', '2000000000000', '1000000000000000000000'),
+        pool('0xsame', '1000', '1000'),
+        pool('0xrefee', '1000', '1000'),
+        pool('0xgone', '1000', '1000')
+      ]
+    };
+
+    const after = {
+      tokens: [
+        { address: USDC, symbol: 'USDC', decimals: 6 },
+        { address: DAI, symbol: 'DAI', decimals: 18 }
+      ],
+      pools: [
+        pool('0xMOVED', '2100000000000', '1000000000000000000000'),
+        pool('0xsame', '1000', '1000'),
+        pool('0xrefee', '1000', '1000', { fee: BigInt(500) }),
+        pool('0xnew', '1000', '1000', { token1: DAI })
+      ]
+    };
+
+    const diff = diffDexData(before, after);
+
+    test('should report added and removed tokens', () => {
+      expect(diff.addedTokens.map(token => token.symbol)).toEqual(['DAI']);
+      expect(diff.removedTokens.map(token => token.symbol)).toEqual(['WETH']);
+    });
+
+    test('should report added and removed pools', () => {
+      expect(diff.addedPools.map(p => p.id)).toEqual(['0xnew']);
+      expect(diff.removedPools.map(p => p.id)).toEqual(['0xgone']);
+    });
+
+    test('should report reserve deltas and price changes', () => {
+      const moved = diff.changedPools.find(change => change.after.id === '0xMOVED');
+
+      expect(moved.before.id).toBe('0xmoved');
+      expect(moved.reserve0Delta).toBe(BigInt('100000000000'));
+      expect(moved.reserve1Delta).toBe(BigInt(0));
+      // WETH per USDC fell by 1/1.05
+      expect(moved.priceChangeBps).toBeCloseTo((1 / 1.05 - 1) * 10000, 6);
+      expect(moved.feeChanged).toBe(false);
+    });
+
+    test('should report fee-tier changes', () => {
+      const refee = diff.changedPools.find(change => change.after.id === '0xrefee');
+
+      expect(refee.feeChanged).toBe(true);
+      expect(refee.before.fee).toBe(BigInt(3000));
+      expect(refee.after.fee).toBe(BigInt(500));
+      expect(refee.priceChangeBps).toBe(0);
+    });
+
+    test('should skip unchanged pools', () => {
+      expect(diff.changedPools.map(change => change.after.id).sort()).toEqual(['0xMOVED', '0xrefee']);
+    });
+
+    test('should report balance changes beyond token1 of N-token pools', () => {
+      const curve = balances => pool('0xcurve', 1000, 1000, {
+        tokens: [USDC, WETH, DAI],
+        balances,
+        tokenDecimals: [6, 18, 18],
+        amplification: BigInt(100)
+      });
+      const changed = diffDexData(
+        { tokens: [], pools: [curve([BigInt(1000), BigInt(1000), BigInt(1000)])] },
+        { tokens: [], pools: [curve([BigInt(1000), BigInt(1000), BigInt(900)])] }
+      );
+
+      expect(changed.changedPools).toHaveLength(1);
+      expect(changed.changedPools[0].reserve0Delta).toBe(BigInt(0));
+    });
+
+    test('should treat the same address on another chain as a different pool', () => {
+      const polygon = diffDexData(
+        { tokens: [], pools: [pool('0xpool', 1, 1)] },
+        { tokens: [], pools: [pool('0xpool', 1, 1, { chain: 'Polygon' })] }
+      );
+
+      expect(polygon.addedPools.length).toBe(1);
+      expect(polygon.removedPools.length).toBe(1);
+    });
+
+    test('should return null price changes for pools that were empty', () => {
+      const filled = diffDexData(
+        { tokens: [], pools: [pool('0xpool', 0, 0)] },
+        { tokens: [], pools: [pool('0xpool', 1000, 1000)] }
+      );
+
+      expect(filled.changedPools[0].priceChangeBps).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+  INDEX_FILE,
+  serializeDexData,
+  deserializeDexData,
+  getPoolPrice,
+  createSnapshotStore
+} = require('../snapshot-store');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+
+const tokens = [
+  { address: USDC, symbol: 'USDC', decimals: 6 },
+  { address: WETH, symbol: 'WETH', decimals: 18 }
+];
+
+/**
+ * Build DEX data with one USDC/WETH pool at the given USDC reserve
+ */
+function dexDataWithReserve(reserveUsdc, blockNumber) {
+  return {
+    tokens,
+    pools: [
+      {
+        id: '0xPool',
+        dexName: 'SushiSwap',
+        chain: 'Ethereum',
+        token0: USDC,
+        token1: WETH,
+        reserve0: BigInt(reserveUsdc),
+        reserve1: BigInt('1000000000000000000000'),
+        fee: BigInt(3000),
+        ...(blockNumber !== undefined && { blockNumber })
+      }
+    ]
+  };
+}
+
+describe('Snapshot Store', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshot-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  describe('serializeDexData()', () => {
+    test('should round-trip BigInt values', () => {
+      const dexData = dexDataWithReserve('2000000000000');
+      expect(deserializeDexData(serializeDexData(dexData))).toEqual(dexData);
+    });
+  });
+
+  describe('getPoolPrice()', () => {
+    test('should adjust for token decimals', () => {
+      const tokenMap = new Map(tokens.map(token => [token.address, token]));
+      // 2,000,000 USDC / 1000 WETH
+      expect(getPoolPrice(dexDataWithReserve('2000000000000').pools[0], tokenMap)).toBeCloseTo(0.0005, 10);
+    });
+  });
+
+  describe('save() and list()', () => {
+    test('should append snapshots with increasing ids', async () => {
+      const store = createSnapshotStore({ directory });
+
+      const first = await store.save(dexDataWithReserve('1'), { timestamp: 1000 });
+      const second = await store.save(dexDataWithReserve('2', 19000000), { timestamp: 2000 });
+
+      expect(first).toEqual({ id: 1, timestamp: 1000, blocks: {}, tokenCount: 2, poolCount: 1 });
+      expect(second).toEqual({ id: 2, timestamp: 2000, blocks: { Ethereum: 19000000 }, tokenCount: 2, poolCount: 1 });
+
+      const index = await fs.readFile(path.join(directory, INDEX_FILE), 'utf8');
+      expect(index.trim().split('\n').length).toBe(2);
+    });
+
+    test('should not reuse ids for concurrent saves', async () => {
+      const store = createSnapshotStore({ directory });
+
+      const records = await Promise.all([
+        store.save(dexDataWithReserve('1')),
+        store.save(dexDataWithReserve('2')),
+        store.save(dexDataWithReserve('3'))
+      ]);
+
+      expect(records.map(record => record.id)).toEqual([1, 2, 3]);
+    });
+
+    test('should filter by time range and keep the newest within the limit', async () => {
+      const store = createSnapshotStore({ directory });
+      for (const timestamp of [1000, 2000, 3000, 4000]) {
+        await store.save(dexDataWithReserve('1'), { timestamp });
+      }
+
+      expect((await store.list({ from: 2000, to: 3000 })).map(r => r.timestamp)).toEqual([2000, 3000]);
+      expect((await store.list({ limit: 2 })).map(r => r.timestamp)).toEqual([3000, 4000]);
+    });
+
+    test('should reopen an existing store', async () => {
+      await createSnapshotStore({ directory }).save(dexDataWithReserve('1'), { timestamp: 1000 });
+
+      const reopened = createSnapshotStore({ directory });
+      expect((await reopened.list()).length).toBe(1);
+      expect((await reopened.save(dexDataWithReserve('2'))).id).toBe(2);
+    });
+
+    test('should list nothing before the first save', async () => {
+      const store = createSnapshotStore({ directory: path.join(directory, 'missing') });
+      expect(await store.list()).toEqual([]);
+    });
+  });
+
+  describe('load() and loadAt()', () => {
+    test('should load a snapshot by id with BigInt values', async () => {
+      const store = createSnapshotStore({ directory });
+      const dexData = dexDataWithReserve('2000000000000');
+      const { id } = await store.save(dexData, { timestamp: 1000 });
+
+      const snapshot = await store.load(id);
+      expect(snapshot.data).toEqual(dexData);
+      expect(snapshot.timestamp).toBe(1000);
+      expect(await store.load(99)).toBeNull();
+    });
+
+    test('should load the latest snapshot at or before a time', async () => {
+      const store = createSnapshotStore({ directory });
+      await store.save(dexDataWithReserve('1'), { timestamp: 1000 });
+      await store.save(dexDataWithReserve('2'), { timestamp: 2000 });
+
+      expect((await store.loadAt(1999)).id).toBe(1);
+      expect((await store.loadAt(2000)).id).toBe(2);
+      expect(await store.loadAt(999)).toBeNull();
+    });
+  });
+
+  describe('getPoolHistory()', () => {
+    test('should return reserves and price per snapshot', async () => {
+      const store = createSnapshotStore({ directory });
+      await store.save(dexDataWithReserve('2000000000000'), { timestamp: 1000 });
+      await store.save({ tokens, pools: [] }, { timestamp: 2000 });
+      await store.save(dexDataWithReserve('2100000000000', 19000000), { timestamp: 3000 });
+
+      const history = await store.getPoolHistory('0xpool');
+
+      expect(history.map(entry => entry.snapshotId)).toEqual([1, 3]);
+      expect(history[1]).toMatchObject({
+        timestamp: 3000,
+        blockNumber: 19000000,
+        reserve0: BigInt('2100000000000'),
+        reserve1: BigInt('1000000000000000000000')
+      });
+      expect(history[0].blockNumber).toBeNull();
+      expect(history[1].price).toBeLessThan(history[0].price);
+    });
+
+    test('should filter by time range and chain', async () => {
+      const store = createSnapshotStore({ directory });
+      await store.save(dexDataWithReserve('1'), { timestamp: 1000 });
+      await store.save(dexDataWithReserve('2'), { timestamp: 2000 });
+
+      expect((await store.getPoolHistory('0xpool', { from: 1500 })).length).toBe(1);
+      expect((await store.getPoolHistory('0xpool', { chain: 'Polygon' })).length).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  getInvariant,
+  getY,
+  getAmountOutStableSwap,
+  getStableSwapSpotPrice
+} = require('../stable-swap-math');
+
+const E18 = BigInt('1000000000000000000');
+const A = BigInt(100);
+
+describe('StableSwap Math', () => {
+  describe('getInvariant()', () => {
+    test('should equal the sum of balances for a balanced pool', () => {
+      const balances = [BigInt(1000000) * E18, BigInt(1000000) * E18, BigInt(1000000) * E18];
+      expect(getInvariant(balances, A)).toBe(BigInt(3000000) * E18);
+    });
+
+    test('should fall between the product and sum invariants for an imbalanced pool', () => {
+      const balances = [BigInt(2000000) * E18, BigInt(1000000) * E18];
+      const d = getInvariant(balances, A);
+      expect(d).toBeLessThan(BigInt(3000000) * E18);
+      // Constant-product invariant 2 * sqrt(x * y) ~ 2828427
+      expect(d).toBeGreaterThan(BigInt(2828427) * E18);
+    });
+
+    test('should return 0 when a balance is empty', () => {
+      expect(getInvariant([E18, BigInt(0)], A)).toBe(BigInt(0));
+    });
+  });
+
+  describe('getY()', () => {
+    test('should return the current balance when nothing changes', () => {
+      const balances = [BigInt(1500) * E18, BigInt(1000) * E18, BigInt(800) * E18];
+      const d = getInvariant(balances, A);
+      const y = getY(balances, A, 0, 2, balances[0], d);
+      const diff = y > balances[2] ? y - balances[2] : balances[2] - y;
+      expect(diff).toBeLessThanOrEqual(BigInt(2));
+    });
+  });
+
+  describe('getAmountOutStableSwap()', () => {
+    const balances = [BigInt(1000000) * E18, BigInt(1000000) * E18, BigInt(1000000) * E18];
+
+    test('should trade close to 1:1 in a balanced pool', () => {
+      const out = getAmountOutStableSwap(balances, A, 0, 1, BigInt(1000) * E18);
+      expect(out).toBeLessThan(BigInt(1000) * E18);
+      expect(out).toBeGreaterThan(BigInt(999) * E18);
+    });
+
+    test('should give less for larger trades', () => {
+      const small = getAmountOutStableSwap(balances, A, 0, 1, BigInt(1000) * E18);
+      const large = getAmountOutStableSwap(balances, A, 0, 1, BigInt(500000) * E18);
+      expect(large * BigInt(1000)).toBeLessThan(small * BigInt(500000));
+    });
+
+    test('should slip more with a lower amplification', () => {
+      const amountIn = BigInt(100000) * E18;
+      expect(getAmountOutStableSwap(balances, BigInt(10), 0, 1, amountIn))
+        .toBeLessThan(getAmountOutStableSwap(balances, A, 0, 1, amountIn));
+    });
+
+    test('should never drain the output balance', () => {
+      const out = getAmountOutStableSwap(balances, A, 0, 1, BigInt(100000000) * E18);
+      expect(out).toBeLessThan(balances[1]);
+    });
+
+    test('should return 0 for empty input or pools', () => {
+      expect(getAmountOutStableSwap(balances, A, 0, 1, BigInt(0))).toBe(BigInt(0));
+      expect(getAmountOutStableSwap([E18, BigInt(0)], A, 0, 1, E18)).toBe(BigInt(0));
+    });
+  });
+
+  describe('getStableSwapSpotPrice()', () => {
+    test('should be 1 in a balanced pool', () => {
+      expect(getStableSwapSpotPrice([E18, E18, E18], A, 0, 2)).toBeCloseTo(1, 12);
+    });
+
+    test('should favour the scarcer token', () => {
+      const balances = [BigInt(2000000) * E18, BigInt(1000000) * E18];
+      const price = getStableSwapSpotPrice(balances, A, 0, 1);
+      expect(price).toBeLessThan(1);
+      expect(price).toBeCloseTo(1 / getStableSwapSpotPrice(balances, A, 1, 0), 12);
+    });
+
+    test('should match the output of a small trade', () => {
+      const balances = [BigInt(2000000) * E18, BigInt(1000000) * E18];
+      const amountIn = BigInt(1) * E18;
+      const out = Number(getAmountOutStableSwap(balances, A, 0, 1, amountIn)) / Number(amountIn);
+      expect(out).toBeCloseTo(getStableSwapSpotPrice(balances, A, 0, 1), 6);
+    });
+  });
+});
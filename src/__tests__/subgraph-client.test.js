@@ -0,0 +1,161 @@
+const {
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_MAX_POOLS,
+  DEFAULT_MIN_TVL_USD,
+  MAX_PAGE_SIZE,
+  resolvePaginationLimits,
+  fetchPaginated,
+  withTokenFilter,
+  fetchPaginatedByTokens
+} = require('../subgraph-client');
+
+/**
+ * Build a fake GraphQL client serving `total` entities with sequential ids
+ */
+function createFakeClient(total) {
+  const ids = Array.from({ length: total }, (_, i) => `0x${String(i + 1).padStart(4, '0')}`);
+  return {
+    request: jest.fn(async (query, variables) => {
+      const page = ids
+        .filter(id => id > variables.lastId)
+        .slice(0, variables.first)
+        .map(id => ({ id }));
+      return { pools: page };
+    })
+  };
+}
+
+describe('Subgraph Client', () => {
+  describe('resolvePaginationLimits()', () => {
+    test('should use defaults when nothing is configured', () => {
+      expect(resolvePaginationLimits({}, 'uniswapV3')).toEqual({
+        maxPools: DEFAULT_MAX_POOLS,
+        minTvlUsd: DEFAULT_MIN_TVL_USD,
+        pageSize: DEFAULT_PAGE_SIZE
+      });
+    });
+
+    test('should apply global config values', () => {
+      const limits = resolvePaginationLimits({ maxPools: 250, minTvlUsd: 0 }, 'sushiswap');
+      expect(limits.maxPools).toBe(250);
+      expect(limits.minTvlUsd).toBe(0);
+    });
+
+    test('should let per-DEX limits override global values', () => {
+      const config = {
+        maxPools: 250,
+        dexLimits: { quickswap: { maxPools: 50, pageSize: 25 } }
+      };
+
+      expect(resolvePaginationLimits(config, 'quickswap')).toMatchObject({ maxPools: 50, pageSize: 25 });
+      expect(resolvePaginationLimits(config, 'sushiswap').maxPools).toBe(250);
+    });
+
+    test('should cap the page size at the subgraph maximum', () => {
+      expect(resolvePaginationLimits({ pageSize: 5000 }, 'uniswapV3').pageSize).toBe(MAX_PAGE_SIZE);
+    });
+  });
+
+  describe('fetchPaginated()', () => {
+    const limits = { maxPools: 1000, minTvlUsd: 10000, pageSize: 10 };
+
+    test('should page through results with id_gt cursors', async () => {
+      const client = createFakeClient(25);
+
+      const pools = await fetchPaginated(client, 'query', 'pools', limits);
+
+      expect(pools.length).toBe(25);
+      expect(client.request).toHaveBeenCalledTimes(3);
+      expect(client.request.mock.calls[0][1].lastId).toBe('');
+      expect(client.request.mock.calls[1][1].lastId).toBe('0x0010');
+      expect(client.request.mock.calls[2][1].lastId).toBe('0x0020');
+    });
+
+    test('should stop at the maximum pool count', async () => {
+      const client = createFakeClient(100);
+
+      const pools = await fetchPaginated(client, 'query', 'pools', { ...limits, maxPools: 15 });
+
+      expect(pools.length).toBe(15);
+      expect(client.request.mock.calls[1][1].first).toBe(5);
+    });
+
+    test('should pass the TVL threshold and extra variables to the query', async () => {
+      const client = createFakeClient(1);
+
+      await fetchPaginated(client, 'query', 'pools', limits, { chain: 'polygon' });
+
+      expect(client.request.mock.calls[0][1]).toEqual({
+        chain: 'polygon',
+        first: 10,
+        lastId: '',
+        minTvlUsd: '10000'
+      });
+    });
+
+    test('should stop when a page comes back empty', async () => {
+      const client = createFakeClient(20);
+
+      const pools = await fetchPaginated(client, 'query', 'pools', limits);
+
+      expect(pools.length).toBe(20);
+      expect(client.request).toHaveBeenCalledTimes(3);
+    });
+
+    test('should handle a missing entity list', async () => {
+      const client = { request: jest.fn(async () => ({})) };
+
+      await expect(fetchPaginated(client, 'query', 'pools', limits)).resolves.toEqual([]);
+    });
+
+    test('should propagate request errors', async () => {
+      const client = { request: jest.fn(async () => { throw new Error('Subgraph down'); }) };
+
+      await expect(fetchPaginated(client, 'query', 'pools', limits)).rejects.toThrow('Subgraph down');
+    });
+  });
+
+  describe('withTokenFilter()', () => {
+    const query = 'query pairs($first: Int!, $lastId: String!) { pairs(where: { id_gt: $lastId }) { id } }';
+
+    test('should declare the token list and filter on it', () => {
+      expect(withTokenFilter(query, 'token0_in')).toBe(
+        'query pairs($first: Int!, $lastId: String!, $tokens: [String!]!) { pairs(where: { id_gt: $lastId, token0_in: $tokens }) { id } }'
+      );
+    });
+
+    test('should reject queries without an id cursor', () => {
+      expect(() => withTokenFilter('query { pools { id } }', 'token0_in'))
+        .toThrow('Token filters need a query paged by an id_gt: $lastId cursor');
+    });
+  });
+
+  describe('fetchPaginatedByTokens()', () => {
+    const limits = { maxPools: 1000, minTvlUsd: 10000, pageSize: 10 };
+    const query = 'query pools($first: Int!, $lastId: String!) { pools(where: { id_gt: $lastId }) { id } }';
+
+    test('should run one paginated fetch per filter and merge results by id', async () => {
+      const client = createFakeClient(15);
+      const tokens = ['0xtoken'];
+
+      const pools = await fetchPaginatedByTokens(client, query, 'pools', limits, ['token0_in', 'token1_in'], tokens);
+
+      expect(pools.length).toBe(15);
+      const filters = client.request.mock.calls.map(([sent]) => sent.match(/token[01]_in/)[0]);
+      expect(filters.filter(field => field === 'token0_in').length).toBe(2);
+      expect(filters.filter(field => field === 'token1_in').length).toBe(2);
+      client.request.mock.calls.forEach(([, variables]) => {
+        expect(variables.tokens).toBe(tokens);
+      });
+    });
+
+    test('should apply the limits to each filter', async () => {
+      const client = createFakeClient(100);
+
+      const pools = await fetchPaginatedByTokens(client, query, 'pools', { ...limits, maxPools: 5 }, ['token0_in', 'token1_in'], []);
+
+      expect(pools.length).toBe(5);
+      expect(client.request).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+const {
+  getAmountOutConstantProduct,
+  getAmountOutConcentrated,
+  getAmountOut,
+  getSpotPrice,
+  getPriceImpactBps
+} = require('../swap-math');
+const { deriveUniswapV3State, buildMultiAssetReserves } = require('../dex-adapters');
+const { getSqrtRatioAtTick } = require('../uniswap-v3-math');
+const { getAmountOutStableSwap } = require('../stable-swap-math');
+
+const TOKEN_A = '0x000000000000000000000000000000000000000a';
+const TOKEN_B = '0x000000000000000000000000000000000000000b';
+const TOKEN_C = '0x000000000000000000000000000000000000000c';
+const E18 = BigInt('1000000000000000000');
+
+/**
+ * Build a three-token stable pool: TOKEN_A (18 decimals), TOKEN_B (6 decimals), TOKEN_C (18 decimals)
+ */
+function stablePool(fee = BigInt(400)) {
+  return {
+    id: '0xcurve',
+    fee,
+    amplification: BigInt(200),
+    ...buildMultiAssetReserves([
+      { address: TOKEN_A, decimals: 18, balance: BigInt(1000000) * E18 },
+      { address: TOKEN_B, decimals: 6, balance: BigInt('1000000000000') },
+      { address: TOKEN_C, decimals: 18, balance: BigInt(1000000) * E18 }
+    ])
+  };
+}
+
+describe('Swap Math', () => {
+  describe('getAmountOutConstantProduct()', () => {
+    test('should match the Uniswap V2 formula for a 0.3% fee', () => {
+      // 1000 * 997 * 1000000 / (1000000 * 1000 + 1000 * 997)
+      expect(getAmountOutConstantProduct(BigInt(1000), BigInt(1000000), BigInt(1000000), BigInt(3000)))
+        .toBe(BigInt(996));
+    });
+
+    test('should return 0 for empty input or reserves', () => {
+      expect(getAmountOutConstantProduct(BigInt(0), BigInt(1000), BigInt(1000), BigInt(3000))).toBe(BigInt(0));
+      expect(getAmountOutConstantProduct(BigInt(10), BigInt(0), BigInt(1000), BigInt(3000))).toBe(BigInt(0));
+    });
+
+    test('should never drain the output reserve', () => {
+      const out = getAmountOutConstantProduct(BigInt('1000000000000000000000000'), BigInt(1000), BigInt(1000), BigInt(3000));
+      expect(out).toBeLessThan(BigInt(1000));
+    });
+  });
+
+  describe('getAmountOutConcentrated()', () => {
+    const liquidity = BigInt('1000000000000000000');
+    const tick = 30;
+    const pool = {
+      id: '0xv3',
+      token0: TOKEN_A,
+      token1: TOKEN_B,
+      fee: BigInt(3000),
+      ...deriveUniswapV3State({ liquidity, sqrtPriceX96: getSqrtRatioAtTick(tick), tick, fee: BigInt(3000) }, 18, 18)
+    };
+
+    test('should behave like constant product on virtual reserves for small swaps', () => {
+      const amountIn = BigInt('1000000000000');
+      const concentrated = getAmountOutConcentrated(amountIn, pool, true);
+      const constantProduct = getAmountOutConstantProduct(amountIn, pool.reserve0, pool.reserve1, pool.fee);
+      const diff = concentrated > constantProduct ? concentrated - constantProduct : constantProduct - concentrated;
+      expect(diff).toBeLessThanOrEqual(BigInt(2));
+    });
+
+    test('should not swap past the active tick range', () => {
+      const huge = BigInt('1000000000000000000000000');
+      expect(getAmountOutConcentrated(huge, pool, true)).toBe(pool.rangeReserve1);
+
+      const upTo = getAmountOutConcentrated(huge, pool, false);
+      const diff = upTo > pool.rangeReserve0 ? upTo - pool.rangeReserve0 : pool.rangeReserve0 - upTo;
+      expect(diff).toBeLessThanOrEqual(BigInt(1));
+    });
+
+    test('should return 0 for pools without liquidity', () => {
+      expect(getAmountOutConcentrated(BigInt(1000), { ...pool, liquidity: BigInt(0) }, true)).toBe(BigInt(0));
+    });
+  });
+
+  describe('getAmountOut()', () => {
+    const v2Pool = {
+      token0: TOKEN_A,
+      token1: TOKEN_B,
+      reserve0: BigInt(1000000),
+      reserve1: BigInt(2000000),
+      fee: BigInt(3000)
+    };
+
+    test('should pick the swap direction from the input token', () => {
+      expect(getAmountOut(v2Pool, TOKEN_A, BigInt(1000)))
+        .toBe(getAmountOutConstantProduct(BigInt(1000), BigInt(1000000), BigInt(2000000), BigInt(3000)));
+      expect(getAmountOut(v2Pool, TOKEN_B.toUpperCase().replace('0X', '0x'), BigInt(1000)))
+        .toBe(getAmountOutConstantProduct(BigInt(1000), BigInt(2000000), BigInt(1000000), BigInt(3000)));
+    });
+
+    test('should use concentrated liquidity math for V3 pools', () => {
+      const tick = 30;
+      const v3Pool = {
+        token0: TOKEN_A,
+        token1: TOKEN_B,
+        fee: BigInt(500),
+        ...deriveUniswapV3State({ liquidity: BigInt('1000000000000000000'), sqrtPriceX96: getSqrtRatioAtTick(tick), tick, fee: BigInt(500) }, 18, 18)
+      };
+      expect(getAmountOut(v3Pool, TOKEN_A, BigInt(1000000))).toBe(getAmountOutConcentrated(BigInt(1000000), v3Pool, true));
+    });
+
+    test('should use StableSwap math across token decimals', () => {
+      const pool = stablePool(BigInt(0));
+      // 1000 TOKEN_A (18 decimals) buys just under 1000 TOKEN_B (6 decimals)
+      const out = getAmountOut(pool, TOKEN_A, BigInt(1000) * E18, TOKEN_B);
+      expect(out).toBeLessThan(BigInt(1000000000));
+      expect(out).toBeGreaterThan(BigInt(999900000));
+      expect(getAmountOut(pool, TOKEN_B, out, TOKEN_C)).toBeGreaterThan(BigInt(999) * E18);
+    });
+
+    test('should charge StableSwap fees on the output', () => {
+      const pool = stablePool();
+      const amountIn = BigInt(1000) * E18;
+      // TOKEN_A and TOKEN_C both have 18 decimals, so no rescaling is involved
+      const scaled = [BigInt(1000000) * E18, BigInt(1000000) * E18, BigInt(1000000) * E18];
+      const beforeFee = getAmountOutStableSwap(scaled, pool.amplification, 0, 2, amountIn);
+      expect(getAmountOut(pool, TOKEN_A, amountIn, TOKEN_C)).toBe(beforeFee - (beforeFee * BigInt(400)) / BigInt(1000000));
+    });
+
+    test('should use weighted math for pools with weights', () => {
+      const pool = {
+        id: '0xbalancer',
+        fee: BigInt(3000),
+        weights: [(E18 * BigInt(8)) / BigInt(10), (E18 * BigInt(2)) / BigInt(10)],
+        ...buildMultiAssetReserves([
+          { address: TOKEN_A, decimals: 18, balance: BigInt(4000000) * E18 },
+          { address: TOKEN_B, decimals: 18, balance: BigInt(1000000) * E18 }
+        ])
+      };
+      // Spot price 1; a tiny trade returns the input less the 0.3% fee
+      const out = getAmountOut(pool, TOKEN_A, E18);
+      expect(Number(out) / 1e18).toBeCloseTo(0.997, 3);
+    });
+
+    test('should need the output token for pools of more than two tokens', () => {
+      const pool = stablePool();
+      expect(getAmountOut(pool, TOKEN_A, E18)).toBe(BigInt(0));
+      expect(getAmountOut(pool, TOKEN_A, E18, TOKEN_A)).toBe(BigInt(0));
+      expect(getAmountOut(pool, '0x00000000000000000000000000000000000000ff', E18, TOKEN_B)).toBe(BigInt(0));
+    });
+  });
+
+  describe('getSpotPrice()', () => {
+    test('should quote two-token pools from their reserves', () => {
+      const pool = { token0: TOKEN_A, token1: TOKEN_B, reserve0: BigInt(1000), reserve1: BigInt(2000), fee: BigInt(3000) };
+      expect(getSpotPrice(pool, TOKEN_A)).toBe(2);
+      expect(getSpotPrice(pool, TOKEN_B)).toBe(0.5);
+    });
+
+    test('should quote StableSwap pools in raw units', () => {
+      const pool = stablePool();
+      expect(getSpotPrice(pool, TOKEN_A, TOKEN_B)).toBeCloseTo(1e-12, 20);
+      expect(getSpotPrice(pool, TOKEN_B, TOKEN_C)).toBeCloseTo(1e12, 0);
+    });
+  });
+
+  describe('getPriceImpactBps()', () => {
+    const pool = {
+      token0: TOKEN_A,
+      token1: TOKEN_B,
+      reserve0: BigInt('1000000000000000000000'),
+      reserve1: BigInt('1000000000000000000000'),
+      fee: BigInt(3000)
+    };
+
+    test('should be close to zero for tiny swaps', () => {
+      const amountIn = BigInt('1000000000000');
+      expect(getPriceImpactBps(pool, TOKEN_A, amountIn, getAmountOut(pool, TOKEN_A, amountIn))).toBeLessThan(0.01);
+    });
+
+    test('should grow with trade size', () => {
+      // Selling 1% of the reserve moves the price about 1%
+      const amountIn = BigInt('10000000000000000000');
+      const impact = getPriceImpactBps(pool, TOKEN_A, amountIn, getAmountOut(pool, TOKEN_A, amountIn));
+      expect(impact).toBeGreaterThan(98);
+      expect(impact).toBeLessThan(100);
+    });
+
+    test('should return 0 for empty pools', () => {
+      expect(getPriceImpactBps({ ...pool, reserve0: BigInt(0) }, TOKEN_A, BigInt(1), BigInt(0))).toBe(0);
+    });
+
+    test('should measure N-token pools against their spot price', () => {
+      const curve = stablePool();
+      const small = BigInt(1000) * E18;
+      const large = BigInt(500000) * E18;
+      const smallImpact = getPriceImpactBps(curve, TOKEN_A, small, getAmountOut(curve, TOKEN_A, small, TOKEN_C), TOKEN_C);
+      const largeImpact = getPriceImpactBps(curve, TOKEN_A, large, getAmountOut(curve, TOKEN_A, large, TOKEN_C), TOKEN_C);
+      expect(smallImpact).toBeLessThan(1);
+      expect(largeImpact).toBeGreaterThan(smallImpact);
+    });
+  });
+});
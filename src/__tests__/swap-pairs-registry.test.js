@@ -0,0 +1,132 @@
+const { getPairKey, createSwapPairsRegistry } = require('../swap-pairs-registry');
+const { addToken, removeToken } = require('../token-registry');
+
+// Polygon addresses from MONITORED_TOKENS
+const WMATIC = '0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270';
+const USDC = '0x2791bca1f2de4661ed88a30c99a7a9449aa84174';
+const WETH = '0x7ceb23fd6bc0add59e62ac25578270cff1b9f619';
+const UNLISTED = '0x0000000000000000000000000000000000000001';
+
+describe('Swap Pairs Registry', () => {
+  const dexData = {
+    tokens: [
+      { address: WMATIC, symbol: 'WMATIC', decimals: 18 },
+      { address: USDC, symbol: 'USDC', decimals: 6 },
+      { address: WETH, symbol: 'WETH', decimals: 18 },
+      { address: UNLISTED, symbol: 'SCAM', decimals: 18 }
+    ],
+    pools: [
+      { id: '0xpool1', dexName: 'QuickSwap', chain: 'Polygon', token0: WMATIC, token1: USDC, reserve0: BigInt(1), reserve1: BigInt(1), fee: BigInt(3000) },
+      { id: '0xpool2', dexName: 'SushiSwap', chain: 'Polygon', token0: WMATIC, token1: USDC, reserve0: BigInt(1), reserve1: BigInt(1), fee: BigInt(3000) },
+      { id: '0xpool3', dexName: 'QuickSwap', chain: 'Polygon', token0: USDC, token1: WETH, reserve0: BigInt(1), reserve1: BigInt(1), fee: BigInt(3000) },
+      { id: '0xpool4', dexName: 'QuickSwap', chain: 'Polygon', token0: UNLISTED, token1: USDC, reserve0: BigInt(1), reserve1: BigInt(1), fee: BigInt(3000) }
+    ]
+  };
+
+  describe('getPairKey()', () => {
+    test('should be ordered and case-insensitive', () => {
+      expect(getPairKey('0xAA', '0xBB')).toBe('0xaa->0xbb');
+      expect(getPairKey('0xBB', '0xAA')).not.toBe(getPairKey('0xAA', '0xBB'));
+    });
+  });
+
+  describe('getPoolsForPair()', () => {
+    const registry = createSwapPairsRegistry(dexData);
+
+    test('should list every pool routing the pair across DEXes', () => {
+      const pools = registry.getPoolsForPair(WMATIC, USDC);
+      expect(pools.map(pool => pool.id)).toEqual(['0xpool1', '0xpool2']);
+    });
+
+    test('should index both directions of a pool', () => {
+      expect(registry.getPoolsForPair(USDC, WMATIC).map(pool => pool.id)).toEqual(['0xpool1', '0xpool2']);
+    });
+
+    test('should be case-insensitive', () => {
+      expect(registry.getPoolsForPair(WMATIC.toUpperCase().replace('0X', '0x'), USDC).length).toBe(2);
+    });
+
+    test('should return an empty list for untradeable pairs', () => {
+      expect(registry.getPoolsForPair(WMATIC, WETH)).toEqual([]);
+    });
+  });
+
+  describe('getPairsForToken()', () => {
+    const registry = createSwapPairsRegistry(dexData);
+
+    test('should list pairs starting at the token', () => {
+      const pairs = registry.getPairsForToken(USDC);
+      expect(pairs.map(pair => pair.symbolOut).sort()).toEqual(['WETH', 'WMATIC']);
+      pairs.forEach(pair => expect(pair.tokenIn).toBe(USDC));
+    });
+
+    test('should return an empty list for unknown tokens', () => {
+      expect(registry.getPairsForToken('0x0000000000000000000000000000000000000002')).toEqual([]);
+    });
+  });
+
+  describe('getAllPairs()', () => {
+    test('should only include monitored tokens by default', () => {
+      const registry = createSwapPairsRegistry(dexData);
+      const pairs = registry.getAllPairs();
+
+      expect(pairs.length).toBe(4);
+      pairs.forEach((pair) => {
+        expect(pair.tokenIn).not.toBe(UNLISTED);
+        expect(pair.tokenOut).not.toBe(UNLISTED);
+      });
+    });
+
+    test('should include every token when monitoredOnly is false', () => {
+      const registry = createSwapPairsRegistry(dexData, { monitoredOnly: false });
+
+      expect(registry.getAllPairs().length).toBe(6);
+      expect(registry.getPoolsForPair(UNLISTED, USDC).map(pool => pool.id)).toEqual(['0xpool4']);
+      expect(registry.getPairsForToken(UNLISTED)[0].symbolIn).toBe('SCAM');
+    });
+
+    test('should index every token pair of an N-token pool', () => {
+      const curve = {
+        id: '0xcurve',
+        dexName: 'Curve',
+        chain: 'Polygon',
+        token0: WMATIC,
+        token1: USDC,
+        tokens: [WMATIC, USDC, WETH],
+        balances: [BigInt(1), BigInt(1), BigInt(1)],
+        tokenDecimals: [18, 6, 18],
+        reserve0: BigInt(1),
+        reserve1: BigInt(1),
+        fee: BigInt(400)
+      };
+      const registry = createSwapPairsRegistry({ tokens: dexData.tokens, pools: [curve] });
+
+      expect(registry.getAllPairs()).toHaveLength(6);
+      expect(registry.getPoolsForPair(WETH, WMATIC)).toEqual([curve]);
+    });
+
+    test('should check monitored tokens against the pool chain', () => {
+      const ethereumPool = { ...dexData.pools[0], id: '0xeth', chain: 'Ethereum' };
+      const registry = createSwapPairsRegistry({ tokens: dexData.tokens, pools: [ethereumPool] });
+
+      expect(registry.getAllPairs()).toEqual([]);
+    });
+
+    test('should follow runtime additions to the token registry', () => {
+      addToken({ chainId: 137, address: UNLISTED, symbol: 'LISTED', decimals: 18 });
+      try {
+        const registry = createSwapPairsRegistry(dexData);
+        expect(registry.getPoolsForPair(UNLISTED, USDC).map(pool => pool.id)).toEqual(['0xpool4']);
+      } finally {
+        removeToken(137, UNLISTED);
+      }
+    });
+
+    test('should carry token symbols', () => {
+      const registry = createSwapPairsRegistry(dexData);
+      const pair = registry.getAllPairs().find(p => p.tokenIn === WMATIC);
+
+      expect(pair).toMatchObject({ symbolIn: 'WMATIC', symbolOut: 'USDC' });
+    });
+  });
+});
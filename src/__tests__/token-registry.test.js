@@ -1,10 +1,36 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const {
   MONITORED_TOKENS,
+  TOKEN_TAGS,
   getMonitoredTokensMap,
   isMonitoredToken,
-  getTokenInfo
+  getTokenInfo,
+  createTokenRegistry,
+  loadTokensFromFile,
+  getTokensFromEnv,
+  validateTokenList,
+  loadTokenList,
+  compareTokenListVersions,
+  mergeTokenLists,
+  importTokenLists,
+  getImportedTokenLists,
+  addToken,
+  removeToken,
+  getToken,
+  getTokens,
+  findTokensBySymbol,
+  getTokensByTag,
+  getCanonicalAsset,
+  getCanonicalAssets,
+  findCanonicalAsset
 } = require('../token-registry');
 
+// Same symbol on two chains
+const POLYGON_USDC = '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174';
+const ETHEREUM_USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
 describe('Token Registry', () => {
   describe('MONITORED_TOKENS', () => {
     test('should contain key tokens for Polygon network', () => {
@@ -219,4 +245,426 @@ describe('Token Registry', () => {
       expect(mapInfo).toBe(tokenInfo);
     });
   });
+
+  describe('Chain-scoped registry', () => {
+    test('should describe the built-in tokens with chain id, decimals and tags', () => {
+      expect(getToken(137, POLYGON_USDC)).toEqual({
+        chainId: 137,
+        address: POLYGON_USDC.toLowerCase(),
+        symbol: 'USDC',
+        decimals: 6,
+        name: 'USD Coin (PoS)',
+        tags: [TOKEN_TAGS.STABLECOIN, TOKEN_TAGS.BRIDGED],
+        aliases: ['USDC.e']
+      });
+      expect(getTokens(137)).toHaveLength(MONITORED_TOKENS.length);
+      expect(getTokensByTag(TOKEN_TAGS.WRAPPED_NATIVE, 137).map(token => token.symbol)).toEqual(['WMATIC']);
+    });
+
+    test('should tell the same address apart across chains', () => {
+      expect(isMonitoredToken(POLYGON_USDC, 137)).toBe(true);
+      expect(isMonitoredToken(POLYGON_USDC, 1)).toBe(false);
+      expect(isMonitoredToken(ETHEREUM_USDC, 1)).toBe(false);
+    });
+
+    test('should add and remove tokens at runtime', () => {
+      const entry = addToken({ chainId: 1, address: ETHEREUM_USDC, symbol: 'USDC', decimals: 6, tags: [TOKEN_TAGS.STABLECOIN] });
+      try {
+        expect(entry).toMatchObject({ chainId: 1, address: ETHEREUM_USDC.toLowerCase(), name: 'USDC', aliases: [] });
+        expect(isMonitoredToken(ETHEREUM_USDC, 1)).toBe(true);
+        expect(findTokensBySymbol('usdc').map(token => token.chainId)).toEqual([137, 1]);
+        // Other chains leave the original Polygon helpers alone
+        expect(isMonitoredToken(ETHEREUM_USDC)).toBe(false);
+        expect(getTokenInfo(ETHEREUM_USDC)).toBeUndefined();
+      } finally {
+        expect(removeToken(1, ETHEREUM_USDC)).toBe(true);
+      }
+      expect(isMonitoredToken(ETHEREUM_USDC, 1)).toBe(false);
+      expect(removeToken(1, ETHEREUM_USDC)).toBe(false);
+    });
+
+    test('should keep the Polygon helpers in sync with runtime changes', () => {
+      const address = '0x0000000000000000000000000000000000000abc';
+      const map = getMonitoredTokensMap();
+      const size = MONITORED_TOKENS.length;
+
+      addToken({ chainId: 137, address, symbol: 'NEW', decimals: 18 });
+      try {
+        expect(isMonitoredToken(address)).toBe(true);
+        expect(getTokenInfo(address)).toEqual({ symbol: 'NEW', address });
+        expect(MONITORED_TOKENS).toHaveLength(size + 1);
+        expect(getMonitoredTokensMap()).toBe(map);
+      } finally {
+        removeToken(137, address);
+      }
+      expect(isMonitoredToken(address)).toBe(false);
+      expect(MONITORED_TOKENS).toHaveLength(size);
+    });
+
+    test('should find tokens by alias', () => {
+      expect(findTokensBySymbol('USDC.e', 137).map(token => token.address)).toEqual([POLYGON_USDC.toLowerCase()]);
+      expect(findTokensBySymbol('WPOL').map(token => token.symbol)).toEqual(['WMATIC']);
+    });
+
+    test('should reject invalid entries', () => {
+      const registry = createTokenRegistry();
+      expect(() => registry.addToken({ chainId: 1, address: '0x1234', symbol: 'BAD', decimals: 18 })).toThrow('Invalid token address');
+      expect(() => registry.addToken({ chainId: 0, address: ETHEREUM_USDC, symbol: 'USDC', decimals: 6 })).toThrow('Invalid token chainId');
+      expect(() => registry.addToken({ chainId: 1, address: ETHEREUM_USDC, symbol: 'USDC', decimals: 6.5 })).toThrow('Invalid decimals');
+      expect(() => registry.addToken({ chainId: 1, address: ETHEREUM_USDC, symbol: 'USDC', decimals: 6, tags: 'stablecoin' })).toThrow('Invalid tags');
+    });
+
+    test('should keep independent registries separate from the default one', () => {
+      const registry = createTokenRegistry([{ chainId: 1, address: ETHEREUM_USDC, symbol: 'USDC', decimals: 6 }]);
+      expect(registry.hasToken(1, ETHEREUM_USDC)).toBe(true);
+      expect(registry.getTokens()).toHaveLength(1);
+      expect(getToken(1, ETHEREUM_USDC)).toBeUndefined();
+    });
+  });
+
+  describe('Loading tokens', () => {
+    let directory;
+    const originalFile = process.env.TOKEN_REGISTRY_FILE;
+    const originalTokens = process.env.TOKEN_REGISTRY_TOKENS;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'token-registry-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+      [['TOKEN_REGISTRY_FILE', originalFile], ['TOKEN_REGISTRY_TOKENS', originalTokens]].forEach(([name, value]) => {
+        if (value === undefined) {
+          delete process.env[name];
+        } else {
+          process.env[name] = value;
+        }
+      });
+    });
+
+    test('should load a JSON file', () => {
+      const file = path.join(directory, 'tokens.json');
+      fs.writeFileSync(file, JSON.stringify({ tokens: [{ chainId: 1, address: ETHEREUM_USDC, symbol: 'USDC', decimals: 6 }] }));
+
+      expect(loadTokensFromFile(file)).toEqual([
+        { chainId: 1, address: ETHEREUM_USDC.toLowerCase(), symbol: 'USDC', decimals: 6, name: 'USDC', tags: [], aliases: [] }
+      ]);
+    });
+
+    test('should load a YAML file', () => {
+      const file = path.join(directory, 'tokens.yaml');
+      fs.writeFileSync(file, [
+        '- chainId: 1',
+        `  address: "${ETHEREUM_USDC}"`,
+        '  symbol: USDC',
+        '  decimals: 6',
+        '  name: USD Coin',
+        '  tags: [stablecoin]'
+      ].join('\n'));
+
+      expect(loadTokensFromFile(file)).toEqual([
+        { chainId: 1, address: ETHEREUM_USDC.toLowerCase(), symbol: 'USDC', decimals: 6, name: 'USD Coin', tags: ['stablecoin'], aliases: [] }
+      ]);
+    });
+
+    test('should reject files without a token list', () => {
+      const file = path.join(directory, 'tokens.json');
+      fs.writeFileSync(file, JSON.stringify({ chainId: 1 }));
+
+      expect(() => loadTokensFromFile(file)).toThrow('must contain a list of tokens');
+    });
+
+    test('should read the file and inline tokens named by the environment', () => {
+      const file = path.join(directory, 'tokens.yml');
+      fs.writeFileSync(file, `tokens:\n  - { chainId: 1, address: "${ETHEREUM_USDC}", symbol: USDC, decimals: 6 }\n`);
+      process.env.TOKEN_REGISTRY_FILE = file;
+      process.env.TOKEN_REGISTRY_TOKENS = JSON.stringify([{ chainId: 8453, address: ETHEREUM_USDC, symbol: 'FAKE', decimals: 18 }]);
+
+      expect(getTokensFromEnv().map(token => [token.chainId, token.symbol])).toEqual([[1, 'USDC'], [8453, 'FAKE']]);
+    });
+
+    test('should seed the default registry from the environment', () => {
+      process.env.TOKEN_REGISTRY_TOKENS = JSON.stringify([{ chainId: 1, address: ETHEREUM_USDC, symbol: 'USDC', decimals: 6 }]);
+
+      jest.isolateModules(() => {
+        const isolated = require('../token-registry');
+        expect(isolated.isMonitoredToken(ETHEREUM_USDC, 1)).toBe(true);
+        expect(isolated.MONITORED_TOKENS).toHaveLength(MONITORED_TOKENS.length);
+      });
+    });
+  });
+
+  describe('Token lists', () => {
+    const BASE_USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+    const BASE_DAI = '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb';
+    let directory;
+
+    function tokenList(name, version, tokens) {
+      return {
+        name,
+        timestamp: '2024-01-01T00:00:00.000Z',
+        version,
+        keywords: ['test'],
+        tokens
+      };
+    }
+
+    function writeList(fileName, list) {
+      const file = path.join(directory, fileName);
+      fs.writeFileSync(file, JSON.stringify(list));
+      return file;
+    }
+
+    const usdc = { chainId: 8453, address: BASE_USDC, decimals: 6, name: 'USD Coin', symbol: 'USDC', tags: ['stablecoin'] };
+    const dai = { chainId: 8453, address: BASE_DAI, decimals: 18, name: 'Dai Stablecoin', symbol: 'DAI' };
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'token-lists-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    describe('validateTokenList()', () => {
+      test('should accept a list in the tokenlists.org schema', () => {
+        expect(validateTokenList(tokenList('Base Tokens', { major: 1, minor: 0, patch: 0 }, [usdc, dai]))).toEqual([]);
+      });
+
+      test('should report every schema violation', () => {
+        const errors = validateTokenList({
+          name: 'Bad/List',
+          timestamp: 'yesterday',
+          version: { major: 1, minor: -1 },
+          tokens: [{ ...usdc, chainId: 0, decimals: 300, symbol: 'US DC', tags: ['not-a-tag-id'] }]
+        });
+
+        expect(errors).toEqual([
+          'name must be 1 to 30 letters, digits, underscores or spaces',
+          'timestamp must be an ISO 8601 date-time',
+          'version must have non-negative integer major, minor and patch',
+          'tokens[0].chainId must be an integer >= 1',
+          'tokens[0].decimals must be an integer between 0 and 255',
+          'tokens[0].symbol must be 1 to 20 characters without spaces',
+          'tokens[0].tags must be at most 10 tag ids of up to 10 word characters'
+        ]);
+      });
+
+      test('should require at least one token', () => {
+        expect(validateTokenList(tokenList('Empty', { major: 1, minor: 0, patch: 0 }, []))).toEqual([
+          'tokens must be a list of 1 to 10000 tokens'
+        ]);
+      });
+    });
+
+    describe('loadTokenList()', () => {
+      test('should reject invalid list files', () => {
+        const file = writeList('bad.json', { name: 'Bad', tokens: [] });
+        expect(() => loadTokenList(file)).toThrow(`Invalid token list ${file}: timestamp must be an ISO 8601 date-time`);
+      });
+    });
+
+    describe('compareTokenListVersions()', () => {
+      test('should order by major, minor then patch', () => {
+        expect(compareTokenListVersions({ major: 2, minor: 0, patch: 0 }, { major: 1, minor: 9, patch: 9 })).toBeGreaterThan(0);
+        expect(compareTokenListVersions({ major: 1, minor: 2, patch: 0 }, { major: 1, minor: 2, patch: 1 })).toBeLessThan(0);
+        expect(compareTokenListVersions({ major: 1, minor: 2, patch: 3 }, { major: 1, minor: 2, patch: 3 })).toBe(0);
+      });
+    });
+
+    describe('mergeTokenLists()', () => {
+      test('should let earlier lists take precedence and report conflicts', () => {
+        const primary = tokenList('Primary', { major: 1, minor: 0, patch: 0 }, [usdc]);
+        const secondary = tokenList('Secondary', { major: 3, minor: 0, patch: 0 }, [
+          { ...usdc, address: BASE_USDC.toLowerCase(), decimals: 18, symbol: 'USDbC' },
+          dai
+        ]);
+
+        const { tokens, conflicts } = mergeTokenLists([primary, secondary]);
+
+        expect(tokens).toEqual([
+          { chainId: 8453, address: BASE_USDC.toLowerCase(), symbol: 'USDC', decimals: 6, name: 'USD Coin', tags: ['stablecoin'], aliases: [], source: 'Primary' },
+          { chainId: 8453, address: BASE_DAI.toLowerCase(), symbol: 'DAI', decimals: 18, name: 'Dai Stablecoin', tags: [], aliases: [], source: 'Secondary' }
+        ]);
+        expect(conflicts).toEqual([
+          { chainId: 8453, address: BASE_USDC.toLowerCase(), field: 'decimals', kept: { source: 'Primary', value: 6 }, ignored: { source: 'Secondary', value: 18 } },
+          { chainId: 8453, address: BASE_USDC.toLowerCase(), field: 'symbol', kept: { source: 'Primary', value: 'USDC' }, ignored: { source: 'Secondary', value: 'USDbC' } }
+        ]);
+      });
+
+      test('should not report identical entries', () => {
+        const list = tokenList('Primary', { major: 1, minor: 0, patch: 0 }, [usdc]);
+        expect(mergeTokenLists([list, { ...list, name: 'Copy' }]).conflicts).toEqual([]);
+      });
+    });
+
+    describe('createTokenRegistry().importTokenLists()', () => {
+      test('should keep existing entries unless override is set', () => {
+        const registry = createTokenRegistry([{ chainId: 8453, address: BASE_USDC, symbol: 'USDC', decimals: 18 }]);
+        const list = tokenList('Base Tokens', { major: 1, minor: 0, patch: 0 }, [usdc, dai]);
+
+        const result = registry.importTokenLists([list]);
+        expect(result.added).toBe(1);
+        expect(result.conflicts).toEqual([
+          { chainId: 8453, address: BASE_USDC.toLowerCase(), field: 'decimals', kept: { source: 'registry', value: 18 }, ignored: { source: 'Base Tokens', value: 6 } }
+        ]);
+        expect(registry.getToken(8453, BASE_USDC).decimals).toBe(18);
+
+        const overridden = registry.importTokenLists([list], { override: true });
+        expect(overridden.conflicts[0]).toMatchObject({ kept: { source: 'Base Tokens', value: 6 } });
+        expect(registry.getToken(8453, BASE_USDC)).toMatchObject({ decimals: 6, source: 'Base Tokens' });
+      });
+
+      test('should restore overridden entries once the list drops the token', () => {
+        const original = { chainId: 8453, address: BASE_USDC, symbol: 'USDC', decimals: 6, name: 'Runtime USDC', tags: ['stablecoin'] };
+        const registry = createTokenRegistry([original, { chainId: 8453, address: BASE_DAI, symbol: 'DAI', decimals: 18 }]);
+
+        registry.importTokenLists([tokenList('Base Tokens', { major: 1, minor: 0, patch: 0 }, [usdc])], { override: true });
+        expect(registry.getToken(8453, BASE_USDC)).toMatchObject({ name: 'USD Coin', source: 'Base Tokens' });
+
+        registry.importTokenLists([tokenList('Base Tokens', { major: 2, minor: 0, patch: 0 }, [])], { override: true });
+        expect(registry.getToken(8453, BASE_USDC)).toMatchObject({ name: 'Runtime USDC', tags: ['stablecoin'] });
+        expect(registry.getToken(8453, BASE_USDC).source).toBeUndefined();
+        expect(registry.getTokens(8453).map(token => token.symbol)).toEqual(['USDC', 'DAI']);
+      });
+
+      test('should not restore entries replaced or removed after the import', () => {
+        const registry = createTokenRegistry([{ chainId: 8453, address: BASE_USDC, symbol: 'USDC', decimals: 6, name: 'Runtime USDC' }]);
+        registry.importTokenLists([tokenList('Base Tokens', { major: 1, minor: 0, patch: 0 }, [usdc])], { override: true });
+
+        registry.removeToken(8453, BASE_USDC);
+        registry.importTokenLists([tokenList('Base Tokens', { major: 2, minor: 0, patch: 0 }, [usdc])], { override: true });
+        registry.importTokenLists([tokenList('Base Tokens', { major: 3, minor: 0, patch: 0 }, [])], { override: true });
+
+        expect(registry.hasToken(8453, BASE_USDC)).toBe(false);
+      });
+
+      test('should replace the tokens of an older version and skip older versions', () => {
+        const registry = createTokenRegistry();
+        registry.importTokenLists([tokenList('Base Tokens', { major: 1, minor: 0, patch: 0 }, [usdc, dai])]);
+
+        const upgrade = registry.importTokenLists([tokenList('Base Tokens', { major: 2, minor: 0, patch: 0 }, [usdc])]);
+        expect(upgrade.lists).toEqual([{ name: 'Base Tokens', version: { major: 2, minor: 0, patch: 0 } }]);
+        expect(registry.hasToken(8453, BASE_DAI)).toBe(false);
+
+        const downgrade = registry.importTokenLists([tokenList('Base Tokens', { major: 1, minor: 5, patch: 0 }, [usdc, dai])]);
+        expect(downgrade.skipped).toEqual([{
+          name: 'Base Tokens',
+          version: { major: 1, minor: 5, patch: 0 },
+          importedVersion: { major: 2, minor: 0, patch: 0 }
+        }]);
+        expect(registry.hasToken(8453, BASE_DAI)).toBe(false);
+        expect(registry.getImportedTokenLists()).toEqual([
+          { name: 'Base Tokens', version: { major: 2, minor: 0, patch: 0 }, timestamp: '2024-01-01T00:00:00.000Z', tokenCount: 1 }
+        ]);
+      });
+    });
+
+    describe('importTokenLists()', () => {
+      test('should import list files into the default registry', () => {
+        const file = writeList('base.json', tokenList('Default Import', { major: 1, minor: 0, patch: 0 }, [usdc]));
+
+        const result = importTokenLists([file]);
+        try {
+          expect(result.added).toBe(1);
+          expect(isMonitoredToken(BASE_USDC, 8453)).toBe(true);
+          expect(getImportedTokenLists().map(list => list.name)).toContain('Default Import');
+        } finally {
+          removeToken(8453, BASE_USDC);
+        }
+      });
+
+      test('should not replace built-in tokens', () => {
+        const polygonUsdc = { chainId: 137, address: POLYGON_USDC, decimals: 18, name: 'Wrong', symbol: 'USDC' };
+        const file = writeList('polygon.json', tokenList('Polygon Import', { major: 1, minor: 0, patch: 0 }, [polygonUsdc]));
+
+        const result = importTokenLists([file]);
+        expect(result.added).toBe(0);
+        expect(result.conflicts.map(conflict => conflict.field)).toEqual(['decimals']);
+        expect(getToken(137, POLYGON_USDC).decimals).toBe(6);
+      });
+
+      test('should import lists named by TOKEN_LIST_FILES on load', () => {
+        const original = process.env.TOKEN_LIST_FILES;
+        process.env.TOKEN_LIST_FILES = writeList('env.json', tokenList('Env Import', { major: 1, minor: 0, patch: 0 }, [usdc]));
+        try {
+          jest.isolateModules(() => {
+            const isolated = require('../token-registry');
+            expect(isolated.getToken(8453, BASE_USDC)).toMatchObject({ symbol: 'USDC', source: 'Env Import' });
+          });
+        } finally {
+          if (original === undefined) {
+            delete process.env.TOKEN_LIST_FILES;
+          } else {
+            process.env.TOKEN_LIST_FILES = original;
+          }
+        }
+      });
+    });
+  });
+
+  describe('Canonical assets', () => {
+    const ARBITRUM_WETH = '0x82af49447d8a07e3bd95bd0d56f35241523fbab1';
+    const POLYGON_WETH = '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619';
+
+    test('should group bridged and wrapped tokens across chains', () => {
+      expect(getCanonicalAssets().map(asset => asset.id)).toEqual(['ETH', 'BTC', 'USDC', 'USDT', 'DAI']);
+      expect(getCanonicalAsset('eth').tokens).toEqual(expect.arrayContaining([
+        { chainId: 1, address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2' },
+        { chainId: 137, address: POLYGON_WETH.toLowerCase() },
+        { chainId: 42161, address: ARBITRUM_WETH }
+      ]));
+      expect(findCanonicalAsset(137, POLYGON_USDC).id).toBe('USDC');
+      expect(findCanonicalAsset(1, ETHEREUM_USDC).id).toBe('USDC');
+      expect(findCanonicalAsset(137, '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270')).toBeUndefined();
+      expect(getCanonicalAsset('SOL')).toBeUndefined();
+    });
+
+    test('should add and extend assets at runtime', () => {
+      const registry = createTokenRegistry([], [{ id: 'eth', name: 'Ether', tokens: [{ chainId: 42161, address: ARBITRUM_WETH }] }]);
+
+      registry.addCanonicalAsset({ id: 'ETH', tokens: [{ chainId: 137, address: POLYGON_WETH }] });
+
+      expect(registry.getCanonicalAsset('ETH')).toEqual({
+        id: 'ETH',
+        name: 'Ether',
+        tokens: [
+          { chainId: 42161, address: ARBITRUM_WETH },
+          { chainId: 137, address: POLYGON_WETH.toLowerCase() }
+        ]
+      });
+    });
+
+    test('should link tokens that name their canonical asset', () => {
+      const registry = createTokenRegistry([
+        { chainId: 137, address: POLYGON_WETH, symbol: 'WETH', decimals: 18, canonicalAsset: 'eth' }
+      ]);
+
+      expect(registry.getToken(137, POLYGON_WETH).canonicalAsset).toBe('ETH');
+      expect(registry.findCanonicalAsset(137, POLYGON_WETH)).toEqual({
+        id: 'ETH',
+        name: 'ETH',
+        tokens: [{ chainId: 137, address: POLYGON_WETH.toLowerCase() }]
+      });
+    });
+
+    test('should move a token that is linked to another asset', () => {
+      const registry = createTokenRegistry([], [{ id: 'ETH', tokens: [{ chainId: 137, address: POLYGON_WETH }] }]);
+
+      registry.addCanonicalAsset({ id: 'STETH', tokens: [{ chainId: 137, address: POLYGON_WETH }] });
+
+      expect(registry.findCanonicalAsset(137, POLYGON_WETH).id).toBe('STETH');
+      expect(registry.getCanonicalAsset('ETH').tokens).toEqual([]);
+    });
+
+    test('should reject invalid assets', () => {
+      const registry = createTokenRegistry();
+      expect(() => registry.addCanonicalAsset({ tokens: [] })).toThrow('Invalid canonical asset id');
+      expect(() => registry.addCanonicalAsset({ id: 'ETH' })).toThrow('Invalid tokens for canonical asset ETH');
+      expect(() => registry.addCanonicalAsset({ id: 'ETH', tokens: [{ chainId: 1, address: '0x1234' }] }))
+        .toThrow('Invalid address in canonical asset ETH');
+      expect(() => registry.addToken({ chainId: 1, address: ETHEREUM_USDC, symbol: 'USDC', decimals: 6, canonicalAsset: 5 }))
+        .toThrow('Invalid canonicalAsset');
+    });
+  });
 });
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  TOKEN_FLAGS,
+  PROBE_ADDRESS,
+  loadDenylist,
+  getDenylistFromEnv,
+  getListedTokenFlags,
+  simulateTransfer,
+  probeToken,
+  createProbeCache,
+  screenTokens,
+  excludeFlaggedPools
+} = require('../token-safety');
+const { addToken, removeToken } = require('../token-registry');
+const { createRpcClient } = require('../rpc-client');
+const { SELECTORS, encodeUint, decodeUint } = require('../evm-abi');
+const { startJsonRpcStub } = require('./helpers/json-rpc-stub');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const STETH = '0xae7ab96520de3a18e5e111b5eaa439230f9b6ea6';
+const TAXED = '0x1111111111111111111111111111111111111111';
+const FROZEN = '0x2222222222222222222222222222222222222222';
+const SHARES = '0x3333333333333333333333333333333333333333';
+const LOCKED = '0x4444444444444444444444444444444444444444';
+
+const E18 = BigInt('1000000000000000000');
+const TRUE_WORD = `0x${encodeUint(1)}`;
+
+/**
+ * Build a V2 pair on Ethereum holding 1000 of each token
+ */
+function pair(id, token0, token1) {
+  return {
+    id,
+    dexName: 'Uniswap V2',
+    chain: 'Ethereum',
+    token0,
+    token1,
+    reserve0: BigInt(1000) * E18,
+    reserve1: BigInt(1000) * E18,
+    fee: BigInt(3000)
+  };
+}
+
+const dexData = {
+  tokens: [WETH, TAXED, FROZEN, SHARES, LOCKED].map(address => ({ address, symbol: address.slice(2, 6), decimals: 18 })),
+  pools: [
+    pair('0x00000000000000000000000000000000000000a1', WETH, TAXED),
+    pair('0x00000000000000000000000000000000000000a2', WETH, FROZEN),
+    pair('0x00000000000000000000000000000000000000a3', WETH, SHARES),
+    pair('0x00000000000000000000000000000000000000a4', WETH, LOCKED)
+  ]
+};
+
+// Contract behaviour served by the stand-in: TAXED keeps 2% of every transfer,
+// FROZEN has a blacklist, SHARES tracks shares and LOCKED refuses to transfer
+const contracts = {
+  [WETH]: { [SELECTORS.transfer]: TRUE_WORD },
+  [TAXED]: { [SELECTORS.transfer]: TRUE_WORD },
+  [FROZEN]: { [SELECTORS.transfer]: TRUE_WORD, [SELECTORS.isBlacklisted]: `0x${encodeUint(0)}` },
+  [SHARES]: { [SELECTORS.transfer]: TRUE_WORD, [SELECTORS.sharesOf]: `0x${encodeUint(0)}` },
+  [LOCKED]: {}
+};
+
+/**
+ * eth_simulateV1 handler: balanceOf, transfer, balanceOf of the probe address
+ */
+function simulateV1([{ blockStateCalls: [{ calls }] }]) {
+  const token = calls[1].to;
+  const amount = decodeUint(calls[1].data.slice(-64));
+  const received = token === TAXED ? (amount * BigInt(98)) / BigInt(100) : amount;
+  const transferred = token !== LOCKED;
+  return [{
+    calls: [
+      { status: '0x1', returnData: `0x${encodeUint(0)}` },
+      { status: transferred ? '0x1' : '0x0', returnData: transferred ? TRUE_WORD : '0x' },
+      { status: '0x1', returnData: `0x${encodeUint(transferred ? received : 0)}` }
+    ]
+  }];
+}
+
+describe('Token Safety', () => {
+  let consoleErrorSpy;
+
+  beforeEach(() => {
+    consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    consoleErrorSpy.mockRestore();
+  });
+
+  describe('Denylist and registry flags', () => {
+    test('should flag well-known tokens from the built-in denylist', () => {
+      expect(getListedTokenFlags(1, STETH.toUpperCase().replace('0X', '0x'))).toEqual([TOKEN_FLAGS.REBASING]);
+      expect(getListedTokenFlags(137, STETH)).toEqual([]);
+    });
+
+    test('should flag tokens carrying safety tags in the registry', () => {
+      addToken({ chainId: 137, address: TAXED, symbol: 'TAX', decimals: 18, tags: ['fee-on-transfer', 'stablecoin'] });
+      try {
+        expect(getListedTokenFlags(137, TAXED)).toEqual([TOKEN_FLAGS.FEE_ON_TRANSFER]);
+      } finally {
+        removeToken(137, TAXED);
+      }
+    });
+
+    test('should load denylist files and reject unknown flags', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-denylist-'));
+      const valid = path.join(dir, 'denylist.yaml');
+      const invalid = path.join(dir, 'invalid.json');
+      fs.writeFileSync(valid, `- chainId: 1\n  address: "${TAXED}"\n  flags: [fee-on-transfer]\n  reason: Taxed\n`);
+      fs.writeFileSync(invalid, JSON.stringify({ tokens: [{ chainId: 1, address: TAXED, flags: ['honeypot'] }] }));
+
+      expect(loadDenylist(valid)).toEqual([{ chainId: 1, address: TAXED, flags: ['fee-on-transfer'], reason: 'Taxed' }]);
+      expect(() => loadDenylist(invalid)).toThrow(`Invalid denylist flags for token ${TAXED}`);
+
+      const original = process.env.TOKEN_DENYLIST_FILE;
+      try {
+        process.env.TOKEN_DENYLIST_FILE = valid;
+        expect(getListedTokenFlags(1, TAXED, getDenylistFromEnv())).toEqual([TOKEN_FLAGS.FEE_ON_TRANSFER]);
+
+        process.env.TOKEN_DENYLIST_FILE = invalid;
+        expect(getListedTokenFlags(1, TAXED, getDenylistFromEnv())).toEqual([]);
+        expect(consoleErrorSpy).toHaveBeenCalledWith('Error loading token denylist:', expect.any(Error));
+      } finally {
+        if (original === undefined) {
+          delete process.env.TOKEN_DENYLIST_FILE;
+        } else {
+          process.env.TOKEN_DENYLIST_FILE = original;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Simulated checks', () => {
+    let stub;
+    let client;
+
+    beforeAll(async () => {
+      stub = await startJsonRpcStub({ contracts, methods: { eth_simulateV1: simulateV1 } });
+      client = createRpcClient(stub.url);
+    });
+
+    afterAll(async () => {
+      await stub.close();
+    });
+
+    test('should measure the amount a simulated transfer delivers', async () => {
+      const amount = BigInt(1000);
+      await expect(simulateTransfer(client, TAXED, '0x00000000000000000000000000000000000000a1', amount))
+        .resolves.toEqual({ reverted: false, received: BigInt(980) });
+
+      const request = stub.requests.find(entry => entry.method === 'eth_simulateV1');
+      const [, transfer] = request.params[0].blockStateCalls[0].calls;
+      expect(transfer.from).toBe('0x00000000000000000000000000000000000000a1');
+      expect(transfer.data.startsWith(SELECTORS.transfer)).toBe(true);
+      expect(transfer.data).toContain(PROBE_ADDRESS.slice(2));
+    });
+
+    test('should flag fee-on-transfer, blacklistable, rebasing and untransferable tokens', async () => {
+      const holder = '0x00000000000000000000000000000000000000a1';
+      await expect(probeToken(client, TAXED, holder, E18)).resolves.toEqual({ flags: [TOKEN_FLAGS.FEE_ON_TRANSFER], transferFeeBps: 200 });
+      await expect(probeToken(client, FROZEN, holder, E18)).resolves.toEqual({ flags: [TOKEN_FLAGS.BLACKLISTABLE] });
+      await expect(probeToken(client, SHARES, holder, E18)).resolves.toEqual({ flags: [TOKEN_FLAGS.REBASING] });
+      await expect(probeToken(client, LOCKED, holder, E18)).resolves.toEqual({ flags: [TOKEN_FLAGS.SUSPICIOUS] });
+      await expect(probeToken(client, WETH, holder, E18)).resolves.toEqual({ flags: [] });
+    });
+
+    test('should fall back to eth_call on nodes without eth_simulateV1', async () => {
+      const plain = await startJsonRpcStub({ contracts });
+      try {
+        const plainClient = createRpcClient(plain.url);
+        await expect(simulateTransfer(plainClient, TAXED, PROBE_ADDRESS, E18)).resolves.toEqual({ reverted: false, received: null });
+        await expect(simulateTransfer(plainClient, LOCKED, PROBE_ADDRESS, E18)).resolves.toEqual({ reverted: true, received: null });
+      } finally {
+        await plain.close();
+      }
+    });
+
+    test('should screen every token of the fetched data', async () => {
+      const screened = await screenTokens(dexData, { ethereumRpcUrl: stub.url }, { simulate: true, denylist: [] });
+      const byAddress = Object.fromEntries(screened.tokens.map(token => [token.address, token]));
+
+      expect(byAddress[WETH].safetyFlags).toEqual([]);
+      expect(byAddress[TAXED]).toMatchObject({ safetyFlags: [TOKEN_FLAGS.FEE_ON_TRANSFER], transferFeeBps: 200 });
+      expect(byAddress[FROZEN].safetyFlags).toEqual([TOKEN_FLAGS.BLACKLISTABLE]);
+      expect(byAddress[SHARES].safetyFlags).toEqual([TOKEN_FLAGS.REBASING]);
+      expect(byAddress[LOCKED].safetyFlags).toEqual([TOKEN_FLAGS.SUSPICIOUS]);
+      expect(dexData.tokens[0].safetyFlags).toBeUndefined();
+    });
+
+    test('should not simulate transfers out of Balancer pools, whose tokens sit in the Vault', async () => {
+      const balancerPool = '0x00000000000000000000000000000000000000b1';
+      const pairId = '0x00000000000000000000000000000000000000a1';
+      // The Balancer pool reports far more WETH than the pair but cannot send any
+      const revertingFromPool = ([{ blockStateCalls: [{ calls }] }]) => {
+        const fromPool = calls[1].from === balancerPool;
+        return [{
+          calls: [
+            { status: '0x1', returnData: `0x${encodeUint(0)}` },
+            { status: fromPool ? '0x0' : '0x1', returnData: fromPool ? '0x' : TRUE_WORD },
+            { status: '0x1', returnData: `0x${encodeUint(fromPool ? 0 : decodeUint(calls[1].data.slice(-64)))}` }
+          ]
+        }];
+      };
+      const vaultStub = await startJsonRpcStub({ contracts, methods: { eth_simulateV1: revertingFromPool } });
+      try {
+        const screened = await screenTokens({
+          tokens: dexData.tokens.slice(0, 2),
+          pools: [
+            pair(pairId, WETH, TAXED),
+            {
+              id: balancerPool,
+              dexName: 'Balancer',
+              chain: 'Ethereum',
+              token0: WETH,
+              token1: TAXED,
+              tokens: [WETH, TAXED],
+              balances: [BigInt(100000) * E18, BigInt(100000) * E18],
+              tokenDecimals: [18, 18],
+              weights: [E18 / BigInt(2), E18 / BigInt(2)],
+              reserve0: BigInt(100000) * E18,
+              reserve1: BigInt(100000) * E18,
+              fee: BigInt(3000)
+            }
+          ]
+        }, { ethereumRpcUrl: vaultStub.url }, { simulate: true, denylist: [], probeCache: createProbeCache() });
+
+        expect(screened.tokens.map(token => token.safetyFlags)).toEqual([[], []]);
+        const senders = vaultStub.requests
+          .filter(entry => entry.method === 'eth_simulateV1')
+          .map(entry => entry.params[0].blockStateCalls[0].calls[1].from);
+        expect(new Set(senders)).toEqual(new Set([pairId]));
+      } finally {
+        await vaultStub.close();
+      }
+    });
+
+    test('should reuse probe results until they expire', async () => {
+      let clock = 0;
+      const probeCache = createProbeCache({ ttlMs: 60000, now: () => clock });
+      const screen = () => screenTokens(dexData, { ethereumRpcUrl: stub.url }, { simulate: true, denylist: [], probeCache });
+
+      stub.requests.length = 0;
+      await screen();
+      const probeRequests = stub.requests.length;
+      expect(probeRequests).toBeGreaterThan(0);
+
+      clock = 59999;
+      const cached = await screen();
+      expect(stub.requests.length).toBe(probeRequests);
+      expect(cached.tokens.find(token => token.address === TAXED)).toMatchObject({ transferFeeBps: 200 });
+      expect(probeCache.get(1, TAXED.toUpperCase().replace('0X', '0x'))).toEqual({ flags: [TOKEN_FLAGS.FEE_ON_TRANSFER], transferFeeBps: 200 });
+
+      clock = 60000;
+      await screen();
+      expect(stub.requests.length).toBe(probeRequests * 2);
+    });
+  });
+
+  describe('screenTokens()', () => {
+    test('should only apply listed flags without simulation', async () => {
+      const denylist = [{ chainId: 1, address: TAXED, flags: [TOKEN_FLAGS.FEE_ON_TRANSFER] }];
+      const screened = await screenTokens(dexData, {}, { denylist });
+
+      expect(screened.tokens.map(token => token.safetyFlags)).toEqual([[], [TOKEN_FLAGS.FEE_ON_TRANSFER], [], [], []]);
+    });
+
+    test('should skip chains without an RPC URL', async () => {
+      const screened = await screenTokens(dexData, {}, { simulate: true, denylist: [] });
+
+      expect(screened.tokens.every(token => token.safetyFlags.length === 0)).toBe(true);
+    });
+  });
+
+  describe('excludeFlaggedPools()', () => {
+    const tokens = [
+      { address: TAXED, safetyFlags: [TOKEN_FLAGS.FEE_ON_TRANSFER] },
+      { address: FROZEN, safetyFlags: [TOKEN_FLAGS.BLACKLISTABLE] }
+    ];
+
+    test('should drop pools holding a token with an excluded flag', () => {
+      const kept = excludeFlaggedPools(dexData.pools, tokens, [TOKEN_FLAGS.FEE_ON_TRANSFER, TOKEN_FLAGS.REBASING]);
+      expect(kept.map(pool => pool.id)).toEqual([
+        '0x00000000000000000000000000000000000000a2',
+        '0x00000000000000000000000000000000000000a3',
+        '0x00000000000000000000000000000000000000a4'
+      ]);
+    });
+
+    test('should keep every pool when no flag is excluded', () => {
+      expect(excludeFlaggedPools(dexData.pools, tokens, [])).toBe(dexData.pools);
+    });
+  });
+});
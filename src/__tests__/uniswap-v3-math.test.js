@@ -0,0 +1,170 @@
+const {
+  Q96,
+  MIN_TICK,
+  MAX_TICK,
+  getTickSpacing,
+  getSqrtRatioAtTick,
+  getActiveTickRange,
+  getVirtualReserves,
+  getRangeReserves,
+  getNextSqrtPriceFromInput,
+  getAmount0Delta,
+  getAmount1Delta
+} = require('../uniswap-v3-math');
+
+describe('Uniswap V3 Math', () => {
+  describe('getTickSpacing()', () => {
+    test('should map each fee tier to its tick spacing', () => {
+      expect(getTickSpacing(BigInt(100))).toBe(1);
+      expect(getTickSpacing(BigInt(500))).toBe(10);
+      expect(getTickSpacing(BigInt(3000))).toBe(60);
+      expect(getTickSpacing(BigInt(10000))).toBe(200);
+    });
+
+    test('should default to 60 for unknown fee tiers', () => {
+      expect(getTickSpacing(1234)).toBe(60);
+    });
+  });
+
+  describe('getSqrtRatioAtTick()', () => {
+    test('should return 2^96 at tick 0', () => {
+      expect(getSqrtRatioAtTick(0)).toBe(Q96);
+    });
+
+    test('should match TickMath bounds', () => {
+      expect(getSqrtRatioAtTick(MIN_TICK)).toBe(BigInt('4295128739'));
+      expect(getSqrtRatioAtTick(MAX_TICK))
+        .toBe(BigInt('1461446703485210103287273052203988822378723970342'));
+    });
+
+    test('should increase monotonically with the tick', () => {
+      expect(getSqrtRatioAtTick(-1)).toBeLessThan(getSqrtRatioAtTick(0));
+      expect(getSqrtRatioAtTick(1)).toBeGreaterThan(getSqrtRatioAtTick(0));
+    });
+
+    test('should throw for ticks out of range', () => {
+      expect(() => getSqrtRatioAtTick(MAX_TICK + 1)).toThrow('Tick out of range');
+      expect(() => getSqrtRatioAtTick(1.5)).toThrow('Tick out of range');
+    });
+  });
+
+  describe('getActiveTickRange()', () => {
+    test('should align the range to the tick spacing', () => {
+      expect(getActiveTickRange(61, 60)).toEqual({ tickLower: 60, tickUpper: 120 });
+      expect(getActiveTickRange(60, 60)).toEqual({ tickLower: 60, tickUpper: 120 });
+    });
+
+    test('should round negative ticks down', () => {
+      expect(getActiveTickRange(-5, 60)).toEqual({ tickLower: -60, tickUpper: 0 });
+      expect(getActiveTickRange(-201, 200)).toEqual({ tickLower: -400, tickUpper: -200 });
+    });
+
+    test('should clamp the range to usable ticks at both limits', () => {
+      expect(getActiveTickRange(887250, 60)).toEqual({ tickLower: 887160, tickUpper: 887220 });
+      expect(getActiveTickRange(-887272, 60)).toEqual({ tickLower: -887220, tickUpper: -887160 });
+      expect(getActiveTickRange(887272, 1)).toEqual({ tickLower: 887271, tickUpper: 887272 });
+      expect(getActiveTickRange(-887272, 1)).toEqual({ tickLower: -887272, tickUpper: -887271 });
+    });
+  });
+
+  describe('getVirtualReserves()', () => {
+    test('should equal liquidity on both sides at price 1', () => {
+      const liquidity = BigInt('1000000000000000000');
+      expect(getVirtualReserves(liquidity, Q96)).toEqual({
+        reserve0: liquidity,
+        reserve1: liquidity
+      });
+    });
+
+    test('should reflect the pool price', () => {
+      // sqrtPrice of 2 means token1/token0 price of 4
+      const liquidity = BigInt('1000000');
+      const { reserve0, reserve1 } = getVirtualReserves(liquidity, Q96 * BigInt(2));
+      expect(reserve0).toBe(BigInt('500000'));
+      expect(reserve1).toBe(BigInt('2000000'));
+    });
+
+    test('should return zero reserves for empty pools', () => {
+      expect(getVirtualReserves(BigInt(0), Q96)).toEqual({
+        reserve0: BigInt(0),
+        reserve1: BigInt(0)
+      });
+      expect(getVirtualReserves(BigInt(100), BigInt(0))).toEqual({
+        reserve0: BigInt(0),
+        reserve1: BigInt(0)
+      });
+    });
+  });
+
+  describe('getRangeReserves()', () => {
+    const liquidity = BigInt('1000000000000000000');
+
+    test('should hold both tokens when the price is inside the range', () => {
+      const { amount0, amount1 } = getRangeReserves(liquidity, Q96, -60, 60);
+      expect(amount0).toBeGreaterThan(BigInt(0));
+      expect(amount1).toBeGreaterThan(BigInt(0));
+      // Symmetric range around price 1 holds roughly equal amounts
+      const diff = amount0 > amount1 ? amount0 - amount1 : amount1 - amount0;
+      expect(diff).toBeLessThan(BigInt(1000));
+    });
+
+    test('should hold only token0 when the price is below the range', () => {
+      const { amount0, amount1 } = getRangeReserves(liquidity, getSqrtRatioAtTick(-120), -60, 60);
+      expect(amount0).toBeGreaterThan(BigInt(0));
+      expect(amount1).toBe(BigInt(0));
+    });
+
+    test('should hold only token1 when the price is above the range', () => {
+      const { amount0, amount1 } = getRangeReserves(liquidity, getSqrtRatioAtTick(120), -60, 60);
+      expect(amount0).toBe(BigInt(0));
+      expect(amount1).toBeGreaterThan(BigInt(0));
+    });
+  });
+
+  describe('getNextSqrtPriceFromInput()', () => {
+    const liquidity = BigInt('1000000000000000000');
+    const amountIn = BigInt('1000000000000000');
+
+    test('should move the price down when selling token0', () => {
+      const next = getNextSqrtPriceFromInput(Q96, liquidity, amountIn, true);
+      expect(next).toBeLessThan(Q96);
+      // Matches constant product on virtual reserves: out = y * dx / (x + dx)
+      const out = getAmount1Delta(next, Q96, liquidity);
+      const expected = (liquidity * amountIn) / (liquidity + amountIn);
+      expect(expected - out).toBeLessThanOrEqual(BigInt(1));
+      expect(out).toBeLessThanOrEqual(expected);
+    });
+
+    test('should move the price up when selling token1', () => {
+      const next = getNextSqrtPriceFromInput(Q96, liquidity, amountIn, false);
+      expect(next).toBeGreaterThan(Q96);
+      const out = getAmount0Delta(Q96, next, liquidity);
+      const expected = (liquidity * amountIn) / (liquidity + amountIn);
+      expect(expected - out).toBeLessThanOrEqual(BigInt(1));
+      expect(out).toBeLessThanOrEqual(expected);
+    });
+
+    test('should not move the price for zero input', () => {
+      expect(getNextSqrtPriceFromInput(Q96, liquidity, BigInt(0), true)).toBe(Q96);
+    });
+  });
+
+  describe('getAmount0Delta() and getAmount1Delta()', () => {
+    test('should not depend on argument order', () => {
+      const liquidity = BigInt('1000000000000000000');
+      const lower = getSqrtRatioAtTick(-60);
+      const upper = getSqrtRatioAtTick(60);
+      expect(getAmount0Delta(lower, upper, liquidity)).toBe(getAmount0Delta(upper, lower, liquidity));
+      expect(getAmount1Delta(lower, upper, liquidity)).toBe(getAmount1Delta(upper, lower, liquidity));
+    });
+
+    test('should match range reserves at the range bounds', () => {
+      const liquidity = BigInt('1000000000000000000');
+      const { amount0, amount1 } = getRangeReserves(liquidity, Q96, -60, 60);
+      const amount0Delta = getAmount0Delta(Q96, getSqrtRatioAtTick(60), liquidity);
+      expect(amount0Delta - amount0).toBeLessThanOrEqual(BigInt(1));
+      expect(amount0 - amount0Delta).toBeLessThanOrEqual(BigInt(1));
+      expect(getAmount1Delta(getSqrtRatioAtTick(-60), Q96, liquidity)).toBe(amount1);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const { getChainTokenPricesUSD, getPoolTvlUSD, priceDexData } = require('../usd-pricing');
+
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const USDT = '0xdac17f958d2ee523a2206206994597c13d831ec7';
+const DAI = '0x6b175474e89094c44da98b954eedeac495271d0f';
+const XYZ = '0x1111111111111111111111111111111111111111';
+const ABC = '0x2222222222222222222222222222222222222222';
+const DEF = '0x3333333333333333333333333333333333333333';
+
+const E6 = BigInt(1000000);
+const E18 = BigInt('1000000000000000000');
+
+const tokens = [
+  { address: WETH, symbol: 'WETH', decimals: 18 },
+  { address: USDC, symbol: 'USDC', decimals: 6 },
+  { address: USDT, symbol: 'USDT', decimals: 6 },
+  { address: DAI, symbol: 'DAI', decimals: 18 },
+  { address: XYZ, symbol: 'XYZ', decimals: 18 },
+  { address: ABC, symbol: 'ABC', decimals: 18 },
+  { address: DEF, symbol: 'DEF', decimals: 18 }
+];
+
+const decimalsByAddress = new Map(tokens.map(token => [token.address, token.decimals]));
+
+function pool(id, token0, token1, reserve0, reserve1, overrides = {}) {
+  return {
+    id,
+    dexName: 'Uniswap V2',
+    chain: 'Ethereum',
+    token0,
+    token1,
+    reserve0,
+    reserve1,
+    fee: BigInt(3000),
+    ...overrides
+  };
+}
+
+// WETH quoted at $2000, ~$2041 and $2000 by deep pools, and at $100 by a shallow one
+const pools = [
+  pool('0xusdcweth', USDC, WETH, BigInt(2000000) * E6, BigInt(1000) * E18),
+  pool('0xusdtweth', USDT, WETH, BigInt(1000000) * E6, BigInt(490) * E18),
+  pool('0xdaiweth', DAI, WETH, BigInt(1000000) * E18, BigInt(500) * E18),
+  pool('0xshallow', USDC, WETH, BigInt(100) * E6, E18),
+  pool('0xwethxyz', WETH, XYZ, BigInt(100) * E18, BigInt(1000000) * E18),
+  pool('0xabcdef', ABC, DEF, E18, E18)
+];
+
+describe('USD Pricing', () => {
+  describe('getChainTokenPricesUSD()', () => {
+    const prices = getChainTokenPricesUSD(pools, 'Ethereum', decimalsByAddress);
+
+    test('should anchor stablecoins at $1', () => {
+      expect(prices.get(USDC)).toBe(1);
+      expect(prices.get(DAI)).toBe(1);
+    });
+
+    test('should take the median across deep pools and ignore shallow ones', () => {
+      expect(prices.get(WETH)).toBeCloseTo(2000, 6);
+    });
+
+    test('should price tokens several hops from a stablecoin', () => {
+      // 100 WETH for 1,000,000 XYZ at $2000 per WETH
+      expect(prices.get(XYZ)).toBeCloseTo(0.2, 9);
+    });
+
+    test('should leave unreachable tokens unpriced', () => {
+      expect(prices.has(ABC)).toBe(false);
+    });
+
+    test('should stop after maxHops', () => {
+      const oneHop = getChainTokenPricesUSD(pools, 'Ethereum', decimalsByAddress, { maxHops: 1 });
+      expect(oneHop.has(WETH)).toBe(true);
+      expect(oneHop.has(XYZ)).toBe(false);
+    });
+
+    test('should honour minLiquidityUsd', () => {
+      const strict = getChainTokenPricesUSD(pools, 'Ethereum', decimalsByAddress, { minLiquidityUsd: 1500000 });
+      expect(strict.get(WETH)).toBeCloseTo(2000, 6);
+      expect(strict.has(XYZ)).toBe(false);
+    });
+
+    test('should only use the stablecoins of the pool chain', () => {
+      const polygonPools = pools.map(entry => ({ ...entry, chain: 'Polygon' }));
+      const polygonPrices = getChainTokenPricesUSD(polygonPools, 'Polygon', decimalsByAddress);
+      expect(polygonPrices.has(WETH)).toBe(false);
+    });
+  });
+
+  describe('getPoolTvlUSD()', () => {
+    const prices = new Map([[USDC, 1], [WETH, 2000]]);
+
+    test('should sum the value of every priced token', () => {
+      expect(getPoolTvlUSD(pools[0], prices, decimalsByAddress)).toBeCloseTo(4000000, 6);
+    });
+
+    test('should use locked totals for concentrated pools', () => {
+      const v3Pool = pool('0xv3', USDC, WETH, BigInt(1) * E6, BigInt(1) * E18, {
+        sqrtPriceX96: BigInt(1),
+        totalValueLocked0: BigInt(500000) * E6,
+        totalValueLocked1: BigInt(250) * E18
+      });
+      expect(getPoolTvlUSD(v3Pool, prices, decimalsByAddress)).toBeCloseTo(1000000, 6);
+    });
+
+    test('should value N-token pools with their own decimals', () => {
+      const curvePool = {
+        ...pool('0xcurve', DAI, USDC, BigInt(0), BigInt(0)),
+        tokens: [DAI, USDC, USDT],
+        balances: [BigInt(100) * E18, BigInt(200) * E6, BigInt(300) * E6],
+        tokenDecimals: [18, 6, 6],
+        amplification: BigInt(100)
+      };
+      const stablePrices = new Map([[DAI, 1], [USDC, 1], [USDT, 1]]);
+      expect(getPoolTvlUSD(curvePool, stablePrices, decimalsByAddress)).toBeCloseTo(600, 9);
+    });
+
+    test('should return null when no token is priced', () => {
+      expect(getPoolTvlUSD(pools[5], prices, decimalsByAddress)).toBeNull();
+    });
+  });
+
+  describe('priceDexData()', () => {
+    const priced = priceDexData({ tokens, pools });
+
+    test('should attach priceUSD to tokens', () => {
+      const byAddress = Object.fromEntries(priced.tokens.map(token => [token.address, token]));
+      expect(byAddress[WETH].priceUSD).toBeCloseTo(2000, 6);
+      expect(byAddress[USDC]).toMatchObject({ symbol: 'USDC', priceUSD: 1 });
+      expect(byAddress[ABC].priceUSD).toBeNull();
+    });
+
+    test('should attach tvlUSD to pools without mutating the input', () => {
+      expect(priced.pools[0].tvlUSD).toBeCloseTo(4000000, 6);
+      expect(priced.pools[5].tvlUSD).toBeNull();
+      expect(pools[0].tvlUSD).toBeUndefined();
+      expect(tokens[0].priceUSD).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const {
+  ONE,
+  lnFixed,
+  expFixed,
+  powFixed,
+  getAmountOutWeighted,
+  getWeightedSpotPrice
+} = require('../weighted-math');
+
+const E18 = BigInt('1000000000000000000');
+
+/**
+ * Relative difference of a fixed-point value from a float
+ * @param {bigint} value - 18-decimal fixed-point value
+ * @param {number} expected - Expected value
+ * @returns {number} - |value - expected| / expected
+ */
+function relativeError(value, expected) {
+  return Math.abs(Number(value) / 1e18 - expected) / expected;
+}
+
+describe('Weighted Math', () => {
+  describe('lnFixed() and expFixed()', () => {
+    test('should match known values', () => {
+      expect(lnFixed(ONE)).toBe(BigInt(0));
+      expect(relativeError(lnFixed(BigInt(2) * ONE), Math.LN2)).toBeLessThan(1e-15);
+      expect(relativeError(expFixed(ONE), Math.E)).toBeLessThan(1e-15);
+      expect(relativeError(expFixed(-ONE), 1 / Math.E)).toBeLessThan(1e-15);
+    });
+
+    test('should handle values below one', () => {
+      expect(relativeError(-lnFixed(ONE / BigInt(10)), Math.log(10))).toBeLessThan(1e-15);
+    });
+  });
+
+  describe('powFixed()', () => {
+    test('should match Math.pow for fractional exponents', () => {
+      expect(relativeError(powFixed((ONE * BigInt(9)) / BigInt(10), ONE / BigInt(4)), Math.pow(0.9, 0.25))).toBeLessThan(1e-15);
+      expect(relativeError(powFixed(ONE / BigInt(2), BigInt(4) * ONE), 0.0625)).toBeLessThan(1e-15);
+    });
+
+    test('should return the base for an exponent of one', () => {
+      expect(powFixed(BigInt(123456789), ONE)).toBe(BigInt(123456789));
+    });
+  });
+
+  describe('getAmountOutWeighted()', () => {
+    const balance = BigInt(1000000) * E18;
+    const half = ONE / BigInt(2);
+
+    test('should match constant product for equal weights', () => {
+      const amountIn = BigInt(1000) * E18;
+      // x * y = k: out = balance * amountIn / (balance + amountIn)
+      const expected = (balance * amountIn) / (balance + amountIn);
+      const out = getAmountOutWeighted(balance, half, balance, half, amountIn);
+      const diff = out > expected ? out - expected : expected - out;
+      expect(diff).toBeLessThan(BigInt(1000000));
+    });
+
+    test('should follow the weighted formula for an 80/20 pool', () => {
+      const amountIn = BigInt(1000) * E18;
+      const out = getAmountOutWeighted(balance, (ONE * BigInt(8)) / BigInt(10), balance, (ONE * BigInt(2)) / BigInt(10), amountIn);
+      expect(relativeError(out, 1e24 * (1 - Math.pow(1e24 / (1e24 + 1e21), 4)) / 1e18)).toBeLessThan(1e-9);
+    });
+
+    test('should reject inputs above 30% of the balance', () => {
+      expect(getAmountOutWeighted(balance, half, balance, half, (balance * BigInt(31)) / BigInt(100))).toBe(BigInt(0));
+    });
+
+    test('should return 0 for empty input or pools', () => {
+      expect(getAmountOutWeighted(balance, half, balance, half, BigInt(0))).toBe(BigInt(0));
+      expect(getAmountOutWeighted(BigInt(0), half, balance, half, E18)).toBe(BigInt(0));
+    });
+  });
+
+  describe('getWeightedSpotPrice()', () => {
+    test('should scale the balance ratio by the weights', () => {
+      const price = getWeightedSpotPrice(BigInt(4000), (ONE * BigInt(8)) / BigInt(10), BigInt(1000), (ONE * BigInt(2)) / BigInt(10));
+      // (1000 / 0.2) / (4000 / 0.8) = 1
+      expect(price).toBeCloseTo(1, 12);
+    });
+
+    test('should return 0 for empty pools', () => {
+      expect(getWeightedSpotPrice(BigInt(0), ONE, BigInt(1000), ONE)).toBe(0);
+    });
+  });
+});
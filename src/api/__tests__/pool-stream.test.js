@@ -0,0 +1,263 @@
+const http = require('http');
+const WebSocket = require('ws');
+const {
+  POOL_EVENT_TYPES,
+  getStreamFilters,
+  createPoolStream,
+  attachPoolStreamWebSocket
+} = require('../pool-stream');
+const { createSnapshotCache } = require('../snapshot-cache');
+
+const tokens = [
+  { address: '0xtoken0', symbol: 'TOKEN0', decimals: 18 },
+  { address: '0xtoken1', symbol: 'TOKEN1', decimals: 18 }
+];
+
+function pool(id, chain, reserve0) {
+  return {
+    id,
+    dexName: 'SushiSwap',
+    chain,
+    token0: '0xtoken0',
+    token1: '0xtoken1',
+    reserve0: BigInt(reserve0),
+    reserve1: BigInt('1000'),
+    fee: BigInt(3000)
+  };
+}
+
+/**
+ * Snapshot cache stand-in that returns a new snapshot, with the given pool lists in order, on every get()
+ */
+function createFakeCache(poolLists) {
+  let id = 0;
+  return {
+    get: jest.fn(async () => {
+      const pools = poolLists[Math.min(id, poolLists.length - 1)];
+      id++;
+      return { id, fetchedAt: id * 1000, data: { tokens, pools } };
+    })
+  };
+}
+
+describe('Pool Stream', () => {
+  describe('getStreamFilters()', () => {
+    test('should keep only the pool filter parameters', () => {
+      expect(getStreamFilters({ network: 'polygon', pool: '0xa', page: '2', limit: '10', protocol: '' }))
+        .toEqual({ network: 'polygon', pool: '0xa' });
+    });
+  });
+
+  describe('createPoolStream()', () => {
+    const poolLists = [
+      [pool('0xeth', 'Ethereum', '1000'), pool('0xgone', 'Ethereum', '1000')],
+      [pool('0xeth', 'Ethereum', '1100'), pool('0xnew', 'Polygon', '1000')]
+    ];
+
+    test('should publish added, removed and updated pools after the first refresh', async () => {
+      const stream = createPoolStream({ snapshotCache: createFakeCache(poolLists) });
+      const events = [];
+      stream.subscribe({}, event => events.push(event));
+
+      await stream.poll();
+      expect(events).toEqual([]);
+
+      await stream.poll();
+      expect(events.map(event => [event.type, event.pool.id])).toEqual([
+        [POOL_EVENT_TYPES.ADDED, '0xnew'],
+        [POOL_EVENT_TYPES.REMOVED, '0xgone'],
+        [POOL_EVENT_TYPES.UPDATED, '0xeth']
+      ]);
+
+      const updated = events[2];
+      expect(updated.snapshot).toEqual({ id: 2, fetchedAt: new Date(2000).toISOString() });
+      expect(updated.pool.reserve0).toBe('1100');
+      expect(updated.changes).toMatchObject({ reserve0Delta: '100', reserve1Delta: '0', feeChanged: false });
+    });
+
+    test('should only send events matching the subscriber filters', async () => {
+      const stream = createPoolStream({ snapshotCache: createFakeCache(poolLists) });
+      const polygon = [];
+      const single = [];
+      stream.subscribe({ network: 'polygon' }, event => polygon.push(event));
+      stream.subscribe({ pool: '0xETH' }, event => single.push(event));
+
+      await stream.poll();
+      await stream.poll();
+
+      expect(polygon.map(event => event.pool.id)).toEqual(['0xnew']);
+      expect(single.map(event => event.type)).toEqual([POOL_EVENT_TYPES.UPDATED]);
+    });
+
+    test('should stop sending after unsubscribe', async () => {
+      const stream = createPoolStream({ snapshotCache: createFakeCache(poolLists) });
+      const send = jest.fn();
+      const unsubscribe = stream.subscribe({}, send);
+
+      await stream.poll();
+      unsubscribe();
+      await stream.poll();
+
+      expect(send).not.toHaveBeenCalled();
+      expect(stream.getSubscriberCount()).toBe(0);
+    });
+
+    test('should log refresh errors and keep running', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const snapshotCache = createFakeCache(poolLists);
+      snapshotCache.get.mockRejectedValueOnce(new Error('Network error'));
+      const stream = createPoolStream({ snapshotCache });
+
+      await stream.poll();
+      await stream.poll();
+
+      expect(consoleSpy).toHaveBeenCalledWith('Error refreshing pool stream:', expect.any(Error));
+      expect(snapshotCache.get).toHaveBeenCalledTimes(2);
+      consoleSpy.mockRestore();
+    });
+
+    test('should poll on an interval once started', async () => {
+      jest.useFakeTimers();
+      const snapshotCache = createFakeCache(poolLists);
+      const stream = createPoolStream({ snapshotCache, intervalMs: 1000 });
+      stream.subscribe({}, () => {});
+
+      stream.start();
+      await jest.advanceTimersByTimeAsync(2500);
+      stream.stop();
+      await jest.advanceTimersByTimeAsync(2000);
+
+      expect(snapshotCache.get).toHaveBeenCalledTimes(3);
+      jest.useRealTimers();
+    });
+
+    test('should only poll while there are subscribers', async () => {
+      jest.useFakeTimers();
+      const snapshotCache = createFakeCache(poolLists);
+      const stream = createPoolStream({ snapshotCache, intervalMs: 1000 });
+
+      stream.start();
+      await jest.advanceTimersByTimeAsync(2500);
+      expect(snapshotCache.get).not.toHaveBeenCalled();
+
+      const unsubscribe = stream.subscribe({}, () => {});
+      await jest.advanceTimersByTimeAsync(1500);
+      expect(snapshotCache.get).toHaveBeenCalledTimes(2);
+
+      unsubscribe();
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(snapshotCache.get).toHaveBeenCalledTimes(2);
+
+      stream.stop();
+      jest.useRealTimers();
+    });
+
+    test('should not re-fetch before the cached snapshot expires', async () => {
+      let clock = 0;
+      const fetchSnapshot = jest.fn(async () => ({ tokens, pools: poolLists[0] }));
+      const snapshotCache = createSnapshotCache(fetchSnapshot, { ttlMs: 60000, staleMs: 0, now: () => clock });
+      const stream = createPoolStream({ snapshotCache });
+      stream.subscribe({}, () => {});
+
+      await stream.poll();
+      clock = 15000;
+      await stream.poll();
+      expect(fetchSnapshot).toHaveBeenCalledTimes(1);
+
+      clock = 60000;
+      await stream.poll();
+      expect(fetchSnapshot).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('attachPoolStreamWebSocket()', () => {
+    let server;
+    let stream;
+    let url;
+
+    beforeEach(async () => {
+      stream = createPoolStream({
+        snapshotCache: createFakeCache([
+          [pool('0xeth', 'Ethereum', '1000')],
+          [pool('0xeth', 'Ethereum', '1100'), pool('0xnew', 'Polygon', '1000')]
+        ])
+      });
+      server = http.createServer();
+      attachPoolStreamWebSocket(server, stream);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `ws://127.0.0.1:${server.address().port}/v1/evm/pools/ws`;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    /**
+     * Open a socket and collect its JSON messages
+     */
+    async function connect(query = '') {
+      const socket = new WebSocket(`${url}${query}`);
+      const messages = [];
+      const waiters = [];
+      socket.on('message', (data) => {
+        messages.push(JSON.parse(data.toString()));
+        waiters.splice(0).forEach(resolve => resolve());
+      });
+      const next = async (count) => {
+        while (messages.length < count) {
+          await new Promise(resolve => waiters.push(resolve));
+        }
+        return messages;
+      };
+      await next(1);
+      return { socket, messages, next };
+    }
+
+    test('should push matching events to subscribers', async () => {
+      const { socket, messages, next } = await connect('?network=polygon');
+      expect(messages[0]).toEqual({ type: 'subscribed', filters: { network: 'polygon' } });
+
+      await stream.poll();
+      await stream.poll();
+      await next(2);
+
+      expect(messages[1]).toMatchObject({ type: POOL_EVENT_TYPES.ADDED, pool: { id: '0xnew', network: 'Polygon' } });
+      socket.close();
+    });
+
+    test('should replace filters on subscribe messages', async () => {
+      const { socket, messages, next } = await connect('?network=polygon');
+
+      socket.send(JSON.stringify({ type: 'subscribe', filters: { pool: '0xeth' } }));
+      await next(2);
+      expect(messages[1]).toEqual({ type: 'subscribed', filters: { pool: '0xeth' } });
+
+      await stream.poll();
+      await stream.poll();
+      await next(3);
+
+      expect(messages[2]).toMatchObject({ type: POOL_EVENT_TYPES.UPDATED, pool: { id: '0xeth' } });
+      socket.close();
+    });
+
+    test('should reject invalid filters', async () => {
+      const { socket, messages } = await connect('?network=invalid');
+      const closed = new Promise(resolve => socket.on('close', resolve));
+
+      expect(messages[0].type).toBe('error');
+      expect(messages[0].error).toContain('Invalid network parameter');
+      await closed;
+    });
+
+    test('should unsubscribe when the socket closes', async () => {
+      const { socket } = await connect();
+      expect(stream.getSubscriberCount()).toBe(1);
+
+      socket.close();
+      while (stream.getSubscriberCount() > 0) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      expect(stream.getSubscriberCount()).toBe(0);
+    });
+  });
+});
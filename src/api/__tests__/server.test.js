@@ -64,7 +64,8 @@ describe('API Server - /v1/evm/pools endpoint', () => {
   ];
 
   beforeEach(() => {
-    // Reset mock before each test
+    // Reset mock and cached snapshot before each test
+    app.locals.snapshotCache.invalidate();
     fetchAllDexData.mockReset();
     fetchAllDexData.mockResolvedValue({
       tokens: mockTokens,
@@ -179,6 +180,71 @@ describe('API Server - /v1/evm/pools endpoint', () => {
       expect(response.status).toBe(400);
       expect(response.body).toHaveProperty('error');
     });
+
+    describe('sources without a subgraph URL', () => {
+      const originalEnv = { ...process.env };
+
+      afterEach(() => {
+        process.env = { ...originalEnv };
+      });
+
+      test('should report a network whose source has no URL configured', async () => {
+        delete process.env.UNISWAP_V3_UNICHAIN_SUBGRAPH_URL;
+        const response = await request(app).get('/v1/evm/pools?network=unichain');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual([]);
+        expect(response.body.missingSources).toEqual([{
+          source: 'uniswapV3Unichain',
+          protocol: 'Uniswap V3',
+          dex: 'uniswap_v3',
+          network: 'unichain',
+          envVar: 'UNISWAP_V3_UNICHAIN_SUBGRAPH_URL'
+        }]);
+      });
+
+      test('should stop reporting a source once its URL is set', async () => {
+        process.env.UNISWAP_V3_UNICHAIN_SUBGRAPH_URL = 'https://unichain.example.com';
+        const response = await request(app).get('/v1/evm/pools?network=unichain');
+
+        expect(response.status).toBe(200);
+        expect(response.body.missingSources).toEqual([]);
+      });
+
+      test('should report sources on chains without a network id', async () => {
+        const { registerAdapter, unregisterAdapter, createUniswapV2Adapter } = require('../../dex-adapters');
+        registerAdapter(createUniswapV2Adapter({
+          name: 'spookyswap',
+          dexName: 'SpookySwap',
+          chain: 'Fantom',
+          subgraphUrl: '',
+          urlEnvVar: 'SPOOKYSWAP_SUBGRAPH_URL'
+        }));
+        try {
+          const response = await request(app).get('/v1/evm/pools');
+
+          expect(response.status).toBe(200);
+          expect(response.body.missingSources).toContainEqual({
+            source: 'spookyswap',
+            protocol: 'SpookySwap',
+            dex: 'spookyswap',
+            network: null,
+            envVar: 'SPOOKYSWAP_SUBGRAPH_URL'
+          });
+        } finally {
+          unregisterAdapter('spookyswap');
+        }
+      });
+
+      test('should only report sources of the requested network', async () => {
+        delete process.env.CURVE_POLYGON_SUBGRAPH_URL;
+        const mainnet = await request(app).get('/v1/evm/pools?network=mainnet');
+        const polygon = await request(app).get('/v1/evm/pools?network=polygon');
+
+        expect(mainnet.body.missingSources).toEqual([]);
+        expect(polygon.body.missingSources.map(source => source.envVar)).toEqual(['CURVE_POLYGON_SUBGRAPH_URL']);
+      });
+    });
   });
 
   describe('GET /v1/evm/pools - Protocol filtering', () => {
@@ -198,6 +264,36 @@ describe('API Server - /v1/evm/pools endpoint', () => {
       expect(response.status).toBe(400);
       expect(response.body).toHaveProperty('error');
     });
+
+    test('should filter by DEX id', async () => {
+      const response = await request(app).get('/v1/evm/pools?protocol=sushiswap');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(pool => pool.id)).toEqual(['0xpool3']);
+      expect(response.body.data[0]).toMatchObject({
+        protocol: 'SushiSwap',
+        dex: 'sushiswap',
+        protocolFamily: 'v2-constant-product'
+      });
+    });
+
+    test('should filter by protocol family', async () => {
+      const response = await request(app).get('/v1/evm/pools?protocol=v2-constant-product');
+
+      expect(response.status).toBe(200);
+      // Pools without sqrtPriceX96 are classified as constant product
+      expect(response.body.data.length).toBe(4);
+
+      const concentrated = await request(app).get('/v1/evm/pools?protocol=v3-concentrated');
+      expect(concentrated.body.data).toEqual([]);
+    });
+
+    test('should list DEX ids and families in the protocol error', async () => {
+      const response = await request(app).get('/v1/evm/pools?protocol=invalid');
+
+      expect(response.body.error).toContain('quickswap');
+      expect(response.body.error).toContain('v3-concentrated');
+    });
   });
 
   describe('GET /v1/evm/pools - Token filtering', () => {
@@ -321,4 +417,869 @@ describe('API Server - /v1/evm/pools endpoint', () => {
       expect(pool.token1.decimals).toBe(18);
     });
   });
+
+  describe('GET /v1/evm/pools - USD value', () => {
+    const tvls = [250000, 1200000, null, 40000];
+
+    beforeEach(() => {
+      fetchAllDexData.mockResolvedValue({
+        tokens: mockTokens.map((token, index) => ({ ...token, priceUSD: index === 2 ? null : index + 1 })),
+        pools: mockPools.map((pool, index) => ({ ...pool, tvlUSD: tvls[index] }))
+      });
+    });
+
+    test('should include token prices and pool TVL', async () => {
+      const response = await request(app).get('/v1/evm/pools?pool=0xpool1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0].tvlUSD).toBe(250000);
+      expect(response.body.data[0].token0.priceUSD).toBe(1);
+      expect(response.body.data[0].token1.priceUSD).toBe(2);
+    });
+
+    test('should filter by min_tvl_usd', async () => {
+      const response = await request(app).get('/v1/evm/pools?min_tvl_usd=100000');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(pool => pool.id)).toEqual(['0xpool1', '0xpool2']);
+    });
+
+    test('should sort by TVL with unpriced pools last', async () => {
+      const response = await request(app).get('/v1/evm/pools?sort=tvl_usd');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(pool => pool.id)).toEqual(['0xpool2', '0xpool1', '0xpool4', '0xpool3']);
+    });
+
+    test('should return 400 for invalid min_tvl_usd or sort', async () => {
+      const negative = await request(app).get('/v1/evm/pools?min_tvl_usd=-1');
+      expect(negative.status).toBe(400);
+      expect(negative.body.error).toContain('min_tvl_usd');
+
+      const sort = await request(app).get('/v1/evm/pools?sort=volume');
+      expect(sort.status).toBe(400);
+      expect(sort.body.error).toBe('Invalid sort parameter. Accepted values: tvl_usd');
+    });
+  });
+
+  describe('GET /v1/evm/pools - Token safety flags', () => {
+    beforeEach(() => {
+      fetchAllDexData.mockResolvedValue({
+        tokens: mockTokens.map((token, index) => ({
+          ...token,
+          safetyFlags: index === 2 ? ['fee-on-transfer', 'blacklistable'] : []
+        })),
+        pools: mockPools
+      });
+    });
+
+    test('should include the safety flags of each token', async () => {
+      const response = await request(app).get('/v1/evm/pools?pool=0xpool2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data[0].token0.safetyFlags).toEqual([]);
+      expect(response.body.data[0].token1.safetyFlags).toEqual(['fee-on-transfer', 'blacklistable']);
+    });
+
+    test('should exclude pools holding flagged tokens', async () => {
+      const response = await request(app).get('/v1/evm/pools?exclude_flags=fee-on-transfer,rebasing');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.map(pool => pool.id)).toEqual(['0xpool1', '0xpool4']);
+    });
+
+    test('should return 400 for unknown flags', async () => {
+      const response = await request(app).get('/v1/evm/pools?exclude_flags=honeypot');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid exclude_flags parameter. Accepted values: fee-on-transfer, rebasing, blacklistable, suspicious');
+    });
+  });
+
+  describe('GET /v1/evm/pools - Snapshot caching', () => {
+    test('should reuse the cached snapshot across requests', async () => {
+      const first = await request(app).get('/v1/evm/pools?limit=2');
+      const second = await request(app).get('/v1/evm/pools?limit=2&page=2');
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(200);
+      expect(fetchAllDexData).toHaveBeenCalledTimes(1);
+      expect(second.body.snapshot.id).toBe(first.body.snapshot.id);
+    });
+
+    test('should share a single fetch between concurrent requests', async () => {
+      const responses = await Promise.all([
+        request(app).get('/v1/evm/pools'),
+        request(app).get('/v1/evm/pools?network=polygon'),
+        request(app).get('/v1/evm/pools?protocol=uniswap_v3')
+      ]);
+
+      responses.forEach(response => expect(response.status).toBe(200));
+      expect(fetchAllDexData).toHaveBeenCalledTimes(1);
+    });
+
+    test('should include snapshot metadata in the response', async () => {
+      const response = await request(app).get('/v1/evm/pools');
+
+      expect(response.status).toBe(200);
+      expect(typeof response.body.snapshot.id).toBe('number');
+      expect(new Date(response.body.snapshot.fetchedAt).toISOString())
+        .toBe(response.body.snapshot.fetchedAt);
+    });
+  });
+});
+
+describe('API Server - /v1/evm/opportunities endpoint', () => {
+  const mockTokens = [
+    { address: '0xtoken0', symbol: 'TOKEN0', decimals: 18 },
+    { address: '0xtoken1', symbol: 'TOKEN1', decimals: 18 },
+    { address: '0xtoken2', symbol: 'TOKEN2', decimals: 6 }
+  ];
+
+  // TOKEN0 → TOKEN1 → TOKEN2 → TOKEN0 returns twice the input at mid-prices
+  const mockPools = [
+    { id: '0xpool1', dexName: 'Uniswap V3', chain: 'Ethereum', token0: '0xtoken0', token1: '0xtoken1', reserve0: BigInt('1000000000000000000'), reserve1: BigInt('2000000000000000000'), fee: BigInt('3000') },
+    { id: '0xpool2', dexName: 'Uniswap V3', chain: 'Ethereum', token0: '0xtoken1', token1: '0xtoken2', reserve0: BigInt('5000000000000000000'), reserve1: BigInt('10000000'), fee: BigInt('500') },
+    { id: '0xpool3', dexName: 'SushiSwap', chain: 'Ethereum', token0: '0xtoken0', token1: '0xtoken2', reserve0: BigInt('3000000000000000000'), reserve1: BigInt('6000000'), fee: BigInt('3000') },
+    { id: '0xpool4', dexName: 'QuickSwap', chain: 'Polygon', token0: '0xtoken0', token1: '0xtoken1', reserve0: BigInt('1000000000000000000'), reserve1: BigInt('2000000000000000000'), fee: BigInt('3000') },
+    { id: '0xpool5', dexName: 'SushiSwap', chain: 'Polygon', token0: '0xtoken0', token1: '0xtoken1', reserve0: BigInt('1000000000000000000'), reserve1: BigInt('2100000000000000000'), fee: BigInt('3000') }
+  ];
+
+  beforeEach(() => {
+    app.locals.snapshotCache.invalidate();
+    fetchAllDexData.mockReset();
+    fetchAllDexData.mockResolvedValue({
+      tokens: mockTokens,
+      pools: mockPools
+    });
+  });
+
+  test('should return opportunities ranked by fee-adjusted spread', async () => {
+    const response = await request(app).get('/v1/evm/opportunities');
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(2);
+    expect(response.body.data.map(o => o.type)).toEqual(['triangular', 'two-pool']);
+    expect(response.body.data[0].netSpreadBps).toBeGreaterThan(response.body.data[1].netSpreadBps);
+    expect(response.body).toHaveProperty('snapshot');
+  });
+
+  test('should format hops with string fees', async () => {
+    const response = await request(app).get('/v1/evm/opportunities?network=polygon');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.length).toBe(1);
+
+    const opportunity = response.body.data[0];
+    expect(opportunity.network).toBe('Polygon');
+    expect(opportunity.symbols).toEqual(['TOKEN0', 'TOKEN1', 'TOKEN0']);
+    expect(opportunity.hops.map(hop => hop.pool)).toEqual(['0xpool5', '0xpool4']);
+    expect(opportunity.hops[0]).toMatchObject({ protocol: 'SushiSwap', fee: '3000' });
+  });
+
+  test('should filter by type and minimum spread', async () => {
+    const twoPool = await request(app).get('/v1/evm/opportunities?type=two-pool');
+    expect(twoPool.body.data.map(o => o.type)).toEqual(['two-pool']);
+
+    const triangular = await request(app).get('/v1/evm/opportunities?type=triangular');
+    expect(triangular.body.data.map(o => o.type)).toEqual(['triangular']);
+    expect(triangular.body.total).toBe(1);
+
+    const wide = await request(app).get('/v1/evm/opportunities?min_spread_bps=1000');
+    expect(wide.body.data.map(o => o.type)).toEqual(['triangular']);
+  });
+
+  test('should skip pools holding tokens with excluded safety flags', async () => {
+    fetchAllDexData.mockResolvedValue({
+      tokens: mockTokens.map(token => ({ ...token, safetyFlags: token.address === '0xtoken2' ? ['rebasing'] : [] })),
+      pools: mockPools
+    });
+
+    const response = await request(app).get('/v1/evm/opportunities?exclude_flags=rebasing');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map(o => o.type)).toEqual(['two-pool']);
+    expect(response.body.data[0].network).toBe('Polygon');
+
+    const invalid = await request(app).get('/v1/evm/opportunities?exclude_flags=honeypot');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toContain('exclude_flags');
+  });
+
+  test('should respect the limit parameter', async () => {
+    const response = await request(app).get('/v1/evm/opportunities?limit=1');
+
+    expect(response.body.data.length).toBe(1);
+    expect(response.body.total).toBe(2);
+  });
+
+  test('should return 400 for invalid parameters', async () => {
+    expect((await request(app).get('/v1/evm/opportunities?limit=0')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/opportunities?min_spread_bps=abc')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/opportunities?network=invalid')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/opportunities?type=invalid')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/opportunities?network=mainnet&network=polygon')).status).toBe(400);
+  });
+});
+
+describe('API Server - /v1/evm/assets/prices endpoint', () => {
+  const ETHEREUM_WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+  const ETHEREUM_USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+  const POLYGON_WETH = '0x7ceb23fd6bc0add59e62ac25578270cff1b9f619';
+  const POLYGON_USDC = '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359';
+
+  const mockTokens = [
+    { address: ETHEREUM_WETH, symbol: 'WETH', decimals: 18 },
+    { address: ETHEREUM_USDC, symbol: 'USDC', decimals: 6 },
+    { address: POLYGON_WETH, symbol: 'WETH', decimals: 18 },
+    { address: POLYGON_USDC, symbol: 'USDC', decimals: 6 }
+  ];
+
+  // WETH at $2000 on Ethereum and $1990 on Polygon
+  const mockPools = [
+    { id: '0xpool1', dexName: 'Uniswap V2', chain: 'Ethereum', token0: ETHEREUM_USDC, token1: ETHEREUM_WETH, reserve0: BigInt('2000000000000'), reserve1: BigInt('1000000000000000000000'), fee: BigInt('3000') },
+    { id: '0xpool2', dexName: 'QuickSwap', chain: 'Polygon', token0: POLYGON_USDC, token1: POLYGON_WETH, reserve0: BigInt('1990000000000'), reserve1: BigInt('1000000000000000000000'), fee: BigInt('3000') }
+  ];
+
+  beforeEach(() => {
+    app.locals.snapshotCache.invalidate();
+    fetchAllDexData.mockReset();
+    fetchAllDexData.mockResolvedValue({
+      tokens: mockTokens,
+      pools: mockPools
+    });
+  });
+
+  test('should compare the price of each canonical asset across chains', async () => {
+    const response = await request(app).get('/v1/evm/assets/prices');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map(comparison => comparison.asset)).toEqual(['ETH', 'BTC', 'USDC', 'USDT', 'DAI']);
+    expect(response.body).toHaveProperty('snapshot');
+
+    const eth = response.body.data[0];
+    expect(eth.medianPriceUSD).toBeCloseTo(1995, 6);
+    expect(eth.spreadBps).toBeCloseTo((2000 / 1990 - 1) * 10000, 6);
+    const polygon = eth.prices.find(price => price.network === 'polygon');
+    expect(polygon).toMatchObject({ chainId: 137, address: POLYGON_WETH, symbol: 'WETH' });
+    expect(polygon.priceUSD).toBeCloseTo(1990, 6);
+  });
+
+  test('should filter by asset and minimum spread', async () => {
+    const eth = await request(app).get('/v1/evm/assets/prices?asset=eth');
+    expect(eth.body.data.map(comparison => comparison.asset)).toEqual(['ETH']);
+
+    const wide = await request(app).get('/v1/evm/assets/prices?min_spread_bps=10');
+    expect(wide.body.data.map(comparison => comparison.asset)).toEqual(['ETH']);
+
+    const wider = await request(app).get('/v1/evm/assets/prices?min_spread_bps=100');
+    expect(wider.body.data).toEqual([]);
+  });
+
+  test('should return 400 for invalid parameters', async () => {
+    const asset = await request(app).get('/v1/evm/assets/prices?asset=SOL');
+    expect(asset.status).toBe(400);
+    expect(asset.body.error).toBe('Invalid asset parameter. Accepted values: ETH, BTC, USDC, USDT, DAI');
+
+    const repeated = await request(app).get('/v1/evm/assets/prices?asset=ETH&asset=BTC');
+    expect(repeated.status).toBe(400);
+    expect(repeated.body.error).toBe('Invalid asset parameter. Accepted values: ETH, BTC, USDC, USDT, DAI');
+
+    expect((await request(app).get('/v1/evm/assets/prices?min_spread_bps=abc')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/assets/prices?min_spread_bps=-1')).status).toBe(400);
+  });
+});
+
+describe('API Server - /v1/evm/quote endpoint', () => {
+  const mockTokens = [
+    { address: '0xtoken0', symbol: 'TOKEN0', decimals: 18 },
+    { address: '0xtoken1', symbol: 'TOKEN1', decimals: 6 }
+  ];
+
+  const mockPools = [
+    { id: '0xshallow', dexName: 'SushiSwap', chain: 'Ethereum', token0: '0xtoken0', token1: '0xtoken1', reserve0: BigInt('10000000000000000000'), reserve1: BigInt('20000000000'), fee: BigInt('3000') },
+    { id: '0xdeep', dexName: 'Uniswap V2', chain: 'Ethereum', token0: '0xtoken0', token1: '0xtoken1', reserve0: BigInt('1000000000000000000000'), reserve1: BigInt('2000000000000'), fee: BigInt('3000') },
+    { id: '0xpolygon', dexName: 'QuickSwap', chain: 'Polygon', token0: '0xtoken0', token1: '0xtoken1', reserve0: BigInt('1000000000000000000000'), reserve1: BigInt('2000000000000'), fee: BigInt('3000') },
+    { id: '0xempty', dexName: 'QuickSwap', chain: 'Polygon', token0: '0xtoken0', token1: '0xtoken1', reserve0: BigInt('0'), reserve1: BigInt('0'), fee: BigInt('3000') }
+  ];
+
+  beforeEach(() => {
+    app.locals.snapshotCache.invalidate();
+    fetchAllDexData.mockReset();
+    fetchAllDexData.mockResolvedValue({
+      tokens: mockTokens,
+      pools: mockPools
+    });
+  });
+
+  test('should quote every pool for the pair and pick the best', async () => {
+    const response = await request(app)
+      .get('/v1/evm/quote?input_token=0xtoken0&output_token=0xtoken1&amount_in=1000000000000000000&network=mainnet');
+
+    expect(response.status).toBe(200);
+    const { data } = response.body;
+    expect(data.inputToken).toEqual({ address: '0xtoken0', symbol: 'TOKEN0', decimals: 18 });
+    expect(data.outputToken.symbol).toBe('TOKEN1');
+    expect(data.amountIn).toBe('1000000000000000000');
+    expect(data.quotes.map(quote => quote.pool)).toEqual(['0xdeep', '0xshallow']);
+    expect(data.bestPool).toBe('0xdeep');
+    // 1e18 * 997 * 2e12 / (1e21 * 1000 + 1e18 * 997)
+    expect(data.amountOut).toBe('1992013962');
+    expect(data.quotes[0].amountOut).toBe('1992013962');
+    expect(data.quotes[0].priceImpactBps).toBeLessThan(data.quotes[1].priceImpactBps);
+    expect(response.body).toHaveProperty('snapshot');
+  });
+
+  test('should quote the reverse direction', async () => {
+    const response = await request(app)
+      .get('/v1/evm/quote?input_token=0xtoken1&output_token=0xtoken0&amount_in=2000000&network=mainnet');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.bestPool).toBe('0xdeep');
+    expect(BigInt(response.body.data.amountOut)).toBeLessThan(BigInt('1000000000000000'));
+  });
+
+  test('should filter candidate pools by protocol', async () => {
+    const response = await request(app)
+      .get('/v1/evm/quote?input_token=0xtoken0&output_token=0xtoken1&amount_in=1000&protocol=uniswap_v2');
+
+    expect(response.body.data.quotes.map(quote => quote.pool)).toEqual(['0xdeep']);
+  });
+
+  test('should quote Uniswap V4 pools alongside V2 and V3', async () => {
+    const v4Pool = {
+      id: '0x21c67e77068de97969ba93d4aab21826d33ca12bb9f565d8496e8fda8a82ca27',
+      factory: '0x000000000004444c5dc75cb358380d2e3de08a90',
+      dexName: 'Uniswap V4',
+      chain: 'Ethereum',
+      token0: '0xtoken0',
+      token1: '0xtoken1',
+      reserve0: BigInt('1000000000000000000000'),
+      reserve1: BigInt('2000000000000'),
+      fee: BigInt('500'),
+      dynamicFee: false,
+      hooks: '0x0000000000000000000000000000000000000000'
+    };
+    fetchAllDexData.mockResolvedValue({ tokens: mockTokens, pools: [...mockPools, v4Pool] });
+
+    const pools = await request(app).get('/v1/evm/pools?protocol=uniswap_v4');
+    expect(pools.body.data).toHaveLength(1);
+    expect(pools.body.data[0]).toMatchObject({ protocol: 'Uniswap V4', hooks: v4Pool.hooks, dynamicFee: false });
+
+    const quote = await request(app)
+      .get('/v1/evm/quote?input_token=0xtoken0&output_token=0xtoken1&amount_in=1000000000000000000&network=mainnet');
+    expect(quote.body.data.bestPool).toBe(v4Pool.id);
+    expect(quote.body.data.quotes[0].protocol).toBe('Uniswap V4');
+  });
+
+  test('should leave dynamic-fee pools out of quotes', async () => {
+    const dynamicPool = {
+      id: '0x31c67e77068de97969ba93d4aab21826d33ca12bb9f565d8496e8fda8a82ca27',
+      factory: '0x000000000004444c5dc75cb358380d2e3de08a90',
+      dexName: 'Uniswap V4',
+      chain: 'Ethereum',
+      token0: '0xtoken0',
+      token1: '0xtoken1',
+      reserve0: BigInt('1000000000000000000000'),
+      reserve1: BigInt('2000000000000'),
+      fee: BigInt(0),
+      dynamicFee: true,
+      hooks: '0x00000000000000000000000000000000000000c0'
+    };
+    fetchAllDexData.mockResolvedValue({ tokens: mockTokens, pools: [...mockPools, dynamicPool] });
+
+    const quote = await request(app)
+      .get('/v1/evm/quote?input_token=0xtoken0&output_token=0xtoken1&amount_in=1000000000000000000&network=mainnet');
+
+    expect(quote.status).toBe(200);
+    expect(quote.body.data.quotes.map(entry => entry.pool)).not.toContain(dynamicPool.id);
+  });
+
+  test('should quote and format N-token pools', async () => {
+    const curvePool = {
+      id: '0xcurve',
+      factory: null,
+      dexName: 'Curve',
+      dex: 'curve',
+      protocolFamily: 'stableswap',
+      chain: 'Ethereum',
+      token0: '0xtoken0',
+      token1: '0xtoken2',
+      reserve0: BigInt('1000000000000000000000000'),
+      reserve1: BigInt('1000000000000000000000000'),
+      tokens: ['0xtoken0', '0xtoken2', '0xtoken1'],
+      balances: [BigInt('1000000000000000000000000'), BigInt('1000000000000000000000000'), BigInt('1000000000000')],
+      tokenDecimals: [18, 18, 6],
+      amplification: BigInt(200),
+      fee: BigInt('400')
+    };
+    fetchAllDexData.mockResolvedValue({ tokens: mockTokens, pools: [...mockPools, curvePool] });
+
+    const pools = await request(app).get('/v1/evm/pools?protocol=curve');
+    expect(pools.body.data).toHaveLength(1);
+    expect(pools.body.data[0]).toMatchObject({
+      protocolFamily: 'stableswap',
+      amplification: '200',
+      tokens: [
+        { address: '0xtoken0', symbol: 'TOKEN0', decimals: 18, balance: '1000000000000000000000000' },
+        { address: '0xtoken2', symbol: 'UNKNOWN', decimals: 18, balance: '1000000000000000000000000' },
+        { address: '0xtoken1', symbol: 'TOKEN1', decimals: 6, balance: '1000000000000' }
+      ]
+    });
+
+    // token1 is the pool's third token; the StableSwap pool still routes it
+    const byToken = await request(app).get('/v1/evm/pools?input_token=0xtoken1&protocol=stableswap');
+    expect(byToken.body.data.map(pool => pool.id)).toEqual(['0xcurve']);
+
+    const quote = await request(app)
+      .get('/v1/evm/quote?input_token=0xtoken0&output_token=0xtoken1&amount_in=1000000000000000000&network=mainnet');
+    const curveQuote = quote.body.data.quotes.find(entry => entry.pool === '0xcurve');
+    // Balanced pool: 1 TOKEN0 buys about 1 TOKEN1 (6 decimals), less the 0.04% fee
+    expect(Number(curveQuote.amountOut) / 1e6).toBeCloseTo(0.9996, 4);
+    expect(curveQuote.priceImpactBps).toBeLessThan(1);
+  });
+
+  test('should not pick pools that return nothing', async () => {
+    const response = await request(app)
+      .get('/v1/evm/quote?input_token=0xtoken0&output_token=0xtoken1&amount_in=1000000000000000000&network=polygon');
+
+    expect(response.body.data.quotes.length).toBe(2);
+    expect(response.body.data.bestPool).toBe('0xpolygon');
+  });
+
+  test('should return an empty quote for untradeable pairs', async () => {
+    const response = await request(app)
+      .get('/v1/evm/quote?input_token=0xtoken0&output_token=0xother&amount_in=1000');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.quotes).toEqual([]);
+    expect(response.body.data.bestPool).toBeNull();
+    expect(response.body.data.amountOut).toBe('0');
+  });
+
+  test('should return 400 for invalid parameters', async () => {
+    const base = '/v1/evm/quote?input_token=0xtoken0&output_token=0xtoken1';
+
+    expect((await request(app).get('/v1/evm/quote?output_token=0xtoken1&amount_in=1')).body.error)
+      .toBe('Missing required parameter: input_token');
+    expect((await request(app).get(base)).body.error).toBe('Missing required parameter: amount_in');
+    expect((await request(app).get(`${base}&amount_in=1.5`)).status).toBe(400);
+    expect((await request(app).get(`${base}&amount_in=0`)).status).toBe(400);
+    expect((await request(app).get(`${base}&amount_in=-1`)).status).toBe(400);
+    expect((await request(app).get(`${base}&amount_in=1&network=invalid`)).status).toBe(400);
+    expect((await request(app).get(`${base}&amount_in=1&protocol=invalid`)).status).toBe(400);
+    expect((await request(app).get('/v1/evm/quote?input_token=0xtoken0&output_token=0xTOKEN0&amount_in=1')).status).toBe(400);
+
+    const repeatedToken = await request(app).get(`${base}&input_token=0xtoken2&amount_in=1`);
+    expect(repeatedToken.status).toBe(400);
+    expect(repeatedToken.body.error).toBe('Invalid input_token parameter. Must be given once');
+    expect((await request(app).get(`${base}&output_token=0xtoken2&amount_in=1`)).status).toBe(400);
+    expect((await request(app).get(`${base}&amount_in=1&amount_in=2`)).body.error)
+      .toBe('Invalid amount_in parameter. Must be given once');
+  });
+});
+
+describe('API Server - /v1/evm/routes endpoint', () => {
+  // Polygon addresses from MONITORED_TOKENS
+  const USDC = '0x2791bca1f2de4661ed88a30c99a7a9449aa84174';
+  const WETH = '0x7ceb23fd6bc0add59e62ac25578270cff1b9f619';
+  const WBTC = '0x1bfd67037b42cf73acf2047067bd4f2c47d9bfd6';
+
+  const mockTokens = [
+    { address: USDC, symbol: 'USDC', decimals: 6 },
+    { address: WETH, symbol: 'WETH', decimals: 18 },
+    { address: WBTC, symbol: 'WBTC', decimals: 8 }
+  ];
+
+  const mockPools = [
+    { id: '0xusdc-weth-a', dexName: 'QuickSwap', chain: 'Polygon', token0: USDC, token1: WETH, reserve0: BigInt('2000000000000'), reserve1: BigInt('1000000000000000000000'), fee: BigInt('3000') },
+    { id: '0xusdc-weth-b', dexName: 'SushiSwap', chain: 'Polygon', token0: USDC, token1: WETH, reserve0: BigInt('2000000000000'), reserve1: BigInt('1000000000000000000000'), fee: BigInt('3000') },
+    { id: '0xweth-wbtc', dexName: 'QuickSwap', chain: 'Polygon', token0: WETH, token1: WBTC, reserve0: BigInt('20000000000000000000000'), reserve1: BigInt('100000000000'), fee: BigInt('3000') }
+  ];
+
+  beforeEach(() => {
+    app.locals.snapshotCache.invalidate();
+    fetchAllDexData.mockReset();
+    fetchAllDexData.mockResolvedValue({
+      tokens: mockTokens,
+      pools: mockPools
+    });
+  });
+
+  test('should return a multi-hop route with per-hop amounts', async () => {
+    const response = await request(app)
+      .get(`/v1/evm/routes?input_token=${USDC}&output_token=${WBTC}&amount_in=1000000000&max_splits=1`);
+
+    expect(response.status).toBe(200);
+    const { data } = response.body;
+    expect(data.network).toBe('Polygon');
+    expect(data.amountIn).toBe('1000000000');
+    expect(data.routes.length).toBe(1);
+
+    const [route] = data.routes;
+    expect(route.symbols).toEqual(['USDC', 'WETH', 'WBTC']);
+    expect(route.hops.length).toBe(2);
+    expect(route.hops[0].amountIn).toBe('1000000000');
+    expect(route.hops[1].amountIn).toBe(route.hops[0].amountOut);
+    expect(route.hops[1].amountOut).toBe(data.amountOut);
+    expect(response.body).toHaveProperty('snapshot');
+  });
+
+  test('should split large trades across pools', async () => {
+    const response = await request(app)
+      .get(`/v1/evm/routes?input_token=${USDC}&output_token=${WETH}&amount_in=400000000000`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.routes.length).toBe(2);
+    const total = response.body.data.routes.reduce((sum, route) => sum + BigInt(route.amountIn), BigInt(0));
+    expect(total).toBe(BigInt('400000000000'));
+  });
+
+  test('should return no routes when the tokens are not connected', async () => {
+    const response = await request(app)
+      .get(`/v1/evm/routes?input_token=${USDC}&output_token=${WBTC}&amount_in=1000&max_hops=1`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.routes).toEqual([]);
+    expect(response.body.data.network).toBeNull();
+    expect(response.body.data.amountOut).toBe('0');
+  });
+
+  test('should return 400 for invalid parameters', async () => {
+    const base = `/v1/evm/routes?input_token=${USDC}&output_token=${WBTC}`;
+
+    expect((await request(app).get(base)).body.error).toBe('Missing required parameter: amount_in');
+    expect((await request(app).get(`${base}&amount_in=abc`)).status).toBe(400);
+    expect((await request(app).get(`${base}&amount_in=1&max_hops=0`)).status).toBe(400);
+    expect((await request(app).get(`${base}&amount_in=1&max_hops=5`)).status).toBe(400);
+    expect((await request(app).get(`${base}&amount_in=1&max_splits=6`)).status).toBe(400);
+    expect((await request(app).get(`${base}&amount_in=1&network=invalid`)).status).toBe(400);
+    expect((await request(app).get(`${base}&input_token=${WETH}&amount_in=1`)).body.error)
+      .toBe('Invalid input_token parameter. Must be given once');
+    expect((await request(app).get(`${base}&amount_in=1&network=polygon&network=mainnet`)).body.error)
+      .toBe('Invalid network parameter. Accepted values: arbitrum-one, avalanche, base, bsc, mainnet, optimism, polygon, unichain');
+  });
+});
+
+describe('API Server - Snapshot storage endpoints', () => {
+  const fs = require('fs/promises');
+  const os = require('os');
+  const path = require('path');
+  const { createSnapshotStore } = require('../../snapshot-store');
+
+  const mockTokens = [
+    { address: '0xtoken0', symbol: 'TOKEN0', decimals: 18 },
+    { address: '0xtoken1', symbol: 'TOKEN1', decimals: 18 }
+  ];
+
+  const poolWithReserve = reserve0 => ({
+    id: '0xpool1',
+    dexName: 'SushiSwap',
+    chain: 'Ethereum',
+    token0: '0xtoken0',
+    token1: '0xtoken1',
+    reserve0: BigInt(reserve0),
+    reserve1: BigInt('2000000000000000000'),
+    fee: BigInt('3000')
+  });
+
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshot-api-'));
+    app.locals.snapshotStore = createSnapshotStore({ directory });
+    app.locals.snapshotCache.invalidate();
+    fetchAllDexData.mockReset();
+    fetchAllDexData.mockResolvedValue({
+      tokens: mockTokens,
+      pools: [poolWithReserve('1000000000000000000')]
+    });
+  });
+
+  afterEach(async () => {
+    app.locals.snapshotStore = null;
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should persist every fetched snapshot', async () => {
+    await request(app).get('/v1/evm/pools');
+
+    const response = await request(app).get('/v1/evm/snapshots');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.length).toBe(1);
+    expect(response.body.data[0]).toMatchObject({ id: 1, tokenCount: 2, poolCount: 1, blocks: {} });
+    expect(new Date(response.body.data[0].timestamp).toISOString()).toBe(response.body.data[0].timestamp);
+  });
+
+  test('should keep serving pools when saving fails', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    app.locals.snapshotStore = { save: jest.fn().mockRejectedValue(new Error('Disk full')) };
+
+    const response = await request(app).get('/v1/evm/pools');
+
+    expect(response.status).toBe(200);
+    expect(consoleSpy).toHaveBeenCalledWith('Error saving snapshot:', expect.any(Error));
+    consoleSpy.mockRestore();
+  });
+
+  test('should return a pool history across snapshots', async () => {
+    const store = app.locals.snapshotStore;
+    await store.save({ tokens: mockTokens, pools: [poolWithReserve('1000000000000000000')] }, { timestamp: 1000 });
+    await store.save({ tokens: mockTokens, pools: [poolWithReserve('4000000000000000000')] }, { timestamp: 2000 });
+
+    const response = await request(app).get('/v1/evm/pools/0xPOOL1/history?from=1500');
+
+    expect(response.status).toBe(200);
+    expect(response.body.pool).toBe('0xpool1');
+    expect(response.body.data).toEqual([
+      {
+        snapshotId: 2,
+        timestamp: new Date(2000).toISOString(),
+        blockNumber: null,
+        reserve0: '4000000000000000000',
+        reserve1: '2000000000000000000',
+        price: 0.5
+      }
+    ]);
+  });
+
+  test('should return the pools of a stored snapshot', async () => {
+    const store = app.locals.snapshotStore;
+    await store.save({ tokens: mockTokens, pools: [poolWithReserve('4000000000000000000')] }, { timestamp: 1000 });
+    await store.save(
+      { tokens: mockTokens, pools: [poolWithReserve('1000000000000000000'), { ...poolWithReserve('1'), id: '0xpool2', chain: 'Polygon' }] },
+      { timestamp: 2000 }
+    );
+
+    const first = await request(app).get('/v1/evm/snapshots/1');
+    const polygon = await request(app).get('/v1/evm/snapshots/2?network=polygon');
+
+    expect(first.status).toBe(200);
+    expect(first.body.snapshot).toEqual({
+      id: 1,
+      timestamp: new Date(1000).toISOString(),
+      blocks: {},
+      tokenCount: 2,
+      poolCount: 1
+    });
+    expect(first.body.data.map(pool => [pool.id, pool.reserve0])).toEqual([['0xpool1', '4000000000000000000']]);
+    expect(first.body.data[0].token0).toMatchObject({ address: '0xtoken0', symbol: 'TOKEN0' });
+    expect(polygon.body.data.map(pool => pool.id)).toEqual(['0xpool2']);
+    expect(polygon.body.pagination).toEqual({ page: 1, limit: 10, total: 1, hasMore: false });
+  });
+
+  test('should return 404 for an unknown snapshot', async () => {
+    const response = await request(app).get('/v1/evm/snapshots/7');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toBe('Snapshot 7 not found');
+  });
+
+  test('should accept ISO 8601 time ranges', async () => {
+    await app.locals.snapshotStore.save({ tokens: mockTokens, pools: [] }, { timestamp: Date.parse('2024-01-01T00:00:00Z') });
+
+    const inside = await request(app).get('/v1/evm/snapshots?from=2023-12-31T00:00:00Z&to=2024-01-02T00:00:00Z');
+    const outside = await request(app).get('/v1/evm/snapshots?from=2024-01-02T00:00:00Z');
+
+    expect(inside.body.data.length).toBe(1);
+    expect(outside.body.data.length).toBe(0);
+  });
+
+  test('should return 400 for invalid parameters', async () => {
+    expect((await request(app).get('/v1/evm/snapshots?from=yesterday')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/snapshots?limit=0')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/snapshots/latest')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/snapshots/0')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/snapshots/1?network=invalid')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/snapshots/1?page=0')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/pools/0xpool1/history?to=nope')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/pools/0xpool1/history?network=invalid')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/pools/changes?since=1&network=mainnet&network=polygon')).status).toBe(400);
+  });
+
+  test('should report pool changes since a stored snapshot', async () => {
+    const removed = { ...poolWithReserve('1'), id: '0xpool-removed' };
+    await app.locals.snapshotStore.save(
+      { tokens: [...mockTokens, { address: '0xold', symbol: 'OLD', decimals: 8 }], pools: [poolWithReserve('4000000000000000000'), removed] },
+      { timestamp: 1000 }
+    );
+
+    const response = await request(app).get('/v1/evm/pools/changes?since=1500');
+
+    expect(response.status).toBe(200);
+    expect(response.body.since).toEqual({ snapshotId: 1, timestamp: new Date(1000).toISOString() });
+    expect(response.body).toHaveProperty('snapshot');
+
+    const { data } = response.body;
+    expect(data.addedTokens).toEqual([]);
+    expect(data.removedTokens).toEqual([{ address: '0xold', symbol: 'OLD', decimals: 8 }]);
+    expect(data.addedPools).toEqual([]);
+    expect(data.removedPools.map(pool => pool.id)).toEqual(['0xpool-removed']);
+    expect(data.changedPools).toEqual([
+      {
+        id: '0xpool1',
+        protocol: 'SushiSwap',
+        network: 'Ethereum',
+        reserve0: { before: '4000000000000000000', after: '1000000000000000000', delta: '-3000000000000000000' },
+        reserve1: { before: '2000000000000000000', after: '2000000000000000000', delta: '0' },
+        priceChangeBps: 30000,
+        fee: { before: '3000', after: '3000' }
+      }
+    ]);
+  });
+
+  test('should filter changes by network', async () => {
+    await app.locals.snapshotStore.save({ tokens: mockTokens, pools: [] }, { timestamp: 1000 });
+
+    const ethereum = await request(app).get('/v1/evm/pools/changes?since=1500&network=mainnet');
+    const polygon = await request(app).get('/v1/evm/pools/changes?since=1500&network=polygon');
+
+    expect(ethereum.body.data.addedPools.map(pool => pool.id)).toEqual(['0xpool1']);
+    expect(polygon.body.data.addedPools).toEqual([]);
+  });
+
+  test('should only report token changes of the filtered network', async () => {
+    const polygonPool = { ...poolWithReserve('1'), id: '0xpool-polygon', chain: 'Polygon', token0: '0xpolygon-token' };
+    await app.locals.snapshotStore.save(
+      { tokens: [...mockTokens, { address: '0xpolygon-token', symbol: 'POL', decimals: 18 }], pools: [polygonPool] },
+      { timestamp: 1000 }
+    );
+
+    const ethereum = await request(app).get('/v1/evm/pools/changes?since=1500&network=mainnet');
+    const polygon = await request(app).get('/v1/evm/pools/changes?since=1500&network=polygon');
+
+    expect(ethereum.body.data.addedTokens.map(token => token.address)).toEqual(['0xtoken0', '0xtoken1']);
+    expect(ethereum.body.data.removedTokens).toEqual([]);
+    expect(polygon.body.data.addedTokens).toEqual([]);
+    expect(polygon.body.data.removedTokens.map(token => token.address)).toEqual(['0xtoken1', '0xpolygon-token']);
+  });
+
+  test('should validate the since parameter', async () => {
+    expect((await request(app).get('/v1/evm/pools/changes')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/pools/changes?since=later')).status).toBe(400);
+    expect((await request(app).get('/v1/evm/pools/changes?since=1500&network=invalid')).status).toBe(400);
+
+    const missing = await request(app).get('/v1/evm/pools/changes?since=1');
+    expect(missing.status).toBe(404);
+    expect(missing.body.error).toBe('No stored snapshot at or before since');
+  });
+
+  test('should return 503 when storage is disabled', async () => {
+    app.locals.snapshotStore = null;
+
+    const snapshots = await request(app).get('/v1/evm/snapshots');
+    const history = await request(app).get('/v1/evm/pools/0xpool1/history');
+    const changes = await request(app).get('/v1/evm/pools/changes?since=1');
+    const snapshot = await request(app).get('/v1/evm/snapshots/1');
+
+    expect(snapshots.status).toBe(503);
+    expect(history.status).toBe(503);
+    expect(changes.status).toBe(503);
+    expect(snapshot.status).toBe(503);
+    expect(snapshots.body.error).toContain('SNAPSHOT_STORE_DIR');
+  });
+});
+
+describe('API Server - /v1/evm/pools/stream endpoint', () => {
+  const http = require('http');
+
+  const mockTokens = [
+    { address: '0xtoken0', symbol: 'TOKEN0', decimals: 18 },
+    { address: '0xtoken1', symbol: 'TOKEN1', decimals: 18 }
+  ];
+
+  const poolWithReserve = (id, chain, reserve0) => ({
+    id,
+    dexName: 'SushiSwap',
+    chain,
+    token0: '0xtoken0',
+    token1: '0xtoken1',
+    reserve0: BigInt(reserve0),
+    reserve1: BigInt('2000000000000000000'),
+    fee: BigInt('3000')
+  });
+
+  let server;
+
+  beforeEach(async () => {
+    app.locals.snapshotCache.invalidate();
+    fetchAllDexData.mockReset();
+    fetchAllDexData.mockResolvedValue({
+      tokens: mockTokens,
+      pools: [poolWithReserve('0xpool1', 'Ethereum', '1000000000000000000')]
+    });
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  /**
+   * Open the stream and collect parsed events
+   */
+  function openStream(query) {
+    return new Promise((resolve) => {
+      const events = [];
+      const waiters = [];
+      const req = http.get(`http://127.0.0.1:${server.address().port}/v1/evm/pools/stream${query}`, (res) => {
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          const blocks = buffer.split('\n\n');
+          buffer = blocks.pop();
+          blocks.forEach((block) => {
+            const [eventLine, dataLine] = block.split('\n');
+            events.push({ event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) });
+          });
+          waiters.splice(0).forEach(done => done());
+        });
+        const next = async (count) => {
+          while (events.length < count) {
+            await new Promise(done => waiters.push(done));
+          }
+          return events;
+        };
+        resolve({ req, res, events, next });
+      });
+    });
+  }
+
+  test('should send pool updates matching the filters as server-sent events', async () => {
+    const { req, res, events, next } = await openStream('?network=mainnet');
+    expect(res.headers['content-type']).toContain('text/event-stream');
+
+    await next(1);
+    expect(events[0]).toEqual({ event: 'subscribed', data: { type: 'subscribed', filters: { network: 'mainnet' } } });
+
+    await app.locals.poolStream.poll();
+    fetchAllDexData.mockResolvedValue({
+      tokens: mockTokens,
+      pools: [
+        poolWithReserve('0xpool1', 'Ethereum', '1100000000000000000'),
+        poolWithReserve('0xpool2', 'Polygon', '1000000000000000000')
+      ]
+    });
+    // The stream reads through the cache, so new data only shows once the snapshot expires
+    app.locals.snapshotCache.invalidate();
+    await app.locals.poolStream.poll();
+    await next(2);
+
+    expect(events).toHaveLength(2);
+    expect(events[1].event).toBe('pool_updated');
+    expect(events[1].data.pool.id).toBe('0xpool1');
+    expect(events[1].data.changes.reserve0Delta).toBe('100000000000000000');
+    req.destroy();
+  });
+
+  test('should return 400 for invalid filters', async () => {
+    const response = await request(app).get('/v1/evm/pools/stream?protocol=invalid');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toContain('Invalid protocol parameter');
+  });
 });
@@ -0,0 +1,154 @@
+const {
+  DEFAULT_TTL_MS,
+  DEFAULT_STALE_MS,
+  createSnapshotCache,
+  getCacheOptionsFromEnv
+} = require('../snapshot-cache');
+
+describe('Snapshot Cache', () => {
+  let clock;
+  let fetchSnapshot;
+  let cache;
+
+  const now = () => clock;
+
+  beforeEach(() => {
+    clock = 1000;
+    let calls = 0;
+    fetchSnapshot = jest.fn(async () => ({ call: ++calls }));
+    cache = createSnapshotCache(fetchSnapshot, { ttlMs: 100, staleMs: 500, now });
+  });
+
+  describe('get()', () => {
+    test('should fetch on first use', async () => {
+      const snapshot = await cache.get();
+
+      expect(fetchSnapshot).toHaveBeenCalledTimes(1);
+      expect(snapshot.data).toEqual({ call: 1 });
+      expect(snapshot.id).toBe(1);
+      expect(snapshot.fetchedAt).toBe(1000);
+    });
+
+    test('should return the cached snapshot within the TTL', async () => {
+      const first = await cache.get();
+      clock += 99;
+      const second = await cache.get();
+
+      expect(second).toBe(first);
+      expect(fetchSnapshot).toHaveBeenCalledTimes(1);
+    });
+
+    test('should serve stale data and refresh in the background', async () => {
+      const first = await cache.get();
+      clock += 150;
+
+      const stale = await cache.get();
+      expect(stale).toBe(first);
+      expect(fetchSnapshot).toHaveBeenCalledTimes(2);
+
+      // Let the background refresh settle
+      await new Promise(resolve => setImmediate(resolve));
+
+      const fresh = await cache.get();
+      expect(fresh.id).toBe(2);
+      expect(fresh.data).toEqual({ call: 2 });
+    });
+
+    test('should block on a refresh once past the stale window', async () => {
+      await cache.get();
+      clock += 600;
+
+      const snapshot = await cache.get();
+      expect(snapshot.id).toBe(2);
+      expect(fetchSnapshot).toHaveBeenCalledTimes(2);
+    });
+
+    test('should share one in-flight fetch between concurrent callers', async () => {
+      const results = await Promise.all([cache.get(), cache.get(), cache.get()]);
+
+      expect(fetchSnapshot).toHaveBeenCalledTimes(1);
+      expect(results[1]).toBe(results[0]);
+      expect(results[2]).toBe(results[0]);
+    });
+
+    test('should propagate fetch errors when nothing is cached', async () => {
+      fetchSnapshot.mockRejectedValueOnce(new Error('Network error'));
+
+      await expect(cache.get()).rejects.toThrow('Network error');
+      expect(cache.peek()).toBeNull();
+
+      // The failed fetch is not remembered
+      const snapshot = await cache.get();
+      expect(snapshot.data).toBeDefined();
+    });
+
+    test('should keep the stale snapshot when a background refresh fails', async () => {
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const first = await cache.get();
+      clock += 150;
+      fetchSnapshot.mockRejectedValueOnce(new Error('Network error'));
+
+      await cache.get();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(cache.peek()).toBe(first);
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('invalidate()', () => {
+    test('should force the next get() to fetch', async () => {
+      await cache.get();
+      cache.invalidate();
+
+      expect(cache.peek()).toBeNull();
+      const snapshot = await cache.get();
+      expect(snapshot.id).toBe(2);
+      expect(fetchSnapshot).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not let a fetch started before invalidation populate the cache', async () => {
+      const pending = cache.get();
+      cache.invalidate();
+      await pending;
+
+      expect(cache.peek()).toBeNull();
+    });
+  });
+
+  describe('getCacheOptionsFromEnv()', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test('should use defaults when variables are unset', () => {
+      delete process.env.POOLS_CACHE_TTL_MS;
+      delete process.env.POOLS_CACHE_STALE_MS;
+
+      expect(getCacheOptionsFromEnv()).toEqual({
+        ttlMs: DEFAULT_TTL_MS,
+        staleMs: DEFAULT_STALE_MS
+      });
+    });
+
+    test('should read TTL and stale window from environment', () => {
+      process.env.POOLS_CACHE_TTL_MS = '5000';
+      process.env.POOLS_CACHE_STALE_MS = '0';
+
+      expect(getCacheOptionsFromEnv()).toEqual({ ttlMs: 5000, staleMs: 0 });
+    });
+
+    test('should fall back to defaults for invalid values', () => {
+      process.env.POOLS_CACHE_TTL_MS = 'abc';
+      process.env.POOLS_CACHE_STALE_MS = '-1';
+
+      expect(getCacheOptionsFromEnv()).toEqual({
+        ttlMs: DEFAULT_TTL_MS,
+        staleMs: DEFAULT_STALE_MS
+      });
+    });
+  });
+});
@@ -1,10 +1,16 @@
 require('dotenv').config();
 const app = require('./server');
+const { attachPoolStreamWebSocket } = require('./pool-stream');
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`API server listening on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`Pools endpoint: http://localhost:${PORT}/v1/evm/pools`);
+  console.log(`Pool updates: http://localhost:${PORT}/v1/evm/pools/stream (SSE), ws://localhost:${PORT}/v1/evm/pools/ws`);
 });
+
+// Push pool updates to stream subscribers
+attachPoolStreamWebSocket(server, app.locals.poolStream);
+app.locals.poolStream.start();
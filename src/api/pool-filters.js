@@ -0,0 +1,282 @@
+/**
+ * Pool Filters - Query parameter filtering and response formatting for pools
+ * Shared by the REST endpoints and the pool update stream
+ */
+
+const { CHAINS } = require('../chain-config');
+const {
+  PROTOCOL_FAMILIES,
+  getPoolDex,
+  getProtocolFamily,
+  getPoolTokens,
+  getUnconfiguredAdapters
+} = require('../dex-adapters');
+const { TOKEN_FLAGS, excludeFlaggedPools } = require('../token-safety');
+
+/**
+ * Network ID mapping to chain names
+ */
+const NETWORK_MAPPING = Object.fromEntries(
+  Object.values(CHAINS).map(chain => [chain.networkId, chain.name])
+);
+
+/**
+ * Protocol mapping: DEX ids to DEX names
+ */
+const PROTOCOL_MAPPING = {
+  'uniswap_v2': 'Uniswap V2',
+  'uniswap_v3': 'Uniswap V3',
+  'uniswap_v4': 'Uniswap V4',
+  'sushiswap': 'SushiSwap',
+  'quickswap': 'QuickSwap',
+  'trader_joe': 'Trader Joe',
+  'curve': 'Curve',
+  'balancer': 'Balancer'
+};
+
+/**
+ * Protocol families accepted by the protocol filter alongside DEX ids
+ */
+const PROTOCOL_FAMILY_IDS = Object.values(PROTOCOL_FAMILIES);
+
+/**
+ * Sort orders accepted by the sort parameter, as comparators over pools
+ */
+const POOL_SORTS = {
+  // Highest TVL first; pools without a TVL go last
+  tvl_usd: (a, b) => (b.tvlUSD ?? -1) - (a.tvlUSD ?? -1)
+};
+
+/**
+ * Parse a comma-separated list of token safety flags
+ * @param {string} value - Parameter value (e.g., fee-on-transfer,rebasing)
+ * @returns {string[]} - Flags
+ */
+function parseFlagList(value) {
+  return value.split(',').map(flag => flag.trim()).filter(flag => flag !== '');
+}
+
+/**
+ * Check whether a protocol parameter names a known DEX or protocol family
+ * @param {string} protocol - Protocol parameter
+ * @returns {boolean}
+ */
+function isKnownProtocol(protocol) {
+  return Boolean(PROTOCOL_MAPPING[protocol]) || PROTOCOL_FAMILY_IDS.includes(protocol);
+}
+
+/**
+ * Filter pools by query parameters
+ * @param {Array} pools - Array of pool objects
+ * @param {Object} query - Query parameters
+ * @param {Object} [tokens] - Token map keyed by address, for the exclude_flags filter
+ * @returns {Array} - Filtered pools
+ */
+function filterPools(pools, query, tokens = {}) {
+  let filtered = [...pools];
+
+  // Filter by network
+  if (query.network) {
+    const chainName = NETWORK_MAPPING[query.network];
+    if (chainName) {
+      filtered = filtered.filter(pool => pool.chain === chainName);
+    }
+  }
+
+  // Filter by factory address
+  if (query.factory) {
+    const factories = query.factory.split(',').map(f => f.toLowerCase().trim());
+    filtered = filtered.filter(pool => 
+      pool.factory && factories.includes(pool.factory.toLowerCase())
+    );
+  }
+
+  // Filter by pool address
+  if (query.pool) {
+    const poolAddresses = query.pool.split(',').map(p => p.toLowerCase().trim());
+    filtered = filtered.filter(pool => 
+      pool.id && poolAddresses.includes(pool.id.toLowerCase())
+    );
+  }
+
+  // Filter by input token (any token of the pool)
+  if (query.input_token) {
+    const inputTokens = query.input_token.split(',').map(t => t.toLowerCase().trim());
+    filtered = filtered.filter(pool => 
+      getPoolTokens(pool).some(token => inputTokens.includes(token.toLowerCase()))
+    );
+  }
+
+  // Filter by output token (any token of the pool)
+  if (query.output_token) {
+    const outputTokens = query.output_token.split(',').map(t => t.toLowerCase().trim());
+    filtered = filtered.filter(pool => 
+      getPoolTokens(pool).some(token => outputTokens.includes(token.toLowerCase()))
+    );
+  }
+
+  // Filter by protocol family (e.g., v3-concentrated) or DEX (e.g., sushiswap)
+  if (query.protocol && isKnownProtocol(query.protocol)) {
+    filtered = PROTOCOL_FAMILY_IDS.includes(query.protocol)
+      ? filtered.filter(pool => getProtocolFamily(pool) === query.protocol)
+      : filtered.filter(pool => getPoolDex(pool) === query.protocol);
+  }
+
+  // Filter by USD value locked; pools without a TVL are excluded
+  if (query.min_tvl_usd !== undefined && query.min_tvl_usd !== '') {
+    const minTvlUsd = Number(query.min_tvl_usd);
+    if (!Number.isNaN(minTvlUsd)) {
+      filtered = filtered.filter(pool => pool.tvlUSD !== undefined && pool.tvlUSD !== null && pool.tvlUSD >= minTvlUsd);
+    }
+  }
+
+  // Exclude pools holding a token with any of the safety flags
+  if (query.exclude_flags) {
+    filtered = excludeFlaggedPools(filtered, Object.values(tokens), parseFlagList(query.exclude_flags));
+  }
+
+  return filtered;
+}
+
+/**
+ * Sort pools by the sort query parameter
+ * @param {Array} pools - Array of pool objects
+ * @param {string} [sort] - Sort order (see POOL_SORTS); pools keep their order when omitted
+ * @returns {Array} - Sorted pools
+ */
+function sortPools(pools, sort) {
+  return sort && POOL_SORTS[sort] ? [...pools].sort(POOL_SORTS[sort]) : pools;
+}
+
+/**
+ * Validate the filter and sort parameters
+ * @param {Object} query - Query parameters
+ * @returns {string|null} - Error message, or null if the filters are valid
+ */
+function getFilterParamsError(query) {
+  // Repeated parameters are parsed as arrays, which match no network or protocol
+  if (query.network && (typeof query.network !== 'string' || !NETWORK_MAPPING[query.network])) {
+    return 'Invalid network parameter. Accepted values: ' + Object.keys(NETWORK_MAPPING).join(', ');
+  }
+  if (query.protocol && (typeof query.protocol !== 'string' || !isKnownProtocol(query.protocol))) {
+    return 'Invalid protocol parameter. Accepted values: ' + [...Object.keys(PROTOCOL_MAPPING), ...PROTOCOL_FAMILY_IDS].join(', ');
+  }
+  if (query.min_tvl_usd !== undefined) {
+    const minTvlUsd = Number(query.min_tvl_usd);
+    if (query.min_tvl_usd === '' || Number.isNaN(minTvlUsd) || minTvlUsd < 0) {
+      return 'Invalid min_tvl_usd parameter. Must be a number >= 0';
+    }
+  }
+  if (query.sort !== undefined && !POOL_SORTS[query.sort]) {
+    return 'Invalid sort parameter. Accepted values: ' + Object.keys(POOL_SORTS).join(', ');
+  }
+  return getExcludeFlagsError(query);
+}
+
+/**
+ * Validate the exclude_flags parameter
+ * @param {Object} query - Query parameters
+ * @returns {string|null} - Error message, or null if the parameter is absent or valid
+ */
+function getExcludeFlagsError(query) {
+  if (query.exclude_flags === undefined) {
+    return null;
+  }
+  const accepted = Object.values(TOKEN_FLAGS);
+  const flags = typeof query.exclude_flags === 'string' ? parseFlagList(query.exclude_flags) : [];
+  if (flags.length === 0 || !flags.every(flag => accepted.includes(flag))) {
+    return 'Invalid exclude_flags parameter. Accepted values: ' + accepted.join(', ');
+  }
+  return null;
+}
+
+/**
+ * Format a pool token for API response
+ * @param {string} address - Token address
+ * @param {Object} tokens - Token map
+ * @returns {Object} - Formatted token
+ */
+function formatPoolToken(address, tokens) {
+  return {
+    address,
+    symbol: tokens[address]?.symbol || 'UNKNOWN',
+    decimals: tokens[address]?.decimals || 18,
+    ...(tokens[address]?.priceUSD !== undefined && { priceUSD: tokens[address].priceUSD }),
+    ...(tokens[address]?.safetyFlags !== undefined && { safetyFlags: tokens[address].safetyFlags })
+  };
+}
+
+/**
+ * Format pool data for API response
+ * @param {Object} pool - Pool object
+ * @param {Object} tokens - Token map
+ * @returns {Object} - Formatted pool data
+ */
+function formatPoolResponse(pool, tokens) {
+  return {
+    id: pool.id || `${pool.token0}-${pool.token1}`,
+    factory: pool.factory || null,
+    token0: formatPoolToken(pool.token0, tokens),
+    token1: formatPoolToken(pool.token1, tokens),
+    reserve0: pool.reserve0.toString(),
+    reserve1: pool.reserve1.toString(),
+    ...(pool.normalizedReserve0 !== undefined && {
+      normalizedReserve0: pool.normalizedReserve0.toString(),
+      normalizedReserve1: pool.normalizedReserve1.toString()
+    }),
+    fee: pool.fee.toString(),
+    protocol: pool.dexName,
+    dex: getPoolDex(pool),
+    protocolFamily: getProtocolFamily(pool),
+    network: pool.chain,
+    ...(pool.blockNumber !== undefined && { blockNumber: pool.blockNumber }),
+    ...(pool.hooks !== undefined && { hooks: pool.hooks, dynamicFee: pool.dynamicFee }),
+    ...(pool.tokens !== undefined && {
+      tokens: pool.tokens.map((address, index) => ({
+        ...formatPoolToken(address, tokens),
+        balance: pool.balances[index].toString(),
+        ...(pool.weights && { weight: pool.weights[index].toString() })
+      }))
+    }),
+    ...(pool.amplification !== undefined && { amplification: pool.amplification.toString() }),
+    ...(pool.tvlUSD !== undefined && { tvlUSD: pool.tvlUSD }),
+    ...(pool.sqrtPriceX96 !== undefined && {
+      sqrtPriceX96: pool.sqrtPriceX96.toString(),
+      tick: pool.tick,
+      tickSpacing: pool.tickSpacing,
+      liquidity: pool.liquidity.toString()
+    })
+  };
+}
+
+/**
+ * List the DEX sources a query could match that are not fetched because their URL is not set
+ * @param {Object} query - Query parameters; only network narrows the list
+ * @returns {Array<{source: string, protocol: string, dex: string, network: string|null, envVar: string}>} - Missing sources
+ */
+function getMissingSources(query) {
+  const chainName = query.network ? NETWORK_MAPPING[query.network] : null;
+  return getUnconfiguredAdapters()
+    .filter(adapter => !chainName || adapter.chain === chainName)
+    .map(adapter => ({
+      source: adapter.name,
+      protocol: adapter.dexName,
+      dex: adapter.dex,
+      // Adapters registered at runtime may be on a chain without a network id
+      network: CHAINS[adapter.chain]?.networkId ?? null,
+      envVar: adapter.source.urlEnvVar
+    }));
+}
+
+module.exports = {
+  NETWORK_MAPPING,
+  PROTOCOL_MAPPING,
+  POOL_SORTS,
+  filterPools,
+  sortPools,
+  parseFlagList,
+  getFilterParamsError,
+  getExcludeFlagsError,
+  getMissingSources,
+  formatPoolResponse
+};
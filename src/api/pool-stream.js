@@ -0,0 +1,280 @@
+/**
+ * Pool Stream - Pushes pool updates to subscribers over SSE and WebSocket
+ * While anyone is subscribed, a loop reads the shared snapshot on an interval
+ * (through the cache, so its TTL still applies), diffs it with the previous one
+ * and sends added, removed and updated pools to every subscriber whose filters match
+ */
+
+const { WebSocketServer } = require('ws');
+const { diffDexData } = require('../snapshot-diff');
+const { filterPools, formatPoolResponse, getFilterParamsError } = require('./pool-filters');
+
+/**
+ * Default time between snapshot checks (15 seconds)
+ */
+const DEFAULT_STREAM_INTERVAL_MS = 15000;
+
+/**
+ * Query parameters accepted as subscription filters (same as /v1/evm/pools)
+ */
+const FILTER_PARAMS = ['network', 'protocol', 'input_token', 'output_token', 'pool', 'factory', 'min_tvl_usd', 'exclude_flags'];
+
+/**
+ * Pool event types
+ */
+const POOL_EVENT_TYPES = {
+  ADDED: 'pool_added',
+  REMOVED: 'pool_removed',
+  UPDATED: 'pool_updated'
+};
+
+/**
+ * @typedef {Object} PoolEvent
+ * @property {string} type - Event type (see POOL_EVENT_TYPES)
+ * @property {{id: number, fetchedAt: string}} snapshot - Snapshot the event was derived from
+ * @property {Object} pool - Pool in the /v1/evm/pools response format
+ * @property {Object} [changes] - Reserve deltas, price change and fee change (pool_updated only)
+ */
+
+/**
+ * Pick the subscription filters out of query parameters
+ * @param {Object} query - Query parameters
+ * @returns {Object} - Filters
+ */
+function getStreamFilters(query) {
+  const filters = {};
+  FILTER_PARAMS.forEach((param) => {
+    if (typeof query[param] === 'string' && query[param]) {
+      filters[param] = query[param];
+    }
+  });
+  return filters;
+}
+
+/**
+ * Build the events for the difference between two snapshots
+ * @param {import('./snapshot-cache').Snapshot} previous - Older snapshot
+ * @param {import('./snapshot-cache').Snapshot} current - Newer snapshot
+ * @returns {Array<{event: PoolEvent, pool: import('../dex-data-fetcher').Pool}>} - Events with the pool they describe
+ */
+function buildPoolEvents(previous, current) {
+  const diff = diffDexData(previous.data, current.data);
+  const snapshot = {
+    id: current.id,
+    fetchedAt: new Date(current.fetchedAt).toISOString()
+  };
+
+  const tokenMap = {};
+  [...previous.data.tokens, ...current.data.tokens].forEach(token => {
+    tokenMap[token.address] = token;
+  });
+
+  return [
+    ...diff.addedPools.map(pool => ({
+      pool,
+      event: { type: POOL_EVENT_TYPES.ADDED, snapshot, pool: formatPoolResponse(pool, tokenMap) }
+    })),
+    ...diff.removedPools.map(pool => ({
+      pool,
+      event: { type: POOL_EVENT_TYPES.REMOVED, snapshot, pool: formatPoolResponse(pool, tokenMap) }
+    })),
+    ...diff.changedPools.map(change => ({
+      pool: change.after,
+      event: {
+        type: POOL_EVENT_TYPES.UPDATED,
+        snapshot,
+        pool: formatPoolResponse(change.after, tokenMap),
+        changes: {
+          reserve0Delta: change.reserve0Delta.toString(),
+          reserve1Delta: change.reserve1Delta.toString(),
+          priceChangeBps: change.priceChangeBps,
+          feeChanged: change.feeChanged
+        }
+      }
+    }))
+  ];
+}
+
+/**
+ * Create a pool update stream driven by a snapshot cache.
+ * Once started, the snapshot is only checked while there are subscribers.
+ * @param {Object} options - Stream options
+ * @param {ReturnType<import('./snapshot-cache').createSnapshotCache>} options.snapshotCache - Shared snapshot cache
+ * @param {number} [options.intervalMs] - Time between snapshot checks
+ * @returns {{subscribe: function(Object, function(PoolEvent): void): function(): void, poll: function(): Promise<void>, start: function(): void, stop: function(): void, getSubscriberCount: function(): number}}
+ */
+function createPoolStream({ snapshotCache, intervalMs = DEFAULT_STREAM_INTERVAL_MS }) {
+  const subscribers = new Set();
+  let previous = null;
+  let timer = null;
+  let started = false;
+  let polling = false;
+
+  /**
+   * Run the polling loop if the stream is started and someone is listening
+   */
+  function resume() {
+    if (!started || timer || subscribers.size === 0) {
+      return;
+    }
+    poll();
+    timer = setInterval(poll, intervalMs);
+    timer.unref();
+  }
+
+  /**
+   * Stop the polling loop. The next subscriber starts from the then-current snapshot.
+   */
+  function pause() {
+    clearInterval(timer);
+    timer = null;
+    previous = null;
+  }
+
+  /**
+   * Register a subscriber
+   * @param {Object} filters - Subscription filters (see FILTER_PARAMS)
+   * @param {function(PoolEvent): void} send - Called for every matching event
+   * @returns {function(): void} - Unsubscribe function
+   */
+  function subscribe(filters, send) {
+    const subscriber = { filters, send };
+    subscribers.add(subscriber);
+    resume();
+    return () => {
+      subscribers.delete(subscriber);
+      if (subscribers.size === 0) {
+        pause();
+      }
+    };
+  }
+
+  /**
+   * Read the current snapshot and publish what changed since the last check
+   * @returns {Promise<void>}
+   */
+  async function poll() {
+    if (polling) {
+      return;
+    }
+    polling = true;
+    try {
+      // get() only re-fetches once the cached snapshot has expired
+      const current = await snapshotCache.get();
+      if (previous && current.id !== previous.id) {
+        const events = buildPoolEvents(previous, current);
+        const tokenMap = {};
+        current.data.tokens.forEach((token) => {
+          tokenMap[token.address] = token;
+        });
+        subscribers.forEach((subscriber) => {
+          events
+            .filter(({ pool }) => filterPools([pool], subscriber.filters, tokenMap).length > 0)
+            .forEach(({ event }) => subscriber.send(event));
+        });
+      }
+      previous = current;
+    } catch (error) {
+      console.error('Error refreshing pool stream:', error);
+    } finally {
+      polling = false;
+    }
+  }
+
+  /**
+   * Start polling; the loop runs while there are subscribers
+   */
+  function start() {
+    started = true;
+    resume();
+  }
+
+  /**
+   * Stop polling
+   */
+  function stop() {
+    started = false;
+    pause();
+  }
+
+  return {
+    subscribe,
+    poll,
+    start,
+    stop,
+    getSubscriberCount: () => subscribers.size
+  };
+}
+
+/**
+ * Serve the pool stream over WebSocket on an HTTP server.
+ * Filters come from the connection URL's query string and can be replaced by
+ * sending {"type": "subscribe", "filters": {...}}.
+ * @param {import('http').Server} server - HTTP server the API listens on
+ * @param {ReturnType<typeof createPoolStream>} poolStream - Pool stream
+ * @param {string} [path] - WebSocket endpoint path
+ * @returns {WebSocketServer} - The WebSocket server
+ */
+function attachPoolStreamWebSocket(server, poolStream, path = '/v1/evm/pools/ws') {
+  const wss = new WebSocketServer({ server, path });
+
+  wss.on('connection', (socket, req) => {
+    const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+    const filters = getStreamFilters(query);
+    const filterError = getFilterParamsError(filters);
+    if (filterError) {
+      socket.send(JSON.stringify({ type: 'error', error: filterError }));
+      socket.close(1008, 'Invalid filters');
+      return;
+    }
+
+    const send = event => socket.send(JSON.stringify(event));
+    let unsubscribe = poolStream.subscribe(filters, send);
+
+    socket.on('message', (message) => {
+      let request;
+      try {
+        request = JSON.parse(message.toString());
+      } catch (error) {
+        socket.send(JSON.stringify({ type: 'error', error: 'Invalid message. Expected JSON' }));
+        return;
+      }
+      if (request.type !== 'subscribe') {
+        return;
+      }
+
+      const nextFilters = getStreamFilters(request.filters || {});
+      const nextFilterError = getFilterParamsError(nextFilters);
+      if (nextFilterError) {
+        socket.send(JSON.stringify({ type: 'error', error: nextFilterError }));
+        return;
+      }
+      unsubscribe();
+      unsubscribe = poolStream.subscribe(nextFilters, send);
+      socket.send(JSON.stringify({ type: 'subscribed', filters: nextFilters }));
+    });
+
+    socket.on('close', () => unsubscribe());
+    socket.send(JSON.stringify({ type: 'subscribed', filters }));
+  });
+
+  return wss;
+}
+
+/**
+ * Get the polling interval from the POOLS_STREAM_INTERVAL_MS environment variable
+ * @returns {number} - Interval in milliseconds
+ */
+function getStreamIntervalFromEnv() {
+  const parsed = parseInt(process.env.POOLS_STREAM_INTERVAL_MS, 10);
+  return Number.isNaN(parsed) || parsed <= 0 ? DEFAULT_STREAM_INTERVAL_MS : parsed;
+}
+
+module.exports = {
+  DEFAULT_STREAM_INTERVAL_MS,
+  POOL_EVENT_TYPES,
+  getStreamFilters,
+  createPoolStream,
+  attachPoolStreamWebSocket,
+  getStreamIntervalFromEnv
+};
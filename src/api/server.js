@@ -1,210 +1,811 @@
 const express = require('express');
 const cors = require('cors');
 const { fetchAllDexData } = require('../dex-data-fetcher');
+const { createSnapshotCache, getCacheOptionsFromEnv } = require('./snapshot-cache');
+const {
+  NETWORK_MAPPING,
+  filterPools,
+  sortPools,
+  parseFlagList,
+  getFilterParamsError,
+  getMissingSources,
+  formatPoolResponse
+} = require('./pool-filters');
+const { createPoolStream, getStreamFilters, getStreamIntervalFromEnv } = require('./pool-stream');
+const { getSnapshotStoreFromEnv } = require('../snapshot-store');
+const { diffDexData } = require('../snapshot-diff');
+const { OPPORTUNITY_TYPES, searchArbitrageOpportunities } = require('../arbitrage-detector');
+const { createSwapPairsRegistry } = require('../swap-pairs-registry');
+const { getAmountOut, getPriceImpactBps } = require('../swap-math');
+const { isQuotablePool, getPoolTokens } = require('../dex-adapters');
+const { DEFAULT_MAX_HOPS, DEFAULT_MAX_SPLITS, findBestRoute } = require('../route-finder');
+const { getCanonicalAsset, getCanonicalAssets } = require('../token-registry');
+const { compareCanonicalAssetPrices } = require('../cross-chain-prices');
 
 const app = express();
 
+/**
+ * Optional persistent store every fetched snapshot is saved to (SNAPSHOT_STORE_DIR)
+ */
+app.locals.snapshotStore = getSnapshotStoreFromEnv();
+
+/**
+ * Fetch fresh DEX data and persist it when a snapshot store is configured
+ * @returns {Promise<import('../dex-data-fetcher').DexData>} - Fetched data
+ */
+async function fetchAndStoreDexData() {
+  const dexData = await fetchAllDexData();
+  if (app.locals.snapshotStore) {
+    try {
+      await app.locals.snapshotStore.save(dexData);
+    } catch (error) {
+      console.error('Error saving snapshot:', error);
+    }
+  }
+  return dexData;
+}
+
+/**
+ * Shared DEX data snapshot so paginated requests read from the same fetch
+ */
+const snapshotCache = createSnapshotCache(fetchAndStoreDexData, getCacheOptionsFromEnv());
+app.locals.snapshotCache = snapshotCache;
+
+/**
+ * Pool update stream; its refresh loop is started by the server entry point
+ */
+const poolStream = createPoolStream({ snapshotCache, intervalMs: getStreamIntervalFromEnv() });
+app.locals.poolStream = poolStream;
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
 /**
- * Network ID mapping to chain names
+ * Apply pagination to results
+ * @param {Array} items - Array of items
+ * @param {number} page - Page number (1-indexed)
+ * @param {number} limit - Items per page
+ * @returns {Array} - Paginated items
  */
-const NETWORK_MAPPING = {
-  'arbitrum-one': 'Arbitrum',
-  'avalanche': 'Avalanche',
-  'base': 'Base',
-  'bsc': 'BSC',
-  'mainnet': 'Ethereum',
-  'optimism': 'Optimism',
-  'polygon': 'Polygon',
-  'unichain': 'Unichain'
-};
+function paginate(items, page, limit) {
+  const startIndex = (page - 1) * limit;
+  const endIndex = startIndex + limit;
+  return items.slice(startIndex, endIndex);
+}
 
 /**
- * Protocol mapping
+ * Parse the page and limit parameters with their defaults
+ * @param {Object} query - Query parameters
+ * @returns {{page: number, limit: number, error: string|null}} - Page, capped limit, or error
  */
-const PROTOCOL_MAPPING = {
-  'uniswap_v2': 'Uniswap V2',
-  'uniswap_v3': 'Uniswap V3',
-  'uniswap_v4': 'Uniswap V4'
-};
+function parsePagination(query) {
+  const pageParam = query.page ? parseInt(query.page) : 1;
+  const limitParam = query.limit ? parseInt(query.limit) : 10;
+  const page = pageParam || 1;
+  const limit = Math.min(limitParam || 10, 1000);
+
+  if (pageParam < 1 || isNaN(pageParam)) {
+    return { page, limit, error: 'Invalid page parameter. Must be >= 1' };
+  }
+  if (limitParam < 1 || isNaN(limitParam)) {
+    return { page, limit, error: 'Invalid limit parameter. Must be between 1 and 1000' };
+  }
+  return { page, limit, error: null };
+}
 
 /**
- * Filter pools by query parameters
- * @param {Array} pools - Array of pool objects
- * @param {Object} query - Query parameters
- * @returns {Array} - Filtered pools
+ * GET /v1/evm/pools
+ * Returns Uniswap liquidity pool metadata including token pairs, fees, and protocol versions
  */
-function filterPools(pools, query) {
-  let filtered = [...pools];
+app.get('/v1/evm/pools', async (req, res) => {
+  try {
+    // Parse and validate pagination parameters
+    const { page, limit, error: paginationError } = parsePagination(req.query);
+    if (paginationError) {
+      return res.status(400).json({ error: paginationError });
+    }
+
+    // Validate network and protocol parameters
+    const filterError = getFilterParamsError(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    // Get the cached DEX data snapshot (fetched on first use or after expiry)
+    const snapshot = await snapshotCache.get();
+    const { tokens, pools } = snapshot.data;
+
+    // Create token map for quick lookup
+    const tokenMap = {};
+    tokens.forEach(token => {
+      tokenMap[token.address] = token;
+    });
+
+    // Filter and sort pools based on query parameters
+    const filteredPools = sortPools(filterPools(pools, req.query, tokenMap), req.query.sort);
+
+    // Apply pagination
+    const paginatedPools = paginate(filteredPools, page, limit);
+
+    // Format response
+    const formattedPools = paginatedPools.map(pool => formatPoolResponse(pool, tokenMap));
+
+    // Return response
+    res.json({
+      data: formattedPools,
+      pagination: {
+        page,
+        limit,
+        total: filteredPools.length,
+        hasMore: (page * limit) < filteredPools.length
+      },
+      snapshot: {
+        id: snapshot.id,
+        fetchedAt: new Date(snapshot.fetchedAt).toISOString()
+      },
+      // Sources left out until their subgraph URL env var is set
+      missingSources: getMissingSources(req.query)
+    });
+
+  } catch (error) {
+    console.error('Error fetching pools:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Format an arbitrage opportunity for API response
+ * @param {import('../arbitrage-detector').ArbitrageOpportunity} opportunity - Opportunity
+ * @returns {Object} - Formatted opportunity
+ */
+function formatOpportunityResponse(opportunity) {
+  return {
+    type: opportunity.type,
+    network: opportunity.chain,
+    path: opportunity.path,
+    symbols: opportunity.symbols,
+    hops: opportunity.hops.map(hop => ({
+      pool: hop.poolId,
+      protocol: hop.dexName,
+      tokenIn: hop.tokenIn,
+      tokenOut: hop.tokenOut,
+      fee: hop.fee.toString(),
+      midPrice: hop.midPrice
+    })),
+    grossSpreadBps: opportunity.grossSpreadBps,
+    netSpreadBps: opportunity.netSpreadBps
+  };
+}
+
+/**
+ * GET /v1/evm/opportunities
+ * Returns two-pool and triangular arbitrage cycles ranked by fee-adjusted spread
+ */
+app.get('/v1/evm/opportunities', async (req, res) => {
+  try {
+    const limitParam = req.query.limit ? parseInt(req.query.limit) : 10;
+    const minSpreadParam = req.query.min_spread_bps ? Number(req.query.min_spread_bps) : 0;
+    const types = Object.values(OPPORTUNITY_TYPES);
+
+    if (limitParam < 1 || isNaN(limitParam)) {
+      return res.status(400).json({
+        error: 'Invalid limit parameter. Must be between 1 and 100'
+      });
+    }
 
-  // Filter by network
-  if (query.network) {
-    const chainName = NETWORK_MAPPING[query.network];
-    if (chainName) {
-      filtered = filtered.filter(pool => pool.chain === chainName);
+    if (isNaN(minSpreadParam)) {
+      return res.status(400).json({
+        error: 'Invalid min_spread_bps parameter. Must be a number'
+      });
     }
+
+    const filterError = getFilterParamsError({ network: req.query.network, exclude_flags: req.query.exclude_flags });
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    if (req.query.type && !types.includes(req.query.type)) {
+      return res.status(400).json({
+        error: 'Invalid type parameter. Accepted values: ' + types.join(', ')
+      });
+    }
+
+    const snapshot = await snapshotCache.get();
+
+    const { opportunities, total } = searchArbitrageOpportunities(snapshot.data, {
+      chain: NETWORK_MAPPING[req.query.network],
+      excludeFlags: req.query.exclude_flags ? parseFlagList(req.query.exclude_flags) : [],
+      minNetSpreadBps: minSpreadParam,
+      includeTwoPool: req.query.type !== OPPORTUNITY_TYPES.TRIANGULAR,
+      includeTriangular: req.query.type !== OPPORTUNITY_TYPES.TWO_POOL,
+      limit: Math.min(limitParam, 100)
+    });
+
+    res.json({
+      data: opportunities.map(formatOpportunityResponse),
+      total,
+      snapshot: {
+        id: snapshot.id,
+        fetchedAt: new Date(snapshot.fetchedAt).toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error finding opportunities:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
   }
+});
+
+/**
+ * Format token metadata for API response
+ * @param {string} address - Token address
+ * @param {Object} tokens - Token map keyed by lowercase address
+ * @returns {Object} - Formatted token
+ */
+function formatTokenResponse(address, tokens) {
+  return {
+    address,
+    symbol: tokens[address]?.symbol || 'UNKNOWN',
+    decimals: tokens[address]?.decimals || 18
+  };
+}
 
-  // Filter by factory address
-  if (query.factory) {
-    const factories = query.factory.split(',').map(f => f.toLowerCase().trim());
-    filtered = filtered.filter(pool => 
-      pool.factory && factories.includes(pool.factory.toLowerCase())
-    );
+/**
+ * Validate the input_token, output_token and amount_in parameters shared by swap endpoints
+ * @param {Object} query - Query parameters
+ * @returns {string|null} - Error message, or null if the parameters are valid
+ */
+function getSwapParamsError(query) {
+  for (const param of ['input_token', 'output_token', 'amount_in']) {
+    if (!query[param]) {
+      return `Missing required parameter: ${param}`;
+    }
+    // Repeated parameters are parsed as arrays
+    if (typeof query[param] !== 'string') {
+      return `Invalid ${param} parameter. Must be given once`;
+    }
   }
 
-  // Filter by pool address
-  if (query.pool) {
-    const poolAddresses = query.pool.split(',').map(p => p.toLowerCase().trim());
-    filtered = filtered.filter(pool => 
-      pool.id && poolAddresses.includes(pool.id.toLowerCase())
-    );
+  if (query.input_token.toLowerCase().trim() === query.output_token.toLowerCase().trim()) {
+    return 'input_token and output_token must be different';
   }
 
-  // Filter by input token (token0 or token1)
-  if (query.input_token) {
-    const inputTokens = query.input_token.split(',').map(t => t.toLowerCase().trim());
-    filtered = filtered.filter(pool => 
-      inputTokens.includes(pool.token0.toLowerCase()) || 
-      inputTokens.includes(pool.token1.toLowerCase())
-    );
+  if (!/^\d+$/.test(query.amount_in) || BigInt(query.amount_in) === BigInt(0)) {
+    return 'Invalid amount_in parameter. Must be a positive integer in raw token units';
   }
 
-  // Filter by output token (token0 or token1)
-  if (query.output_token) {
-    const outputTokens = query.output_token.split(',').map(t => t.toLowerCase().trim());
-    filtered = filtered.filter(pool => 
-      outputTokens.includes(pool.token0.toLowerCase()) || 
-      outputTokens.includes(pool.token1.toLowerCase())
-    );
+  return null;
+}
+
+/**
+ * GET /v1/evm/quote
+ * Simulates an exact-input swap against every pool for the token pair
+ */
+app.get('/v1/evm/quote', async (req, res) => {
+  try {
+    const swapParamsError = getSwapParamsError(req.query);
+    if (swapParamsError) {
+      return res.status(400).json({ error: swapParamsError });
+    }
+
+    const filterError = getFilterParamsError(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const inputToken = req.query.input_token.toLowerCase().trim();
+    const outputToken = req.query.output_token.toLowerCase().trim();
+    const amountIn = BigInt(req.query.amount_in);
+    const snapshot = await snapshotCache.get();
+    const { tokens } = snapshot.data;
+
+    const tokenMap = {};
+    tokens.forEach(token => {
+      tokenMap[token.address.toLowerCase()] = token;
+    });
+
+    // Candidate pools: every quotable pool for the pair that passes the network/protocol filters
+    const pools = filterPools(snapshot.data.pools, {
+      network: req.query.network,
+      protocol: req.query.protocol
+    }).filter(isQuotablePool);
+    const registry = createSwapPairsRegistry({ tokens, pools }, { monitoredOnly: false });
+
+    const quotes = registry.getPoolsForPair(inputToken, outputToken)
+      .map(pool => {
+        const amountOut = getAmountOut(pool, inputToken, amountIn, outputToken);
+        return {
+          pool: pool.id,
+          protocol: pool.dexName,
+          network: pool.chain,
+          fee: pool.fee.toString(),
+          amountOut,
+          priceImpactBps: getPriceImpactBps(pool, inputToken, amountIn, amountOut, outputToken)
+        };
+      })
+      .sort((a, b) => (b.amountOut > a.amountOut ? 1 : b.amountOut < a.amountOut ? -1 : 0))
+      .map(quote => ({ ...quote, amountOut: quote.amountOut.toString() }));
+
+    const bestQuote = quotes.find(quote => quote.amountOut !== '0');
+
+    res.json({
+      data: {
+        inputToken: formatTokenResponse(inputToken, tokenMap),
+        outputToken: formatTokenResponse(outputToken, tokenMap),
+        amountIn: amountIn.toString(),
+        bestPool: bestQuote ? bestQuote.pool : null,
+        amountOut: bestQuote ? bestQuote.amountOut : '0',
+        quotes
+      },
+      snapshot: {
+        id: snapshot.id,
+        fetchedAt: new Date(snapshot.fetchedAt).toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error quoting swap:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
   }
+});
+
+/**
+ * GET /v1/evm/routes
+ * Finds the best multi-hop route, or split of routes, for an exact-input swap
+ */
+app.get('/v1/evm/routes', async (req, res) => {
+  try {
+    const swapParamsError = getSwapParamsError(req.query);
+    if (swapParamsError) {
+      return res.status(400).json({ error: swapParamsError });
+    }
+
+    const maxHops = req.query.max_hops ? parseInt(req.query.max_hops) : DEFAULT_MAX_HOPS;
+    const maxSplits = req.query.max_splits ? parseInt(req.query.max_splits) : DEFAULT_MAX_SPLITS;
+
+    if (isNaN(maxHops) || maxHops < 1 || maxHops > 4) {
+      return res.status(400).json({
+        error: 'Invalid max_hops parameter. Must be between 1 and 4'
+      });
+    }
+
+    if (isNaN(maxSplits) || maxSplits < 1 || maxSplits > 5) {
+      return res.status(400).json({
+        error: 'Invalid max_splits parameter. Must be between 1 and 5'
+      });
+    }
 
-  // Filter by protocol
-  if (query.protocol) {
-    const protocolName = PROTOCOL_MAPPING[query.protocol];
-    if (protocolName) {
-      filtered = filtered.filter(pool => pool.dexName === protocolName);
+    const filterError = getFilterParamsError({ network: req.query.network });
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
     }
+
+    const inputToken = req.query.input_token.toLowerCase().trim();
+    const outputToken = req.query.output_token.toLowerCase().trim();
+    const amountIn = BigInt(req.query.amount_in);
+    const snapshot = await snapshotCache.get();
+
+    const tokenMap = {};
+    snapshot.data.tokens.forEach(token => {
+      tokenMap[token.address.toLowerCase()] = token;
+    });
+
+    const result = findBestRoute(snapshot.data, inputToken, outputToken, amountIn, {
+      chain: NETWORK_MAPPING[req.query.network],
+      maxHops,
+      maxSplits
+    });
+
+    res.json({
+      data: {
+        inputToken: formatTokenResponse(inputToken, tokenMap),
+        outputToken: formatTokenResponse(outputToken, tokenMap),
+        amountIn: amountIn.toString(),
+        amountOut: result ? result.amountOut.toString() : '0',
+        network: result ? result.chain : null,
+        routes: result ? result.routes.map(route => ({
+          path: route.path,
+          symbols: route.path.map(address => tokenMap[address]?.symbol || 'UNKNOWN'),
+          amountIn: route.amountIn.toString(),
+          amountOut: route.amountOut.toString(),
+          hops: route.hops.map((hop, index) => ({
+            pool: hop.pool.id,
+            protocol: hop.pool.dexName,
+            tokenIn: hop.tokenIn,
+            tokenOut: hop.tokenOut,
+            fee: hop.pool.fee.toString(),
+            amountIn: route.amounts[index].toString(),
+            amountOut: route.amounts[index + 1].toString()
+          }))
+        })) : []
+      },
+      snapshot: {
+        id: snapshot.id,
+        fetchedAt: new Date(snapshot.fetchedAt).toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error finding routes:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
   }
+});
 
-  return filtered;
+/**
+ * Parse a time query parameter given as milliseconds since epoch or an ISO 8601 date
+ * @param {string|undefined} value - Raw parameter
+ * @returns {number|undefined} - Time in ms, undefined when absent, NaN when invalid
+ */
+function parseTimeParam(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
 }
 
 /**
- * Apply pagination to results
- * @param {Array} items - Array of items
- * @param {number} page - Page number (1-indexed)
- * @param {number} limit - Items per page
- * @returns {Array} - Paginated items
+ * Respond with 503 when no snapshot store is configured
+ * @param {Object} res - Express response
+ * @returns {boolean} - True if the response was sent
  */
-function paginate(items, page, limit) {
-  const startIndex = (page - 1) * limit;
-  const endIndex = startIndex + limit;
-  return items.slice(startIndex, endIndex);
+function rejectWithoutSnapshotStore(res) {
+  if (app.locals.snapshotStore) {
+    return false;
+  }
+  res.status(503).json({
+    error: 'Snapshot storage is not enabled. Set SNAPSHOT_STORE_DIR to enable it'
+  });
+  return true;
 }
 
 /**
- * Format pool data for API response
- * @param {Object} pool - Pool object
- * @param {Object} tokens - Token map
- * @returns {Object} - Formatted pool data
+ * Validate the from/to time range parameters
+ * @param {Object} query - Query parameters
+ * @returns {{range: {from: number, to: number}, error: string|null}} - Parsed range or error
  */
-function formatPoolResponse(pool, tokens) {
-  return {
-    id: pool.id || `${pool.token0}-${pool.token1}`,
-    factory: pool.factory || null,
-    token0: {
-      address: pool.token0,
-      symbol: tokens[pool.token0]?.symbol || 'UNKNOWN',
-      decimals: tokens[pool.token0]?.decimals || 18
-    },
-    token1: {
-      address: pool.token1,
-      symbol: tokens[pool.token1]?.symbol || 'UNKNOWN',
-      decimals: tokens[pool.token1]?.decimals || 18
-    },
-    reserve0: pool.reserve0.toString(),
-    reserve1: pool.reserve1.toString(),
-    fee: pool.fee.toString(),
-    protocol: pool.dexName,
-    network: pool.chain
+function parseTimeRange(query) {
+  const range = {
+    from: parseTimeParam(query.from),
+    to: parseTimeParam(query.to)
   };
+  for (const param of ['from', 'to']) {
+    if (Number.isNaN(range[param])) {
+      return { range, error: `Invalid ${param} parameter. Must be a timestamp in milliseconds or an ISO 8601 date` };
+    }
+  }
+  return { range, error: null };
 }
 
 /**
- * GET /v1/evm/pools
- * Returns Uniswap liquidity pool metadata including token pairs, fees, and protocol versions
+ * GET /v1/evm/snapshots
+ * Lists persisted snapshots, oldest first
  */
-app.get('/v1/evm/pools', async (req, res) => {
+app.get('/v1/evm/snapshots', async (req, res) => {
   try {
-    // Parse query parameters with defaults
-    const pageParam = req.query.page ? parseInt(req.query.page) : 1;
-    const limitParam = req.query.limit ? parseInt(req.query.limit) : 10;
-    
-    const page = pageParam || 1;
-    const limit = Math.min(limitParam || 10, 1000);
+    if (rejectWithoutSnapshotStore(res)) {
+      return;
+    }
 
-    // Validate pagination parameters
-    if (pageParam < 1 || isNaN(pageParam)) {
-      return res.status(400).json({
-        error: 'Invalid page parameter. Must be >= 1'
-      });
+    const { range, error } = parseTimeRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
+    const limitParam = req.query.limit ? parseInt(req.query.limit) : 100;
     if (limitParam < 1 || isNaN(limitParam)) {
       return res.status(400).json({
         error: 'Invalid limit parameter. Must be between 1 and 1000'
       });
     }
 
-    // Validate network parameter
-    if (req.query.network && !NETWORK_MAPPING[req.query.network]) {
-      return res.status(400).json({
-        error: 'Invalid network parameter. Accepted values: ' + Object.keys(NETWORK_MAPPING).join(', ')
-      });
+    const records = await app.locals.snapshotStore.list({ ...range, limit: Math.min(limitParam, 1000) });
+
+    res.json({
+      data: records.map(record => ({
+        ...record,
+        timestamp: new Date(record.timestamp).toISOString()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /v1/evm/snapshots/:id
+ * Returns the pools of one persisted snapshot, filtered and paginated like /v1/evm/pools
+ */
+app.get('/v1/evm/snapshots/:id', async (req, res) => {
+  try {
+    if (rejectWithoutSnapshotStore(res)) {
+      return;
     }
 
-    // Validate protocol parameter
-    if (req.query.protocol && !PROTOCOL_MAPPING[req.query.protocol]) {
+    if (!/^[1-9]\d*$/.test(req.params.id)) {
       return res.status(400).json({
-        error: 'Invalid protocol parameter. Accepted values: ' + Object.keys(PROTOCOL_MAPPING).join(', ')
+        error: 'Invalid snapshot id. Must be a positive integer'
       });
     }
 
-    // Fetch all DEX data
-    const { tokens, pools } = await fetchAllDexData();
+    const { page, limit, error: paginationError } = parsePagination(req.query);
+    if (paginationError) {
+      return res.status(400).json({ error: paginationError });
+    }
+
+    const filterError = getFilterParamsError(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const stored = await app.locals.snapshotStore.load(Number(req.params.id));
+    if (!stored) {
+      return res.status(404).json({
+        error: `Snapshot ${req.params.id} not found`
+      });
+    }
 
-    // Create token map for quick lookup
     const tokenMap = {};
-    tokens.forEach(token => {
+    stored.data.tokens.forEach(token => {
       tokenMap[token.address] = token;
     });
 
-    // Filter pools based on query parameters
-    const filteredPools = filterPools(pools, req.query);
+    const filteredPools = sortPools(filterPools(stored.data.pools, req.query, tokenMap), req.query.sort);
 
-    // Apply pagination
-    const paginatedPools = paginate(filteredPools, page, limit);
-
-    // Format response
-    const formattedPools = paginatedPools.map(pool => formatPoolResponse(pool, tokenMap));
-
-    // Return response
     res.json({
-      data: formattedPools,
+      data: paginate(filteredPools, page, limit).map(pool => formatPoolResponse(pool, tokenMap)),
       pagination: {
         page,
         limit,
         total: filteredPools.length,
         hasMore: (page * limit) < filteredPools.length
+      },
+      snapshot: {
+        id: stored.id,
+        timestamp: new Date(stored.timestamp).toISOString(),
+        blocks: stored.blocks,
+        tokenCount: stored.tokenCount,
+        poolCount: stored.poolCount
       }
     });
 
   } catch (error) {
-    console.error('Error fetching pools:', error);
+    console.error('Error loading snapshot:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /v1/evm/pools/changes
+ * Compares the current snapshot with the stored snapshot at or before `since`
+ */
+app.get('/v1/evm/pools/changes', async (req, res) => {
+  try {
+    if (rejectWithoutSnapshotStore(res)) {
+      return;
+    }
+
+    if (!req.query.since) {
+      return res.status(400).json({
+        error: 'Missing required parameter: since'
+      });
+    }
+
+    const since = parseTimeParam(req.query.since);
+    if (Number.isNaN(since)) {
+      return res.status(400).json({
+        error: 'Invalid since parameter. Must be a timestamp in milliseconds or an ISO 8601 date'
+      });
+    }
+
+    const filterError = getFilterParamsError({ network: req.query.network });
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const baseline = await app.locals.snapshotStore.loadAt(since);
+    if (!baseline) {
+      return res.status(404).json({
+        error: 'No stored snapshot at or before since'
+      });
+    }
+
+    const snapshot = await snapshotCache.get();
+    const chain = NETWORK_MAPPING[req.query.network];
+    // With a network, tokens are narrowed to those the network's pools hold
+    const onChain = ({ tokens, pools }) => {
+      if (!chain) {
+        return { tokens, pools };
+      }
+      const chainPools = pools.filter(pool => pool.chain === chain);
+      const held = new Set(chainPools.flatMap(pool => getPoolTokens(pool).map(address => address.toLowerCase())));
+      return { tokens: tokens.filter(token => held.has(token.address.toLowerCase())), pools: chainPools };
+    };
+    const diff = diffDexData(onChain(baseline.data), onChain(snapshot.data));
+
+    // Removed pools reference tokens that may only exist in the baseline
+    const tokenMap = {};
+    [...baseline.data.tokens, ...snapshot.data.tokens].forEach(token => {
+      tokenMap[token.address] = token;
+    });
+    const formatToken = token => ({ address: token.address, symbol: token.symbol, decimals: token.decimals });
+
+    res.json({
+      data: {
+        addedTokens: diff.addedTokens.map(formatToken),
+        removedTokens: diff.removedTokens.map(formatToken),
+        addedPools: diff.addedPools.map(pool => formatPoolResponse(pool, tokenMap)),
+        removedPools: diff.removedPools.map(pool => formatPoolResponse(pool, tokenMap)),
+        changedPools: diff.changedPools.map(change => ({
+          id: change.after.id,
+          protocol: change.after.dexName,
+          network: change.after.chain,
+          reserve0: {
+            before: change.before.reserve0.toString(),
+            after: change.after.reserve0.toString(),
+            delta: change.reserve0Delta.toString()
+          },
+          reserve1: {
+            before: change.before.reserve1.toString(),
+            after: change.after.reserve1.toString(),
+            delta: change.reserve1Delta.toString()
+          },
+          priceChangeBps: change.priceChangeBps,
+          fee: {
+            before: change.before.fee.toString(),
+            after: change.after.fee.toString()
+          }
+        }))
+      },
+      since: {
+        snapshotId: baseline.id,
+        timestamp: new Date(baseline.timestamp).toISOString()
+      },
+      snapshot: {
+        id: snapshot.id,
+        fetchedAt: new Date(snapshot.fetchedAt).toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error diffing snapshots:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /v1/evm/pools/stream
+ * Server-Sent Events stream of pool updates matching the /v1/evm/pools filters
+ */
+app.get('/v1/evm/pools/stream', (req, res) => {
+  const filters = getStreamFilters(req.query);
+  const filterError = getFilterParamsError(filters);
+  if (filterError) {
+    return res.status(400).json({ error: filterError });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const sendEvent = (type, payload) => res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  const unsubscribe = poolStream.subscribe(filters, event => sendEvent(event.type, event));
+  req.on('close', unsubscribe);
+  sendEvent('subscribed', { type: 'subscribed', filters });
+});
+
+/**
+ * GET /v1/evm/pools/:pool/history
+ * Returns a pool's reserves and price across persisted snapshots
+ */
+app.get('/v1/evm/pools/:pool/history', async (req, res) => {
+  try {
+    if (rejectWithoutSnapshotStore(res)) {
+      return;
+    }
+
+    const { range, error } = parseTimeRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const filterError = getFilterParamsError({ network: req.query.network });
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const history = await app.locals.snapshotStore.getPoolHistory(req.params.pool, {
+      ...range,
+      chain: NETWORK_MAPPING[req.query.network]
+    });
+
+    res.json({
+      pool: req.params.pool.toLowerCase(),
+      data: history.map(entry => ({
+        snapshotId: entry.snapshotId,
+        timestamp: new Date(entry.timestamp).toISOString(),
+        blockNumber: entry.blockNumber,
+        reserve0: entry.reserve0.toString(),
+        reserve1: entry.reserve1.toString(),
+        price: entry.price
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching pool history:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /v1/evm/assets/prices
+ * Compares the USD price of each canonical asset across the chains it is bridged to
+ */
+app.get('/v1/evm/assets/prices', async (req, res) => {
+  try {
+    const minSpreadParam = req.query.min_spread_bps ? Number(req.query.min_spread_bps) : null;
+
+    if (req.query.asset && (typeof req.query.asset !== 'string' || !getCanonicalAsset(req.query.asset))) {
+      return res.status(400).json({
+        error: 'Invalid asset parameter. Accepted values: ' + getCanonicalAssets().map(asset => asset.id).join(', ')
+      });
+    }
+
+    if (isNaN(minSpreadParam) || minSpreadParam < 0) {
+      return res.status(400).json({
+        error: 'Invalid min_spread_bps parameter. Must be a number >= 0'
+      });
+    }
+
+    const snapshot = await snapshotCache.get();
+
+    let comparisons = compareCanonicalAssetPrices(snapshot.data, {
+      assets: req.query.asset ? [getCanonicalAsset(req.query.asset)] : getCanonicalAssets()
+    });
+
+    if (minSpreadParam !== null) {
+      comparisons = comparisons.filter(comparison => comparison.spreadBps !== null && comparison.spreadBps >= minSpreadParam);
+    }
+
+    res.json({
+      data: comparisons,
+      snapshot: {
+        id: snapshot.id,
+        fetchedAt: new Date(snapshot.fetchedAt).toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error comparing asset prices:', error);
     res.status(500).json({
       error: 'Internal server error',
       message: error.message
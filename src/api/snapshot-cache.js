@@ -0,0 +1,156 @@
+/**
+ * Snapshot Cache - In-process cache for DEX data snapshots
+ * Serves a single snapshot to every request within its TTL, refreshes stale
+ * snapshots in the background and shares one in-flight fetch between callers
+ */
+
+/**
+ * Default time a snapshot is considered fresh (30 seconds)
+ */
+const DEFAULT_TTL_MS = 30000;
+
+/**
+ * Default time a stale snapshot may still be served while it is refreshed (5 minutes)
+ */
+const DEFAULT_STALE_MS = 300000;
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {number} id - Monotonically increasing snapshot id
+ * @property {number} fetchedAt - Time the snapshot was fetched (ms since epoch)
+ * @property {*} data - Value resolved by the fetch function
+ */
+
+/**
+ * @typedef {Object} SnapshotCacheOptions
+ * @property {number} [ttlMs] - Time a snapshot is fresh, in milliseconds
+ * @property {number} [staleMs] - Time after expiry a stale snapshot may be served while refreshing
+ * @property {function(): number} [now] - Clock used for snapshot ages (defaults to Date.now)
+ */
+
+/**
+ * Parse a non-negative integer option from an environment variable
+ * @param {string|undefined} value - Raw environment value
+ * @param {number} fallback - Value used when the variable is unset or invalid
+ * @returns {number} - Parsed value
+ */
+function parseDuration(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+/**
+ * Get cache options from environment variables
+ * @returns {SnapshotCacheOptions} - Cache options
+ */
+function getCacheOptionsFromEnv() {
+  return {
+    ttlMs: parseDuration(process.env.POOLS_CACHE_TTL_MS, DEFAULT_TTL_MS),
+    staleMs: parseDuration(process.env.POOLS_CACHE_STALE_MS, DEFAULT_STALE_MS)
+  };
+}
+
+/**
+ * Create a snapshot cache around an async fetch function
+ * @param {function(): Promise<*>} fetchSnapshot - Function producing fresh snapshot data
+ * @param {SnapshotCacheOptions} [options] - Cache options
+ * @returns {{get: function(): Promise<Snapshot>, refresh: function(): Promise<Snapshot>, peek: function(): (Snapshot|null), invalidate: function(): void}}
+ */
+function createSnapshotCache(fetchSnapshot, options = {}) {
+  const ttlMs = options.ttlMs ?? DEFAULT_TTL_MS;
+  const staleMs = options.staleMs ?? DEFAULT_STALE_MS;
+  const now = options.now || Date.now;
+
+  let snapshot = null;
+  let inFlight = null;
+  let nextId = 1;
+  let generation = 0;
+
+  /**
+   * Fetch a new snapshot, joining the in-flight fetch if one is running
+   * @returns {Promise<Snapshot>}
+   */
+  function refresh() {
+    if (inFlight) {
+      return inFlight;
+    }
+
+    // A fetch started before invalidate() must not repopulate the cache
+    const startedGeneration = generation;
+
+    const pending = Promise.resolve()
+      .then(() => fetchSnapshot())
+      .then((data) => {
+        const fresh = { id: nextId++, fetchedAt: now(), data };
+        if (startedGeneration === generation) {
+          snapshot = fresh;
+        }
+        return fresh;
+      })
+      .finally(() => {
+        if (inFlight === pending) {
+          inFlight = null;
+        }
+      });
+
+    inFlight = pending;
+    return pending;
+  }
+
+  /**
+   * Get the current snapshot, fetching or refreshing it as needed
+   * @returns {Promise<Snapshot>}
+   */
+  async function get() {
+    if (!snapshot) {
+      return refresh();
+    }
+
+    const age = now() - snapshot.fetchedAt;
+
+    if (age < ttlMs) {
+      return snapshot;
+    }
+
+    if (age < ttlMs + staleMs) {
+      // Serve the stale snapshot and revalidate in the background
+      refresh().catch((error) => {
+        console.error('Background snapshot refresh failed:', error);
+      });
+      return snapshot;
+    }
+
+    return refresh();
+  }
+
+  /**
+   * Get the cached snapshot without fetching
+   * @returns {Snapshot|null}
+   */
+  function peek() {
+    return snapshot;
+  }
+
+  /**
+   * Drop the cached snapshot so the next get() fetches fresh data
+   */
+  function invalidate() {
+    snapshot = null;
+    inFlight = null;
+    generation++;
+  }
+
+  return {
+    get,
+    refresh,
+    peek,
+    invalidate
+  };
+}
+
+module.exports = {
+  DEFAULT_TTL_MS,
+  DEFAULT_STALE_MS,
+  createSnapshotCache,
+  getCacheOptionsFromEnv
+};
@@ -0,0 +1,276 @@
+/**
+ * Arbitrage Detector - Finds price discrepancies across fetched pools
+ * Builds a graph of swap rates from pool mid-prices and searches it for
+ * two-pool and triangular cycles that stay profitable after pool fees
+ */
+
+const { getSpotPrice } = require('./swap-math');
+const { getPoolTokens, isQuotablePool } = require('./dex-adapters');
+const { excludeFlaggedPools } = require('./token-safety');
+
+/**
+ * Fee denominator: pool fees are in hundredths of a bip (3000 = 0.3%)
+ */
+const FEE_DENOMINATOR = 1000000;
+
+/**
+ * Opportunity types
+ */
+const OPPORTUNITY_TYPES = {
+  TWO_POOL: 'two-pool',
+  TRIANGULAR: 'triangular'
+};
+
+/**
+ * @typedef {Object} ArbitrageHop
+ * @property {string} poolId - Pool address
+ * @property {string} dexName - DEX of the pool
+ * @property {string} tokenIn - Token sold into the pool
+ * @property {string} tokenOut - Token bought from the pool
+ * @property {bigint} fee - Pool fee tier
+ * @property {number} midPrice - tokenOut received per tokenIn at the mid-price, in raw units
+ * @property {import('./dex-data-fetcher').Pool} pool - The pool itself, for sizing the trade
+ */
+
+/**
+ * @typedef {Object} ArbitrageOpportunity
+ * @property {string} type - Opportunity type (see OPPORTUNITY_TYPES)
+ * @property {string} chain - Chain all pools are on
+ * @property {string[]} path - Token addresses visited, starting and ending with the same token
+ * @property {string[]} symbols - Symbols of the tokens in path
+ * @property {ArbitrageHop[]} hops - Swaps in execution order
+ * @property {number} grossSpreadBps - Profit of the cycle at mid-prices, in basis points
+ * @property {number} netSpreadBps - Profit after pool fees, in basis points
+ */
+
+/**
+ * @typedef {Object} ArbitrageSearchOptions
+ * @property {number} [minNetSpreadBps] - Minimum fee-adjusted spread to report (default 0)
+ * @property {boolean} [includeTwoPool] - Search two-pool cycles (default true)
+ * @property {boolean} [includeTriangular] - Search three-pool cycles (default true)
+ * @property {string} [chain] - Only search pools on this chain
+ * @property {string[]} [excludeFlags] - Skip pools holding a token with any of these safety flags (e.g., fee-on-transfer)
+ * @property {number} [limit] - Maximum number of opportunities returned (default 100)
+ */
+
+/**
+ * @typedef {Object} ArbitrageSearchResult
+ * @property {ArbitrageOpportunity[]} opportunities - Best opportunities ranked by fee-adjusted spread, up to the limit
+ * @property {number} total - Number of opportunities found before the limit
+ */
+
+/**
+ * Get the mid-price of a pool as token1 per token0, in raw units
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @returns {number} - Mid-price, or 0 if the pool is empty
+ */
+function getMidPrice(pool) {
+  return getSpotPrice(pool, pool.token0, pool.token1);
+}
+
+/**
+ * Get the fee of a pool as a fraction
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @returns {number} - Fee rate (e.g., 0.003)
+ */
+function getFeeRate(pool) {
+  return Number(pool.fee) / FEE_DENOMINATOR;
+}
+
+/**
+ * Build directed swap edges for every non-empty pool, keyed by chain, input token and output token
+ * @param {import('./dex-data-fetcher').Pool[]} pools - Pools
+ * @returns {Map<string, Map<string, Map<string, Object[]>>>} - chain → tokenIn → tokenOut → edges
+ */
+function buildRateGraph(pools) {
+  const graph = new Map();
+
+  const addEdge = (pool, tokenIn, tokenOut, midPrice) => {
+    if (!graph.has(pool.chain)) {
+      graph.set(pool.chain, new Map());
+    }
+    const chainGraph = graph.get(pool.chain);
+    if (!chainGraph.has(tokenIn)) {
+      chainGraph.set(tokenIn, new Map());
+    }
+    const tokenEdges = chainGraph.get(tokenIn);
+    if (!tokenEdges.has(tokenOut)) {
+      tokenEdges.set(tokenOut, []);
+    }
+    tokenEdges.get(tokenOut).push({
+      pool,
+      tokenIn,
+      tokenOut,
+      midPrice,
+      netRate: midPrice * (1 - getFeeRate(pool))
+    });
+  };
+
+  pools.forEach((pool) => {
+    const tokens = getPoolTokens(pool).map(token => token.toLowerCase());
+    tokens.forEach((tokenA, i) => {
+      tokens.slice(i + 1).forEach((tokenB) => {
+        const midPrice = getSpotPrice(pool, tokenA, tokenB);
+        if (midPrice === 0) {
+          return;
+        }
+        addEdge(pool, tokenA, tokenB, midPrice);
+        addEdge(pool, tokenB, tokenA, 1 / midPrice);
+      });
+    });
+  });
+
+  return graph;
+}
+
+/**
+ * Convert a rate multiplier into basis points of profit
+ * @param {number} rate - Output per unit of input around the cycle
+ * @returns {number} - Profit in basis points
+ */
+function toBps(rate) {
+  return (rate - 1) * 10000;
+}
+
+/**
+ * Build an opportunity from a cycle of edges
+ * @param {string} type - Opportunity type
+ * @param {string} chain - Chain of the cycle
+ * @param {Object[]} edges - Edges in execution order
+ * @param {Map<string, string>} symbols - Token symbols by address
+ * @returns {ArbitrageOpportunity}
+ */
+function buildOpportunity(type, chain, edges, symbols) {
+  const gross = edges.reduce((rate, edge) => rate * edge.midPrice, 1);
+  const net = edges.reduce((rate, edge) => rate * edge.netRate, 1);
+  const path = [...edges.map(edge => edge.tokenIn), edges[0].tokenIn];
+
+  return {
+    type,
+    chain,
+    path,
+    symbols: path.map(address => symbols.get(address) || 'UNKNOWN'),
+    hops: edges.map(edge => ({
+      poolId: edge.pool.id,
+      dexName: edge.pool.dexName,
+      tokenIn: edge.tokenIn,
+      tokenOut: edge.tokenOut,
+      fee: edge.pool.fee,
+      midPrice: edge.midPrice,
+      pool: edge.pool
+    })),
+    grossSpreadBps: toBps(gross),
+    netSpreadBps: toBps(net)
+  };
+}
+
+/**
+ * Find arbitrage cycles whose price discrepancy exceeds the combined pool fees,
+ * keeping only the best `limit` in memory while searching.
+ * Each cycle is reported once, starting from its lowest token address.
+ * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools from fetchAllDexData
+ * @param {ArbitrageSearchOptions} [options] - Search options
+ * @returns {ArbitrageSearchResult} - Best opportunities and the number found
+ */
+function searchArbitrageOpportunities(dexData, options = {}) {
+  const minNetSpreadBps = options.minNetSpreadBps ?? 0;
+  const includeTwoPool = options.includeTwoPool ?? true;
+  const includeTriangular = options.includeTriangular ?? true;
+  const limit = options.limit ?? 100;
+
+  const symbols = new Map(dexData.tokens.map(token => [token.address.toLowerCase(), token.symbol]));
+  const chainPools = dexData.pools
+    .filter(pool => isQuotablePool(pool) && (!options.chain || pool.chain === options.chain));
+  const pools = excludeFlaggedPools(chainPools, dexData.tokens, options.excludeFlags);
+  const graph = buildRateGraph(pools);
+  const byNetSpread = (a, b) => b.netSpreadBps - a.netSpreadBps;
+  let candidates = [];
+  let total = 0;
+
+  const consider = (type, chain, edges) => {
+    const netSpreadBps = toBps(edges.reduce((rate, edge) => rate * edge.netRate, 1));
+    if (netSpreadBps <= minNetSpreadBps) {
+      return;
+    }
+    total += 1;
+    candidates.push({ type, chain, edges, netSpreadBps });
+    // Drop all but the best once the buffer holds twice the limit
+    if (candidates.length >= limit * 2) {
+      candidates = candidates.sort(byNetSpread).slice(0, limit);
+    }
+  };
+
+  graph.forEach((chainGraph, chain) => {
+    chainGraph.forEach((startEdges, start) => {
+      startEdges.forEach((firstEdges, middle) => {
+        if (middle < start) {
+          return;
+        }
+        const middleEdges = chainGraph.get(middle);
+
+        // Two-pool cycle: start → A → start
+        if (includeTwoPool) {
+          const closingEdges = middleEdges.get(start);
+          firstEdges.forEach((first) => {
+            closingEdges.forEach((second) => {
+              if (second.pool !== first.pool) {
+                consider(OPPORTUNITY_TYPES.TWO_POOL, chain, [first, second]);
+              }
+            });
+          });
+        }
+
+        if (!includeTriangular) {
+          return;
+        }
+
+        // Triangular cycle: start → A → B → start; B must pair with both A and start
+        middleEdges.forEach((secondEdges, last) => {
+          const closingEdges = last > start ? chainGraph.get(last).get(start) : undefined;
+          if (!closingEdges) {
+            return;
+          }
+          firstEdges.forEach((first) => {
+            secondEdges.forEach((second) => {
+              if (second.pool === first.pool) {
+                return;
+              }
+              closingEdges.forEach((third) => {
+                if (third.pool !== first.pool && third.pool !== second.pool) {
+                  consider(OPPORTUNITY_TYPES.TRIANGULAR, chain, [first, second, third]);
+                }
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  return {
+    opportunities: candidates
+      .sort(byNetSpread)
+      .slice(0, limit)
+      .map(candidate => buildOpportunity(candidate.type, candidate.chain, candidate.edges, symbols)),
+    total
+  };
+}
+
+/**
+ * Find arbitrage cycles whose price discrepancy exceeds the combined pool fees.
+ * Each cycle is reported once, starting from its lowest token address.
+ * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools from fetchAllDexData
+ * @param {ArbitrageSearchOptions} [options] - Search options
+ * @returns {ArbitrageOpportunity[]} - Opportunities ranked by fee-adjusted spread
+ */
+function findArbitrageOpportunities(dexData, options = {}) {
+  return searchArbitrageOpportunities(dexData, options).opportunities;
+}
+
+module.exports = {
+  OPPORTUNITY_TYPES,
+  getMidPrice,
+  getFeeRate,
+  searchArbitrageOpportunities,
+  findArbitrageOpportunities
+};
@@ -0,0 +1,109 @@
+/**
+ * Arbitrage Sizing - Profit-maximizing trade size for arbitrage cycles
+ * Simulates a cycle of swaps in BigInt and searches for the input amount
+ * where price impact has not yet eaten the spread
+ */
+
+const { getAmountOut } = require('./swap-math');
+const { getPoolBalance } = require('./dex-adapters');
+
+/**
+ * @typedef {Object} CycleHop
+ * @property {import('./dex-data-fetcher').Pool} pool - Pool to swap through
+ * @property {string} tokenIn - Token sold into the pool
+ * @property {string} [tokenOut] - Token bought from the pool (required for pools of more than two tokens)
+ */
+
+/**
+ * @typedef {Object} TradeSize
+ * @property {bigint} amountIn - Input amount of the start token, in raw units
+ * @property {bigint} amountOut - Amount of the start token received back
+ * @property {bigint} profit - amountOut minus amountIn (0 when no size is profitable)
+ * @property {bigint[]} amounts - Amount entering each hop, followed by the final output
+ */
+
+/**
+ * @typedef {Object} TradeSizeOptions
+ * @property {bigint} [maxAmountIn] - Upper bound of the search (default: first pool's reserve of the start token)
+ */
+
+/**
+ * Swap an input amount through every hop of a cycle
+ * @param {CycleHop[]} hops - Swaps in execution order
+ * @param {bigint} amountIn - Input amount of the start token
+ * @returns {bigint[]} - Amount entering each hop, followed by the final output
+ */
+function simulateCycle(hops, amountIn) {
+  const amounts = [amountIn];
+  hops.forEach((hop) => {
+    amounts.push(getAmountOut(hop.pool, hop.tokenIn, amounts[amounts.length - 1], hop.tokenOut));
+  });
+  return amounts;
+}
+
+/**
+ * Find the input amount that maximizes the profit of a cycle.
+ * Each swap's output is concave in its input, so cycle profit is concave and
+ * a ternary search over integer amounts converges on the optimum.
+ * @param {CycleHop[]} hops - Swaps in execution order
+ * @param {TradeSizeOptions} [options] - Search options
+ * @returns {TradeSize} - Optimal trade (all zero if no size is profitable)
+ */
+function findOptimalTradeSize(hops, options = {}) {
+  const maxAmountIn = options.maxAmountIn ?? getPoolBalance(hops[0].pool, hops[0].tokenIn);
+
+  const profitAt = (amountIn) => {
+    const amounts = simulateCycle(hops, amountIn);
+    return amounts[amounts.length - 1] - amountIn;
+  };
+
+  let lo = BigInt(0);
+  let hi = maxAmountIn;
+  while (hi - lo > BigInt(2)) {
+    const third = (hi - lo) / BigInt(3);
+    const m1 = lo + third;
+    const m2 = hi - third;
+    if (profitAt(m1) < profitAt(m2)) {
+      lo = m1;
+    } else {
+      hi = m2;
+    }
+  }
+
+  let best = BigInt(0);
+  let bestProfit = BigInt(0);
+  for (let amountIn = lo; amountIn <= hi; amountIn++) {
+    const profit = profitAt(amountIn);
+    if (profit > bestProfit) {
+      best = amountIn;
+      bestProfit = profit;
+    }
+  }
+
+  const amounts = simulateCycle(hops, best);
+  return {
+    amountIn: best,
+    amountOut: amounts[amounts.length - 1],
+    profit: bestProfit,
+    amounts
+  };
+}
+
+/**
+ * Size an opportunity returned by findArbitrageOpportunities
+ * @param {import('./arbitrage-detector').ArbitrageOpportunity} opportunity - Opportunity
+ * @param {TradeSizeOptions} [options] - Search options
+ * @returns {import('./arbitrage-detector').ArbitrageOpportunity & {tradeSize: TradeSize}} - Opportunity with its optimal trade
+ */
+function sizeArbitrageOpportunity(opportunity, options = {}) {
+  return {
+    ...opportunity,
+    tradeSize: findOptimalTradeSize(opportunity.hops, options)
+  };
+}
+
+module.exports = {
+  simulateCycle,
+  findOptimalTradeSize,
+  sizeArbitrageOpportunity
+};
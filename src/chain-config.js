@@ -0,0 +1,187 @@
+/**
+ * Chain Config - Per-chain settings for every supported network
+ * Chain ids, API network ids, RPC URL environment variables, the wrapped
+ * native token and the USD stablecoins of each chain. DEX sources per chain
+ * live in dex-adapters.js.
+ */
+
+/**
+ * @typedef {Object} ChainConfig
+ * @property {string} name - Chain name stamped on pools (e.g., Ethereum)
+ * @property {number} chainId - EVM chain id
+ * @property {string} networkId - Network id accepted by the API (e.g., mainnet)
+ * @property {string} rpcUrlEnvVar - Environment variable holding the chain's RPC URL
+ * @property {import('./dex-data-fetcher').Token} wrappedNativeToken - Wrapped native token (e.g., WETH)
+ * @property {import('./dex-data-fetcher').Token[]} stablecoins - USD stablecoins that anchor token prices
+ */
+
+/**
+ * Supported chains keyed by chain name, ordered by network id
+ * @type {Object<string, ChainConfig>}
+ */
+const CHAINS = {
+  Arbitrum: {
+    name: 'Arbitrum',
+    chainId: 42161,
+    networkId: 'arbitrum-one',
+    rpcUrlEnvVar: 'ARBITRUM_RPC_URL',
+    wrappedNativeToken: { address: '0x82af49447d8a07e3bd95bd0d56f35241523fbab1', symbol: 'WETH', decimals: 18 },
+    stablecoins: [
+      { address: '0xaf88d065e77c8cc2239327c5edb3a432268e5831', symbol: 'USDC', decimals: 6 },
+      { address: '0xff970a61a04b1ca14834a43f5de4533ebddb5cc8', symbol: 'USDC.e', decimals: 6 },
+      { address: '0xfd086bc7cd5c481dcc9c85ebe478a1c0b69fcbb9', symbol: 'USDT', decimals: 6 },
+      { address: '0xda10009cbd5d07dd0cecc66161fc93d7c9000da1', symbol: 'DAI', decimals: 18 }
+    ]
+  },
+  Avalanche: {
+    name: 'Avalanche',
+    chainId: 43114,
+    networkId: 'avalanche',
+    rpcUrlEnvVar: 'AVALANCHE_RPC_URL',
+    wrappedNativeToken: { address: '0xb31f66aa3c1e785363f0875a1b74e27b85fd66c7', symbol: 'WAVAX', decimals: 18 },
+    stablecoins: [
+      { address: '0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e', symbol: 'USDC', decimals: 6 },
+      { address: '0x9702230a8ea53601f5cd2dc00fdbc13d4df4a8c7', symbol: 'USDT', decimals: 6 }
+    ]
+  },
+  Base: {
+    name: 'Base',
+    chainId: 8453,
+    networkId: 'base',
+    rpcUrlEnvVar: 'BASE_RPC_URL',
+    wrappedNativeToken: { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH', decimals: 18 },
+    stablecoins: [
+      { address: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', symbol: 'USDC', decimals: 6 },
+      { address: '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca', symbol: 'USDbC', decimals: 6 },
+      { address: '0x50c5725949a6f0c72e6c4a641f24049a917db0cb', symbol: 'DAI', decimals: 18 }
+    ]
+  },
+  BSC: {
+    name: 'BSC',
+    chainId: 56,
+    networkId: 'bsc',
+    rpcUrlEnvVar: 'BSC_RPC_URL',
+    wrappedNativeToken: { address: '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c', symbol: 'WBNB', decimals: 18 },
+    stablecoins: [
+      { address: '0x55d398326f99059ff775485246999027b3197955', symbol: 'USDT', decimals: 18 },
+      { address: '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d', symbol: 'USDC', decimals: 18 }
+    ]
+  },
+  Ethereum: {
+    name: 'Ethereum',
+    chainId: 1,
+    networkId: 'mainnet',
+    rpcUrlEnvVar: 'ETHEREUM_RPC_URL',
+    wrappedNativeToken: { address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', symbol: 'WETH', decimals: 18 },
+    stablecoins: [
+      { address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', symbol: 'USDC', decimals: 6 },
+      { address: '0xdac17f958d2ee523a2206206994597c13d831ec7', symbol: 'USDT', decimals: 6 },
+      { address: '0x6b175474e89094c44da98b954eedeac495271d0f', symbol: 'DAI', decimals: 18 }
+    ]
+  },
+  Optimism: {
+    name: 'Optimism',
+    chainId: 10,
+    networkId: 'optimism',
+    rpcUrlEnvVar: 'OPTIMISM_RPC_URL',
+    wrappedNativeToken: { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH', decimals: 18 },
+    stablecoins: [
+      { address: '0x0b2c639c533813f4aa9d7837caf62653d097ff85', symbol: 'USDC', decimals: 6 },
+      { address: '0x7f5c764cbc14f9669b88837ca1490cca17c31607', symbol: 'USDC.e', decimals: 6 },
+      { address: '0x94b008aa00579c1307b0ef2c499ad98a8ce58e58', symbol: 'USDT', decimals: 6 },
+      { address: '0xda10009cbd5d07dd0cecc66161fc93d7c9000da1', symbol: 'DAI', decimals: 18 }
+    ]
+  },
+  Polygon: {
+    name: 'Polygon',
+    chainId: 137,
+    networkId: 'polygon',
+    rpcUrlEnvVar: 'POLYGON_RPC_URL',
+    wrappedNativeToken: { address: '0x0d500b1d8e8ef31e21c99d1db9a6444d3adf1270', symbol: 'WPOL', decimals: 18 },
+    stablecoins: [
+      { address: '0x3c499c542cef5e3811e1192ce70d8cc03d5c3359', symbol: 'USDC', decimals: 6 },
+      { address: '0x2791bca1f2de4661ed88a30c99a7a9449aa84174', symbol: 'USDC.e', decimals: 6 },
+      { address: '0xc2132d05d31c914a87c6611c10748aeb04b58e8f', symbol: 'USDT', decimals: 6 },
+      { address: '0x8f3cf7ad23cd3cadbd9735aff958023239c6a063', symbol: 'DAI', decimals: 18 }
+    ]
+  },
+  Unichain: {
+    name: 'Unichain',
+    chainId: 130,
+    networkId: 'unichain',
+    rpcUrlEnvVar: 'UNICHAIN_RPC_URL',
+    wrappedNativeToken: { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH', decimals: 18 },
+    stablecoins: [
+      { address: '0x078d782b760474a361dda0af3839290b0ef57ad6', symbol: 'USDC', decimals: 6 }
+    ]
+  }
+};
+
+/**
+ * Get the configuration of a chain
+ * @param {string} chain - Chain name (e.g., Base)
+ * @returns {ChainConfig|undefined} - Chain configuration, if supported
+ */
+function getChainConfig(chain) {
+  return CHAINS[chain];
+}
+
+/**
+ * Get the configuration of a chain by its API network id
+ * @param {string} networkId - Network id (e.g., arbitrum-one)
+ * @returns {ChainConfig|undefined} - Chain configuration, if supported
+ */
+function getChainByNetworkId(networkId) {
+  return Object.values(CHAINS).find(chain => chain.networkId === networkId);
+}
+
+/**
+ * Get the configuration of a chain by its EVM chain id
+ * @param {number} chainId - Chain id (e.g., 8453)
+ * @returns {ChainConfig|undefined} - Chain configuration, if supported
+ */
+function getChainByChainId(chainId) {
+  return Object.values(CHAINS).find(chain => chain.chainId === chainId);
+}
+
+/**
+ * Get the wrapped native token of a chain
+ * @param {string} chain - Chain name
+ * @returns {import('./dex-data-fetcher').Token|undefined} - Wrapped native token, if the chain is supported
+ */
+function getWrappedNativeToken(chain) {
+  return CHAINS[chain]?.wrappedNativeToken;
+}
+
+/**
+ * Get the USD stablecoins of a chain
+ * @param {string} chain - Chain name
+ * @returns {import('./dex-data-fetcher').Token[]} - Stablecoins, empty if the chain is not supported
+ */
+function getStablecoins(chain) {
+  return CHAINS[chain]?.stablecoins || [];
+}
+
+/**
+ * Read the RPC URL of every chain that has one set in the environment
+ * @returns {Object<string, string>} - RPC URLs keyed by chain name
+ */
+function getRpcUrlsFromEnv() {
+  const urls = {};
+  Object.values(CHAINS).forEach((chain) => {
+    if (process.env[chain.rpcUrlEnvVar]) {
+      urls[chain.name] = process.env[chain.rpcUrlEnvVar];
+    }
+  });
+  return urls;
+}
+
+module.exports = {
+  CHAINS,
+  getChainConfig,
+  getChainByNetworkId,
+  getChainByChainId,
+  getWrappedNativeToken,
+  getStablecoins,
+  getRpcUrlsFromEnv
+};
@@ -0,0 +1,102 @@
+/**
+ * Cross-chain Prices - Compares the USD price of canonical assets across chains
+ * Each representation of a canonical asset (e.g., WETH on Ethereum, Polygon and
+ * Arbitrum) is priced from the pools of its own chain, and the prices are set
+ * against their median to show where the asset trades rich or cheap.
+ */
+
+const { getChainByChainId } = require('./chain-config');
+const { getCanonicalAssets } = require('./token-registry');
+const { getPoolTokens } = require('./dex-adapters');
+const { median, getTokenPricesByChain } = require('./usd-pricing');
+
+/**
+ * @typedef {Object} CanonicalAssetPrice
+ * @property {string} chain - Chain name (e.g., Polygon)
+ * @property {string} network - API network id (e.g., polygon)
+ * @property {number} chainId - EVM chain id
+ * @property {string} address - Token address (lowercase)
+ * @property {string|null} symbol - Token symbol, if a pool on this chain holds the token
+ * @property {number|null} priceUSD - USD price on this chain (null if unknown)
+ * @property {number|null} deviationBps - Difference from the median price, in basis points (null if unpriced)
+ */
+
+/**
+ * @typedef {Object} CanonicalAssetComparison
+ * @property {string} asset - Canonical asset id (e.g., ETH)
+ * @property {string} name - Asset name
+ * @property {number|null} medianPriceUSD - Median of the chain prices (null if no chain prices the asset)
+ * @property {number|null} spreadBps - Highest price over the lowest, in basis points (null below two prices)
+ * @property {CanonicalAssetPrice[]} prices - One entry per representation on a supported chain
+ */
+
+/**
+ * @typedef {Object} CrossChainPriceOptions
+ * @property {import('./token-registry').CanonicalAsset[]} [assets] - Assets to compare (default: every registry asset)
+ * @property {import('./usd-pricing').PricingOptions} [pricing] - Options for deriving the chain prices
+ */
+
+/**
+ * Map token symbols by chain and address. Fetched tokens carry no chain, so a
+ * token counts as on a chain when one of that chain's pools holds it; a token
+ * deployed at the same address elsewhere is not mistaken for it.
+ * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools
+ * @returns {Map<string, string>} - Symbols keyed by `${chain}:${lowercase address}`
+ */
+function getTokenSymbolsByChain(dexData) {
+  const symbolsByAddress = new Map(dexData.tokens.map(token => [token.address.toLowerCase(), token.symbol]));
+  const symbols = new Map();
+  dexData.pools.forEach((pool) => {
+    getPoolTokens(pool).forEach((address) => {
+      const normalized = address.toLowerCase();
+      if (symbolsByAddress.has(normalized)) {
+        symbols.set(`${pool.chain}:${normalized}`, symbolsByAddress.get(normalized));
+      }
+    });
+  });
+  return symbols;
+}
+
+/**
+ * Compare the USD price of each canonical asset across the chains of the fetched data
+ * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools
+ * @param {CrossChainPriceOptions} [options] - Comparison options
+ * @returns {CanonicalAssetComparison[]} - One comparison per asset, in asset order
+ */
+function compareCanonicalAssetPrices(dexData, options = {}) {
+  const assets = options.assets ?? getCanonicalAssets();
+  const pricesByChain = getTokenPricesByChain(dexData, options.pricing);
+  const symbols = getTokenSymbolsByChain(dexData);
+
+  return assets.map((asset) => {
+    const prices = asset.tokens
+      .map(token => ({ token, chain: getChainByChainId(token.chainId) }))
+      .filter(({ chain }) => chain !== undefined)
+      .map(({ token, chain }) => ({
+        chain: chain.name,
+        network: chain.networkId,
+        chainId: token.chainId,
+        address: token.address,
+        symbol: symbols.get(`${chain.name}:${token.address}`) ?? null,
+        priceUSD: pricesByChain.get(chain.name)?.get(token.address) ?? null
+      }));
+
+    const known = prices.map(price => price.priceUSD).filter(priceUSD => priceUSD !== null);
+    const medianPriceUSD = known.length > 0 ? median(known) : null;
+
+    return {
+      asset: asset.id,
+      name: asset.name,
+      medianPriceUSD,
+      spreadBps: known.length > 1 ? (Math.max(...known) / Math.min(...known) - 1) * 10000 : null,
+      prices: prices.map(price => ({
+        ...price,
+        deviationBps: price.priceUSD === null ? null : (price.priceUSD / medianPriceUSD - 1) * 10000
+      }))
+    };
+  });
+}
+
+module.exports = {
+  compareCanonicalAssetPrices
+};
@@ -0,0 +1,1014 @@
+/**
+ * DEX Adapters - Registry of data sources that fetchAllDexData iterates
+ * Each adapter describes one DEX deployment on one chain: where to query it,
+ * what to query and how to normalize the results into Token and Pool objects
+ */
+
+const {
+  getTickSpacing,
+  getActiveTickRange,
+  getVirtualReserves,
+  getRangeReserves
+} = require('./uniswap-v3-math');
+
+/**
+ * Protocol kinds understood by the built-in adapter factories
+ */
+const PROTOCOL_KINDS = {
+  UNISWAP_V2: 'uniswap-v2',
+  UNISWAP_V3: 'uniswap-v3',
+  UNISWAP_V4: 'uniswap-v4',
+  CURVE: 'curve',
+  BALANCER_V2: 'balancer-v2'
+};
+
+/**
+ * Pricing families pools are classified into, independent of the DEX that runs them
+ */
+const PROTOCOL_FAMILIES = {
+  V2_CONSTANT_PRODUCT: 'v2-constant-product',
+  V3_CONCENTRATED: 'v3-concentrated',
+  V4: 'v4',
+  STABLESWAP: 'stableswap',
+  WEIGHTED: 'weighted'
+};
+
+/**
+ * Flag set in a Uniswap V4 pool key's fee when a hook sets the fee per swap
+ */
+const DYNAMIC_FEE_FLAG = 0x800000;
+
+/**
+ * @typedef {Object} DexAdapterSource
+ * @property {string} type - Source type (currently 'subgraph')
+ * @property {string} url - Default endpoint URL (empty when it has to be configured)
+ * @property {string} [urlEnvVar] - Environment variable that overrides the URL
+ */
+
+/**
+ * @typedef {Object} DexAdapter
+ * @property {string} name - Unique adapter key, also used for per-DEX limits (e.g., sushiswap)
+ * @property {string} dexName - DEX name stamped on pools (e.g., SushiSwap)
+ * @property {string} [dex] - DEX id stamped on pools and accepted by the protocol filter (e.g., sushiswap)
+ * @property {string} chain - Blockchain stamped on pools (e.g., Ethereum)
+ * @property {string} kind - Protocol kind (see PROTOCOL_KINDS)
+ * @property {DexAdapterSource} source - Where the data is fetched from
+ * @property {string} query - Paginated GraphQL query (see fetchPaginated)
+ * @property {string} entityName - Name of the entity list in the query response
+ * @property {string[]} [tokenFilterFields] - Where-clause filters restricting the query to pools with given
+ *   tokens (e.g., token0_in); sources without them are filtered after fetching in monitored-only mode
+ * @property {function(Object, DexAdapter): import('./dex-data-fetcher').Token[]} normalizeTokens - Extract tokens from an entity
+ * @property {function(Object, DexAdapter): import('./dex-data-fetcher').Pool} normalizePool - Convert an entity into a Pool
+ * @property {string|null} [factory] - Factory address stamped on pools when the source doesn't expose it
+ */
+
+/**
+ * Paginated query for Uniswap V2-style subgraphs (Uniswap V2, SushiSwap, QuickSwap, ...)
+ */
+const UNISWAP_V2_PAIRS_QUERY = `
+  query pairs($first: Int!, $lastId: String!, $minTvlUsd: BigDecimal!) {
+    pairs(
+      first: $first
+      orderBy: id
+      orderDirection: asc
+      where: { id_gt: $lastId, reserveUSD_gte: $minTvlUsd }
+    ) {
+      id
+      token0 {
+        id
+        symbol
+        decimals
+      }
+      token1 {
+        id
+        symbol
+        decimals
+      }
+      reserve0
+      reserve1
+    }
+  }
+`;
+
+/**
+ * Paginated query for Uniswap V3-style subgraphs
+ */
+const UNISWAP_V3_POOLS_QUERY = `
+  query pools($first: Int!, $lastId: String!, $minTvlUsd: BigDecimal!) {
+    pools(
+      first: $first
+      orderBy: id
+      orderDirection: asc
+      where: { id_gt: $lastId, totalValueLockedUSD_gte: $minTvlUsd }
+    ) {
+      id
+      factory {
+        id
+      }
+      token0 {
+        id
+        symbol
+        decimals
+      }
+      token1 {
+        id
+        symbol
+        decimals
+      }
+      liquidity
+      sqrtPrice
+      tick
+      feeTier
+      totalValueLockedToken0
+      totalValueLockedToken1
+      token0Price
+      token1Price
+    }
+  }
+`;
+
+/**
+ * Paginated query for the Uniswap V4 subgraph. Pools are keyed by PoolManager pool id
+ * and carry their full pool key (currencies, fee, tick spacing and hooks).
+ */
+const UNISWAP_V4_POOLS_QUERY = `
+  query pools($first: Int!, $lastId: String!, $minTvlUsd: BigDecimal!) {
+    pools(
+      first: $first
+      orderBy: id
+      orderDirection: asc
+      where: { id_gt: $lastId, totalValueLockedUSD_gte: $minTvlUsd }
+    ) {
+      id
+      token0 {
+        id
+        symbol
+        decimals
+      }
+      token1 {
+        id
+        symbol
+        decimals
+      }
+      feeTier
+      tickSpacing
+      hooks
+      liquidity
+      sqrtPrice
+      tick
+      totalValueLockedToken0
+      totalValueLockedToken1
+    }
+  }
+`;
+
+/**
+ * Paginated query for the Curve subgraph (curvefi/curve-subgraph schema).
+ * The schema has no USD TVL, so every pool is fetched up to maxPools.
+ */
+const CURVE_POOLS_QUERY = `
+  query pools($first: Int!, $lastId: String!) {
+    pools(
+      first: $first
+      orderBy: id
+      orderDirection: asc
+      where: { id_gt: $lastId }
+    ) {
+      id
+      A
+      fee
+      coins(orderBy: index) {
+        index
+        balance
+        token {
+          address
+          symbol
+          decimals
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Paginated query for Balancer V2 subgraphs. Only pool types priced by
+ * weighted or StableSwap math are requested.
+ */
+const BALANCER_POOLS_QUERY = `
+  query pools($first: Int!, $lastId: String!, $minTvlUsd: BigDecimal!) {
+    pools(
+      first: $first
+      orderBy: id
+      orderDirection: asc
+      where: {
+        id_gt: $lastId
+        totalLiquidity_gte: $minTvlUsd
+        swapEnabled: true
+        poolType_in: ["Weighted", "Stable", "ComposableStable"]
+      }
+    ) {
+      id
+      address
+      factory
+      poolType
+      swapFee
+      amp
+      tokens(orderBy: index) {
+        address
+        symbol
+        decimals
+        balance
+        weight
+      }
+    }
+  }
+`;
+
+/**
+ * Where-clause filters matching either token of a two-token pool
+ */
+const PAIR_TOKEN_FILTER_FIELDS = ['token0_in', 'token1_in'];
+
+/**
+ * Swap fee assumed for Curve pools whose fee is not reported (0.04%, in hundredths of a bip)
+ */
+const DEFAULT_CURVE_FEE = BigInt(400);
+
+/**
+ * Decimals of the normalized (fixed-point) reserve representation
+ */
+const NORMALIZED_DECIMALS = 18;
+
+/**
+ * Registered adapters keyed by name, in registration order
+ * @type {Map<string, DexAdapter>}
+ */
+const ADAPTERS = new Map();
+
+/**
+ * Convert reserve string to BigInt safely without precision loss
+ * @param {string} reserveStr - Reserve value as string
+ * @param {number} decimals - Token decimals (default 18)
+ * @returns {bigint} - Reserve as BigInt
+ */
+function parseReserveToBigInt(reserveStr, decimals = 18) {
+  if (!reserveStr || reserveStr === '0') {
+    return BigInt(0);
+  }
+
+  // Split on decimal point
+  const parts = reserveStr.split('.');
+  const integerPart = parts[0] || '0';
+  const fractionalPart = parts[1] || '';
+
+  // Pad or truncate fractional part to match decimals
+  const paddedFractional = fractionalPart.padEnd(decimals, '0').substring(0, decimals);
+
+  // Combine and convert to BigInt
+  const combined = integerPart + paddedFractional;
+  return BigInt(combined);
+}
+
+/**
+ * Parse token decimals from a subgraph entity, defaulting to 18 when missing
+ * @param {string|number} value - Decimals as returned by the subgraph
+ * @returns {number} - Token decimals
+ */
+function parseDecimals(value) {
+  const decimals = parseInt(value);
+  return Number.isNaN(decimals) ? 18 : decimals;
+}
+
+/**
+ * Rescale a raw token amount to NORMALIZED_DECIMALS fixed-point
+ * @param {bigint} amount - Amount in raw on-chain units
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} - Amount with NORMALIZED_DECIMALS decimals
+ */
+function normalizeAmount(amount, decimals) {
+  if (decimals === NORMALIZED_DECIMALS) {
+    return amount;
+  }
+  if (decimals < NORMALIZED_DECIMALS) {
+    return amount * BigInt(10) ** BigInt(NORMALIZED_DECIMALS - decimals);
+  }
+  return amount / BigInt(10) ** BigInt(decimals - NORMALIZED_DECIMALS);
+}
+
+/**
+ * Build raw and normalized reserve fields for a pair of raw reserves
+ * @param {bigint} reserve0 - Raw reserve of token0
+ * @param {bigint} reserve1 - Raw reserve of token1
+ * @param {number} decimals0 - Decimals of token0
+ * @param {number} decimals1 - Decimals of token1
+ * @returns {{reserve0: bigint, reserve1: bigint, normalizedReserve0: bigint, normalizedReserve1: bigint}}
+ */
+function buildReserves(reserve0, reserve1, decimals0, decimals1) {
+  return {
+    reserve0,
+    reserve1,
+    normalizedReserve0: normalizeAmount(reserve0, decimals0),
+    normalizedReserve1: normalizeAmount(reserve1, decimals1)
+  };
+}
+
+/**
+ * Build the balance fields of a pool holding any number of tokens.
+ * token0/token1 and their reserves mirror the first two tokens, so two-token
+ * consumers keep working; swap math reads the full token list.
+ * @param {{address: string, decimals: number, balance: bigint}[]} tokens - Pool tokens in pool order
+ * @returns {Object} - Token and balance fields to spread onto a Pool
+ */
+function buildMultiAssetReserves(tokens) {
+  return {
+    token0: tokens[0].address,
+    token1: tokens[1].address,
+    ...buildReserves(tokens[0].balance, tokens[1].balance, tokens[0].decimals, tokens[1].decimals),
+    tokens: tokens.map(token => token.address),
+    balances: tokens.map(token => token.balance),
+    tokenDecimals: tokens.map(token => token.decimals)
+  };
+}
+
+/**
+ * Check whether a pool uses the N-token model (Curve, Balancer)
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @returns {boolean}
+ */
+function isMultiAssetPool(pool) {
+  return Array.isArray(pool.tokens);
+}
+
+/**
+ * Check whether a pool's swaps can be simulated. Uniswap V4 dynamic-fee pools
+ * only know their fee at swap time, so they are left out of quotes, routes and
+ * opportunity searches rather than treated as fee-free.
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @returns {boolean}
+ */
+function isQuotablePool(pool) {
+  return !pool.dynamicFee;
+}
+
+/**
+ * Get every token a pool holds, in pool order
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @returns {string[]} - Token addresses
+ */
+function getPoolTokens(pool) {
+  return isMultiAssetPool(pool) ? pool.tokens : [pool.token0, pool.token1];
+}
+
+/**
+ * Get a pool's raw balance of one of its tokens
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @param {string} token - Token address
+ * @returns {bigint} - Raw balance (virtual reserve for concentrated pools), 0 if the pool doesn't hold the token
+ */
+function getPoolBalance(pool, token) {
+  const address = token.toLowerCase();
+  if (isMultiAssetPool(pool)) {
+    const index = pool.tokens.indexOf(address);
+    return index === -1 ? BigInt(0) : pool.balances[index];
+  }
+  return address === pool.token0.toLowerCase() ? pool.reserve0 : pool.reserve1;
+}
+
+/**
+ * Derive a DEX id from a DEX name (e.g., Uniswap V3 -> uniswap_v3, Trader Joe -> trader_joe)
+ * @param {string} dexName - DEX name
+ * @returns {string} - DEX id
+ */
+function toDexId(dexName) {
+  return dexName.toLowerCase().replace(/[^a-z0-9]+/g, '_');
+}
+
+/**
+ * Get the DEX id of a pool, deriving it from the DEX name for pools without one
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @returns {string} - DEX id
+ */
+function getPoolDex(pool) {
+  return pool.dex ?? toDexId(pool.dexName);
+}
+
+/**
+ * Get the protocol family of a pool, inferring it from its fields for pools without one
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @returns {string} - Protocol family (see PROTOCOL_FAMILIES)
+ */
+function getProtocolFamily(pool) {
+  if (pool.protocolFamily) {
+    return pool.protocolFamily;
+  }
+  if (pool.hooks !== undefined) {
+    return PROTOCOL_FAMILIES.V4;
+  }
+  if (pool.weights !== undefined) {
+    return PROTOCOL_FAMILIES.WEIGHTED;
+  }
+  if (pool.amplification !== undefined) {
+    return PROTOCOL_FAMILIES.STABLESWAP;
+  }
+  return pool.sqrtPriceX96 !== undefined
+    ? PROTOCOL_FAMILIES.V3_CONCENTRATED
+    : PROTOCOL_FAMILIES.V2_CONSTANT_PRODUCT;
+}
+
+/**
+ * Extract token0 and token1 from a pair/pool entity
+ * @param {Object} entity - Pair or pool entity with token0/token1
+ * @returns {import('./dex-data-fetcher').Token[]} - The two tokens
+ */
+function normalizePairTokens(entity) {
+  return [entity.token0, entity.token1].map(token => ({
+    symbol: token.symbol,
+    decimals: parseDecimals(token.decimals),
+    address: token.id.toLowerCase()
+  }));
+}
+
+/**
+ * Derive the concentrated-liquidity fields of a Uniswap V3 pool from its price and liquidity.
+ * reserve0/reserve1 are the virtual reserves of the active liquidity, so
+ * constant-product consumers quote at the pool's current price.
+ * @param {Object} state - Raw pool state
+ * @param {bigint} state.liquidity - Active liquidity
+ * @param {bigint} state.sqrtPriceX96 - Current sqrt price as Q64.96
+ * @param {number|null} state.tick - Current tick, or null if never initialized
+ * @param {bigint} state.fee - Pool fee tier
+ * @param {number} [state.tickSpacing] - Tick spacing (derived from the fee tier when omitted)
+ * @param {number} decimals0 - Decimals of token0
+ * @param {number} decimals1 - Decimals of token1
+ * @returns {Object} - V3 state and derived reserves to spread onto a Pool
+ */
+function deriveUniswapV3State({ liquidity, sqrtPriceX96, tick, fee, tickSpacing = getTickSpacing(fee) }, decimals0, decimals1) {
+  const { reserve0, reserve1 } = getVirtualReserves(liquidity, sqrtPriceX96);
+
+  const state = {
+    ...buildReserves(reserve0, reserve1, decimals0, decimals1),
+    sqrtPriceX96,
+    tick,
+    tickSpacing,
+    liquidity,
+    tickLower: null,
+    tickUpper: null,
+    rangeReserve0: BigInt(0),
+    rangeReserve1: BigInt(0)
+  };
+
+  // Pools that were never initialized have no tick or price
+  if (tick !== null && sqrtPriceX96 > BigInt(0)) {
+    const { tickLower, tickUpper } = getActiveTickRange(tick, tickSpacing);
+    const { amount0, amount1 } = getRangeReserves(liquidity, sqrtPriceX96, tickLower, tickUpper);
+    state.tickLower = tickLower;
+    state.tickUpper = tickUpper;
+    state.rangeReserve0 = amount0;
+    state.rangeReserve1 = amount1;
+  }
+
+  return state;
+}
+
+/**
+ * Build the concentrated-liquidity fields of a Uniswap V3 pool from its subgraph entity
+ * @param {Object} pool - Pool entity from the Uniswap V3 (or V4) subgraph
+ * @param {bigint} fee - Pool fee tier
+ * @param {number} [tickSpacing] - Tick spacing, for pools that don't derive it from the fee
+ * @returns {Object} - V3 state, derived reserves and TVL to spread onto a Pool
+ */
+function buildUniswapV3State(pool, fee, tickSpacing) {
+  const decimals0 = parseDecimals(pool.token0.decimals);
+  const decimals1 = parseDecimals(pool.token1.decimals);
+  const state = deriveUniswapV3State({
+    liquidity: BigInt(pool.liquidity || 0),
+    sqrtPriceX96: BigInt(pool.sqrtPrice || 0),
+    tick: pool.tick === null || pool.tick === undefined ? null : parseInt(pool.tick),
+    fee,
+    tickSpacing
+  }, decimals0, decimals1);
+
+  return {
+    ...state,
+    totalValueLocked0: parseReserveToBigInt(pool.totalValueLockedToken0 || '0', decimals0),
+    totalValueLocked1: parseReserveToBigInt(pool.totalValueLockedToken1 || '0', decimals1)
+  };
+}
+
+/**
+ * Create an adapter for a Uniswap V2-style DEX (constant product, single fee)
+ * @param {Object} options - Adapter options
+ * @param {string} options.name - Unique adapter key
+ * @param {string} options.dexName - DEX name stamped on pools
+ * @param {string} options.chain - Blockchain stamped on pools
+ * @param {string} options.subgraphUrl - Default subgraph URL
+ * @param {string} [options.urlEnvVar] - Environment variable overriding the subgraph URL
+ * @param {bigint} [options.fee] - Swap fee in hundredths of a bip (default 3000 = 0.3%)
+ * @param {string|null} [options.factory] - Factory address, if known
+ * @param {string} [options.dex] - DEX id (derived from dexName by default)
+ * @returns {DexAdapter} - Adapter
+ */
+function createUniswapV2Adapter({ name, dexName, chain, subgraphUrl, urlEnvVar, fee = BigInt(3000), factory = null, dex = toDexId(dexName) }) {
+  return {
+    name,
+    dexName,
+    dex,
+    chain,
+    kind: PROTOCOL_KINDS.UNISWAP_V2,
+    source: { type: 'subgraph', url: subgraphUrl, urlEnvVar },
+    query: UNISWAP_V2_PAIRS_QUERY,
+    entityName: 'pairs',
+    tokenFilterFields: PAIR_TOKEN_FILTER_FIELDS,
+    factory: factory ? factory.toLowerCase() : null,
+    normalizeTokens: normalizePairTokens,
+    normalizePool(pair, adapter) {
+      // Subgraph reserves are decimal strings in token units; scale each by its own decimals
+      const decimals0 = parseDecimals(pair.token0.decimals);
+      const decimals1 = parseDecimals(pair.token1.decimals);
+      return {
+        id: pair.id.toLowerCase(),
+        factory: adapter.factory,
+        dexName: adapter.dexName,
+        dex: adapter.dex,
+        protocolFamily: PROTOCOL_FAMILIES.V2_CONSTANT_PRODUCT,
+        chain: adapter.chain,
+        token0: pair.token0.id.toLowerCase(),
+        token1: pair.token1.id.toLowerCase(),
+        ...buildReserves(
+          parseReserveToBigInt(pair.reserve0 || '0', decimals0),
+          parseReserveToBigInt(pair.reserve1 || '0', decimals1),
+          decimals0,
+          decimals1
+        ),
+        fee
+      };
+    }
+  };
+}
+
+/**
+ * Create an adapter for a Uniswap V3-style DEX (concentrated liquidity, per-pool fee tier)
+ * @param {Object} options - Adapter options
+ * @param {string} options.name - Unique adapter key
+ * @param {string} options.dexName - DEX name stamped on pools
+ * @param {string} options.chain - Blockchain stamped on pools
+ * @param {string} options.subgraphUrl - Default subgraph URL
+ * @param {string} [options.urlEnvVar] - Environment variable overriding the subgraph URL
+ * @param {string} [options.dex] - DEX id (derived from dexName by default)
+ * @returns {DexAdapter} - Adapter
+ */
+function createUniswapV3Adapter({ name, dexName, chain, subgraphUrl, urlEnvVar, dex = toDexId(dexName) }) {
+  return {
+    name,
+    dexName,
+    dex,
+    chain,
+    kind: PROTOCOL_KINDS.UNISWAP_V3,
+    source: { type: 'subgraph', url: subgraphUrl, urlEnvVar },
+    query: UNISWAP_V3_POOLS_QUERY,
+    entityName: 'pools',
+    tokenFilterFields: PAIR_TOKEN_FILTER_FIELDS,
+    factory: null,
+    normalizeTokens: normalizePairTokens,
+    normalizePool(pool, adapter) {
+      // Reserves are derived from the active liquidity and price
+      const fee = BigInt(pool.feeTier || 3000);
+      return {
+        id: pool.id.toLowerCase(),
+        factory: pool.factory?.id?.toLowerCase() || adapter.factory,
+        dexName: adapter.dexName,
+        dex: adapter.dex,
+        protocolFamily: PROTOCOL_FAMILIES.V3_CONCENTRATED,
+        chain: adapter.chain,
+        token0: pool.token0.id.toLowerCase(),
+        token1: pool.token1.id.toLowerCase(),
+        fee,
+        ...buildUniswapV3State(pool, fee)
+      };
+    }
+  };
+}
+
+/**
+ * Create an adapter for a Uniswap V4 deployment. V4 pools live inside a single
+ * PoolManager contract, so pools are identified by their 32-byte pool id and
+ * stamped with the PoolManager address as factory. Concentrated-liquidity math is
+ * the same as V3, but the tick spacing comes from the pool key instead of the fee.
+ * @param {Object} options - Adapter options
+ * @param {string} options.name - Unique adapter key
+ * @param {string} options.chain - Blockchain stamped on pools
+ * @param {string} options.subgraphUrl - Default subgraph URL
+ * @param {string} [options.urlEnvVar] - Environment variable overriding the subgraph URL
+ * @param {string} [options.dexName] - DEX name stamped on pools (default Uniswap V4)
+ * @param {string|null} [options.poolManager] - PoolManager address
+ * @param {string} [options.dex] - DEX id (derived from dexName by default)
+ * @returns {DexAdapter} - Adapter
+ */
+function createUniswapV4Adapter({ name, chain, subgraphUrl, urlEnvVar, dexName = 'Uniswap V4', poolManager = null, dex = toDexId(dexName) }) {
+  return {
+    name,
+    dexName,
+    dex,
+    chain,
+    kind: PROTOCOL_KINDS.UNISWAP_V4,
+    source: { type: 'subgraph', url: subgraphUrl, urlEnvVar },
+    query: UNISWAP_V4_POOLS_QUERY,
+    entityName: 'pools',
+    tokenFilterFields: PAIR_TOKEN_FILTER_FIELDS,
+    factory: poolManager ? poolManager.toLowerCase() : null,
+    normalizeTokens: normalizePairTokens,
+    normalizePool(pool, adapter) {
+      // Dynamic-fee pools only know their fee at swap time; see isQuotablePool
+      const feeTier = parseInt(pool.feeTier || 0);
+      const dynamicFee = (feeTier & DYNAMIC_FEE_FLAG) !== 0;
+      const fee = BigInt(dynamicFee ? 0 : feeTier);
+      return {
+        id: pool.id.toLowerCase(),
+        factory: adapter.factory,
+        dexName: adapter.dexName,
+        dex: adapter.dex,
+        protocolFamily: PROTOCOL_FAMILIES.V4,
+        chain: adapter.chain,
+        token0: pool.token0.id.toLowerCase(),
+        token1: pool.token1.id.toLowerCase(),
+        fee,
+        dynamicFee,
+        hooks: pool.hooks.toLowerCase(),
+        ...buildUniswapV3State(pool, fee, parseInt(pool.tickSpacing))
+      };
+    }
+  };
+}
+
+/**
+ * Create an adapter for Curve StableSwap pools
+ * @param {Object} options - Adapter options
+ * @param {string} options.name - Unique adapter key
+ * @param {string} options.chain - Blockchain stamped on pools
+ * @param {string} options.subgraphUrl - Default subgraph URL (curvefi/curve-subgraph schema)
+ * @param {string} [options.urlEnvVar] - Environment variable overriding the subgraph URL
+ * @param {string} [options.dexName] - DEX name stamped on pools (default Curve)
+ * @param {string} [options.dex] - DEX id (derived from dexName by default)
+ * @returns {DexAdapter} - Adapter
+ */
+function createCurveAdapter({ name, chain, subgraphUrl, urlEnvVar, dexName = 'Curve', dex = toDexId(dexName) }) {
+  return {
+    name,
+    dexName,
+    dex,
+    chain,
+    kind: PROTOCOL_KINDS.CURVE,
+    source: { type: 'subgraph', url: subgraphUrl, urlEnvVar },
+    query: CURVE_POOLS_QUERY,
+    entityName: 'pools',
+    factory: null,
+    normalizeTokens(pool) {
+      return pool.coins.map(coin => ({
+        symbol: coin.token.symbol,
+        decimals: parseDecimals(coin.token.decimals),
+        address: coin.token.address.toLowerCase()
+      }));
+    },
+    normalizePool(pool, adapter) {
+      const tokens = pool.coins.map((coin) => {
+        const decimals = parseDecimals(coin.token.decimals);
+        return {
+          address: coin.token.address.toLowerCase(),
+          decimals,
+          balance: parseReserveToBigInt(coin.balance, decimals)
+        };
+      });
+
+      return {
+        id: pool.id.toLowerCase(),
+        factory: adapter.factory,
+        dexName: adapter.dexName,
+        dex: adapter.dex,
+        protocolFamily: PROTOCOL_FAMILIES.STABLESWAP,
+        chain: adapter.chain,
+        // The subgraph reports the fee as a fraction (0.0004 = 0.04%)
+        fee: pool.fee ? parseReserveToBigInt(pool.fee, 6) : DEFAULT_CURVE_FEE,
+        amplification: BigInt(pool.A),
+        ...buildMultiAssetReserves(tokens)
+      };
+    }
+  };
+}
+
+/**
+ * Create an adapter for Balancer V2 weighted and stable pools
+ * @param {Object} options - Adapter options
+ * @param {string} options.name - Unique adapter key
+ * @param {string} options.chain - Blockchain stamped on pools
+ * @param {string} options.subgraphUrl - Default subgraph URL
+ * @param {string} [options.urlEnvVar] - Environment variable overriding the subgraph URL
+ * @param {string} [options.dexName] - DEX name stamped on pools (default Balancer)
+ * @param {string} [options.dex] - DEX id (derived from dexName by default)
+ * @returns {DexAdapter} - Adapter
+ */
+function createBalancerAdapter({ name, chain, subgraphUrl, urlEnvVar, dexName = 'Balancer', dex = toDexId(dexName) }) {
+  // Composable stable pools list their own BPT among the tokens; it is not swappable liquidity
+  const getPoolTokenEntities = pool => pool.tokens.filter(
+    token => token.address.toLowerCase() !== pool.address.toLowerCase()
+  );
+
+  return {
+    name,
+    dexName,
+    dex,
+    chain,
+    kind: PROTOCOL_KINDS.BALANCER_V2,
+    source: { type: 'subgraph', url: subgraphUrl, urlEnvVar },
+    query: BALANCER_POOLS_QUERY,
+    entityName: 'pools',
+    factory: null,
+    normalizeTokens(pool) {
+      return getPoolTokenEntities(pool).map(token => ({
+        symbol: token.symbol,
+        decimals: parseDecimals(token.decimals),
+        address: token.address.toLowerCase()
+      }));
+    },
+    normalizePool(pool, adapter) {
+      const entities = getPoolTokenEntities(pool);
+      const tokens = entities.map((token) => {
+        const decimals = parseDecimals(token.decimals);
+        return {
+          address: token.address.toLowerCase(),
+          decimals,
+          balance: parseReserveToBigInt(token.balance, decimals)
+        };
+      });
+      const weighted = pool.poolType === 'Weighted';
+
+      return {
+        id: pool.address.toLowerCase(),
+        factory: pool.factory?.toLowerCase() || adapter.factory,
+        dexName: adapter.dexName,
+        dex: adapter.dex,
+        protocolFamily: weighted ? PROTOCOL_FAMILIES.WEIGHTED : PROTOCOL_FAMILIES.STABLESWAP,
+        chain: adapter.chain,
+        // swapFee is a fraction (0.003 = 0.3%)
+        fee: parseReserveToBigInt(pool.swapFee, 6),
+        ...(weighted
+          ? { weights: entities.map(token => parseReserveToBigInt(token.weight, NORMALIZED_DECIMALS)) }
+          : { amplification: BigInt(pool.amp) }),
+        ...buildMultiAssetReserves(tokens)
+      };
+    }
+  };
+}
+
+/**
+ * Register a DEX adapter so fetchAllDexData includes it
+ * @param {DexAdapter} adapter - Adapter to register
+ * @returns {DexAdapter} - The registered adapter
+ */
+function registerAdapter(adapter) {
+  const required = ['name', 'dexName', 'chain', 'kind', 'source', 'query', 'entityName', 'normalizeTokens', 'normalizePool'];
+  const missing = required.filter(field => !adapter?.[field]);
+  if (missing.length > 0) {
+    throw new Error(`Invalid DEX adapter: missing ${missing.join(', ')}`);
+  }
+
+  if (ADAPTERS.has(adapter.name)) {
+    throw new Error(`DEX adapter already registered: ${adapter.name}`);
+  }
+
+  ADAPTERS.set(adapter.name, adapter);
+  return adapter;
+}
+
+/**
+ * Remove a registered DEX adapter
+ * @param {string} name - Adapter key
+ * @returns {boolean} True if an adapter was removed
+ */
+function unregisterAdapter(name) {
+  return ADAPTERS.delete(name);
+}
+
+/**
+ * Get a registered adapter by name
+ * @param {string} name - Adapter key
+ * @returns {DexAdapter|undefined} Adapter if registered
+ */
+function getAdapter(name) {
+  return ADAPTERS.get(name);
+}
+
+/**
+ * Get all registered adapters in registration order
+ * @returns {DexAdapter[]} Registered adapters
+ */
+function getAdapters() {
+  return Array.from(ADAPTERS.values());
+}
+
+/**
+ * Get the registered adapters of one chain
+ * @param {string} chain - Chain name (e.g., Base)
+ * @returns {DexAdapter[]} Adapters whose pools are on the chain
+ */
+function getAdaptersForChain(chain) {
+  return getAdapters().filter(adapter => adapter.chain === chain);
+}
+
+/**
+ * Resolve the endpoint URL of an adapter's source, honouring its env override
+ * @param {DexAdapter} adapter - Adapter
+ * @returns {string} - Endpoint URL
+ */
+function resolveSourceUrl(adapter) {
+  const { url, urlEnvVar } = adapter.source;
+  return (urlEnvVar && process.env[urlEnvVar]) || url;
+}
+
+/**
+ * Get the registered adapters that have no endpoint URL and are therefore not fetched
+ * @returns {DexAdapter[]} Adapters waiting for their URL env var to be set
+ */
+function getUnconfiguredAdapters() {
+  return getAdapters().filter(adapter => !resolveSourceUrl(adapter));
+}
+
+// Built-in adapters
+registerAdapter(createUniswapV3Adapter({
+  name: 'uniswapV3',
+  dexName: 'Uniswap V3',
+  chain: 'Ethereum',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/uniswap/uniswap-v3',
+  urlEnvVar: 'UNISWAP_V3_SUBGRAPH_URL'
+}));
+
+registerAdapter(createUniswapV2Adapter({
+  name: 'uniswapV2',
+  dexName: 'Uniswap V2',
+  chain: 'Ethereum',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/uniswap/uniswap-v2',
+  urlEnvVar: 'UNISWAP_V2_SUBGRAPH_URL',
+  factory: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f'
+}));
+
+registerAdapter(createUniswapV2Adapter({
+  name: 'sushiswap',
+  dexName: 'SushiSwap',
+  chain: 'Ethereum',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/sushiswap/exchange',
+  urlEnvVar: 'SUSHISWAP_SUBGRAPH_URL'
+}));
+
+registerAdapter(createUniswapV2Adapter({
+  name: 'quickswap',
+  dexName: 'QuickSwap',
+  chain: 'Polygon',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/sameepsi/quickswap06',
+  urlEnvVar: 'QUICKSWAP_SUBGRAPH_URL'
+}));
+
+registerAdapter(createUniswapV3Adapter({
+  name: 'uniswapV3Polygon',
+  dexName: 'Uniswap V3',
+  chain: 'Polygon',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/ianlapham/uniswap-v3-polygon',
+  urlEnvVar: 'UNISWAP_V3_POLYGON_SUBGRAPH_URL'
+}));
+
+registerAdapter(createUniswapV3Adapter({
+  name: 'uniswapV3Arbitrum',
+  dexName: 'Uniswap V3',
+  chain: 'Arbitrum',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/ianlapham/uniswap-arbitrum-one',
+  urlEnvVar: 'UNISWAP_V3_ARBITRUM_SUBGRAPH_URL'
+}));
+
+registerAdapter(createUniswapV2Adapter({
+  name: 'sushiswapArbitrum',
+  dexName: 'SushiSwap',
+  chain: 'Arbitrum',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/sushiswap/arbitrum-exchange',
+  urlEnvVar: 'SUSHISWAP_ARBITRUM_SUBGRAPH_URL'
+}));
+
+registerAdapter(createUniswapV3Adapter({
+  name: 'uniswapV3Avalanche',
+  dexName: 'Uniswap V3',
+  chain: 'Avalanche',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/lynnshaoyu/uniswap-v3-avax',
+  urlEnvVar: 'UNISWAP_V3_AVALANCHE_SUBGRAPH_URL'
+}));
+
+registerAdapter(createUniswapV2Adapter({
+  name: 'traderJoe',
+  dexName: 'Trader Joe',
+  chain: 'Avalanche',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/traderjoe-xyz/exchange',
+  urlEnvVar: 'TRADER_JOE_SUBGRAPH_URL'
+}));
+
+registerAdapter(createUniswapV3Adapter({
+  name: 'uniswapV3Base',
+  dexName: 'Uniswap V3',
+  chain: 'Base',
+  subgraphUrl: 'https://api.studio.thegraph.com/query/48211/uniswap-v3-base/version/latest',
+  urlEnvVar: 'UNISWAP_V3_BASE_SUBGRAPH_URL'
+}));
+
+registerAdapter(createUniswapV3Adapter({
+  name: 'uniswapV3Bsc',
+  dexName: 'Uniswap V3',
+  chain: 'BSC',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/ilyamk/uniswap-v3---bnb-chain',
+  urlEnvVar: 'UNISWAP_V3_BSC_SUBGRAPH_URL'
+}));
+
+registerAdapter(createUniswapV3Adapter({
+  name: 'uniswapV3Optimism',
+  dexName: 'Uniswap V3',
+  chain: 'Optimism',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/ianlapham/optimism-post-regenesis',
+  urlEnvVar: 'UNISWAP_V3_OPTIMISM_SUBGRAPH_URL'
+}));
+
+registerAdapter(createUniswapV4Adapter({
+  name: 'uniswapV4',
+  chain: 'Ethereum',
+  subgraphUrl: 'https://gateway.thegraph.com/api/subgraphs/id/DiYPVdygkfjDWhbxGSqAQxwBKmfKnkWQojqeM2rkLb3G',
+  urlEnvVar: 'UNISWAP_V4_SUBGRAPH_URL',
+  poolManager: '0x000000000004444c5dc75cB358380D2e3dE08A90'
+}));
+
+registerAdapter(createCurveAdapter({
+  name: 'curve',
+  chain: 'Ethereum',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/curvefi/curve',
+  urlEnvVar: 'CURVE_SUBGRAPH_URL'
+}));
+
+// The Curve subgraph is only deployed for Ethereum; set the URL of a Polygon deployment to enable it
+registerAdapter(createCurveAdapter({
+  name: 'curvePolygon',
+  chain: 'Polygon',
+  subgraphUrl: '',
+  urlEnvVar: 'CURVE_POLYGON_SUBGRAPH_URL'
+}));
+
+registerAdapter(createBalancerAdapter({
+  name: 'balancer',
+  chain: 'Ethereum',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/balancer-labs/balancer-v2',
+  urlEnvVar: 'BALANCER_SUBGRAPH_URL'
+}));
+
+registerAdapter(createBalancerAdapter({
+  name: 'balancerPolygon',
+  chain: 'Polygon',
+  subgraphUrl: 'https://api.thegraph.com/subgraphs/name/balancer-labs/balancer-polygon-v2',
+  urlEnvVar: 'BALANCER_POLYGON_SUBGRAPH_URL'
+}));
+
+// Unichain has no hosted-service subgraph; set the URL of a deployment to enable it
+registerAdapter(createUniswapV3Adapter({
+  name: 'uniswapV3Unichain',
+  dexName: 'Uniswap V3',
+  chain: 'Unichain',
+  subgraphUrl: '',
+  urlEnvVar: 'UNISWAP_V3_UNICHAIN_SUBGRAPH_URL'
+}));
+
+module.exports = {
+  PROTOCOL_KINDS,
+  PROTOCOL_FAMILIES,
+  DYNAMIC_FEE_FLAG,
+  UNISWAP_V2_PAIRS_QUERY,
+  UNISWAP_V3_POOLS_QUERY,
+  UNISWAP_V4_POOLS_QUERY,
+  CURVE_POOLS_QUERY,
+  BALANCER_POOLS_QUERY,
+  DEFAULT_CURVE_FEE,
+  NORMALIZED_DECIMALS,
+  parseReserveToBigInt,
+  normalizeAmount,
+  buildReserves,
+  buildMultiAssetReserves,
+  isMultiAssetPool,
+  isQuotablePool,
+  getPoolTokens,
+  getPoolBalance,
+  deriveUniswapV3State,
+  toDexId,
+  getPoolDex,
+  getProtocolFamily,
+  createUniswapV2Adapter,
+  createUniswapV3Adapter,
+  createUniswapV4Adapter,
+  createCurveAdapter,
+  createBalancerAdapter,
+  registerAdapter,
+  unregisterAdapter,
+  getAdapter,
+  getAdapters,
+  getAdaptersForChain,
+  resolveSourceUrl,
+  getUnconfiguredAdapters
+};
@@ -1,28 +1,79 @@
-const { GraphQLClient } = require('graphql-request');
+const {
+  createSubgraphClient,
+  resolvePaginationLimits,
+  fetchPaginated,
+  fetchPaginatedByTokens
+} = require('./subgraph-client');
+const { getAdapters, resolveSourceUrl, getPoolTokens } = require('./dex-adapters');
+const { refreshPoolsFromChain } = require('./onchain-reserves');
+const { getRpcUrlsFromEnv, getChainConfig } = require('./chain-config');
+const { getTokens } = require('./token-registry');
+const { priceDexData } = require('./usd-pricing');
+const { screenTokens } = require('./token-safety');
 
 /**
  * @typedef {Object} Token
  * @property {string} symbol - Token symbol (e.g., ETH)
  * @property {number} decimals - Number of decimals
  * @property {string} address - Token address (lowercase)
+ * @property {number|null} [priceUSD] - USD price of one whole token, derived from stablecoin-anchored pools (null if unknown)
+ * @property {string[]} [safetyFlags] - Safety flags: fee-on-transfer, rebasing, blacklistable or suspicious (see token-safety.js)
+ * @property {number} [transferFeeBps] - Share of a simulated transfer the token withheld, in basis points
  */
 
 /**
  * @typedef {Object} Pool
+ * @property {string} id - Pool address (32-byte pool id for Uniswap V4)
+ * @property {string|null} [factory] - Factory address (PoolManager for Uniswap V4)
  * @property {string} dexName - Name of the DEX (e.g., Uniswap V3)
+ * @property {string} dex - DEX id (e.g., uniswap_v3, sushiswap)
+ * @property {string} protocolFamily - Pricing family: v2-constant-product, v3-concentrated, v4, stableswap or weighted
  * @property {string} chain - Blockchain (e.g., Ethereum)
- * @property {string} token0 - Address of token0 (lowercase)
- * @property {string} token1 - Address of token1 (lowercase)
- * @property {bigint} reserve0 - Normalized reserve of token0
- * @property {bigint} reserve1 - Normalized reserve of token1
+ * @property {string} token0 - Address of token0 (lowercase; the first token of N-token pools)
+ * @property {string} token1 - Address of token1 (lowercase; the second token of N-token pools)
+ * @property {bigint} reserve0 - Reserve of token0 in raw on-chain units (token0 decimals)
+ * @property {bigint} reserve1 - Reserve of token1 in raw on-chain units (token1 decimals)
+ * @property {bigint} normalizedReserve0 - Reserve of token0 as 18-decimal fixed point
+ * @property {bigint} normalizedReserve1 - Reserve of token1 as 18-decimal fixed point
  * @property {bigint} fee - Fee tier as a BigInt
+ * @property {number} [blockNumber] - Block the reserves were read at, when read on-chain
+ * @property {string} [hooks] - Uniswap V4 only: hooks contract of the pool key (zero address if none)
+ * @property {boolean} [dynamicFee] - Uniswap V4 only: true if the hooks set the fee per swap (fee is then 0)
+ * @property {bigint} [sqrtPriceX96] - Uniswap V3 only: current sqrt price as Q64.96
+ * @property {number|null} [tick] - Uniswap V3 only: current tick
+ * @property {number} [tickSpacing] - Uniswap V3 only: tick spacing of the fee tier
+ * @property {bigint} [liquidity] - Uniswap V3 only: liquidity active at the current tick
+ * @property {number} [tickLower] - Uniswap V3 only: lower bound of the active tick range
+ * @property {number} [tickUpper] - Uniswap V3 only: upper bound of the active tick range
+ * @property {bigint} [rangeReserve0] - Uniswap V3 only: token0 backing the active tick range
+ * @property {bigint} [rangeReserve1] - Uniswap V3 only: token1 backing the active tick range
+ * @property {bigint} [totalValueLocked0] - Uniswap V3 only: total token0 locked, in raw units
+ * @property {bigint} [totalValueLocked1] - Uniswap V3 only: total token1 locked, in raw units
+ * @property {string[]} [tokens] - N-token pools (Curve, Balancer) only: every token of the pool, in pool order
+ * @property {bigint[]} [balances] - N-token pools only: raw balance of each token
+ * @property {number[]} [tokenDecimals] - N-token pools only: decimals of each token
+ * @property {bigint[]} [weights] - Weighted pools only: normalized weight of each token (18-decimal fractions)
+ * @property {bigint} [amplification] - StableSwap pools only: amplification coefficient A
+ * @property {number|null} [tvlUSD] - USD value of the priced tokens the pool holds (null if none is priced)
  */
 
 /**
  * @typedef {Object} DexConfig
  * @property {string} ethereumRpcUrl - Ethereum RPC URL
  * @property {string} polygonRpcUrl - Polygon RPC URL
+ * @property {Object<string, string>} [rpcUrls] - RPC URLs of the other chains keyed by chain name
+ *   (e.g., { Base: 'https://...' }), used for on-chain reserves
  * @property {string} [graphApiKey] - Optional Graph API key
+ * @property {number} [maxPools] - Maximum pools fetched per DEX (default 1000)
+ * @property {number} [minTvlUsd] - Minimum pool TVL in USD to fetch (default 10000)
+ * @property {number} [pageSize] - Subgraph page size (default 100, max 1000)
+ * @property {Object<string, import('./subgraph-client').PaginationLimits>} [dexLimits] - Per-DEX
+ *   overrides of maxPools/minTvlUsd/pageSize keyed by adapter name (e.g., uniswapV3, sushiswap)
+ * @property {boolean} [onChainReserves] - Re-read reserves of discovered pools over JSON-RPC
+ * @property {boolean} [monitoredOnly] - Only fetch pools touching a token of the token registry
+ *   for the chain of each source, instead of the top pools by TVL
+ * @property {boolean} [tokenScreening] - Probe token contracts and simulate transfers over JSON-RPC
+ *   to flag unsafe tokens (denylist and registry flags are always applied)
  */
 
 /**
@@ -32,269 +83,111 @@ const { GraphQLClient } = require('graphql-request');
  */
 
 /**
- * Convert reserve string to BigInt safely without precision loss
- * @param {string} reserveStr - Reserve value as string
- * @param {number} decimals - Token decimals (default 18)
- * @returns {bigint} - Reserve as BigInt
+ * Get the addresses of the registry tokens monitored on a chain
+ * @param {string} chain - Chain name
+ * @returns {string[]} - Token addresses (lowercase), empty for chains without a chain id
  */
-function parseReserveToBigInt(reserveStr, decimals = 18) {
-  if (!reserveStr || reserveStr === '0') {
-    return BigInt(0);
+function getMonitoredTokenAddresses(chain) {
+  const chainId = getChainConfig(chain)?.chainId;
+  if (chainId === undefined) {
+    return [];
   }
-  
-  // Split on decimal point
-  const parts = reserveStr.split('.');
-  const integerPart = parts[0] || '0';
-  const fractionalPart = parts[1] || '';
-  
-  // Pad or truncate fractional part to match decimals
-  const paddedFractional = fractionalPart.padEnd(decimals, '0').substring(0, decimals);
-  
-  // Combine and convert to BigInt
-  const combined = integerPart + paddedFractional;
-  return BigInt(combined);
+  return getTokens(chainId).map(token => token.address.toLowerCase());
 }
 
 /**
- * Fetch Uniswap V3 data from The Graph
+ * Fetch the raw subgraph entities of an adapter.
+ * In monitored-only mode, sources with token filters are queried once per filter
+ * with the registry tokens of their chain; the others are fetched as usual and
+ * filtered after normalization.
+ * @param {{request: function(string, Object): Promise<Object>}} client - GraphQL client
+ * @param {import('./dex-adapters').DexAdapter} adapter - Registered DEX adapter
  * @param {DexConfig} config - Configuration object
- * @returns {Promise<{tokens: Token[], pools: Pool[]}>}
+ * @param {string[]|null} monitoredTokens - Monitored token addresses, or null to fetch the top pools
+ * @returns {Promise<Object[]>} - Subgraph entities
  */
-async function fetchUniswapV3Data(config) {
-  const subgraphUrl = process.env.UNISWAP_V3_SUBGRAPH_URL || 
-    'https://api.thegraph.com/subgraphs/name/uniswap/uniswap-v3';
-  
-  const client = new GraphQLClient(subgraphUrl, {
-    headers: config.graphApiKey ? { 'Authorization': `Bearer ${config.graphApiKey}` } : {}
-  });
-
-  const query = `
-    {
-      pools(first: 100, orderBy: totalValueLockedUSD, orderDirection: desc) {
-        id
-        factory {
-          id
-        }
-        token0 {
-          id
-          symbol
-          decimals
-        }
-        token1 {
-          id
-          symbol
-          decimals
-        }
-        liquidity
-        feeTier
-        token0Price
-        token1Price
-      }
-    }
-  `;
-
-  try {
-    const data = await client.request(query);
-    const pools = [];
-    const tokenMap = new Map();
-
-    data.pools?.forEach((pool) => {
-      // Add tokens to registry
-      if (!tokenMap.has(pool.token0.id)) {
-        const token = {
-          symbol: pool.token0.symbol,
-          decimals: parseInt(pool.token0.decimals),
-          address: pool.token0.id.toLowerCase()
-        };
-        tokenMap.set(pool.token0.id, token);
-      }
-
-      if (!tokenMap.has(pool.token1.id)) {
-        const token = {
-          symbol: pool.token1.symbol,
-          decimals: parseInt(pool.token1.decimals),
-          address: pool.token1.id.toLowerCase()
-        };
-        tokenMap.set(pool.token1.id, token);
-      }
-
-      // Add pool
-      pools.push({
-        id: pool.id.toLowerCase(),
-        factory: pool.factory?.id?.toLowerCase() || null,
-        dexName: 'Uniswap V3',
-        chain: 'Ethereum',
-        token0: pool.token0.id.toLowerCase(),
-        token1: pool.token1.id.toLowerCase(),
-        reserve0: BigInt(pool.liquidity || 0),
-        reserve1: BigInt(pool.liquidity || 0),
-        fee: BigInt(pool.feeTier || 3000)
-      });
-    });
-
-    return { tokens: Array.from(tokenMap.values()), pools };
-  } catch (error) {
-    console.error('Error fetching Uniswap V3 data:', error);
-    return { tokens: [], pools: [] };
+function fetchAdapterEntities(client, adapter, config, monitoredTokens) {
+  const limits = resolvePaginationLimits(config, adapter.name);
+  if (monitoredTokens && adapter.tokenFilterFields) {
+    return fetchPaginatedByTokens(
+      client,
+      adapter.query,
+      adapter.entityName,
+      limits,
+      adapter.tokenFilterFields,
+      monitoredTokens
+    );
   }
+  return fetchPaginated(client, adapter.query, adapter.entityName, limits);
 }
 
 /**
- * Fetch SushiSwap data from The Graph
+ * Fetch and normalize data from a single DEX adapter
+ * @param {import('./dex-adapters').DexAdapter} adapter - Registered DEX adapter
  * @param {DexConfig} config - Configuration object
  * @returns {Promise<{tokens: Token[], pools: Pool[]}>}
  */
-async function fetchSushiSwapData(config) {
-  const subgraphUrl = process.env.SUSHISWAP_SUBGRAPH_URL || 
-    'https://api.thegraph.com/subgraphs/name/sushiswap/exchange';
-  
-  const client = new GraphQLClient(subgraphUrl, {
-    headers: config.graphApiKey ? { 'Authorization': `Bearer ${config.graphApiKey}` } : {}
-  });
+async function fetchAdapterData(adapter, config) {
+  const url = resolveSourceUrl(adapter);
+  // Sources without a public default are only fetched once their URL is configured
+  if (!url) {
+    return { tokens: [], pools: [] };
+  }
 
-  const query = `
-    {
-      pairs(first: 100, orderBy: reserveUSD, orderDirection: desc) {
-        id
-        token0 {
-          id
-          symbol
-          decimals
-        }
-        token1 {
-          id
-          symbol
-          decimals
-        }
-        reserve0
-        reserve1
-      }
-    }
-  `;
+  const monitoredTokens = config.monitoredOnly ? getMonitoredTokenAddresses(adapter.chain) : null;
+  // Nothing is monitored on this chain
+  if (monitoredTokens && monitoredTokens.length === 0) {
+    return { tokens: [], pools: [] };
+  }
+  const client = createSubgraphClient(url, config);
 
   try {
-    const data = await client.request(query);
+    const entities = await fetchAdapterEntities(client, adapter, config, monitoredTokens);
     const pools = [];
     const tokenMap = new Map();
 
-    data.pairs?.forEach((pair) => {
-      // Add tokens to registry
-      if (!tokenMap.has(pair.token0.id)) {
-        const token = {
-          symbol: pair.token0.symbol,
-          decimals: parseInt(pair.token0.decimals),
-          address: pair.token0.id.toLowerCase()
-        };
-        tokenMap.set(pair.token0.id, token);
+    entities.forEach((entity) => {
+      let pool;
+      try {
+        pool = adapter.normalizePool(entity, adapter);
+      } catch (error) {
+        // Skip the malformed pool instead of dropping the whole source
+        console.error(`Error normalizing ${adapter.dexName} pool ${entity.id}:`, error);
+        return;
       }
-
-      if (!tokenMap.has(pair.token1.id)) {
-        const token = {
-          symbol: pair.token1.symbol,
-          decimals: parseInt(pair.token1.decimals),
-          address: pair.token1.id.toLowerCase()
-        };
-        tokenMap.set(pair.token1.id, token);
+      if (monitoredTokens && !getPoolTokens(pool).some(token => monitoredTokens.includes(token.toLowerCase()))) {
+        return;
       }
 
-      // Add pool - use parseReserveToBigInt to avoid precision loss
-      pools.push({
-        id: pair.id.toLowerCase(),
-        factory: null, // SushiSwap V2 doesn't expose factory in the query
-        dexName: 'SushiSwap',
-        chain: 'Ethereum',
-        token0: pair.token0.id.toLowerCase(),
-        token1: pair.token1.id.toLowerCase(),
-        reserve0: parseReserveToBigInt(pair.reserve0 || '0', 18),
-        reserve1: parseReserveToBigInt(pair.reserve1 || '0', 18),
-        fee: BigInt(3000) // SushiSwap uses 0.3% fee
+      // Add tokens to registry
+      adapter.normalizeTokens(entity, adapter).forEach((token) => {
+        if (!tokenMap.has(token.address)) {
+          tokenMap.set(token.address, token);
+        }
       });
+
+      // Add pool
+      pools.push(pool);
     });
 
     return { tokens: Array.from(tokenMap.values()), pools };
   } catch (error) {
-    console.error('Error fetching SushiSwap data:', error);
+    console.error(`Error fetching ${adapter.dexName} data:`, error);
     return { tokens: [], pools: [] };
   }
 }
 
 /**
- * Fetch QuickSwap data from The Graph
- * @param {DexConfig} config - Configuration object
- * @returns {Promise<{tokens: Token[], pools: Pool[]}>}
+ * Parse an optional numeric setting from an environment variable
+ * @param {string|undefined} value - Raw environment value
+ * @returns {number|undefined} - Parsed number, or undefined if unset or invalid
  */
-async function fetchQuickSwapData(config) {
-  const subgraphUrl = process.env.QUICKSWAP_SUBGRAPH_URL || 
-    'https://api.thegraph.com/subgraphs/name/sameepsi/quickswap06';
-  
-  const client = new GraphQLClient(subgraphUrl, {
-    headers: config.graphApiKey ? { 'Authorization': `Bearer ${config.graphApiKey}` } : {}
-  });
-
-  const query = `
-    {
-      pairs(first: 100, orderBy: reserveUSD, orderDirection: desc) {
-        id
-        token0 {
-          id
-          symbol
-          decimals
-        }
-        token1 {
-          id
-          symbol
-          decimals
-        }
-        reserve0
-        reserve1
-      }
-    }
-  `;
-
-  try {
-    const data = await client.request(query);
-    const pools = [];
-    const tokenMap = new Map();
-
-    data.pairs?.forEach((pair) => {
-      // Add tokens to registry
-      if (!tokenMap.has(pair.token0.id)) {
-        const token = {
-          symbol: pair.token0.symbol,
-          decimals: parseInt(pair.token0.decimals),
-          address: pair.token0.id.toLowerCase()
-        };
-        tokenMap.set(pair.token0.id, token);
-      }
-
-      if (!tokenMap.has(pair.token1.id)) {
-        const token = {
-          symbol: pair.token1.symbol,
-          decimals: parseInt(pair.token1.decimals),
-          address: pair.token1.id.toLowerCase()
-        };
-        tokenMap.set(pair.token1.id, token);
-      }
-
-      // Add pool - use parseReserveToBigInt to avoid precision loss
-      pools.push({
-        id: pair.id.toLowerCase(),
-        factory: null, // QuickSwap doesn't expose factory in the query
-        dexName: 'QuickSwap',
-        chain: 'Polygon',
-        token0: pair.token0.id.toLowerCase(),
-        token1: pair.token1.id.toLowerCase(),
-        reserve0: parseReserveToBigInt(pair.reserve0 || '0', 18),
-        reserve1: parseReserveToBigInt(pair.reserve1 || '0', 18),
-        fee: BigInt(3000) // QuickSwap uses 0.3% fee
-      });
-    });
-
-    return { tokens: Array.from(tokenMap.values()), pools };
-  } catch (error) {
-    console.error('Error fetching QuickSwap data:', error);
-    return { tokens: [], pools: [] };
+function parseOptionalNumber(value) {
+  if (value === undefined || value.trim() === '') {
+    return undefined;
   }
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
 }
 
 /**
@@ -336,7 +229,15 @@ async function fetchAllDexData(config) {
   const finalConfig = {
     ethereumRpcUrl,
     polygonRpcUrl,
-    graphApiKey
+    rpcUrls: { ...getRpcUrlsFromEnv(), ...config?.rpcUrls },
+    graphApiKey,
+    maxPools: config?.maxPools ?? parseOptionalNumber(process.env.SUBGRAPH_MAX_POOLS),
+    minTvlUsd: config?.minTvlUsd ?? parseOptionalNumber(process.env.SUBGRAPH_MIN_TVL_USD),
+    pageSize: config?.pageSize ?? parseOptionalNumber(process.env.SUBGRAPH_PAGE_SIZE),
+    dexLimits: config?.dexLimits,
+    onChainReserves: config?.onChainReserves ?? process.env.ONCHAIN_RESERVES === 'true',
+    monitoredOnly: config?.monitoredOnly ?? process.env.FETCH_MONITORED_ONLY === 'true',
+    tokenScreening: config?.tokenScreening ?? process.env.TOKEN_SCREENING === 'true'
   };
 
   // Validate configuration
@@ -349,32 +250,29 @@ async function fetchAllDexData(config) {
 
   console.log('Fetching DEX data from multiple sources...');
 
-  // Fetch data from all DEXes in parallel
-  const [uniswapData, sushiswapData, quickswapData] = await Promise.all([
-    fetchUniswapV3Data(finalConfig),
-    fetchSushiSwapData(finalConfig),
-    fetchQuickSwapData(finalConfig)
-  ]);
+  // Fetch data from all registered DEX adapters in parallel
+  const results = await Promise.all(
+    getAdapters().map(adapter => fetchAdapterData(adapter, finalConfig))
+  );
 
   // Merge all tokens and pools
-  const allTokens = mergeTokens([
-    uniswapData.tokens,
-    sushiswapData.tokens,
-    quickswapData.tokens
-  ]);
+  const allTokens = mergeTokens(results.map(result => result.tokens));
+  let allPools = results.flatMap(result => result.pools);
 
-  const allPools = [
-    ...uniswapData.pools,
-    ...sushiswapData.pools,
-    ...quickswapData.pools
-  ];
+  // Replace lagging subgraph reserves with the latest on-chain state
+  if (finalConfig.onChainReserves) {
+    allPools = await refreshPoolsFromChain({ tokens: allTokens, pools: allPools }, finalConfig);
+  }
 
   console.log(`Fetched ${allTokens.length} unique tokens and ${allPools.length} pools`);
 
-  return {
+  const priced = priceDexData({
     tokens: allTokens,
     pools: allPools
-  };
+  });
+
+  // Flag fee-on-transfer, rebasing, blacklistable and suspicious tokens
+  return screenTokens(priced, finalConfig, { simulate: finalConfig.tokenScreening });
 }
 
 /**
@@ -385,11 +283,19 @@ function getConfigFromEnv() {
   return {
     ethereumRpcUrl: process.env.ETHEREUM_RPC_URL || '',
     polygonRpcUrl: process.env.POLYGON_RPC_URL || '',
-    graphApiKey: process.env.GRAPH_API_KEY
+    rpcUrls: getRpcUrlsFromEnv(),
+    graphApiKey: process.env.GRAPH_API_KEY,
+    maxPools: parseOptionalNumber(process.env.SUBGRAPH_MAX_POOLS),
+    minTvlUsd: parseOptionalNumber(process.env.SUBGRAPH_MIN_TVL_USD),
+    pageSize: parseOptionalNumber(process.env.SUBGRAPH_PAGE_SIZE),
+    onChainReserves: process.env.ONCHAIN_RESERVES === 'true',
+    monitoredOnly: process.env.FETCH_MONITORED_ONLY === 'true',
+    tokenScreening: process.env.TOKEN_SCREENING === 'true'
   };
 }
 
 module.exports = {
   fetchAllDexData,
+  fetchAdapterData,
   getConfigFromEnv
 };
@@ -0,0 +1,207 @@
+/**
+ * EVM ABI - Minimal ABI encoding/decoding for the contract calls we make
+ * Covers static words, dynamic bytes, Multicall3 aggregate3 batches, the ERC20
+ * calls used to screen tokens and the topics of the pool events we index
+ */
+
+/**
+ * Function selectors (first 4 bytes of keccak256 of the signature)
+ */
+const SELECTORS = {
+  // UniswapV2Pair.getReserves()
+  getReserves: '0x0902f1ac',
+  // UniswapV3Pool.slot0()
+  slot0: '0x3850c7bd',
+  // UniswapV3Pool.liquidity()
+  liquidity: '0x1a686502',
+  // Multicall3.aggregate3((address,bool,bytes)[])
+  aggregate3: '0x82ad56cb',
+  // ERC20.balanceOf(address)
+  balanceOf: '0x70a08231',
+  // ERC20.transfer(address,uint256)
+  transfer: '0xa9059cbb',
+  // Circle FiatToken.isBlacklisted(address)
+  isBlacklisted: '0xfe575a87',
+  // Tether TetherToken.isBlackListed(address)
+  isBlackListed: '0xe47d6060',
+  // Lido StETH.sharesOf(address)
+  sharesOf: '0xf5eb42dc',
+  // Aave AToken.scaledBalanceOf(address)
+  scaledBalanceOf: '0x1da24f3e'
+};
+
+/**
+ * Event topics (keccak256 of the event signature)
+ */
+const EVENT_TOPICS = {
+  // UniswapV2Pair Sync(uint112,uint112)
+  Sync: '0x1c411e9a96e071241c2f21f7726b17ae89e3cab4c78be50e062b03a9fffbbad1',
+  // UniswapV3Pool Swap(address,address,int256,int256,uint160,uint128,int24)
+  Swap: '0xc42079f94a6350d7e6235f29174924f928cc2ac818eb64fed8004e115fbcca67',
+  // UniswapV3Pool Mint(address,address,int24,int24,uint128,uint256,uint256)
+  Mint: '0x7a53080ba414158be7ec69b987b5fb7d07dee101fe85488f0853ae16239d0bde',
+  // UniswapV3Pool Burn(address,int24,int24,uint128,uint256,uint256)
+  Burn: '0x0c396cd989a39f4459b5fa1aed6a9a8dcdbc45908acfd67e028cd568da98982c'
+};
+
+const WORD_HEX_LENGTH = 64;
+
+/**
+ * Remove a 0x prefix from a hex string
+ * @param {string} hex - Hex string
+ * @returns {string} - Hex without prefix
+ */
+function strip0x(hex) {
+  return hex.startsWith('0x') ? hex.slice(2) : hex;
+}
+
+/**
+ * Encode an unsigned integer as a 32-byte word
+ * @param {bigint|number} value - Non-negative integer
+ * @returns {string} - 64 hex characters
+ */
+function encodeUint(value) {
+  return BigInt(value).toString(16).padStart(WORD_HEX_LENGTH, '0');
+}
+
+/**
+ * Encode an address as a 32-byte word
+ * @param {string} address - 20-byte address
+ * @returns {string} - 64 hex characters
+ */
+function encodeAddress(address) {
+  return strip0x(address).toLowerCase().padStart(WORD_HEX_LENGTH, '0');
+}
+
+/**
+ * Encode a boolean as a 32-byte word
+ * @param {boolean} value - Boolean
+ * @returns {string} - 64 hex characters
+ */
+function encodeBool(value) {
+  return encodeUint(value ? 1 : 0);
+}
+
+/**
+ * Encode dynamic bytes as length word followed by right-padded data
+ * @param {string} hex - Bytes as hex
+ * @returns {string} - Encoded hex (no prefix)
+ */
+function encodeBytes(hex) {
+  const data = strip0x(hex);
+  const paddedLength = Math.ceil(data.length / WORD_HEX_LENGTH) * WORD_HEX_LENGTH;
+  return encodeUint(data.length / 2) + data.padEnd(paddedLength, '0');
+}
+
+/**
+ * Split ABI-encoded hex data into 32-byte words
+ * @param {string} hex - Encoded data
+ * @returns {string[]} - Words as 64-character hex strings
+ */
+function decodeWords(hex) {
+  const data = strip0x(hex);
+  const words = [];
+  for (let i = 0; i + WORD_HEX_LENGTH <= data.length; i += WORD_HEX_LENGTH) {
+    words.push(data.slice(i, i + WORD_HEX_LENGTH));
+  }
+  return words;
+}
+
+/**
+ * Decode an unsigned integer word
+ * @param {string} word - 64 hex characters
+ * @returns {bigint} - Value
+ */
+function decodeUint(word) {
+  return BigInt(`0x${word}`);
+}
+
+/**
+ * Decode a two's complement signed integer word
+ * @param {string} word - 64 hex characters
+ * @returns {bigint} - Value
+ */
+function decodeInt(word) {
+  const value = decodeUint(word);
+  const signBit = BigInt(1) << BigInt(255);
+  return value >= signBit ? value - (BigInt(1) << BigInt(256)) : value;
+}
+
+/**
+ * Decode an address word
+ * @param {string} word - 64 hex characters
+ * @returns {string} - Lowercase 0x-prefixed address
+ */
+function decodeAddress(word) {
+  return `0x${word.slice(24)}`;
+}
+
+/**
+ * Encode a Multicall3 aggregate3 call
+ * @param {{target: string, allowFailure: boolean, callData: string}[]} calls - Calls to batch
+ * @returns {string} - 0x-prefixed calldata
+ */
+function encodeAggregate3(calls) {
+  // Each (address, bool, bytes) tuple is dynamic, so the array holds offsets to them
+  const tuples = calls.map(call =>
+    encodeAddress(call.target) +
+    encodeBool(call.allowFailure) +
+    encodeUint(3 * 32) +
+    encodeBytes(call.callData)
+  );
+
+  let offset = calls.length * 32;
+  const offsets = tuples.map((tuple) => {
+    const encoded = encodeUint(offset);
+    offset += tuple.length / 2;
+    return encoded;
+  });
+
+  return SELECTORS.aggregate3 +
+    encodeUint(32) +
+    encodeUint(calls.length) +
+    offsets.join('') +
+    tuples.join('');
+}
+
+/**
+ * Decode the (bool success, bytes returnData)[] result of aggregate3
+ * @param {string} hex - eth_call result
+ * @returns {{success: boolean, returnData: string}[]} - Per-call results
+ */
+function decodeAggregate3(hex) {
+  const data = strip0x(hex);
+  const readWord = byteOffset => data.slice(byteOffset * 2, byteOffset * 2 + WORD_HEX_LENGTH);
+
+  const arrayStart = Number(decodeUint(readWord(0)));
+  const length = Number(decodeUint(readWord(arrayStart)));
+  const elementsStart = arrayStart + 32;
+  const results = [];
+
+  for (let i = 0; i < length; i++) {
+    const tupleStart = elementsStart + Number(decodeUint(readWord(elementsStart + i * 32)));
+    const success = decodeUint(readWord(tupleStart)) === BigInt(1);
+    const bytesStart = tupleStart + Number(decodeUint(readWord(tupleStart + 32)));
+    const bytesLength = Number(decodeUint(readWord(bytesStart)));
+    const returnData = data.slice((bytesStart + 32) * 2, (bytesStart + 32 + bytesLength) * 2);
+    results.push({ success, returnData: `0x${returnData}` });
+  }
+
+  return results;
+}
+
+module.exports = {
+  SELECTORS,
+  EVENT_TOPICS,
+  strip0x,
+  encodeUint,
+  encodeAddress,
+  encodeBool,
+  encodeBytes,
+  decodeWords,
+  decodeUint,
+  decodeInt,
+  decodeAddress,
+  encodeAggregate3,
+  decodeAggregate3
+};
@@ -1,6 +1,108 @@
 const { fetchAllDexData, getConfigFromEnv } = require('./dex-data-fetcher');
+const {
+  PROTOCOL_KINDS,
+  PROTOCOL_FAMILIES,
+  createUniswapV2Adapter,
+  createUniswapV3Adapter,
+  createUniswapV4Adapter,
+  createCurveAdapter,
+  createBalancerAdapter,
+  registerAdapter,
+  unregisterAdapter,
+  getAdapter,
+  getAdapters,
+  getPoolDex,
+  getProtocolFamily
+} = require('./dex-adapters');
+const { createSwapPairsRegistry } = require('./swap-pairs-registry');
+const { OPPORTUNITY_TYPES, searchArbitrageOpportunities, findArbitrageOpportunities } = require('./arbitrage-detector');
+const { simulateCycle, findOptimalTradeSize, sizeArbitrageOpportunity } = require('./arbitrage-sizing');
+const { getAmountOut, getSpotPrice } = require('./swap-math');
+const { findCandidateRoutes, findBestRoute } = require('./route-finder');
+const { createSnapshotStore } = require('./snapshot-store');
+const { diffDexData } = require('./snapshot-diff');
+const { createRpcClient } = require('./rpc-client');
+const { createPoolEventIndexer } = require('./pool-event-indexer');
+const { CHAINS, getChainConfig, getWrappedNativeToken, getStablecoins } = require('./chain-config');
+const { getChainTokenPricesUSD, getPoolTvlUSD, getTokenPricesByChain, priceDexData } = require('./usd-pricing');
+const {
+  TOKEN_TAGS,
+  createTokenRegistry,
+  addToken,
+  removeToken,
+  getToken,
+  getTokens,
+  findTokensBySymbol,
+  isMonitoredToken,
+  validateTokenList,
+  mergeTokenLists,
+  importTokenLists,
+  addCanonicalAsset,
+  getCanonicalAsset,
+  getCanonicalAssets,
+  findCanonicalAsset
+} = require('./token-registry');
+const { compareCanonicalAssetPrices } = require('./cross-chain-prices');
+const { TOKEN_FLAGS, getDenylistFromEnv, createProbeCache, screenTokens, excludeFlaggedPools } = require('./token-safety');
 
 module.exports = {
   fetchAllDexData,
-  getConfigFromEnv
+  getConfigFromEnv,
+  PROTOCOL_KINDS,
+  PROTOCOL_FAMILIES,
+  createUniswapV2Adapter,
+  createUniswapV3Adapter,
+  createUniswapV4Adapter,
+  createCurveAdapter,
+  createBalancerAdapter,
+  registerAdapter,
+  unregisterAdapter,
+  getAdapter,
+  getAdapters,
+  getPoolDex,
+  getProtocolFamily,
+  createSwapPairsRegistry,
+  OPPORTUNITY_TYPES,
+  searchArbitrageOpportunities,
+  findArbitrageOpportunities,
+  simulateCycle,
+  findOptimalTradeSize,
+  sizeArbitrageOpportunity,
+  getAmountOut,
+  getSpotPrice,
+  findCandidateRoutes,
+  findBestRoute,
+  createSnapshotStore,
+  diffDexData,
+  createRpcClient,
+  createPoolEventIndexer,
+  CHAINS,
+  getChainConfig,
+  getWrappedNativeToken,
+  getStablecoins,
+  getChainTokenPricesUSD,
+  getPoolTvlUSD,
+  getTokenPricesByChain,
+  priceDexData,
+  TOKEN_TAGS,
+  createTokenRegistry,
+  addToken,
+  removeToken,
+  getToken,
+  getTokens,
+  findTokensBySymbol,
+  isMonitoredToken,
+  validateTokenList,
+  mergeTokenLists,
+  importTokenLists,
+  addCanonicalAsset,
+  getCanonicalAsset,
+  getCanonicalAssets,
+  findCanonicalAsset,
+  compareCanonicalAssetPrices,
+  TOKEN_FLAGS,
+  getDenylistFromEnv,
+  createProbeCache,
+  screenTokens,
+  excludeFlaggedPools
 };
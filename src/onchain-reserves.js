@@ -0,0 +1,246 @@
+/**
+ * On-chain Reserves - Reads current pool state directly over JSON-RPC
+ * Batches getReserves() on V2 pairs and slot0()/liquidity() on V3 pools
+ * through Multicall3, all pinned to a single block per chain
+ */
+
+const { createRpcClient } = require('./rpc-client');
+const {
+  SELECTORS,
+  decodeWords,
+  decodeUint,
+  decodeInt,
+  encodeAggregate3,
+  decodeAggregate3
+} = require('./evm-abi');
+const { buildReserves, deriveUniswapV3State, isMultiAssetPool } = require('./dex-adapters');
+
+/**
+ * Multicall3 address, deployed at the same address on every supported chain
+ */
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+/**
+ * Default number of pools read per multicall
+ */
+const DEFAULT_MULTICALL_BATCH_SIZE = 100;
+
+/**
+ * @typedef {Object} OnChainPoolState
+ * @property {number} blockNumber - Block the state was read at
+ * @property {bigint} [reserve0] - V2 only: reserve of token0
+ * @property {bigint} [reserve1] - V2 only: reserve of token1
+ * @property {bigint} [sqrtPriceX96] - V3 only: current sqrt price
+ * @property {number} [tick] - V3 only: current tick
+ * @property {bigint} [liquidity] - V3 only: active liquidity
+ */
+
+/**
+ * @typedef {Object} OnChainReadOptions
+ * @property {string} [multicallAddress] - Multicall3 address override
+ * @property {number} [batchSize] - Pools per multicall
+ * @property {number} [blockNumber] - Block to read at (defaults to the latest block)
+ */
+
+/**
+ * Check whether a pool carries Uniswap V3 concentrated-liquidity state
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @returns {boolean} True for V3 pools
+ */
+function isConcentratedPool(pool) {
+  return pool.sqrtPriceX96 !== undefined;
+}
+
+/**
+ * Get the RPC URL configured for a chain
+ * @param {string} chain - Chain name (e.g., Ethereum)
+ * @param {import('./dex-data-fetcher').DexConfig} config - Configuration object
+ * @returns {string|undefined} - RPC URL if configured
+ */
+function getRpcUrlForChain(chain, config) {
+  const urls = {
+    ...config.rpcUrls,
+    Ethereum: config.ethereumRpcUrl,
+    Polygon: config.polygonRpcUrl
+  };
+  return urls[chain] || undefined;
+}
+
+/**
+ * Build the multicall sub-calls for a pool
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @returns {{target: string, allowFailure: boolean, callData: string}[]}
+ */
+function buildPoolCalls(pool) {
+  if (isConcentratedPool(pool)) {
+    return [
+      { target: pool.id, allowFailure: true, callData: SELECTORS.slot0 },
+      { target: pool.id, allowFailure: true, callData: SELECTORS.liquidity }
+    ];
+  }
+  return [{ target: pool.id, allowFailure: true, callData: SELECTORS.getReserves }];
+}
+
+/**
+ * Decode the multicall results belonging to one pool
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @param {{success: boolean, returnData: string}[]} results - Results of buildPoolCalls(pool)
+ * @param {number} blockNumber - Block the results were read at
+ * @returns {OnChainPoolState|null} - Decoded state, or null if any call failed
+ */
+function decodePoolResults(pool, results, blockNumber) {
+  if (results.some(result => !result.success || result.returnData === '0x')) {
+    return null;
+  }
+
+  if (isConcentratedPool(pool)) {
+    const slot0 = decodeWords(results[0].returnData);
+    const liquidity = decodeWords(results[1].returnData);
+    return {
+      blockNumber,
+      sqrtPriceX96: decodeUint(slot0[0]),
+      tick: Number(decodeInt(slot0[1])),
+      liquidity: decodeUint(liquidity[0])
+    };
+  }
+
+  const reserves = decodeWords(results[0].returnData);
+  return {
+    blockNumber,
+    reserve0: decodeUint(reserves[0]),
+    reserve1: decodeUint(reserves[1])
+  };
+}
+
+/**
+ * Read current state for pools on a single chain
+ * @param {{getBlockNumber: function(): Promise<number>, ethCall: function(Object, number): Promise<string>}} client - RPC client
+ * @param {import('./dex-data-fetcher').Pool[]} pools - Pools on the client's chain
+ * @param {OnChainReadOptions} [options] - Read options
+ * @returns {Promise<Map<string, OnChainPoolState>>} - State keyed by pool id
+ */
+async function readPoolStates(client, pools, options = {}) {
+  const multicallAddress = options.multicallAddress || MULTICALL3_ADDRESS;
+  const batchSize = options.batchSize || DEFAULT_MULTICALL_BATCH_SIZE;
+  const blockNumber = options.blockNumber ?? await client.getBlockNumber();
+  const states = new Map();
+
+  for (let i = 0; i < pools.length; i += batchSize) {
+    const batch = pools.slice(i, i + batchSize);
+    const callsPerPool = batch.map(buildPoolCalls);
+    const data = encodeAggregate3(callsPerPool.flat());
+
+    const results = decodeAggregate3(await client.ethCall({ to: multicallAddress, data }, blockNumber));
+    const expected = callsPerPool.reduce((sum, calls) => sum + calls.length, 0);
+    if (results.length !== expected) {
+      throw new Error(`Multicall returned ${results.length} results for ${expected} calls`);
+    }
+
+    let cursor = 0;
+    batch.forEach((pool, index) => {
+      const count = callsPerPool[index].length;
+      const state = decodePoolResults(pool, results.slice(cursor, cursor + count), blockNumber);
+      cursor += count;
+      if (state) {
+        states.set(pool.id, state);
+      }
+    });
+  }
+
+  return states;
+}
+
+/**
+ * Apply an on-chain state read to a pool
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool from the subgraph
+ * @param {OnChainPoolState} state - State read from the chain
+ * @param {Map<string, import('./dex-data-fetcher').Token>} tokenMap - Tokens keyed by address
+ * @returns {import('./dex-data-fetcher').Pool} - Updated pool stamped with blockNumber
+ */
+function applyPoolState(pool, state, tokenMap) {
+  const decimals0 = tokenMap.get(pool.token0)?.decimals ?? 18;
+  const decimals1 = tokenMap.get(pool.token1)?.decimals ?? 18;
+
+  if (isConcentratedPool(pool)) {
+    return {
+      ...pool,
+      ...deriveUniswapV3State({ ...state, fee: pool.fee, tickSpacing: pool.tickSpacing }, decimals0, decimals1),
+      blockNumber: state.blockNumber
+    };
+  }
+
+  return {
+    ...pool,
+    ...buildReserves(state.reserve0, state.reserve1, decimals0, decimals1),
+    blockNumber: state.blockNumber
+  };
+}
+
+/**
+ * Refresh pool reserves from the chain for every chain with a configured RPC URL.
+ * Pools whose reads fail or whose state can't be applied, and Uniswap V4 pools,
+ * keep their subgraph values.
+ * @param {import('./dex-data-fetcher').DexData} dexData - Data discovered from subgraphs
+ * @param {import('./dex-data-fetcher').DexConfig} config - Configuration object with RPC URLs
+ * @param {OnChainReadOptions & {createClient?: function(string): Object}} [options] - Read options
+ * @returns {Promise<import('./dex-data-fetcher').Pool[]>} - Pools with on-chain reserves
+ */
+async function refreshPoolsFromChain(dexData, config, options = {}) {
+  const createClient = options.createClient || (url => createRpcClient(url));
+  const tokenMap = new Map(dexData.tokens.map(token => [token.address, token]));
+
+  const poolsByChain = new Map();
+  dexData.pools.forEach((pool) => {
+    // V4 pools live inside the PoolManager and have no contract of their own to read;
+    // Curve and Balancer pools don't expose getReserves or slot0
+    if (pool.hooks !== undefined || isMultiAssetPool(pool)) {
+      return;
+    }
+    if (!poolsByChain.has(pool.chain)) {
+      poolsByChain.set(pool.chain, []);
+    }
+    poolsByChain.get(pool.chain).push(pool);
+  });
+
+  const statesByChain = await Promise.all(
+    Array.from(poolsByChain.entries()).map(async ([chain, pools]) => {
+      const rpcUrl = getRpcUrlForChain(chain, config);
+      if (!rpcUrl) {
+        return new Map();
+      }
+
+      try {
+        return await readPoolStates(createClient(rpcUrl), pools, options);
+      } catch (error) {
+        console.error(`Error reading ${chain} pool state over RPC:`, error);
+        return new Map();
+      }
+    })
+  );
+
+  const chains = Array.from(poolsByChain.keys());
+
+  return dexData.pools.map((pool) => {
+    const state = statesByChain[chains.indexOf(pool.chain)]?.get(pool.id);
+    if (!state) {
+      return pool;
+    }
+
+    try {
+      return applyPoolState(pool, state, tokenMap);
+    } catch (error) {
+      console.error(`Error applying on-chain state of pool ${pool.id}:`, error);
+      return pool;
+    }
+  });
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  DEFAULT_MULTICALL_BATCH_SIZE,
+  isConcentratedPool,
+  getRpcUrlForChain,
+  readPoolStates,
+  applyPoolState,
+  refreshPoolsFromChain
+};
@@ -0,0 +1,354 @@
+/**
+ * Pool Event Indexer - Keeps pool state block-accurate from on-chain events
+ * Polls eth_getLogs for V2 Sync and V3 Swap/Mint/Burn events on tracked pools,
+ * applies them in log order, and rolls back to the last confirmed block when
+ * the chain reorganizes
+ */
+
+const {
+  EVENT_TOPICS,
+  strip0x,
+  decodeWords,
+  decodeUint,
+  decodeInt
+} = require('./evm-abi');
+const { isConcentratedPool, applyPoolState } = require('./onchain-reserves');
+const { isMultiAssetPool } = require('./dex-adapters');
+
+/**
+ * Blocks behind the head after which events are treated as final
+ */
+const DEFAULT_CONFIRMATIONS = 12;
+
+/**
+ * Maximum blocks requested per eth_getLogs call
+ */
+const DEFAULT_MAX_BLOCK_RANGE = 1000;
+
+/**
+ * Default time between polls (12 seconds, one Ethereum block)
+ */
+const DEFAULT_POLL_INTERVAL_MS = 12000;
+
+/**
+ * Decoded pool event types
+ */
+const POOL_LOG_TYPES = {
+  SYNC: 'sync',
+  SWAP: 'swap',
+  MINT: 'mint',
+  BURN: 'burn'
+};
+
+/**
+ * @typedef {Object} PoolLogEvent
+ * @property {string} type - Event type (see POOL_LOG_TYPES)
+ * @property {string} address - Lowercase pool address
+ * @property {number} blockNumber - Block the event was emitted in
+ * @property {string} blockHash - Hash of that block
+ * @property {number} logIndex - Position of the log in the block
+ * @property {bigint} [reserve0] - Sync only: new reserve of token0
+ * @property {bigint} [reserve1] - Sync only: new reserve of token1
+ * @property {bigint} [sqrtPriceX96] - Swap only: price after the swap
+ * @property {bigint} [liquidity] - Swap only: active liquidity after the swap
+ * @property {number} [tick] - Swap only: tick after the swap
+ * @property {number} [tickLower] - Mint/Burn only: lower tick of the position
+ * @property {number} [tickUpper] - Mint/Burn only: upper tick of the position
+ * @property {bigint} [amount] - Mint/Burn only: liquidity added or removed
+ */
+
+/**
+ * @typedef {Object} PollResult
+ * @property {number} fromBlock - First block scanned
+ * @property {number} toBlock - Last block scanned (the new head)
+ * @property {number} eventCount - Events read from the scanned blocks
+ * @property {boolean} reorged - True if unconfirmed events were rolled back first
+ */
+
+/**
+ * Decode a raw eth_getLogs entry into a pool event
+ * @param {Object} log - Raw log (hex-encoded numbers)
+ * @returns {PoolLogEvent|null} - Decoded event, or null for unrelated topics
+ */
+function decodePoolLog(log) {
+  const words = decodeWords(log.data);
+  const topicInt = index => Number(decodeInt(strip0x(log.topics[index])));
+  const base = {
+    address: log.address.toLowerCase(),
+    blockNumber: parseInt(log.blockNumber, 16),
+    blockHash: log.blockHash,
+    logIndex: parseInt(log.logIndex, 16)
+  };
+
+  switch (log.topics[0].toLowerCase()) {
+    case EVENT_TOPICS.Sync:
+      return { ...base, type: POOL_LOG_TYPES.SYNC, reserve0: decodeUint(words[0]), reserve1: decodeUint(words[1]) };
+    case EVENT_TOPICS.Swap:
+      // amount0 and amount1 come first; the post-swap state follows
+      return {
+        ...base,
+        type: POOL_LOG_TYPES.SWAP,
+        sqrtPriceX96: decodeUint(words[2]),
+        liquidity: decodeUint(words[3]),
+        tick: Number(decodeInt(words[4]))
+      };
+    case EVENT_TOPICS.Mint:
+      // The unindexed sender precedes the amount
+      return { ...base, type: POOL_LOG_TYPES.MINT, tickLower: topicInt(2), tickUpper: topicInt(3), amount: decodeUint(words[1]) };
+    case EVENT_TOPICS.Burn:
+      return { ...base, type: POOL_LOG_TYPES.BURN, tickLower: topicInt(2), tickUpper: topicInt(3), amount: decodeUint(words[0]) };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply an event to a pool. Events of the other pool family are ignored.
+ * Mint and Burn only change active liquidity when the position spans the current tick.
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool before the event
+ * @param {PoolLogEvent} event - Event emitted by the pool
+ * @param {Map<string, import('./dex-data-fetcher').Token>} tokenMap - Tokens keyed by address
+ * @returns {import('./dex-data-fetcher').Pool} - Pool after the event
+ */
+function applyPoolEvent(pool, event, tokenMap) {
+  const { blockNumber } = event;
+
+  if (event.type === POOL_LOG_TYPES.SYNC) {
+    return isConcentratedPool(pool)
+      ? pool
+      : applyPoolState(pool, { blockNumber, reserve0: event.reserve0, reserve1: event.reserve1 }, tokenMap);
+  }
+
+  if (!isConcentratedPool(pool)) {
+    return pool;
+  }
+
+  if (event.type === POOL_LOG_TYPES.SWAP) {
+    const { sqrtPriceX96, tick, liquidity } = event;
+    return applyPoolState(pool, { blockNumber, sqrtPriceX96, tick, liquidity }, tokenMap);
+  }
+
+  if (pool.tick === null || pool.tick < event.tickLower || pool.tick >= event.tickUpper) {
+    return pool;
+  }
+  const liquidity = event.type === POOL_LOG_TYPES.MINT
+    ? pool.liquidity + event.amount
+    : pool.liquidity - event.amount;
+  return applyPoolState(pool, { blockNumber, sqrtPriceX96: pool.sqrtPriceX96, tick: pool.tick, liquidity }, tokenMap);
+}
+
+/**
+ * Apply events, in order, to a set of pools.
+ * A pool whose event can't be applied keeps its last good state, is added to
+ * `failedPools` and ignores its later events.
+ * @param {Map<string, import('./dex-data-fetcher').Pool>} pools - Pools keyed by lowercase address
+ * @param {PoolLogEvent[]} events - Events sorted by block and log index
+ * @param {Map<string, import('./dex-data-fetcher').Token>} tokenMap - Tokens keyed by address
+ * @param {Set<string>} failedPools - Addresses of pools that could not be updated
+ * @returns {Map<string, import('./dex-data-fetcher').Pool>} - New map with the updated pools
+ */
+function applyPoolEvents(pools, events, tokenMap, failedPools) {
+  const next = new Map(pools);
+  events.forEach((event) => {
+    const pool = next.get(event.address);
+    if (!pool || failedPools.has(event.address)) {
+      return;
+    }
+
+    try {
+      next.set(event.address, applyPoolEvent(pool, event, tokenMap));
+    } catch (error) {
+      console.error(`Error applying event to pool ${event.address}:`, error);
+      failedPools.add(event.address);
+    }
+  });
+  return next;
+}
+
+/**
+ * Create an indexer that follows pool events on one chain.
+ * The seed data is treated as confirmed state at startBlock; events after it are
+ * kept unconfirmed until they are `confirmations` blocks deep, so a reorg only
+ * has to discard them and re-scan from the last confirmed block.
+ * @param {Object} options - Indexer options
+ * @param {{getBlockNumber: function(): Promise<number>, getBlock: function(number): Promise<Object|null>, getLogs: function(Object): Promise<Object[]>}} options.client - RPC client for the chain
+ * @param {import('./dex-data-fetcher').DexData} options.dexData - Tokens and the pools to track (all on the client's chain)
+ * @param {number} options.startBlock - Block the seed pool state was read at
+ * @param {number} [options.confirmations] - Blocks before an event is final
+ * @param {number} [options.maxBlockRange] - Blocks per eth_getLogs call
+ * @param {number} [options.intervalMs] - Time between polls once started
+ * @returns {{poll: function(): Promise<PollResult>, start: function(): void, stop: function(): void, getDexData: function(): import('./dex-data-fetcher').DexData, getBlockNumber: function(): number, getConfirmedBlockNumber: function(): number}}
+ */
+function createPoolEventIndexer({
+  client,
+  dexData,
+  startBlock,
+  confirmations = DEFAULT_CONFIRMATIONS,
+  maxBlockRange = DEFAULT_MAX_BLOCK_RANGE,
+  intervalMs = DEFAULT_POLL_INTERVAL_MS
+}) {
+  const tokenMap = new Map(dexData.tokens.map(token => [token.address, token]));
+  // V4 pools emit their events from the PoolManager and Curve/Balancer pools emit their own
+  // event types, so only V2/V3 pool contracts are watched
+  const addresses = dexData.pools
+    .filter(pool => pool.hooks === undefined && !isMultiAssetPool(pool))
+    .map(pool => pool.id.toLowerCase());
+  const topics = [Object.values(EVENT_TOPICS)];
+  // Pools whose events could not be applied stop being followed
+  const failedPools = new Set();
+
+  let confirmedPools = new Map(dexData.pools.map(pool => [pool.id.toLowerCase(), pool]));
+  let confirmedBlock = startBlock;
+  let headPools = confirmedPools;
+  let headBlock = startBlock;
+  let headHash = null;
+  /** @type {PoolLogEvent[]} */
+  let pendingEvents = [];
+  let inFlight = null;
+  let timer = null;
+
+  /**
+   * Read and decode the tracked pools' events in a block range
+   * @param {number} fromBlock - First block
+   * @param {number} toBlock - Last block
+   * @returns {Promise<PoolLogEvent[]>} - Events sorted by block and log index
+   */
+  async function fetchEvents(fromBlock, toBlock) {
+    const tracked = addresses.filter(address => !failedPools.has(address));
+    const events = [];
+    // An empty address filter would match the logs of every contract
+    if (tracked.length === 0) {
+      return events;
+    }
+
+    for (let from = fromBlock; from <= toBlock; from += maxBlockRange) {
+      const to = Math.min(from + maxBlockRange - 1, toBlock);
+      const logs = await client.getLogs({ address: tracked, topics, fromBlock: from, toBlock: to });
+      logs.forEach((log) => {
+        const event = log.removed ? null : decodePoolLog(log);
+        if (event) {
+          events.push(event);
+        }
+      });
+    }
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Discard unconfirmed events and return to the last confirmed block
+   */
+  function rollback() {
+    pendingEvents = [];
+    headPools = confirmedPools;
+    headBlock = confirmedBlock;
+    headHash = null;
+  }
+
+  async function runPoll() {
+    let reorged = false;
+
+    // A different hash at our head means the unconfirmed blocks were replaced
+    if (headHash && headBlock > confirmedBlock) {
+      const block = await client.getBlock(headBlock);
+      if (!block || block.hash !== headHash) {
+        rollback();
+        reorged = true;
+      }
+    }
+
+    const fromBlock = headBlock + 1;
+    const latest = await client.getBlockNumber();
+    if (latest < fromBlock) {
+      return { fromBlock, toBlock: headBlock, eventCount: 0, reorged };
+    }
+
+    // Record the head hash before reading logs, so a reorg in between is caught next poll
+    const head = await client.getBlock(latest);
+    const events = await fetchEvents(fromBlock, latest);
+
+    pendingEvents = pendingEvents.concat(events);
+    headBlock = latest;
+    headHash = head ? head.hash : null;
+
+    const finalBlock = latest - confirmations;
+    if (finalBlock > confirmedBlock) {
+      const settled = pendingEvents.filter(event => event.blockNumber <= finalBlock);
+      pendingEvents = pendingEvents.filter(event => event.blockNumber > finalBlock);
+      confirmedPools = applyPoolEvents(confirmedPools, settled, tokenMap, failedPools);
+      confirmedBlock = finalBlock;
+    }
+    headPools = applyPoolEvents(confirmedPools, pendingEvents, tokenMap, failedPools);
+
+    return { fromBlock, toBlock: latest, eventCount: events.length, reorged };
+  }
+
+  /**
+   * Scan new blocks and apply their events. Concurrent calls share one scan.
+   * @returns {Promise<PollResult>}
+   */
+  function poll() {
+    if (!inFlight) {
+      inFlight = runPoll().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  }
+
+  /**
+   * Poll on an interval, logging failures
+   */
+  function start() {
+    if (timer) {
+      return;
+    }
+    const tick = () => poll().catch(error => console.error('Error indexing pool events:', error));
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+  }
+
+  /**
+   * Stop polling
+   */
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * Get the pools as of the head block
+   * @returns {import('./dex-data-fetcher').DexData} - Tokens and pools; only the pools still followed are stamped with the head block
+   */
+  function getDexData() {
+    return {
+      tokens: dexData.tokens,
+      pools: dexData.pools.map((pool) => {
+        const address = pool.id.toLowerCase();
+        const current = headPools.get(address);
+        return addresses.includes(address) && !failedPools.has(address)
+          ? { ...current, blockNumber: headBlock }
+          : current;
+      })
+    };
+  }
+
+  return {
+    poll,
+    start,
+    stop,
+    getDexData,
+    getBlockNumber: () => headBlock,
+    getConfirmedBlockNumber: () => confirmedBlock
+  };
+}
+
+module.exports = {
+  DEFAULT_CONFIRMATIONS,
+  DEFAULT_MAX_BLOCK_RANGE,
+  DEFAULT_POLL_INTERVAL_MS,
+  POOL_LOG_TYPES,
+  decodePoolLog,
+  applyPoolEvent,
+  createPoolEventIndexer
+};
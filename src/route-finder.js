@@ -0,0 +1,285 @@
+/**
+ * Route Finder - Multi-hop swap routing across fetched pools and DEXes
+ * Searches the token graph of each chain for paths of up to N hops through the
+ * deepest pools of each pair, simulates them with the swap math, and splits the
+ * input across the best routes that share no pools
+ */
+
+const { createSwapPairsRegistry } = require('./swap-pairs-registry');
+const { simulateCycle } = require('./arbitrage-sizing');
+const { getPoolBalance, isQuotablePool } = require('./dex-adapters');
+
+/**
+ * Default search limits
+ */
+const DEFAULT_MAX_HOPS = 3;
+const DEFAULT_MAX_SPLITS = 3;
+const DEFAULT_SPLIT_PARTS = 10;
+const DEFAULT_MAX_POOLS_PER_PAIR = 3;
+const DEFAULT_MAX_SPLIT_CANDIDATES = 20;
+
+/**
+ * @typedef {Object} RouteHop
+ * @property {import('./dex-data-fetcher').Pool} pool - Pool to swap through
+ * @property {string} tokenIn - Token sold into the pool
+ * @property {string} tokenOut - Token bought from the pool
+ */
+
+/**
+ * @typedef {Object} RouteAllocation
+ * @property {RouteHop[]} hops - Swaps in execution order
+ * @property {string[]} path - Token addresses visited
+ * @property {bigint} amountIn - Input sent down this route
+ * @property {bigint} amountOut - Output of this route
+ * @property {bigint[]} amounts - Amount entering each hop, followed by the final output
+ */
+
+/**
+ * @typedef {Object} RouteResult
+ * @property {string} chain - Chain the routes are on
+ * @property {bigint} amountIn - Total input
+ * @property {bigint} amountOut - Total output across all routes
+ * @property {RouteAllocation[]} routes - Routes the input is split across, largest share first
+ */
+
+/**
+ * @typedef {Object} RouteOptions
+ * @property {number} [maxHops] - Maximum swaps per route (default 3)
+ * @property {number} [maxSplits] - Maximum routes to split the input across (default 3, 1 disables splitting)
+ * @property {number} [splitParts] - Number of equal parts the input is divided into when splitting (default 10)
+ * @property {number} [maxPoolsPerPair] - Pools of each pair considered at every hop, deepest first (default 3)
+ * @property {number} [maxSplitCandidates] - Best single routes the input may be split across (default 20)
+ * @property {string} [chain] - Only route through pools on this chain
+ * @property {boolean} [monitoredOnly] - Only route through monitored tokens (default true)
+ */
+
+/**
+ * Get the pools of a pair holding the most of the token sold into them
+ * @param {import('./dex-data-fetcher').Pool[]} pools - Pools of the pair
+ * @param {string} tokenIn - Token sold into the pools
+ * @param {number} limit - Maximum pools to keep
+ * @returns {import('./dex-data-fetcher').Pool[]} - Deepest pools first
+ */
+function getDeepestPools(pools, tokenIn, limit) {
+  if (pools.length <= limit) {
+    return pools;
+  }
+  return [...pools]
+    .sort((a, b) => {
+      const balanceA = getPoolBalance(a, tokenIn);
+      const balanceB = getPoolBalance(b, tokenIn);
+      return balanceB > balanceA ? 1 : balanceB < balanceA ? -1 : 0;
+    })
+    .slice(0, limit);
+}
+
+/**
+ * Find every simple path from tokenIn to tokenOut, per chain. Each hop goes
+ * through one of the maxPoolsPerPair deepest pools of its pair, so parallel
+ * pools don't multiply the number of paths.
+ * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools from fetchAllDexData
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {RouteOptions} [options] - Search options
+ * @returns {Map<string, RouteHop[][]>} - Candidate routes keyed by chain
+ */
+function findCandidateRoutes(dexData, tokenIn, tokenOut, options = {}) {
+  const maxHops = options.maxHops ?? DEFAULT_MAX_HOPS;
+  const maxPoolsPerPair = options.maxPoolsPerPair ?? DEFAULT_MAX_POOLS_PER_PAIR;
+  const source = tokenIn.toLowerCase();
+  const target = tokenOut.toLowerCase();
+
+  const poolsByChain = new Map();
+  dexData.pools.forEach((pool) => {
+    if ((options.chain && pool.chain !== options.chain) || !isQuotablePool(pool)) {
+      return;
+    }
+    if (!poolsByChain.has(pool.chain)) {
+      poolsByChain.set(pool.chain, []);
+    }
+    poolsByChain.get(pool.chain).push(pool);
+  });
+
+  const candidatesByChain = new Map();
+  poolsByChain.forEach((pools, chain) => {
+    const registry = createSwapPairsRegistry(
+      { tokens: dexData.tokens, pools },
+      { monitoredOnly: options.monitoredOnly ?? true }
+    );
+    const candidates = [];
+    const visited = new Set([source]);
+    const deepestPools = new Map();
+
+    const search = (token, hops) => {
+      if (hops.length >= maxHops) {
+        return;
+      }
+      registry.getPairsForToken(token).forEach((pair) => {
+        if (visited.has(pair.tokenOut)) {
+          return;
+        }
+        if (!deepestPools.has(pair)) {
+          deepestPools.set(pair, getDeepestPools(pair.pools, token, maxPoolsPerPair));
+        }
+        deepestPools.get(pair).forEach((pool) => {
+          const route = [...hops, { pool, tokenIn: token, tokenOut: pair.tokenOut }];
+          if (pair.tokenOut === target) {
+            candidates.push(route);
+            return;
+          }
+          visited.add(pair.tokenOut);
+          search(pair.tokenOut, route);
+          visited.delete(pair.tokenOut);
+        });
+      });
+    };
+
+    search(source, []);
+    if (candidates.length > 0) {
+      candidatesByChain.set(chain, candidates);
+    }
+  });
+
+  return candidatesByChain;
+}
+
+/**
+ * Get the output of a route for an input amount
+ * @param {RouteHop[]} hops - Route
+ * @param {bigint} amountIn - Input amount
+ * @returns {bigint} - Output amount
+ */
+function getRouteOutput(hops, amountIn) {
+  const amounts = simulateCycle(hops, amountIn);
+  return amounts[amounts.length - 1];
+}
+
+/**
+ * Split an input across candidate routes, one part at a time, sending each part
+ * down the route with the best marginal output. Only routes that share no pool
+ * with the routes already in use are considered, so the simulations stay independent.
+ * @param {RouteHop[][]} candidates - Candidate routes on one chain
+ * @param {bigint} amountIn - Total input
+ * @param {number} maxSplits - Maximum routes to use
+ * @param {number} splitParts - Number of parts
+ * @returns {bigint[]} - Input allocated to each candidate
+ */
+function allocateSplit(candidates, amountIn, maxSplits, splitParts) {
+  const allocations = candidates.map(() => BigInt(0));
+  const usedPools = new Set();
+  let usedRoutes = 0;
+  const parts = BigInt(splitParts);
+
+  for (let i = BigInt(0); i < parts; i++) {
+    const part = (amountIn * (i + BigInt(1))) / parts - (amountIn * i) / parts;
+    if (part === BigInt(0)) {
+      continue;
+    }
+    let bestIndex = -1;
+    let bestGain = BigInt(-1);
+
+    candidates.forEach((hops, index) => {
+      const inUse = allocations[index] > BigInt(0);
+      if (!inUse && (usedRoutes >= maxSplits || hops.some(hop => usedPools.has(hop.pool)))) {
+        return;
+      }
+      const gain = getRouteOutput(hops, allocations[index] + part) - getRouteOutput(hops, allocations[index]);
+      if (gain > bestGain) {
+        bestIndex = index;
+        bestGain = gain;
+      }
+    });
+
+    if (allocations[bestIndex] === BigInt(0)) {
+      usedRoutes++;
+      candidates[bestIndex].forEach(hop => usedPools.add(hop.pool));
+    }
+    allocations[bestIndex] += part;
+  }
+
+  return allocations;
+}
+
+/**
+ * Build the result for a set of allocations
+ * @param {string} chain - Chain of the routes
+ * @param {RouteHop[][]} candidates - Candidate routes
+ * @param {bigint[]} allocations - Input per candidate
+ * @returns {RouteResult}
+ */
+function buildRouteResult(chain, candidates, allocations) {
+  const routes = [];
+  candidates.forEach((hops, index) => {
+    if (allocations[index] === BigInt(0)) {
+      return;
+    }
+    const amounts = simulateCycle(hops, allocations[index]);
+    routes.push({
+      hops,
+      path: [hops[0].tokenIn, ...hops.map(hop => hop.tokenOut)],
+      amountIn: allocations[index],
+      amountOut: amounts[amounts.length - 1],
+      amounts
+    });
+  });
+  routes.sort((a, b) => (b.amountIn > a.amountIn ? 1 : b.amountIn < a.amountIn ? -1 : 0));
+
+  return {
+    chain,
+    amountIn: routes.reduce((sum, route) => sum + route.amountIn, BigInt(0)),
+    amountOut: routes.reduce((sum, route) => sum + route.amountOut, BigInt(0)),
+    routes
+  };
+}
+
+/**
+ * Find the route (or split of routes) that returns the most output for an exact input
+ * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools from fetchAllDexData
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {bigint} amountIn - Input amount in raw units
+ * @param {RouteOptions} [options] - Search options
+ * @returns {RouteResult|null} - Best result across chains, or null if the tokens are not connected
+ */
+function findBestRoute(dexData, tokenIn, tokenOut, amountIn, options = {}) {
+  const maxSplits = options.maxSplits ?? DEFAULT_MAX_SPLITS;
+  const splitParts = options.splitParts ?? DEFAULT_SPLIT_PARTS;
+  const maxSplitCandidates = options.maxSplitCandidates ?? DEFAULT_MAX_SPLIT_CANDIDATES;
+  let best = null;
+
+  findCandidateRoutes(dexData, tokenIn, tokenOut, options).forEach((routes, chain) => {
+    // Rank the routes by their output for the whole input; only the best are split across
+    const candidates = routes
+      .map(hops => ({ hops, output: getRouteOutput(hops, amountIn) }))
+      .sort((a, b) => (b.output > a.output ? 1 : b.output < a.output ? -1 : 0))
+      .slice(0, maxSplitCandidates)
+      .map(({ hops }) => hops);
+
+    // Best single route
+    const single = candidates.map((_, index) => (index === 0 ? amountIn : BigInt(0)));
+    let result = buildRouteResult(chain, candidates, single);
+
+    if (maxSplits > 1 && candidates.length > 1) {
+      const split = buildRouteResult(chain, candidates, allocateSplit(candidates, amountIn, maxSplits, splitParts));
+      if (split.amountOut > result.amountOut) {
+        result = split;
+      }
+    }
+
+    if (!best || result.amountOut > best.amountOut) {
+      best = result;
+    }
+  });
+
+  return best;
+}
+
+module.exports = {
+  DEFAULT_MAX_HOPS,
+  DEFAULT_MAX_SPLITS,
+  DEFAULT_SPLIT_PARTS,
+  DEFAULT_MAX_POOLS_PER_PAIR,
+  DEFAULT_MAX_SPLIT_CANDIDATES,
+  findCandidateRoutes,
+  findBestRoute
+};
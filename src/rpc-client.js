@@ -0,0 +1,116 @@
+/**
+ * RPC Client - Minimal JSON-RPC 2.0 client for EVM nodes
+ * Uses the global fetch so it runs without extra dependencies
+ */
+
+/**
+ * Default request timeout in milliseconds
+ */
+const DEFAULT_RPC_TIMEOUT_MS = 10000;
+
+/**
+ * @typedef {Object} RpcClientOptions
+ * @property {number} [timeoutMs] - Request timeout in milliseconds
+ * @property {function} [fetch] - fetch implementation (defaults to global fetch)
+ */
+
+/**
+ * Convert a block number to a hex block tag, leaving named tags as they are
+ * @param {string|number} blockTag - Block number or tag
+ * @returns {string} - Block tag
+ */
+function toBlockTag(blockTag) {
+  return typeof blockTag === 'number' ? `0x${blockTag.toString(16)}` : blockTag;
+}
+
+/**
+ * Create a JSON-RPC client for an endpoint
+ * @param {string} url - JSON-RPC endpoint
+ * @param {RpcClientOptions} [options] - Client options
+ * @returns {{url: string, call: function(string, Array): Promise<*>, getBlockNumber: function(): Promise<number>, getBlock: function(number): Promise<Object|null>, ethCall: function(Object, (string|number)): Promise<string>, getLogs: function(Object): Promise<Object[]>}}
+ */
+function createRpcClient(url, options = {}) {
+  const fetchImpl = options.fetch || globalThis.fetch;
+  const timeoutMs = options.timeoutMs ?? DEFAULT_RPC_TIMEOUT_MS;
+  let nextId = 1;
+
+  /**
+   * Send a JSON-RPC request and return its result
+   * @param {string} method - RPC method
+   * @param {Array} [params] - RPC params
+   * @returns {Promise<*>} - Result field of the response
+   */
+  async function call(method, params = []) {
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`RPC request ${method} failed with HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.error) {
+      throw new Error(`RPC error ${body.error.code} in ${method}: ${body.error.message}`);
+    }
+
+    return body.result;
+  }
+
+  /**
+   * Get the latest block number
+   * @returns {Promise<number>}
+   */
+  async function getBlockNumber() {
+    return parseInt(await call('eth_blockNumber'), 16);
+  }
+
+  /**
+   * Get a block header (without transactions)
+   * @param {number} blockNumber - Block number
+   * @returns {Promise<Object|null>} - Block, or null if the node does not have it
+   */
+  async function getBlock(blockNumber) {
+    return call('eth_getBlockByNumber', [toBlockTag(blockNumber), false]);
+  }
+
+  /**
+   * Execute a read-only contract call
+   * @param {{to: string, data: string}} tx - Call target and calldata
+   * @param {string|number} [blockTag] - Block number or tag (default latest)
+   * @returns {Promise<string>} - Hex return data
+   */
+  async function ethCall(tx, blockTag = 'latest') {
+    return call('eth_call', [tx, toBlockTag(blockTag)]);
+  }
+
+  /**
+   * Get event logs
+   * @param {{address: (string|string[]), topics: Array, fromBlock: (string|number), toBlock: (string|number)}} filter - Log filter
+   * @returns {Promise<Object[]>} - Raw logs
+   */
+  async function getLogs(filter) {
+    return call('eth_getLogs', [{
+      ...filter,
+      fromBlock: toBlockTag(filter.fromBlock),
+      toBlock: toBlockTag(filter.toBlock)
+    }]);
+  }
+
+  return {
+    url,
+    call,
+    getBlockNumber,
+    getBlock,
+    ethCall,
+    getLogs
+  };
+}
+
+module.exports = {
+  DEFAULT_RPC_TIMEOUT_MS,
+  createRpcClient
+};
@@ -0,0 +1,96 @@
+/**
+ * Snapshot Diff - Reports what changed between two fetches of DEX data
+ * Pools are matched by chain and address, tokens by address
+ */
+
+const { getMidPrice } = require('./arbitrage-detector');
+
+/**
+ * @typedef {Object} PoolChange
+ * @property {import('./dex-data-fetcher').Pool} before - Pool in the older snapshot
+ * @property {import('./dex-data-fetcher').Pool} after - Pool in the newer snapshot
+ * @property {bigint} reserve0Delta - after.reserve0 - before.reserve0
+ * @property {bigint} reserve1Delta - after.reserve1 - before.reserve1
+ * @property {number|null} priceChangeBps - Change of the token1/token0 mid-price in basis points (null if the pool was empty)
+ * @property {boolean} feeChanged - True if the fee tier changed
+ */
+
+/**
+ * @typedef {Object} DexDataDiff
+ * @property {import('./dex-data-fetcher').Token[]} addedTokens - Tokens only in the newer snapshot
+ * @property {import('./dex-data-fetcher').Token[]} removedTokens - Tokens only in the older snapshot
+ * @property {import('./dex-data-fetcher').Pool[]} addedPools - Pools only in the newer snapshot
+ * @property {import('./dex-data-fetcher').Pool[]} removedPools - Pools only in the older snapshot
+ * @property {PoolChange[]} changedPools - Pools in both snapshots whose reserves, balances or fee changed
+ */
+
+/**
+ * Build the key identifying a pool across snapshots
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @returns {string} - Pool key
+ */
+function getPoolKey(pool) {
+  return `${pool.chain}:${pool.id.toLowerCase()}`;
+}
+
+/**
+ * Calculate the change between two prices in basis points
+ * @param {number} before - Older price
+ * @param {number} after - Newer price
+ * @returns {number|null} - Change in basis points, or null if the older price is 0
+ */
+function getPriceChangeBps(before, after) {
+  return before === 0 ? null : (after / before - 1) * 10000;
+}
+
+/**
+ * Compare two snapshots of DEX data
+ * @param {import('./dex-data-fetcher').DexData} before - Older snapshot
+ * @param {import('./dex-data-fetcher').DexData} after - Newer snapshot
+ * @returns {DexDataDiff} - Added, removed and changed tokens and pools
+ */
+function diffDexData(before, after) {
+  const tokensBefore = new Map(before.tokens.map(token => [token.address.toLowerCase(), token]));
+  const tokensAfter = new Map(after.tokens.map(token => [token.address.toLowerCase(), token]));
+  const poolsBefore = new Map(before.pools.map(pool => [getPoolKey(pool), pool]));
+  const poolsAfter = new Map(after.pools.map(pool => [getPoolKey(pool), pool]));
+
+  const changedPools = [];
+  poolsAfter.forEach((pool, key) => {
+    const previous = poolsBefore.get(key);
+    if (!previous) {
+      return;
+    }
+
+    const reserve0Delta = pool.reserve0 - previous.reserve0;
+    const reserve1Delta = pool.reserve1 - previous.reserve1;
+    const feeChanged = pool.fee !== previous.fee;
+    // N-token pools can also change in tokens beyond token0/token1
+    const balancesChanged = (pool.balances || []).some((balance, index) => balance !== previous.balances?.[index]);
+    if (reserve0Delta === BigInt(0) && reserve1Delta === BigInt(0) && !feeChanged && !balancesChanged) {
+      return;
+    }
+
+    changedPools.push({
+      before: previous,
+      after: pool,
+      reserve0Delta,
+      reserve1Delta,
+      priceChangeBps: getPriceChangeBps(getMidPrice(previous), getMidPrice(pool)),
+      feeChanged
+    });
+  });
+
+  return {
+    addedTokens: after.tokens.filter(token => !tokensBefore.has(token.address.toLowerCase())),
+    removedTokens: before.tokens.filter(token => !tokensAfter.has(token.address.toLowerCase())),
+    addedPools: after.pools.filter(pool => !poolsBefore.has(getPoolKey(pool))),
+    removedPools: before.pools.filter(pool => !poolsAfter.has(getPoolKey(pool))),
+    changedPools
+  };
+}
+
+module.exports = {
+  getPoolKey,
+  diffDexData
+};
@@ -0,0 +1,256 @@
+/**
+ * Snapshot Store - Persists fetched DEX data to local files for history queries
+ * Snapshots are appended to an index file (one JSON line per snapshot) and their
+ * tokens and pools are written to one JSON file per snapshot next to it
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Name of the append-only index file inside the store directory
+ */
+const INDEX_FILE = 'index.jsonl';
+
+/**
+ * @typedef {Object} SnapshotRecord
+ * @property {number} id - Snapshot id (increments with every save)
+ * @property {number} timestamp - Time the data was fetched (ms since epoch)
+ * @property {Object<string, number>} blocks - Highest on-chain block read per chain (empty for subgraph-only data)
+ * @property {number} tokenCount - Number of tokens in the snapshot
+ * @property {number} poolCount - Number of pools in the snapshot
+ */
+
+/**
+ * @typedef {Object} PoolHistoryEntry
+ * @property {number} snapshotId - Snapshot the entry comes from
+ * @property {number} timestamp - Time of the snapshot (ms since epoch)
+ * @property {number|null} blockNumber - Block the reserves were read at, if read on-chain
+ * @property {bigint} reserve0 - Raw reserve of token0
+ * @property {bigint} reserve1 - Raw reserve of token1
+ * @property {number} price - token1 per token0, adjusted for decimals
+ */
+
+/**
+ * @typedef {Object} TimeRange
+ * @property {number} [from] - Earliest snapshot time to include (ms since epoch)
+ * @property {number} [to] - Latest snapshot time to include (ms since epoch)
+ */
+
+/**
+ * Serialize DEX data to JSON, tagging BigInt values so they round-trip
+ * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools
+ * @returns {string} - JSON text
+ */
+function serializeDexData(dexData) {
+  return JSON.stringify(dexData, (key, value) =>
+    typeof value === 'bigint' ? { $bigint: value.toString() } : value
+  );
+}
+
+/**
+ * Parse DEX data written by serializeDexData
+ * @param {string} text - JSON text
+ * @returns {import('./dex-data-fetcher').DexData} - Tokens and pools with BigInt values restored
+ */
+function deserializeDexData(text) {
+  return JSON.parse(text, (key, value) =>
+    value && typeof value === 'object' && typeof value.$bigint === 'string' ? BigInt(value.$bigint) : value
+  );
+}
+
+/**
+ * Get the highest block each chain's pools were read at
+ * @param {import('./dex-data-fetcher').Pool[]} pools - Pools
+ * @returns {Object<string, number>} - Block number per chain
+ */
+function getSourceBlocks(pools) {
+  const blocks = {};
+  pools.forEach((pool) => {
+    if (pool.blockNumber !== undefined && (blocks[pool.chain] === undefined || pool.blockNumber > blocks[pool.chain])) {
+      blocks[pool.chain] = pool.blockNumber;
+    }
+  });
+  return blocks;
+}
+
+/**
+ * Get the decimal-adjusted price of a pool as token1 per token0
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @param {Map<string, import('./dex-data-fetcher').Token>} tokens - Tokens by lowercase address
+ * @returns {number} - Price, or 0 if the pool is empty
+ */
+function getPoolPrice(pool, tokens) {
+  if (pool.reserve0 <= BigInt(0) || pool.reserve1 <= BigInt(0)) {
+    return 0;
+  }
+  const decimals0 = tokens.get(pool.token0.toLowerCase())?.decimals ?? 18;
+  const decimals1 = tokens.get(pool.token1.toLowerCase())?.decimals ?? 18;
+  return (Number(pool.reserve1) / Number(pool.reserve0)) * Math.pow(10, decimals0 - decimals1);
+}
+
+/**
+ * Check whether a record falls inside a time range
+ * @param {SnapshotRecord} record - Snapshot record
+ * @param {TimeRange} range - Time range
+ * @returns {boolean}
+ */
+function isInRange(record, range) {
+  return (range.from === undefined || record.timestamp >= range.from)
+    && (range.to === undefined || record.timestamp <= range.to);
+}
+
+/**
+ * Create a snapshot store backed by a directory
+ * @param {Object} options - Store options
+ * @param {string} options.directory - Directory holding the index and snapshot files (created on first save)
+ * @param {function(): number} [options.now] - Clock used for snapshot timestamps (defaults to Date.now)
+ * @returns {{save: function, list: function, load: function, loadAt: function, getPoolHistory: function}}
+ */
+function createSnapshotStore({ directory, now = Date.now }) {
+  const indexPath = path.join(directory, INDEX_FILE);
+  /** @type {SnapshotRecord[]|null} */
+  let index = null;
+  // Saves are chained so concurrent callers never reuse an id
+  let pendingWrite = Promise.resolve();
+
+  const getSnapshotPath = id => path.join(directory, `${id}.json`);
+
+  async function readIndex() {
+    if (index) {
+      return index;
+    }
+    try {
+      const text = await fs.readFile(indexPath, 'utf8');
+      index = text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      index = [];
+    }
+    return index;
+  }
+
+  /**
+   * Persist a snapshot of DEX data
+   * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools to store
+   * @param {Object} [options] - Save options
+   * @param {number} [options.timestamp] - Fetch time of the data (defaults to now)
+   * @returns {Promise<SnapshotRecord>} - Record of the stored snapshot
+   */
+  function save(dexData, options = {}) {
+    const write = pendingWrite.then(async () => {
+      const records = await readIndex();
+      const record = {
+        id: records.length > 0 ? records[records.length - 1].id + 1 : 1,
+        timestamp: options.timestamp ?? now(),
+        blocks: getSourceBlocks(dexData.pools),
+        tokenCount: dexData.tokens.length,
+        poolCount: dexData.pools.length
+      };
+
+      await fs.mkdir(directory, { recursive: true });
+      // Write the data before indexing it, so the index never points at a missing file
+      await fs.writeFile(getSnapshotPath(record.id), serializeDexData(dexData));
+      await fs.appendFile(indexPath, JSON.stringify(record) + '\n');
+      records.push(record);
+      return record;
+    });
+    pendingWrite = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * List stored snapshots, oldest first
+   * @param {TimeRange & {limit: number}} [options] - Time range and maximum number of records (newest kept)
+   * @returns {Promise<SnapshotRecord[]>} - Snapshot records
+   */
+  async function list(options = {}) {
+    const records = (await readIndex()).filter(record => isInRange(record, options));
+    return options.limit ? records.slice(-options.limit) : [...records];
+  }
+
+  /**
+   * Load a stored snapshot by id
+   * @param {number} id - Snapshot id
+   * @returns {Promise<(SnapshotRecord & {data: import('./dex-data-fetcher').DexData})|null>} - Snapshot, or null if unknown
+   */
+  async function load(id) {
+    const record = (await readIndex()).find(entry => entry.id === Number(id));
+    if (!record) {
+      return null;
+    }
+    const data = deserializeDexData(await fs.readFile(getSnapshotPath(record.id), 'utf8'));
+    return { ...record, data };
+  }
+
+  /**
+   * Load the latest snapshot taken at or before a time
+   * @param {number} timestamp - Time (ms since epoch)
+   * @returns {Promise<(SnapshotRecord & {data: import('./dex-data-fetcher').DexData})|null>} - Snapshot, or null if none is that old
+   */
+  async function loadAt(timestamp) {
+    const records = await list({ to: timestamp });
+    return records.length > 0 ? load(records[records.length - 1].id) : null;
+  }
+
+  /**
+   * Get a pool's reserves and price across stored snapshots
+   * @param {string} poolId - Pool address
+   * @param {TimeRange & {chain: string}} [options] - Time range and chain (for addresses reused across chains)
+   * @returns {Promise<PoolHistoryEntry[]>} - Entries oldest first, one per snapshot containing the pool
+   */
+  async function getPoolHistory(poolId, options = {}) {
+    const target = poolId.toLowerCase();
+    const history = [];
+
+    for (const record of await list(options)) {
+      const { data } = await load(record.id);
+      const pool = data.pools.find(entry =>
+        entry.id.toLowerCase() === target && (!options.chain || entry.chain === options.chain)
+      );
+      if (!pool) {
+        continue;
+      }
+      const tokens = new Map(data.tokens.map(token => [token.address.toLowerCase(), token]));
+      history.push({
+        snapshotId: record.id,
+        timestamp: record.timestamp,
+        blockNumber: pool.blockNumber ?? null,
+        reserve0: pool.reserve0,
+        reserve1: pool.reserve1,
+        price: getPoolPrice(pool, tokens)
+      });
+    }
+
+    return history;
+  }
+
+  return {
+    save,
+    list,
+    load,
+    loadAt,
+    getPoolHistory
+  };
+}
+
+/**
+ * Create a snapshot store from the SNAPSHOT_STORE_DIR environment variable
+ * @returns {ReturnType<typeof createSnapshotStore>|null} - Store, or null when persistence is disabled
+ */
+function getSnapshotStoreFromEnv() {
+  return process.env.SNAPSHOT_STORE_DIR
+    ? createSnapshotStore({ directory: process.env.SNAPSHOT_STORE_DIR })
+    : null;
+}
+
+module.exports = {
+  INDEX_FILE,
+  serializeDexData,
+  deserializeDexData,
+  getPoolPrice,
+  createSnapshotStore,
+  getSnapshotStoreFromEnv
+};
@@ -0,0 +1,141 @@
+/**
+ * StableSwap Math - BigInt ports of Curve's StableSwap invariant
+ * Balances are expected in a common precision (18 decimals); the amplification
+ * coefficient is the pool's A() value, as reported by Curve and Balancer
+ */
+
+/**
+ * Newton iterations before giving up on convergence, as in the Curve contracts
+ */
+const MAX_ITERATIONS = 255;
+
+/**
+ * Absolute difference of two BigInts
+ * @param {bigint} a - First value
+ * @param {bigint} b - Second value
+ * @returns {bigint} - |a - b|
+ */
+function absDiff(a, b) {
+  return a > b ? a - b : b - a;
+}
+
+/**
+ * Calculate the StableSwap invariant D (get_D)
+ * @param {bigint[]} balances - Pool balances in a common precision
+ * @param {bigint} amplification - Amplification coefficient A
+ * @returns {bigint} - Invariant, or 0 if any balance is empty
+ */
+function getInvariant(balances, amplification) {
+  const n = BigInt(balances.length);
+  const sum = balances.reduce((total, balance) => total + balance, BigInt(0));
+  if (sum === BigInt(0) || balances.some(balance => balance <= BigInt(0))) {
+    return BigInt(0);
+  }
+
+  const ann = amplification * n;
+  let d = sum;
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    let dP = d;
+    balances.forEach((balance) => {
+      dP = (dP * d) / (balance * n);
+    });
+    const previous = d;
+    d = ((ann * sum + dP * n) * d) / ((ann - BigInt(1)) * d + (n + BigInt(1)) * dP);
+    if (absDiff(d, previous) <= BigInt(1)) {
+      break;
+    }
+  }
+  return d;
+}
+
+/**
+ * Calculate the balance of token j that keeps the invariant after token i's balance becomes x (get_y)
+ * @param {bigint[]} balances - Pool balances in a common precision
+ * @param {bigint} amplification - Amplification coefficient A
+ * @param {number} i - Index of the input token
+ * @param {number} j - Index of the output token
+ * @param {bigint} x - New balance of token i
+ * @param {bigint} d - Invariant of the balances
+ * @returns {bigint} - New balance of token j
+ */
+function getY(balances, amplification, i, j, x, d) {
+  const n = BigInt(balances.length);
+  const ann = amplification * n;
+  let c = d;
+  let sum = BigInt(0);
+
+  balances.forEach((balance, k) => {
+    if (k === j) {
+      return;
+    }
+    const xk = k === i ? x : balance;
+    sum += xk;
+    c = (c * d) / (xk * n);
+  });
+  c = (c * d) / (ann * n);
+  const b = sum + d / ann;
+
+  let y = d;
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const previous = y;
+    y = (y * y + c) / (BigInt(2) * y + b - d);
+    if (absDiff(y, previous) <= BigInt(1)) {
+      break;
+    }
+  }
+  return y;
+}
+
+/**
+ * Calculate the output of a StableSwap trade before fees (get_dy without the fee)
+ * @param {bigint[]} balances - Pool balances in a common precision
+ * @param {bigint} amplification - Amplification coefficient A
+ * @param {number} i - Index of the input token
+ * @param {number} j - Index of the output token
+ * @param {bigint} amountIn - Input amount in the common precision
+ * @returns {bigint} - Output amount in the common precision
+ */
+function getAmountOutStableSwap(balances, amplification, i, j, amountIn) {
+  if (amountIn <= BigInt(0)) {
+    return BigInt(0);
+  }
+  const d = getInvariant(balances, amplification);
+  if (d === BigInt(0)) {
+    return BigInt(0);
+  }
+
+  const y = getY(balances, amplification, i, j, balances[i] + amountIn, d);
+  // Round down by one unit like the contracts, so the pool never pays out more than the curve allows
+  const amountOut = balances[j] - y - BigInt(1);
+  return amountOut > BigInt(0) ? amountOut : BigInt(0);
+}
+
+/**
+ * Calculate the marginal price of token i in token j, from the derivative of the invariant
+ * @param {bigint[]} balances - Pool balances in a common precision
+ * @param {bigint} amplification - Amplification coefficient A
+ * @param {number} i - Index of the input token
+ * @param {number} j - Index of the output token
+ * @returns {number} - Token j received per token i for an infinitesimal trade, or 0 if the pool is empty
+ */
+function getStableSwapSpotPrice(balances, amplification, i, j) {
+  const d = getInvariant(balances, amplification);
+  if (d === BigInt(0)) {
+    return 0;
+  }
+
+  const n = balances.length;
+  const ann = Number(amplification) * n;
+  const dNumber = Number(d);
+  // D^(n+1) / (n^n * prod(x)), built up one ratio at a time to stay within float range
+  const dP = balances.reduce((product, balance) => (product * dNumber) / (Number(balance) * n), dNumber);
+
+  return (ann + dP / Number(balances[i])) / (ann + dP / Number(balances[j]));
+}
+
+module.exports = {
+  getInvariant,
+  getY,
+  getAmountOutStableSwap,
+  getStableSwapSpotPrice
+};
@@ -0,0 +1,153 @@
+const { GraphQLClient } = require('graphql-request');
+
+/**
+ * Subgraph Client - Shared helpers for querying The Graph subgraphs
+ * Pages through entities with id_gt cursors up to configurable limits
+ */
+
+/**
+ * Default number of entities requested per page
+ */
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Default maximum number of pools fetched per DEX
+ */
+const DEFAULT_MAX_POOLS = 1000;
+
+/**
+ * Default minimum TVL in USD for a pool to be fetched
+ */
+const DEFAULT_MIN_TVL_USD = 10000;
+
+/**
+ * Largest page size The Graph accepts for `first`
+ */
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * @typedef {Object} PaginationLimits
+ * @property {number} [maxPools] - Maximum number of pools to fetch
+ * @property {number} [minTvlUsd] - Minimum TVL in USD for a pool to be fetched
+ * @property {number} [pageSize] - Number of entities requested per page (max 1000)
+ */
+
+/**
+ * Create a GraphQL client for a subgraph URL
+ * @param {string} subgraphUrl - Subgraph endpoint
+ * @param {{graphApiKey?: string}} config - Configuration object
+ * @returns {GraphQLClient} - GraphQL client
+ */
+function createSubgraphClient(subgraphUrl, config) {
+  return new GraphQLClient(subgraphUrl, {
+    headers: config.graphApiKey ? { 'Authorization': `Bearer ${config.graphApiKey}` } : {}
+  });
+}
+
+/**
+ * Resolve pagination limits for a DEX, with per-DEX overrides taking precedence
+ * over global config values, which take precedence over defaults
+ * @param {Object} config - Configuration object (see DexConfig)
+ * @param {string} dexKey - Key of the DEX in config.dexLimits
+ * @returns {Required<PaginationLimits>} - Resolved limits
+ */
+function resolvePaginationLimits(config, dexKey) {
+  const overrides = config?.dexLimits?.[dexKey] || {};
+  const pick = (key, fallback) => overrides[key] ?? config?.[key] ?? fallback;
+
+  return {
+    maxPools: pick('maxPools', DEFAULT_MAX_POOLS),
+    minTvlUsd: pick('minTvlUsd', DEFAULT_MIN_TVL_USD),
+    pageSize: Math.min(pick('pageSize', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE)
+  };
+}
+
+/**
+ * Fetch entities page by page using id_gt cursors.
+ * The query must accept `$first: Int!`, `$lastId: String!` and `$minTvlUsd: BigDecimal!`,
+ * order by id ascending and return the entity list under `entityName`.
+ * @param {{request: function(string, Object): Promise<Object>}} client - GraphQL client
+ * @param {string} query - GraphQL query document
+ * @param {string} entityName - Name of the entity list in the response (e.g., pools)
+ * @param {Required<PaginationLimits>} limits - Pagination limits
+ * @param {Object} [variables] - Additional query variables
+ * @returns {Promise<Object[]>} - All fetched entities, at most limits.maxPools
+ */
+async function fetchPaginated(client, query, entityName, limits, variables = {}) {
+  const entities = [];
+  let lastId = '';
+
+  while (entities.length < limits.maxPools) {
+    const first = Math.min(limits.pageSize, limits.maxPools - entities.length);
+    const data = await client.request(query, {
+      ...variables,
+      first,
+      lastId,
+      minTvlUsd: String(limits.minTvlUsd)
+    });
+
+    const page = data?.[entityName] || [];
+    entities.push(...page);
+
+    if (page.length < first) {
+      break;
+    }
+    lastId = page[page.length - 1].id;
+  }
+
+  return entities;
+}
+
+/**
+ * Restrict a paginated query to entities matching a list of tokens.
+ * Declares a `$tokens: [String!]!` variable and adds `<field>: $tokens` next to the id cursor.
+ * @param {string} query - Paginated query (see fetchPaginated)
+ * @param {string} field - Where-clause filter taking a list of token addresses (e.g., token0_in)
+ * @returns {string} - Filtered query
+ */
+function withTokenFilter(query, field) {
+  if (!query.includes('$lastId: String!') || !query.includes('id_gt: $lastId')) {
+    throw new Error('Token filters need a query paged by an id_gt: $lastId cursor');
+  }
+  return query
+    .replace('$lastId: String!', '$lastId: String!, $tokens: [String!]!')
+    .replace('id_gt: $lastId', `id_gt: $lastId, ${field}: $tokens`);
+}
+
+/**
+ * Fetch every entity that matches any of several token filters.
+ * Runs one paginated fetch per filter (e.g., token0_in and token1_in) and merges
+ * the results by id, since subgraph where clauses can only AND their fields.
+ * @param {{request: function(string, Object): Promise<Object>}} client - GraphQL client
+ * @param {string} query - Paginated query (see fetchPaginated)
+ * @param {string} entityName - Name of the entity list in the response (e.g., pools)
+ * @param {Required<PaginationLimits>} limits - Pagination limits, applied to each filter
+ * @param {string[]} fields - Token filter fields (e.g., ['token0_in', 'token1_in'])
+ * @param {string[]} tokens - Token addresses (lowercase)
+ * @returns {Promise<Object[]>} - Unique entities, in the order they were first returned
+ */
+async function fetchPaginatedByTokens(client, query, entityName, limits, fields, tokens) {
+  const results = await Promise.all(
+    fields.map(field => fetchPaginated(client, withTokenFilter(query, field), entityName, limits, { tokens }))
+  );
+
+  const entities = new Map();
+  results.flat().forEach((entity) => {
+    if (!entities.has(entity.id)) {
+      entities.set(entity.id, entity);
+    }
+  });
+  return Array.from(entities.values());
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_MAX_POOLS,
+  DEFAULT_MIN_TVL_USD,
+  MAX_PAGE_SIZE,
+  createSubgraphClient,
+  resolvePaginationLimits,
+  fetchPaginated,
+  withTokenFilter,
+  fetchPaginatedByTokens
+};
@@ -0,0 +1,233 @@
+/**
+ * Swap Math - Exact-input swap simulation against fetched pool state
+ * Constant-product pools use the Uniswap V2 formula with the pool fee;
+ * concentrated pools swap along the active liquidity of the current range;
+ * N-token pools use StableSwap (Curve, Balancer stable) or weighted (Balancer) math
+ */
+
+const {
+  getSqrtRatioAtTick,
+  getNextSqrtPriceFromInput,
+  getAmount0Delta,
+  getAmount1Delta
+} = require('./uniswap-v3-math');
+const { getAmountOutStableSwap, getStableSwapSpotPrice } = require('./stable-swap-math');
+const { getAmountOutWeighted, getWeightedSpotPrice } = require('./weighted-math');
+const { NORMALIZED_DECIMALS, normalizeAmount, isMultiAssetPool } = require('./dex-adapters');
+
+/**
+ * Fee denominator: pool fees are in hundredths of a bip (3000 = 0.3%)
+ */
+const FEE_DENOMINATOR = BigInt(1000000);
+
+/**
+ * Calculate the output of a constant-product swap, matching UniswapV2Library.getAmountOut
+ * with the fee expressed in hundredths of a bip
+ * @param {bigint} amountIn - Input amount in raw units
+ * @param {bigint} reserveIn - Reserve of the input token
+ * @param {bigint} reserveOut - Reserve of the output token
+ * @param {bigint} fee - Pool fee (e.g., 3000 = 0.3%)
+ * @returns {bigint} - Output amount in raw units
+ */
+function getAmountOutConstantProduct(amountIn, reserveIn, reserveOut, fee) {
+  if (amountIn <= BigInt(0) || reserveIn <= BigInt(0) || reserveOut <= BigInt(0)) {
+    return BigInt(0);
+  }
+
+  const amountInWithFee = amountIn * (FEE_DENOMINATOR - fee);
+  return (amountInWithFee * reserveOut) / (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+}
+
+/**
+ * Calculate the output of a swap against a concentrated liquidity pool.
+ * Only the active liquidity is known, so the price is not moved past the
+ * active tick range; input beyond the range boundary yields no extra output.
+ * @param {bigint} amountIn - Input amount in raw units
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool with sqrtPriceX96 and liquidity
+ * @param {boolean} zeroForOne - True when swapping token0 for token1
+ * @returns {bigint} - Output amount in raw units
+ */
+function getAmountOutConcentrated(amountIn, pool, zeroForOne) {
+  const { sqrtPriceX96, liquidity } = pool;
+  if (amountIn <= BigInt(0) || !liquidity || !sqrtPriceX96) {
+    return BigInt(0);
+  }
+
+  const amountInLessFee = (amountIn * (FEE_DENOMINATOR - pool.fee)) / FEE_DENOMINATOR;
+  let sqrtPriceNext = getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountInLessFee, zeroForOne);
+
+  if (pool.tickLower !== null && pool.tickLower !== undefined) {
+    const sqrtPriceLimit = getSqrtRatioAtTick(zeroForOne ? pool.tickLower : pool.tickUpper);
+    if (zeroForOne ? sqrtPriceNext < sqrtPriceLimit : sqrtPriceNext > sqrtPriceLimit) {
+      sqrtPriceNext = sqrtPriceLimit;
+    }
+  }
+
+  return zeroForOne
+    ? getAmount1Delta(sqrtPriceNext, sqrtPriceX96, liquidity)
+    : getAmount0Delta(sqrtPriceX96, sqrtPriceNext, liquidity);
+}
+
+/**
+ * Resolve the indexes of the input and output tokens of a swap through an N-token pool
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool with a token list
+ * @param {string} tokenIn - Address of the input token
+ * @param {string} [tokenOut] - Address of the output token (may be omitted for two-token pools)
+ * @returns {{i: number, j: number}|null} - Token indexes, or null if the pool can't route the swap
+ */
+function getSwapIndexes(pool, tokenIn, tokenOut) {
+  const i = pool.tokens.indexOf(tokenIn.toLowerCase());
+  let j = -1;
+  if (tokenOut) {
+    j = pool.tokens.indexOf(tokenOut.toLowerCase());
+  } else if (pool.tokens.length === 2) {
+    j = 1 - i;
+  }
+  return i === -1 || j === -1 || i === j ? null : { i, j };
+}
+
+/**
+ * Convert an 18-decimal amount back to raw units of a token
+ * @param {bigint} amount - Amount with NORMALIZED_DECIMALS decimals
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} - Amount in raw units
+ */
+function denormalizeAmount(amount, decimals) {
+  if (decimals <= NORMALIZED_DECIMALS) {
+    return amount / BigInt(10) ** BigInt(NORMALIZED_DECIMALS - decimals);
+  }
+  return amount * BigInt(10) ** BigInt(decimals - NORMALIZED_DECIMALS);
+}
+
+/**
+ * Calculate the output of a swap against an N-token pool.
+ * Weighted pools charge the fee on the input, as Balancer does; StableSwap pools
+ * charge it on the output, as Curve does.
+ * @param {bigint} amountIn - Input amount in raw units
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool with tokens, balances and weights or amplification
+ * @param {string} tokenIn - Address of the input token
+ * @param {string} [tokenOut] - Address of the output token (may be omitted for two-token pools)
+ * @returns {bigint} - Output amount in raw units
+ */
+function getAmountOutMultiAsset(amountIn, pool, tokenIn, tokenOut) {
+  const indexes = getSwapIndexes(pool, tokenIn, tokenOut);
+  if (!indexes || amountIn <= BigInt(0)) {
+    return BigInt(0);
+  }
+  const { i, j } = indexes;
+  const { balances, tokenDecimals } = pool;
+
+  if (pool.weights) {
+    const amountInLessFee = (amountIn * (FEE_DENOMINATOR - pool.fee)) / FEE_DENOMINATOR;
+    return getAmountOutWeighted(balances[i], pool.weights[i], balances[j], pool.weights[j], amountInLessFee);
+  }
+
+  // StableSwap math runs on balances rescaled to a common precision
+  const scaled = balances.map((balance, index) => normalizeAmount(balance, tokenDecimals[index]));
+  const amountOut = getAmountOutStableSwap(
+    scaled,
+    pool.amplification,
+    i,
+    j,
+    normalizeAmount(amountIn, tokenDecimals[i])
+  );
+  const amountOutLessFee = amountOut - (amountOut * pool.fee) / FEE_DENOMINATOR;
+  return denormalizeAmount(amountOutLessFee, tokenDecimals[j]);
+}
+
+/**
+ * Get the spot price of a pool, excluding fees
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @param {string} tokenIn - Address of the input token
+ * @param {string} [tokenOut] - Address of the output token (may be omitted for two-token pools)
+ * @returns {number} - Output token received per input token, in raw units (0 if the pool is empty)
+ */
+function getSpotPrice(pool, tokenIn, tokenOut) {
+  if (!isMultiAssetPool(pool)) {
+    const zeroForOne = tokenIn.toLowerCase() === pool.token0.toLowerCase();
+    const reserveIn = zeroForOne ? pool.reserve0 : pool.reserve1;
+    const reserveOut = zeroForOne ? pool.reserve1 : pool.reserve0;
+    return reserveIn > BigInt(0) && reserveOut > BigInt(0) ? Number(reserveOut) / Number(reserveIn) : 0;
+  }
+
+  const indexes = getSwapIndexes(pool, tokenIn, tokenOut);
+  if (!indexes) {
+    return 0;
+  }
+  const { i, j } = indexes;
+  const { balances, tokenDecimals } = pool;
+
+  if (pool.weights) {
+    return getWeightedSpotPrice(balances[i], pool.weights[i], balances[j], pool.weights[j]);
+  }
+
+  const scaled = balances.map((balance, index) => normalizeAmount(balance, tokenDecimals[index]));
+  // The StableSwap price is in the common precision; convert it to raw units
+  return getStableSwapSpotPrice(scaled, pool.amplification, i, j) * 10 ** (tokenDecimals[j] - tokenDecimals[i]);
+}
+
+/**
+ * Calculate the output of swapping an exact input through a pool
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @param {string} tokenIn - Address of the input token
+ * @param {bigint} amountIn - Input amount in raw units
+ * @param {string} [tokenOut] - Address of the output token (required for pools of more than two tokens)
+ * @returns {bigint} - Output amount in raw units
+ */
+function getAmountOut(pool, tokenIn, amountIn, tokenOut) {
+  if (isMultiAssetPool(pool)) {
+    return getAmountOutMultiAsset(amountIn, pool, tokenIn, tokenOut);
+  }
+
+  const zeroForOne = tokenIn.toLowerCase() === pool.token0.toLowerCase();
+
+  if (pool.sqrtPriceX96 !== undefined) {
+    return getAmountOutConcentrated(amountIn, pool, zeroForOne);
+  }
+
+  return zeroForOne
+    ? getAmountOutConstantProduct(amountIn, pool.reserve0, pool.reserve1, pool.fee)
+    : getAmountOutConstantProduct(amountIn, pool.reserve1, pool.reserve0, pool.fee);
+}
+
+/**
+ * Calculate how far a swap's output falls short of the fee-adjusted mid-price quote
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @param {string} tokenIn - Address of the input token
+ * @param {bigint} amountIn - Input amount in raw units
+ * @param {bigint} amountOut - Simulated output amount
+ * @param {string} [tokenOut] - Address of the output token (required for pools of more than two tokens)
+ * @returns {number} - Price impact in basis points (two decimal places)
+ */
+function getPriceImpactBps(pool, tokenIn, amountIn, amountOut, tokenOut) {
+  if (isMultiAssetPool(pool)) {
+    // Curved invariants have no reserve ratio to quote from, so compare against the spot price
+    const quote = Number(amountIn) * getSpotPrice(pool, tokenIn, tokenOut) * (1 - Number(pool.fee) / Number(FEE_DENOMINATOR));
+    return quote > 0 ? Math.round(((quote - Number(amountOut)) / quote) * 1000000) / 100 : 0;
+  }
+
+  const zeroForOne = tokenIn.toLowerCase() === pool.token0.toLowerCase();
+  const reserveIn = zeroForOne ? pool.reserve0 : pool.reserve1;
+  const reserveOut = zeroForOne ? pool.reserve1 : pool.reserve0;
+  if (reserveIn <= BigInt(0)) {
+    return 0;
+  }
+
+  const quote = (amountIn * reserveOut * (FEE_DENOMINATOR - pool.fee)) / (reserveIn * FEE_DENOMINATOR);
+  if (quote === BigInt(0)) {
+    return 0;
+  }
+
+  // Hundredths of a basis point, so the result keeps two decimals
+  return Number(((quote - amountOut) * BigInt(1000000)) / quote) / 100;
+}
+
+module.exports = {
+  FEE_DENOMINATOR,
+  getAmountOutConstantProduct,
+  getAmountOutConcentrated,
+  getAmountOutMultiAsset,
+  getSpotPrice,
+  getAmountOut,
+  getPriceImpactBps
+};
@@ -0,0 +1,127 @@
+/**
+ * Swap Pairs Registry - Index of tradeable token pairs across fetched pools
+ * For each ordered pair of monitored tokens, lists every pool (on any DEX or
+ * chain) that can route a swap from the first token to the second
+ */
+
+const { getTokens, isMonitoredToken } = require('./token-registry');
+const { getPoolTokens } = require('./dex-adapters');
+const { getChainConfig } = require('./chain-config');
+
+/**
+ * @typedef {Object} SwapPair
+ * @property {string} tokenIn - Address of the input token (lowercase)
+ * @property {string} tokenOut - Address of the output token (lowercase)
+ * @property {string} symbolIn - Symbol of the input token
+ * @property {string} symbolOut - Symbol of the output token
+ * @property {import('./dex-data-fetcher').Pool[]} pools - Pools that can route tokenIn → tokenOut
+ */
+
+/**
+ * @typedef {Object} SwapPairsRegistryOptions
+ * @property {boolean} [monitoredOnly] - Only index pairs where both tokens are in the token registry
+ *   for the pool's chain (default true)
+ */
+
+/**
+ * Build the key of an ordered token pair
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @returns {string} - Pair key
+ */
+function getPairKey(tokenIn, tokenOut) {
+  return `${tokenIn.toLowerCase()}->${tokenOut.toLowerCase()}`;
+}
+
+/**
+ * Build a swap pairs registry from fetched DEX data
+ * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools from fetchAllDexData
+ * @param {SwapPairsRegistryOptions} [options] - Registry options
+ * @returns {{getPoolsForPair: function(string, string): import('./dex-data-fetcher').Pool[], getPairsForToken: function(string): SwapPair[], getAllPairs: function(): SwapPair[]}}
+ */
+function createSwapPairsRegistry(dexData, options = {}) {
+  const monitoredOnly = options.monitoredOnly ?? true;
+
+  const symbols = new Map();
+  dexData.tokens.forEach(token => symbols.set(token.address.toLowerCase(), token.symbol));
+  getTokens().forEach(token => symbols.set(token.address, token.symbol));
+
+  /** @type {Map<string, SwapPair>} */
+  const pairs = new Map();
+  /** @type {Map<string, SwapPair[]>} */
+  const pairsByToken = new Map();
+
+  const addRoute = (tokenIn, tokenOut, pool) => {
+    const key = getPairKey(tokenIn, tokenOut);
+    if (!pairs.has(key)) {
+      const pair = {
+        tokenIn,
+        tokenOut,
+        symbolIn: symbols.get(tokenIn) || 'UNKNOWN',
+        symbolOut: symbols.get(tokenOut) || 'UNKNOWN',
+        pools: []
+      };
+      pairs.set(key, pair);
+      if (!pairsByToken.has(tokenIn)) {
+        pairsByToken.set(tokenIn, []);
+      }
+      pairsByToken.get(tokenIn).push(pair);
+    }
+    pairs.get(key).pools.push(pool);
+  };
+
+  dexData.pools.forEach((pool) => {
+    // Every pair of tokens in a pool is tradeable, including within N-token pools
+    const tokens = getPoolTokens(pool).map(token => token.toLowerCase());
+    const chainId = getChainConfig(pool.chain)?.chainId;
+    const isMonitored = token => chainId !== undefined && isMonitoredToken(token, chainId);
+
+    tokens.forEach((tokenA, i) => {
+      tokens.slice(i + 1).forEach((tokenB) => {
+        if (monitoredOnly && !(isMonitored(tokenA) && isMonitored(tokenB))) {
+          return;
+        }
+        addRoute(tokenA, tokenB, pool);
+        addRoute(tokenB, tokenA, pool);
+      });
+    });
+  });
+
+  /**
+   * Get the pools that can route tokenIn → tokenOut
+   * @param {string} tokenIn - Input token address
+   * @param {string} tokenOut - Output token address
+   * @returns {import('./dex-data-fetcher').Pool[]} - Pools, empty if the pair is not tradeable
+   */
+  function getPoolsForPair(tokenIn, tokenOut) {
+    return pairs.get(getPairKey(tokenIn, tokenOut))?.pools || [];
+  }
+
+  /**
+   * Get every pair with the given token as input
+   * @param {string} token - Token address
+   * @returns {SwapPair[]} - Pairs starting at the token
+   */
+  function getPairsForToken(token) {
+    return pairsByToken.get(token.toLowerCase()) || [];
+  }
+
+  /**
+   * Get every ordered pair in the registry
+   * @returns {SwapPair[]} - All pairs
+   */
+  function getAllPairs() {
+    return Array.from(pairs.values());
+  }
+
+  return {
+    getPoolsForPair,
+    getPairsForToken,
+    getAllPairs
+  };
+}
+
+module.exports = {
+  getPairKey,
+  createSwapPairsRegistry
+};
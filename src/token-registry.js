@@ -1,12 +1,23 @@
 /**
  * Token Registry - Defines tokens to monitor across DEXes
- * These tokens are monitored across all active DEX and liquidity pools
+ * Tokens are keyed by (chain id, address) and carry their decimals, name, tags
+ * and aliases. The registry starts with the monitored Polygon tokens, loads
+ * more from a JSON/YAML file, token lists in the tokenlists.org format or the
+ * environment, and can be changed at runtime. The original helpers without a
+ * chain id keep reading the Polygon entries.
+ * Canonical assets group the bridged and wrapped representations of one asset
+ * across chains (e.g., ETH: WETH on Ethereum, Polygon and Arbitrum).
  */
 
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { CHAINS } = require('./chain-config');
+
 /**
  * @typedef {Object} MonitoredToken
  * @property {string} symbol - Token symbol
- * @property {string} address - Token contract address (checksum format)
+ * @property {string} address - Token contract address (checksum format for the built-in tokens)
  */
 
 /**
@@ -76,17 +87,929 @@ const MONITORED_TOKENS = [
   }
 ];
 
+/**
+ * Chain the original address-only helpers read from
+ */
+const LEGACY_CHAIN_ID = CHAINS.Polygon.chainId;
+
+/**
+ * Well-known token tags
+ */
+const TOKEN_TAGS = {
+  STABLECOIN: 'stablecoin',
+  WRAPPED_NATIVE: 'wrapped-native',
+  BRIDGED: 'bridged',
+  // Safety tags, reported as token safety flags (see token-safety.js)
+  FEE_ON_TRANSFER: 'fee-on-transfer',
+  REBASING: 'rebasing',
+  BLACKLISTABLE: 'blacklistable',
+  SUSPICIOUS: 'suspicious'
+};
+
+/**
+ * @typedef {Object} RegistryToken
+ * @property {number} chainId - EVM chain id
+ * @property {string} address - Token contract address (lowercase)
+ * @property {string} symbol - Token symbol
+ * @property {number} decimals - Number of decimals
+ * @property {string} name - Token name (defaults to the symbol)
+ * @property {string[]} tags - Tags such as stablecoin, wrapped-native or bridged
+ * @property {string[]} aliases - Other symbols the token is known by (e.g., USDC.e)
+ * @property {string} [source] - Name of the token list the entry was imported from
+ * @property {string} [canonicalAsset] - Id of the canonical asset the token represents (e.g., ETH)
+ */
+
+/**
+ * @typedef {Object} CanonicalAssetToken
+ * @property {number} chainId - EVM chain id
+ * @property {string} address - Token address (lowercase)
+ */
+
+/**
+ * @typedef {Object} CanonicalAsset
+ * @property {string} id - Asset id (uppercase, e.g., ETH)
+ * @property {string} name - Asset name
+ * @property {CanonicalAssetToken[]} tokens - Representations of the asset, at most one asset per token
+ */
+
+/**
+ * @typedef {Object} TokenListVersion
+ * @property {number} major - Incremented when tokens are removed
+ * @property {number} minor - Incremented when tokens are added
+ * @property {number} patch - Incremented when token details change
+ */
+
+/**
+ * @typedef {Object} TokenList
+ * @property {string} name - List name
+ * @property {string} timestamp - Time the list was published (ISO 8601)
+ * @property {TokenListVersion} version - List version
+ * @property {Object[]} tokens - Tokens ({ chainId, address, decimals, name, symbol, logoURI?, tags?, extensions? })
+ */
+
+/**
+ * @typedef {Object} TokenConflict
+ * @property {number} chainId - Chain of the token
+ * @property {string} address - Token address (lowercase)
+ * @property {string} field - Field the entries disagree on (decimals or symbol)
+ * @property {{source: string, value: *}} kept - Entry that was kept
+ * @property {{source: string, value: *}} ignored - Entry that lost on precedence
+ */
+
+/**
+ * @typedef {Object} TokenListImportResult
+ * @property {{name: string, version: TokenListVersion}[]} lists - Lists that were imported
+ * @property {{name: string, version: TokenListVersion, importedVersion: TokenListVersion}[]} skipped - Lists older than the version already imported
+ * @property {number} added - Number of tokens added or replaced
+ * @property {TokenConflict[]} conflicts - Disagreements between the lists and with existing entries
+ */
+
+/**
+ * Decimals, names, tags and aliases of the monitored Polygon tokens
+ */
+const MONITORED_TOKEN_METADATA = {
+  WMATIC: { decimals: 18, name: 'Wrapped Matic', tags: [TOKEN_TAGS.WRAPPED_NATIVE], aliases: ['WPOL'] },
+  USDC: { decimals: 6, name: 'USD Coin (PoS)', tags: [TOKEN_TAGS.STABLECOIN, TOKEN_TAGS.BRIDGED], aliases: ['USDC.e'] },
+  USDT: { decimals: 6, name: '(PoS) Tether USD', tags: [TOKEN_TAGS.STABLECOIN, TOKEN_TAGS.BRIDGED] },
+  DAI: { decimals: 18, name: '(PoS) Dai Stablecoin', tags: [TOKEN_TAGS.STABLECOIN, TOKEN_TAGS.BRIDGED] },
+  WETH: { decimals: 18, name: 'Wrapped Ether', tags: [TOKEN_TAGS.BRIDGED] },
+  WBTC: { decimals: 8, name: '(PoS) Wrapped BTC', tags: [TOKEN_TAGS.BRIDGED] },
+  LINK: { decimals: 18, name: 'ChainLink Token', tags: [TOKEN_TAGS.BRIDGED] },
+  AAVE: { decimals: 18, name: 'Aave (PoS)', tags: [TOKEN_TAGS.BRIDGED] },
+  UNI: { decimals: 18, name: 'Uniswap (PoS)', tags: [TOKEN_TAGS.BRIDGED] },
+  QUICK: { decimals: 18, name: 'Quickswap' },
+  SUSHI: { decimals: 18, name: 'SushiToken (PoS)', tags: [TOKEN_TAGS.BRIDGED] },
+  CRV: { decimals: 18, name: 'CRV (PoS)', tags: [TOKEN_TAGS.BRIDGED] },
+  BAL: { decimals: 18, name: 'Balancer (PoS)', tags: [TOKEN_TAGS.BRIDGED] },
+  SAND: { decimals: 18, name: 'SAND', tags: [TOKEN_TAGS.BRIDGED] },
+  MANA: { decimals: 18, name: 'Decentraland MANA', tags: [TOKEN_TAGS.BRIDGED] }
+};
+
+/**
+ * Tokens the registry starts with: the monitored Polygon tokens
+ * @type {RegistryToken[]}
+ */
+const DEFAULT_TOKENS = MONITORED_TOKENS.map(token => ({
+  chainId: LEGACY_CHAIN_ID,
+  ...token,
+  address: token.address.toLowerCase(),
+  ...MONITORED_TOKEN_METADATA[token.symbol]
+}));
+
+/**
+ * Wrapped BTC deployments, keyed by chain name
+ */
+const WBTC_ADDRESSES = {
+  Arbitrum: '0x2f2a2543b76a4166549f7aab2e75bef0aefc5b0f',
+  Ethereum: '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599',
+  Optimism: '0x68f180fcce6836688e9084f035309e29bf0a2095',
+  Polygon: '0x1bfd67037b42cf73acf2047067bd4f2c47d9bfd6'
+};
+
+/**
+ * Bridged WETH on chains whose native token is not ether, keyed by chain name
+ */
+const BRIDGED_WETH_ADDRESSES = {
+  Polygon: '0x7ceb23fd6bc0add59e62ac25578270cff1b9f619'
+};
+
+/**
+ * Canonical asset of each stablecoin symbol used in chain-config
+ */
+const STABLECOIN_ASSETS = {
+  USDC: 'USDC',
+  'USDC.e': 'USDC',
+  USDbC: 'USDC',
+  USDT: 'USDT',
+  DAI: 'DAI'
+};
+
+/**
+ * Canonical assets the registry starts with: ETH from the WETH of every chain,
+ * BTC from WBTC, and the USD stablecoins of chain-config grouped by issuer
+ * @type {CanonicalAsset[]}
+ */
+const DEFAULT_CANONICAL_ASSETS = (() => {
+  const assets = {
+    ETH: { id: 'ETH', name: 'Ether', tokens: [] },
+    BTC: { id: 'BTC', name: 'Bitcoin', tokens: [] },
+    USDC: { id: 'USDC', name: 'USD Coin', tokens: [] },
+    USDT: { id: 'USDT', name: 'Tether USD', tokens: [] },
+    DAI: { id: 'DAI', name: 'Dai Stablecoin', tokens: [] }
+  };
+
+  Object.values(CHAINS).forEach((chain) => {
+    const { chainId } = chain;
+    if (chain.wrappedNativeToken.symbol === 'WETH') {
+      assets.ETH.tokens.push({ chainId, address: chain.wrappedNativeToken.address });
+    }
+    if (BRIDGED_WETH_ADDRESSES[chain.name]) {
+      assets.ETH.tokens.push({ chainId, address: BRIDGED_WETH_ADDRESSES[chain.name] });
+    }
+    if (WBTC_ADDRESSES[chain.name]) {
+      assets.BTC.tokens.push({ chainId, address: WBTC_ADDRESSES[chain.name] });
+    }
+    chain.stablecoins.forEach((token) => {
+      const assetId = STABLECOIN_ASSETS[token.symbol];
+      if (assetId) {
+        assets[assetId].tokens.push({ chainId, address: token.address });
+      }
+    });
+  });
+
+  return Object.values(assets);
+})();
+
+/**
+ * Check that a value is a list of strings
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * Validate a token entry and fill in its defaults
+ * @param {Object} token - Token entry (address in any case)
+ * @returns {RegistryToken} - Normalized token
+ */
+function normalizeRegistryToken(token) {
+  const chainId = Number(token?.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`Invalid token chainId: ${token?.chainId}`);
+  }
+  if (typeof token.address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(token.address)) {
+    throw new Error(`Invalid token address: ${token.address}`);
+  }
+  if (typeof token.symbol !== 'string' || token.symbol === '') {
+    throw new Error(`Invalid symbol for token ${token.address}`);
+  }
+  if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 255) {
+    throw new Error(`Invalid decimals for token ${token.address}: ${token.decimals}`);
+  }
+  if (token.tags !== undefined && !isStringList(token.tags)) {
+    throw new Error(`Invalid tags for token ${token.address}. Expected a list of strings`);
+  }
+  if (token.aliases !== undefined && !isStringList(token.aliases)) {
+    throw new Error(`Invalid aliases for token ${token.address}. Expected a list of strings`);
+  }
+  if (token.canonicalAsset !== undefined && (typeof token.canonicalAsset !== 'string' || token.canonicalAsset === '')) {
+    throw new Error(`Invalid canonicalAsset for token ${token.address}: ${token.canonicalAsset}`);
+  }
+
+  return {
+    chainId,
+    address: token.address.toLowerCase(),
+    symbol: token.symbol,
+    decimals: token.decimals,
+    name: typeof token.name === 'string' && token.name !== '' ? token.name : token.symbol,
+    tags: [...(token.tags || [])],
+    aliases: [...(token.aliases || [])],
+    ...(typeof token.source === 'string' && { source: token.source }),
+    ...(token.canonicalAsset !== undefined && { canonicalAsset: token.canonicalAsset.toUpperCase() })
+  };
+}
+
+/**
+ * Validate a canonical asset definition
+ * @param {Object} asset - Asset ({ id, name?, tokens: [{ chainId, address }] }, addresses in any case)
+ * @returns {CanonicalAsset} - Normalized asset
+ */
+function normalizeCanonicalAsset(asset) {
+  if (typeof asset?.id !== 'string' || asset.id === '') {
+    throw new Error(`Invalid canonical asset id: ${asset?.id}`);
+  }
+  const id = asset.id.toUpperCase();
+  if (!Array.isArray(asset.tokens)) {
+    throw new Error(`Invalid tokens for canonical asset ${id}. Expected a list`);
+  }
+
+  const tokens = asset.tokens.map((token) => {
+    const chainId = Number(token?.chainId);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      throw new Error(`Invalid chainId in canonical asset ${id}: ${token?.chainId}`);
+    }
+    if (typeof token.address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(token.address)) {
+      throw new Error(`Invalid address in canonical asset ${id}: ${token.address}`);
+    }
+    return { chainId, address: token.address.toLowerCase() };
+  });
+
+  return {
+    id,
+    name: typeof asset.name === 'string' && asset.name !== '' ? asset.name : id,
+    tokens
+  };
+}
+
+/**
+ * Build the registry key of a token
+ * @param {number} chainId - EVM chain id
+ * @param {string} address - Token address
+ * @returns {string} - Key
+ */
+function getTokenKey(chainId, address) {
+  return `${chainId}:${address.toLowerCase()}`;
+}
+
+/**
+ * Create a token registry keyed by (chain id, address)
+ * @param {Object[]} [tokens] - Initial token entries
+ * @param {Object[]} [canonicalAssets] - Initial canonical assets
+ * @returns {{addToken: function(Object): RegistryToken, removeToken: function(number, string): boolean, getToken: function(number, string): (RegistryToken|undefined), hasToken: function(number, string): boolean, getTokens: function(number=): RegistryToken[], findTokensBySymbol: function(string, number=): RegistryToken[], getTokensByTag: function(string, number=): RegistryToken[], importTokenLists: function(TokenList[], Object=): TokenListImportResult, getImportedTokenLists: function(): Object[], addCanonicalAsset: function(Object): CanonicalAsset, getCanonicalAsset: function(string): (CanonicalAsset|undefined), getCanonicalAssets: function(): CanonicalAsset[], findCanonicalAsset: function(number, string): (CanonicalAsset|undefined)}}
+ */
+function createTokenRegistry(tokens = [], canonicalAssets = []) {
+  /** @type {Map<string, RegistryToken>} */
+  const entries = new Map();
+  /** @type {Map<string, {name: string, version: TokenListVersion, timestamp: string, tokenCount: number}>} */
+  const importedLists = new Map();
+  /** @type {Map<string, RegistryToken>} Entries replaced by list tokens imported with override, restored when the list drops them */
+  const overriddenEntries = new Map();
+  /** @type {Map<string, string>} */
+  const assetNames = new Map();
+  /** @type {Map<string, {assetId: string, token: CanonicalAssetToken}>} */
+  const assetMembers = new Map();
+
+  /**
+   * Make a token a representation of a canonical asset, moving it out of any other asset
+   * @param {string} assetId - Asset id (uppercase)
+   * @param {CanonicalAssetToken} token - Token
+   */
+  function linkCanonicalAsset(assetId, token) {
+    if (!assetNames.has(assetId)) {
+      assetNames.set(assetId, assetId);
+    }
+    assetMembers.set(getTokenKey(token.chainId, token.address), { assetId, token });
+  }
+
+  /**
+   * Add a token, replacing any entry with the same chain id and address
+   * @param {Object} token - Token entry
+   * @returns {RegistryToken} - Stored token
+   */
+  function addToken(token) {
+    const entry = normalizeRegistryToken(token);
+    const key = getTokenKey(entry.chainId, entry.address);
+    entries.set(key, entry);
+    overriddenEntries.delete(key);
+    if (entry.canonicalAsset) {
+      linkCanonicalAsset(entry.canonicalAsset, { chainId: entry.chainId, address: entry.address });
+    }
+    return entry;
+  }
+
+  /**
+   * Remove a token
+   * @param {number} chainId - EVM chain id
+   * @param {string} address - Token address
+   * @returns {boolean} - True if the token was registered
+   */
+  function removeToken(chainId, address) {
+    const key = getTokenKey(chainId, address);
+    overriddenEntries.delete(key);
+    return entries.delete(key);
+  }
+
+  /**
+   * Get a token
+   * @param {number} chainId - EVM chain id
+   * @param {string} address - Token address
+   * @returns {RegistryToken|undefined} - Token, if registered
+   */
+  function getToken(chainId, address) {
+    return entries.get(getTokenKey(chainId, address));
+  }
+
+  /**
+   * Check whether a token is registered
+   * @param {number} chainId - EVM chain id
+   * @param {string} address - Token address
+   * @returns {boolean}
+   */
+  function hasToken(chainId, address) {
+    return entries.has(getTokenKey(chainId, address));
+  }
+
+  /**
+   * Get every registered token
+   * @param {number} [chainId] - Only return tokens of this chain
+   * @returns {RegistryToken[]} - Tokens in the order they were added
+   */
+  function getTokens(chainId) {
+    const all = Array.from(entries.values());
+    return chainId === undefined ? all : all.filter(token => token.chainId === chainId);
+  }
+
+  /**
+   * Find tokens by symbol or alias (case-insensitive)
+   * @param {string} symbol - Symbol or alias
+   * @param {number} [chainId] - Only return tokens of this chain
+   * @returns {RegistryToken[]} - Matching tokens
+   */
+  function findTokensBySymbol(symbol, chainId) {
+    const wanted = symbol.toLowerCase();
+    return getTokens(chainId).filter(token =>
+      token.symbol.toLowerCase() === wanted || token.aliases.some(alias => alias.toLowerCase() === wanted)
+    );
+  }
+
+  /**
+   * Get the tokens carrying a tag
+   * @param {string} tag - Tag (see TOKEN_TAGS)
+   * @param {number} [chainId] - Only return tokens of this chain
+   * @returns {RegistryToken[]} - Tagged tokens
+   */
+  function getTokensByTag(tag, chainId) {
+    return getTokens(chainId).filter(token => token.tags.includes(tag));
+  }
+
+  /**
+   * Import validated token lists. Lists are merged in precedence order (see
+   * mergeTokenLists); entries already in the registry from elsewhere are kept
+   * unless override is set. Re-importing a list replaces the tokens of its
+   * previous version, and versions older than the imported one are skipped.
+   * An entry replaced through override comes back once no list provides the token.
+   * @param {TokenList[]} lists - Lists, highest precedence first
+   * @param {Object} [options] - Import options
+   * @param {boolean} [options.override] - Let list entries replace existing entries (default false)
+   * @returns {TokenListImportResult} - Import summary
+   */
+  function importTokenLists(lists, options = {}) {
+    const override = options.override ?? false;
+    const skipped = [];
+    const accepted = [];
+    lists.forEach((list) => {
+      const previous = importedLists.get(list.name);
+      if (previous && compareTokenListVersions(list.version, previous.version) < 0) {
+        skipped.push({ name: list.name, version: list.version, importedVersion: previous.version });
+        return;
+      }
+      accepted.push(list);
+    });
+
+    const { tokens: merged, conflicts } = mergeTokenLists(accepted);
+
+    const replacedSources = new Set(accepted.map(list => list.name));
+    entries.forEach((entry, key) => {
+      if (entry.source === undefined || !replacedSources.has(entry.source)) {
+        return;
+      }
+      const original = overriddenEntries.get(key);
+      overriddenEntries.delete(key);
+      if (original && (original.source === undefined || !replacedSources.has(original.source))) {
+        entries.set(key, original);
+      } else {
+        entries.delete(key);
+      }
+    });
+
+    let added = 0;
+    merged.forEach((token) => {
+      const key = getTokenKey(token.chainId, token.address);
+      const existing = entries.get(key);
+      if (existing) {
+        const tokenConflicts = override ? findTokenConflicts(token, existing) : findTokenConflicts(existing, token);
+        conflicts.push(...tokenConflicts);
+        if (!override) {
+          return;
+        }
+        if (!overriddenEntries.has(key)) {
+          overriddenEntries.set(key, existing);
+        }
+      }
+      entries.set(key, token);
+      added++;
+    });
+
+    accepted.forEach((list) => {
+      importedLists.set(list.name, {
+        name: list.name,
+        version: list.version,
+        timestamp: list.timestamp,
+        tokenCount: list.tokens.length
+      });
+    });
+
+    return {
+      lists: accepted.map(list => ({ name: list.name, version: list.version })),
+      skipped,
+      added,
+      conflicts
+    };
+  }
+
+  /**
+   * Get the token lists imported so far
+   * @returns {{name: string, version: TokenListVersion, timestamp: string, tokenCount: number}[]} - Imported lists
+   */
+  function getImportedTokenLists() {
+    return Array.from(importedLists.values());
+  }
+
+  /**
+   * Add a canonical asset or extend an existing one with more tokens.
+   * A token belongs to one asset at a time; linking it again moves it.
+   * @param {Object} asset - Asset ({ id, name?, tokens: [{ chainId, address }] })
+   * @returns {CanonicalAsset} - Asset with every token linked to it
+   */
+  function addCanonicalAsset(asset) {
+    const normalized = normalizeCanonicalAsset(asset);
+    if (!assetNames.has(normalized.id) || asset.name !== undefined) {
+      assetNames.set(normalized.id, normalized.name);
+    }
+    normalized.tokens.forEach(token => linkCanonicalAsset(normalized.id, token));
+    return getCanonicalAsset(normalized.id);
+  }
+
+  /**
+   * Get a canonical asset
+   * @param {string} id - Asset id (case-insensitive)
+   * @returns {CanonicalAsset|undefined} - Asset, if defined
+   */
+  function getCanonicalAsset(id) {
+    const assetId = id.toUpperCase();
+    if (!assetNames.has(assetId)) {
+      return undefined;
+    }
+    const assetTokens = [];
+    assetMembers.forEach((member) => {
+      if (member.assetId === assetId) {
+        assetTokens.push({ ...member.token });
+      }
+    });
+    return { id: assetId, name: assetNames.get(assetId), tokens: assetTokens };
+  }
+
+  /**
+   * Get every canonical asset
+   * @returns {CanonicalAsset[]} - Assets in the order they were defined
+   */
+  function getCanonicalAssets() {
+    return Array.from(assetNames.keys()).map(getCanonicalAsset);
+  }
+
+  /**
+   * Find the canonical asset a token represents
+   * @param {number} chainId - EVM chain id
+   * @param {string} address - Token address
+   * @returns {CanonicalAsset|undefined} - Asset, if the token is linked to one
+   */
+  function findCanonicalAsset(chainId, address) {
+    const member = assetMembers.get(getTokenKey(chainId, address));
+    return member ? getCanonicalAsset(member.assetId) : undefined;
+  }
+
+  canonicalAssets.forEach(addCanonicalAsset);
+  tokens.forEach(addToken);
+
+  return {
+    addToken,
+    removeToken,
+    getToken,
+    hasToken,
+    getTokens,
+    findTokensBySymbol,
+    getTokensByTag,
+    importTokenLists,
+    getImportedTokenLists,
+    addCanonicalAsset,
+    getCanonicalAsset,
+    getCanonicalAssets,
+    findCanonicalAsset
+  };
+}
+
+/**
+ * Validate a parsed token list
+ * @param {*} parsed - Parsed file or environment contents: a list of tokens or { tokens: [...] }
+ * @param {string} source - Where the list came from, for error messages
+ * @returns {RegistryToken[]} - Normalized tokens
+ */
+function parseTokenList(parsed, source) {
+  const tokens = Array.isArray(parsed) ? parsed : parsed?.tokens;
+  if (!Array.isArray(tokens)) {
+    throw new Error(`${source} must contain a list of tokens`);
+  }
+  return tokens.map(normalizeRegistryToken);
+}
+
+/**
+ * Read a JSON or YAML file (chosen by extension)
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {*} - Parsed contents
+ */
+function readDataFile(filePath) {
+  const contents = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+  return extension === '.yaml' || extension === '.yml' ? yaml.load(contents) : JSON.parse(contents);
+}
+
+/**
+ * Load token entries from a JSON or YAML file (chosen by extension)
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {RegistryToken[]} - Normalized tokens
+ */
+function loadTokensFromFile(filePath) {
+  return parseTokenList(readDataFile(filePath), `Token registry file ${filePath}`);
+}
+
+/**
+ * Check that a value is a non-negative integer
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Validate one token of a token list against the tokenlists.org token schema
+ * @param {*} token - Token entry
+ * @param {string} where - Location of the token, for error messages
+ * @returns {string[]} - Validation errors
+ */
+function validateTokenListToken(token, where) {
+  if (!token || typeof token !== 'object' || Array.isArray(token)) {
+    return [`${where} must be an object`];
+  }
+  const errors = [];
+  if (!Number.isInteger(token.chainId) || token.chainId < 1) {
+    errors.push(`${where}.chainId must be an integer >= 1`);
+  }
+  if (typeof token.address !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(token.address)) {
+    errors.push(`${where}.address must be a 20-byte hex address`);
+  }
+  if (!isNonNegativeInteger(token.decimals) || token.decimals > 255) {
+    errors.push(`${where}.decimals must be an integer between 0 and 255`);
+  }
+  if (typeof token.name !== 'string' || token.name.length > 60) {
+    errors.push(`${where}.name must be a string of at most 60 characters`);
+  }
+  if (typeof token.symbol !== 'string' || !/^\S{1,20}$/.test(token.symbol)) {
+    errors.push(`${where}.symbol must be 1 to 20 characters without spaces`);
+  }
+  if (token.logoURI !== undefined && typeof token.logoURI !== 'string') {
+    errors.push(`${where}.logoURI must be a string`);
+  }
+  if (token.tags !== undefined && !(isStringList(token.tags) && token.tags.length <= 10 && token.tags.every(tag => /^\w{1,10}$/.test(tag)))) {
+    errors.push(`${where}.tags must be at most 10 tag ids of up to 10 word characters`);
+  }
+  if (token.extensions !== undefined && (typeof token.extensions !== 'object' || token.extensions === null || Array.isArray(token.extensions))) {
+    errors.push(`${where}.extensions must be an object`);
+  }
+  return errors;
+}
+
+/**
+ * Validate a token list against the tokenlists.org schema
+ * @param {*} list - Parsed token list
+ * @returns {string[]} - Validation errors, empty if the list is valid
+ */
+function validateTokenList(list) {
+  if (!list || typeof list !== 'object' || Array.isArray(list)) {
+    return ['list must be an object'];
+  }
+  const errors = [];
+  if (typeof list.name !== 'string' || !/^[\w ]{1,30}$/.test(list.name)) {
+    errors.push('name must be 1 to 30 letters, digits, underscores or spaces');
+  }
+  if (typeof list.timestamp !== 'string' || Number.isNaN(Date.parse(list.timestamp))) {
+    errors.push('timestamp must be an ISO 8601 date-time');
+  }
+  const version = list.version;
+  if (!version || !['major', 'minor', 'patch'].every(part => isNonNegativeInteger(version[part]))) {
+    errors.push('version must have non-negative integer major, minor and patch');
+  }
+  if (list.keywords !== undefined && !isStringList(list.keywords)) {
+    errors.push('keywords must be a list of strings');
+  }
+  if (list.tags !== undefined && (typeof list.tags !== 'object' || list.tags === null || Array.isArray(list.tags))) {
+    errors.push('tags must be an object of tag definitions');
+  }
+  if (!Array.isArray(list.tokens) || list.tokens.length < 1 || list.tokens.length > 10000) {
+    errors.push('tokens must be a list of 1 to 10000 tokens');
+  } else {
+    list.tokens.forEach((token, index) => errors.push(...validateTokenListToken(token, `tokens[${index}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Load and validate a token list file in the tokenlists.org format
+ * @param {string} filePath - Path to the list (.json, or .yaml/.yml)
+ * @returns {TokenList} - Validated list
+ */
+function loadTokenList(filePath) {
+  const list = readDataFile(filePath);
+  const errors = validateTokenList(list);
+  if (errors.length > 0) {
+    throw new Error(`Invalid token list ${filePath}: ${errors.join('; ')}`);
+  }
+  return list;
+}
+
+/**
+ * Compare two token list versions
+ * @param {TokenListVersion} a - First version
+ * @param {TokenListVersion} b - Second version
+ * @returns {number} - Negative if a is older than b, positive if newer, 0 if equal
+ */
+function compareTokenListVersions(a, b) {
+  return (a.major - b.major) || (a.minor - b.minor) || (a.patch - b.patch);
+}
+
+/**
+ * Find the fields two entries of the same token disagree on
+ * @param {RegistryToken} kept - Entry that wins on precedence
+ * @param {RegistryToken} ignored - Entry that loses
+ * @returns {TokenConflict[]} - Conflicts
+ */
+function findTokenConflicts(kept, ignored) {
+  return ['decimals', 'symbol']
+    .filter(field => kept[field] !== ignored[field])
+    .map(field => ({
+      chainId: kept.chainId,
+      address: kept.address,
+      field,
+      kept: { source: kept.source || 'registry', value: kept[field] },
+      ignored: { source: ignored.source || 'registry', value: ignored[field] }
+    }));
+}
+
+/**
+ * Merge token lists into registry entries. Lists are given highest precedence
+ * first: the first entry seen for a (chain id, address) wins, and every later
+ * entry that disagrees on decimals or symbol is reported as a conflict.
+ * @param {TokenList[]} lists - Validated lists, highest precedence first
+ * @returns {{tokens: RegistryToken[], conflicts: TokenConflict[]}} - Merged tokens and conflicts
+ */
+function mergeTokenLists(lists) {
+  const merged = new Map();
+  const conflicts = [];
+
+  lists.forEach((list) => {
+    list.tokens.forEach((listToken) => {
+      const token = normalizeRegistryToken({
+        chainId: listToken.chainId,
+        address: listToken.address,
+        symbol: listToken.symbol,
+        decimals: listToken.decimals,
+        name: listToken.name,
+        tags: listToken.tags,
+        source: list.name
+      });
+      const key = getTokenKey(token.chainId, token.address);
+      const kept = merged.get(key);
+      if (kept) {
+        conflicts.push(...findTokenConflicts(kept, token));
+        return;
+      }
+      merged.set(key, token);
+    });
+  });
+
+  return { tokens: Array.from(merged.values()), conflicts };
+}
+
+/**
+ * Load token entries from the environment: a file named by TOKEN_REGISTRY_FILE
+ * and a JSON list in TOKEN_REGISTRY_TOKENS (applied after the file).
+ * Token lists named by TOKEN_LIST_FILES are imported separately.
+ * @returns {RegistryToken[]} - Normalized tokens
+ */
+function getTokensFromEnv() {
+  const tokens = [];
+  if (process.env.TOKEN_REGISTRY_FILE) {
+    tokens.push(...loadTokensFromFile(process.env.TOKEN_REGISTRY_FILE));
+  }
+  if (process.env.TOKEN_REGISTRY_TOKENS) {
+    tokens.push(...parseTokenList(JSON.parse(process.env.TOKEN_REGISTRY_TOKENS), 'TOKEN_REGISTRY_TOKENS'));
+  }
+  return tokens;
+}
+
+/**
+ * Original monitored token objects, reused by the legacy views so they keep their checksum addresses
+ * @type {Map<string, MonitoredToken>}
+ */
+const ORIGINAL_MONITORED_TOKENS = new Map(MONITORED_TOKENS.map(token => [token.address.toLowerCase(), token]));
+
 /**
  * Cached map of token addresses (lowercase) to token info
  * @type {Map<string, MonitoredToken>}
  */
-const MONITORED_TOKENS_MAP = (() => {
-  const map = new Map();
-  MONITORED_TOKENS.forEach(token => {
-    map.set(token.address.toLowerCase(), token);
+const MONITORED_TOKENS_MAP = new Map();
+
+/**
+ * Process-wide registry behind the module-level helpers
+ */
+const defaultRegistry = createTokenRegistry(DEFAULT_TOKENS, DEFAULT_CANONICAL_ASSETS);
+
+/**
+ * Rebuild MONITORED_TOKENS and its map in place from the registry's Polygon entries
+ */
+function syncMonitoredTokens() {
+  const monitored = defaultRegistry.getTokens(LEGACY_CHAIN_ID).map((token) => {
+    const original = ORIGINAL_MONITORED_TOKENS.get(token.address);
+    return original && original.symbol === token.symbol ? original : { symbol: token.symbol, address: token.address };
   });
-  return map;
-})();
+
+  MONITORED_TOKENS.length = 0;
+  MONITORED_TOKENS.push(...monitored);
+  MONITORED_TOKENS_MAP.clear();
+  monitored.forEach(token => MONITORED_TOKENS_MAP.set(token.address.toLowerCase(), token));
+}
+
+/**
+ * Log the conflicts found while importing token lists
+ * @param {TokenConflict[]} conflicts - Conflicts
+ */
+function logTokenConflicts(conflicts) {
+  conflicts.forEach((conflict) => {
+    console.log(
+      `Token list conflict on ${conflict.chainId}:${conflict.address}: ${conflict.field} ` +
+      `${conflict.kept.value} (${conflict.kept.source}) kept over ${conflict.ignored.value} (${conflict.ignored.source})`
+    );
+  });
+}
+
+try {
+  if (process.env.TOKEN_LIST_FILES) {
+    const files = process.env.TOKEN_LIST_FILES.split(',').map(file => file.trim()).filter(Boolean);
+    logTokenConflicts(defaultRegistry.importTokenLists(files.map(loadTokenList)).conflicts);
+  }
+  getTokensFromEnv().forEach(defaultRegistry.addToken);
+} catch (error) {
+  console.error('Error loading token registry:', error);
+}
+syncMonitoredTokens();
+
+/**
+ * Add a token to the registry at runtime, replacing any entry with the same chain id and address
+ * @param {Object} token - Token entry ({ chainId, address, symbol, decimals, name?, tags?, aliases? })
+ * @returns {RegistryToken} - Stored token
+ */
+function addToken(token) {
+  const entry = defaultRegistry.addToken(token);
+  if (entry.chainId === LEGACY_CHAIN_ID) {
+    syncMonitoredTokens();
+  }
+  return entry;
+}
+
+/**
+ * Remove a token from the registry at runtime
+ * @param {number} chainId - EVM chain id
+ * @param {string} address - Token address
+ * @returns {boolean} - True if the token was registered
+ */
+function removeToken(chainId, address) {
+  const removed = defaultRegistry.removeToken(chainId, address);
+  if (removed && chainId === LEGACY_CHAIN_ID) {
+    syncMonitoredTokens();
+  }
+  return removed;
+}
+
+/**
+ * Get a registered token with its metadata
+ * @param {number} chainId - EVM chain id
+ * @param {string} address - Token address
+ * @returns {RegistryToken|undefined} - Token, if registered
+ */
+function getToken(chainId, address) {
+  return defaultRegistry.getToken(chainId, address);
+}
+
+/**
+ * Get every registered token
+ * @param {number} [chainId] - Only return tokens of this chain
+ * @returns {RegistryToken[]} - Tokens
+ */
+function getTokens(chainId) {
+  return defaultRegistry.getTokens(chainId);
+}
+
+/**
+ * Find registered tokens by symbol or alias (case-insensitive)
+ * @param {string} symbol - Symbol or alias (e.g., USDC.e)
+ * @param {number} [chainId] - Only return tokens of this chain
+ * @returns {RegistryToken[]} - Matching tokens
+ */
+function findTokensBySymbol(symbol, chainId) {
+  return defaultRegistry.findTokensBySymbol(symbol, chainId);
+}
+
+/**
+ * Get the registered tokens carrying a tag
+ * @param {string} tag - Tag (see TOKEN_TAGS)
+ * @param {number} [chainId] - Only return tokens of this chain
+ * @returns {RegistryToken[]} - Tagged tokens
+ */
+function getTokensByTag(tag, chainId) {
+  return defaultRegistry.getTokensByTag(tag, chainId);
+}
+
+/**
+ * Import token list files into the registry.
+ * Lists are given highest precedence first; tokens already in the registry from
+ * elsewhere (built-in, added at runtime or from another list) are kept unless
+ * override is set. Re-importing a newer version of a list replaces its tokens.
+ * @param {string[]} filePaths - Token list files, highest precedence first
+ * @param {Object} [options] - Import options
+ * @param {boolean} [options.override] - Let list entries replace existing entries (default false)
+ * @returns {TokenListImportResult} - Import summary with the conflicts found
+ */
+function importTokenLists(filePaths, options = {}) {
+  const result = defaultRegistry.importTokenLists(filePaths.map(loadTokenList), options);
+  syncMonitoredTokens();
+  return result;
+}
+
+/**
+ * Get the token lists imported into the registry
+ * @returns {{name: string, version: TokenListVersion, timestamp: string, tokenCount: number}[]} - Imported lists
+ */
+function getImportedTokenLists() {
+  return defaultRegistry.getImportedTokenLists();
+}
+
+/**
+ * Add a canonical asset to the registry or extend an existing one
+ * @param {Object} asset - Asset ({ id, name?, tokens: [{ chainId, address }] })
+ * @returns {CanonicalAsset} - Asset with every token linked to it
+ */
+function addCanonicalAsset(asset) {
+  return defaultRegistry.addCanonicalAsset(asset);
+}
+
+/**
+ * Get a canonical asset
+ * @param {string} id - Asset id (case-insensitive, e.g., eth)
+ * @returns {CanonicalAsset|undefined} - Asset, if defined
+ */
+function getCanonicalAsset(id) {
+  return defaultRegistry.getCanonicalAsset(id);
+}
+
+/**
+ * Get every canonical asset
+ * @returns {CanonicalAsset[]} - Assets
+ */
+function getCanonicalAssets() {
+  return defaultRegistry.getCanonicalAssets();
+}
+
+/**
+ * Find the canonical asset a token represents
+ * @param {number} chainId - EVM chain id
+ * @param {string} address - Token address
+ * @returns {CanonicalAsset|undefined} - Asset, if the token is linked to one
+ */
+function findCanonicalAsset(chainId, address) {
+  return defaultRegistry.findCanonicalAsset(chainId, address);
+}
 
 /**
  * Get the cached map of token addresses to token info
@@ -99,11 +1022,11 @@ function getMonitoredTokensMap() {
 /**
  * Check if a token address is in the monitored list
  * @param {string} address - Token address to check
+ * @param {number} [chainId] - Chain of the token (defaults to Polygon, the original monitored list)
  * @returns {boolean} True if token is monitored
  */
-function isMonitoredToken(address) {
-  const lowerAddress = address.toLowerCase();
-  return MONITORED_TOKENS_MAP.has(lowerAddress);
+function isMonitoredToken(address, chainId = LEGACY_CHAIN_ID) {
+  return defaultRegistry.hasToken(chainId, address);
 }
 
 /**
@@ -118,7 +1041,30 @@ function getTokenInfo(address) {
 
 module.exports = {
   MONITORED_TOKENS,
+  TOKEN_TAGS,
+  DEFAULT_TOKENS,
+  DEFAULT_CANONICAL_ASSETS,
   getMonitoredTokensMap,
   isMonitoredToken,
-  getTokenInfo
+  getTokenInfo,
+  createTokenRegistry,
+  loadTokensFromFile,
+  getTokensFromEnv,
+  readDataFile,
+  validateTokenList,
+  loadTokenList,
+  compareTokenListVersions,
+  mergeTokenLists,
+  importTokenLists,
+  getImportedTokenLists,
+  addToken,
+  removeToken,
+  getToken,
+  getTokens,
+  findTokensBySymbol,
+  getTokensByTag,
+  addCanonicalAsset,
+  getCanonicalAsset,
+  getCanonicalAssets,
+  findCanonicalAsset
 };
@@ -0,0 +1,497 @@
+/**
+ * Token Safety - Flags tokens that break the fixed-balance assumptions of pool math
+ * Fee-on-transfer and rebasing tokens make quotes disagree with what a trade
+ * actually receives, so their pools produce fake arbitrage signals. Flags come
+ * from a local denylist and the token registry tags, and optionally from probe
+ * calls and a simulated transfer out of a pool over each chain's JSON-RPC URL.
+ */
+
+const { createRpcClient } = require('./rpc-client');
+const { SELECTORS, encodeAddress, encodeUint, decodeWords, decodeUint } = require('./evm-abi');
+const { getChainConfig } = require('./chain-config');
+const { getPoolTokens, isMultiAssetPool } = require('./dex-adapters');
+const { getLockedBalance } = require('./usd-pricing');
+const { getRpcUrlForChain } = require('./onchain-reserves');
+const { getToken, readDataFile } = require('./token-registry');
+
+/**
+ * Token safety flags
+ */
+const TOKEN_FLAGS = {
+  FEE_ON_TRANSFER: 'fee-on-transfer',
+  REBASING: 'rebasing',
+  BLACKLISTABLE: 'blacklistable',
+  SUSPICIOUS: 'suspicious'
+};
+
+/**
+ * Address that receives the simulated transfers. It is the common burn address and
+ * already holds many tokens, so only the change in its balance is measured.
+ */
+const PROBE_ADDRESS = '0x000000000000000000000000000000000000dead';
+
+/**
+ * Share of the holder's balance moved by the simulated transfer
+ */
+const PROBE_TRANSFER_DIVISOR = BigInt(1000);
+
+/**
+ * Default number of tokens probed in parallel per chain
+ */
+const DEFAULT_SCREENING_BATCH_SIZE = 20;
+
+/**
+ * Default time a token's probe result is reused before it is probed again (1 hour)
+ */
+const DEFAULT_PROBE_CACHE_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} DenylistEntry
+ * @property {number} chainId - EVM chain id
+ * @property {string} address - Token address (lowercase)
+ * @property {string[]} flags - Flags (see TOKEN_FLAGS)
+ * @property {string} [reason] - Why the token is listed
+ */
+
+/**
+ * @typedef {Object} TokenProbeResult
+ * @property {string[]} flags - Flags found by the probe calls and the simulated transfer
+ * @property {number} [transferFeeBps] - Share of the simulated transfer withheld, in basis points
+ */
+
+/**
+ * @typedef {Object} ScreeningOptions
+ * @property {DenylistEntry[]} [denylist] - Denylist (defaults to the built-in list plus TOKEN_DENYLIST_FILE)
+ * @property {boolean} [simulate] - Probe tokens over JSON-RPC (default false)
+ * @property {number} [batchSize] - Tokens probed in parallel per chain
+ * @property {ReturnType<typeof createProbeCache>} [probeCache] - Cache of probe results (defaults to one shared by every call)
+ */
+
+/**
+ * Create a cache of probe results keyed by chain id and token address.
+ * Token behaviour rarely changes, so results are reused across refreshes until they expire.
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.ttlMs] - Time a result stays fresh
+ * @param {function(): number} [options.now] - Clock (defaults to Date.now)
+ * @returns {{get: function(number, string): (TokenProbeResult|undefined), set: function(number, string, TokenProbeResult): void, clear: function(): void}}
+ */
+function createProbeCache(options = {}) {
+  const ttlMs = options.ttlMs ?? DEFAULT_PROBE_CACHE_TTL_MS;
+  const now = options.now || Date.now;
+  const entries = new Map();
+  const getKey = (chainId, address) => `${chainId}:${address.toLowerCase()}`;
+
+  return {
+    get(chainId, address) {
+      const key = getKey(chainId, address);
+      const entry = entries.get(key);
+      if (entry && now() - entry.probedAt >= ttlMs) {
+        entries.delete(key);
+        return undefined;
+      }
+      return entry?.result;
+    },
+    set(chainId, address, result) {
+      entries.set(getKey(chainId, address), { result, probedAt: now() });
+    },
+    clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Probe results shared by screenTokens calls that don't bring their own cache
+ */
+const defaultProbeCache = createProbeCache();
+
+/**
+ * Tokens with well-known transfer behaviour
+ * @type {DenylistEntry[]}
+ */
+const DEFAULT_TOKEN_DENYLIST = [
+  {
+    chainId: 1,
+    address: '0xae7ab96520de3a18e5e111b5eaa439230f9b6ea6',
+    flags: [TOKEN_FLAGS.REBASING],
+    reason: 'Lido stETH balances rebase daily'
+  },
+  {
+    chainId: 1,
+    address: '0xd46ba6d942050d489dbd938a2c909a5d5039a161',
+    flags: [TOKEN_FLAGS.REBASING],
+    reason: 'Ampleforth supply rebases daily'
+  },
+  {
+    chainId: 1,
+    address: '0x45804880de22913dafe09f4980848ece6ecbaf78',
+    flags: [TOKEN_FLAGS.FEE_ON_TRANSFER],
+    reason: 'Paxos Gold charges a transfer fee'
+  },
+  {
+    chainId: 1,
+    address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    flags: [TOKEN_FLAGS.BLACKLISTABLE],
+    reason: 'Circle can blacklist USDC holders'
+  },
+  {
+    chainId: 1,
+    address: '0xdac17f958d2ee523a2206206994597c13d831ec7',
+    flags: [TOKEN_FLAGS.BLACKLISTABLE],
+    reason: 'Tether can blacklist USDT holders'
+  }
+];
+
+/**
+ * Validate a denylist entry
+ * @param {Object} entry - Entry (address in any case)
+ * @returns {DenylistEntry} - Normalized entry
+ */
+function normalizeDenylistEntry(entry) {
+  const chainId = Number(entry?.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`Invalid denylist chainId: ${entry?.chainId}`);
+  }
+  if (typeof entry.address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(entry.address)) {
+    throw new Error(`Invalid denylist address: ${entry.address}`);
+  }
+  const accepted = Object.values(TOKEN_FLAGS);
+  if (!Array.isArray(entry.flags) || entry.flags.length === 0 || !entry.flags.every(flag => accepted.includes(flag))) {
+    throw new Error(`Invalid denylist flags for token ${entry.address}. Accepted values: ${accepted.join(', ')}`);
+  }
+
+  return {
+    chainId,
+    address: entry.address.toLowerCase(),
+    flags: [...entry.flags],
+    ...(typeof entry.reason === 'string' && { reason: entry.reason })
+  };
+}
+
+/**
+ * Load denylist entries from a JSON or YAML file (chosen by extension)
+ * @param {string} filePath - Path to a .json, .yaml or .yml file: a list of entries or { tokens: [...] }
+ * @returns {DenylistEntry[]} - Normalized entries
+ */
+function loadDenylist(filePath) {
+  const parsed = readDataFile(filePath);
+  const entries = Array.isArray(parsed) ? parsed : parsed?.tokens;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Token denylist file ${filePath} must contain a list of tokens`);
+  }
+  return entries.map(normalizeDenylistEntry);
+}
+
+/**
+ * Get the built-in denylist extended with the file named by TOKEN_DENYLIST_FILE
+ * @returns {DenylistEntry[]} - Entries; the built-in list alone if the file cannot be loaded
+ */
+function getDenylistFromEnv() {
+  if (!process.env.TOKEN_DENYLIST_FILE) {
+    return DEFAULT_TOKEN_DENYLIST;
+  }
+  try {
+    return [...DEFAULT_TOKEN_DENYLIST, ...loadDenylist(process.env.TOKEN_DENYLIST_FILE)];
+  } catch (error) {
+    console.error('Error loading token denylist:', error);
+    return DEFAULT_TOKEN_DENYLIST;
+  }
+}
+
+/**
+ * Get the flags a token carries in the denylist and the token registry
+ * @param {number} chainId - EVM chain id
+ * @param {string} address - Token address
+ * @param {DenylistEntry[]} [denylist] - Denylist
+ * @returns {string[]} - Flags
+ */
+function getListedTokenFlags(chainId, address, denylist = DEFAULT_TOKEN_DENYLIST) {
+  const lowerAddress = address.toLowerCase();
+  const accepted = Object.values(TOKEN_FLAGS);
+  const flags = new Set();
+
+  denylist
+    .filter(entry => entry.chainId === chainId && entry.address === lowerAddress)
+    .forEach(entry => entry.flags.forEach(flag => flags.add(flag)));
+  (getToken(chainId, lowerAddress)?.tags || [])
+    .filter(tag => accepted.includes(tag))
+    .forEach(tag => flags.add(tag));
+
+  return Array.from(flags);
+}
+
+/**
+ * Check whether an RPC error came from the node (e.g., a revert) rather than the transport
+ * @param {Error} error - Error thrown by the RPC client
+ * @returns {boolean}
+ */
+function isNodeError(error) {
+  return error.message.startsWith('RPC error');
+}
+
+/**
+ * Check whether a token answers a view call taking an address
+ * @param {Object} client - RPC client (see createRpcClient)
+ * @param {string} token - Token address
+ * @param {string} selector - Function selector
+ * @returns {Promise<boolean>} - True if the call returns a word instead of reverting
+ */
+async function respondsTo(client, token, selector) {
+  try {
+    const result = await client.ethCall({ to: token, data: `${selector}${encodeAddress(PROBE_ADDRESS)}` });
+    return decodeWords(result).length > 0;
+  } catch (error) {
+    if (isNodeError(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Simulate transferring part of a holder's balance to the probe address.
+ * Uses eth_simulateV1 to read the probe balance around the transfer; nodes
+ * without it fall back to an eth_call of the transfer, which only detects reverts.
+ * @param {Object} client - RPC client (see createRpcClient)
+ * @param {string} token - Token address
+ * @param {string} holder - Address holding the token (e.g., a pool)
+ * @param {bigint} amount - Raw amount to transfer
+ * @returns {Promise<{reverted: boolean, received: (bigint|null)}>} - Outcome; received is null when not measurable
+ */
+async function simulateTransfer(client, token, holder, amount) {
+  const balanceOf = { from: PROBE_ADDRESS, to: token, data: `${SELECTORS.balanceOf}${encodeAddress(PROBE_ADDRESS)}` };
+  const transfer = { from: holder, to: token, data: `${SELECTORS.transfer}${encodeAddress(PROBE_ADDRESS)}${encodeUint(amount)}` };
+
+  try {
+    const [block] = await client.call('eth_simulateV1', [{ blockStateCalls: [{ calls: [balanceOf, transfer, balanceOf] }] }, 'latest']);
+    const [before, sent, after] = block.calls;
+    // Tokens that return false instead of reverting report a failed transfer too
+    const returned = decodeWords(sent.returnData);
+    if (sent.status !== '0x1' || (returned.length > 0 && decodeUint(returned[0]) === BigInt(0))) {
+      return { reverted: true, received: null };
+    }
+    return { reverted: false, received: decodeUint(decodeWords(after.returnData)[0]) - decodeUint(decodeWords(before.returnData)[0]) };
+  } catch (error) {
+    if (!isNodeError(error)) {
+      throw error;
+    }
+  }
+
+  try {
+    await client.ethCall(transfer);
+    return { reverted: false, received: null };
+  } catch (error) {
+    if (isNodeError(error)) {
+      return { reverted: true, received: null };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Probe a token contract for blacklist and rebasing hooks and simulate a transfer out of a holder
+ * @param {Object} client - RPC client (see createRpcClient)
+ * @param {string} token - Token address
+ * @param {string} holder - Address holding the token (e.g., a pool)
+ * @param {bigint} amount - Raw amount to transfer
+ * @returns {Promise<TokenProbeResult>} - Flags found
+ */
+async function probeToken(client, token, holder, amount) {
+  const [isBlacklisted, isBlackListed, sharesOf, scaledBalanceOf, transfer] = await Promise.all([
+    respondsTo(client, token, SELECTORS.isBlacklisted),
+    respondsTo(client, token, SELECTORS.isBlackListed),
+    respondsTo(client, token, SELECTORS.sharesOf),
+    respondsTo(client, token, SELECTORS.scaledBalanceOf),
+    simulateTransfer(client, token, holder, amount)
+  ]);
+
+  const flags = [];
+  let transferFeeBps;
+  if (isBlacklisted || isBlackListed) {
+    flags.push(TOKEN_FLAGS.BLACKLISTABLE);
+  }
+  if (sharesOf || scaledBalanceOf) {
+    flags.push(TOKEN_FLAGS.REBASING);
+  }
+  if (transfer.reverted) {
+    // A pool that cannot send the token cannot fill a trade
+    flags.push(TOKEN_FLAGS.SUSPICIOUS);
+  } else if (transfer.received !== null && transfer.received < amount) {
+    flags.push(TOKEN_FLAGS.FEE_ON_TRANSFER);
+    transferFeeBps = Number(((amount - transfer.received) * BigInt(10000)) / amount);
+  } else if (transfer.received !== null && transfer.received > amount) {
+    flags.push(TOKEN_FLAGS.SUSPICIOUS);
+  }
+
+  return { flags, ...(transferFeeBps !== undefined && { transferFeeBps }) };
+}
+
+/**
+ * Find the pool holding the largest balance of each token, per chain.
+ * Only pools addressed by their own contract hold their tokens: V4 pool ids are
+ * not contracts, and N-token pools are skipped because Balancer pools leave their
+ * tokens in the Vault, so a transfer out of the pool itself would revert.
+ * @param {import('./dex-data-fetcher').Pool[]} pools - Pools
+ * @returns {Map<string, Map<string, {holder: string, balance: bigint}>>} - chain → token → largest holder
+ */
+function findTokenHolders(pools) {
+  const holders = new Map();
+  pools
+    .filter(pool => /^0x[0-9a-f]{40}$/.test(pool.id) && !isMultiAssetPool(pool))
+    .forEach((pool) => {
+      if (!holders.has(pool.chain)) {
+        holders.set(pool.chain, new Map());
+      }
+      const chainHolders = holders.get(pool.chain);
+      getPoolTokens(pool).forEach((address) => {
+        const token = address.toLowerCase();
+        const balance = getLockedBalance(pool, token);
+        if (!chainHolders.has(token) || balance > chainHolders.get(token).balance) {
+          chainHolders.set(token, { holder: pool.id, balance });
+        }
+      });
+    });
+  return holders;
+}
+
+/**
+ * Probe the tokens of one chain over its RPC URL, reusing cached results.
+ * Failed probes are not cached, so they are retried on the next call.
+ * @param {string} url - JSON-RPC URL
+ * @param {number} chainId - EVM chain id of the chain
+ * @param {Map<string, {holder: string, balance: bigint}>} chainHolders - Largest holder of each token
+ * @param {number} batchSize - Tokens probed in parallel
+ * @param {ReturnType<typeof createProbeCache>} probeCache - Cache of probe results
+ * @returns {Promise<Map<string, TokenProbeResult>>} - Results keyed by lowercase address
+ */
+async function probeChainTokens(url, chainId, chainHolders, batchSize, probeCache) {
+  const results = new Map();
+  const candidates = [];
+  chainHolders.forEach(({ holder, balance }, token) => {
+    const cached = probeCache.get(chainId, token);
+    if (cached) {
+      results.set(token, cached);
+    } else if (balance >= PROBE_TRANSFER_DIVISOR) {
+      candidates.push([token, { holder, balance }]);
+    }
+  });
+  if (candidates.length === 0) {
+    return results;
+  }
+
+  const client = createRpcClient(url);
+  for (let i = 0; i < candidates.length; i += batchSize) {
+    await Promise.all(candidates.slice(i, i + batchSize).map(async ([token, { holder, balance }]) => {
+      try {
+        const result = await probeToken(client, token, holder, balance / PROBE_TRANSFER_DIVISOR);
+        probeCache.set(chainId, token, result);
+        results.set(token, result);
+      } catch (error) {
+        console.error(`Error screening token ${token}:`, error);
+      }
+    }));
+  }
+
+  return results;
+}
+
+/**
+ * Flag the tokens of fetched data.
+ * Tokens are shared between chains by address, so a token takes the flags of
+ * every chain its pools are on.
+ * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools
+ * @param {import('./dex-data-fetcher').DexConfig} [config] - RPC URLs for simulated checks
+ * @param {ScreeningOptions} [options] - Screening options
+ * @returns {Promise<import('./dex-data-fetcher').DexData>} - Copies of the tokens with safetyFlags (and transferFeeBps when measured)
+ */
+async function screenTokens(dexData, config = {}, options = {}) {
+  const denylist = options.denylist ?? getDenylistFromEnv();
+  const batchSize = options.batchSize ?? DEFAULT_SCREENING_BATCH_SIZE;
+  const probeCache = options.probeCache ?? defaultProbeCache;
+
+  const chainsByToken = new Map();
+  dexData.pools.forEach((pool) => {
+    getPoolTokens(pool).forEach((address) => {
+      const token = address.toLowerCase();
+      if (!chainsByToken.has(token)) {
+        chainsByToken.set(token, new Set());
+      }
+      chainsByToken.get(token).add(pool.chain);
+    });
+  });
+
+  const probes = new Map();
+  if (options.simulate) {
+    const holders = findTokenHolders(dexData.pools);
+    await Promise.all(Array.from(holders.entries()).map(async ([chain, chainHolders]) => {
+      const url = getRpcUrlForChain(chain, config);
+      const chainId = getChainConfig(chain)?.chainId;
+      if (url && chainId !== undefined) {
+        probes.set(chain, await probeChainTokens(url, chainId, chainHolders, batchSize, probeCache));
+      }
+    }));
+  }
+
+  return {
+    ...dexData,
+    tokens: dexData.tokens.map((token) => {
+      const address = token.address.toLowerCase();
+      const flags = new Set();
+      let transferFeeBps;
+
+      (chainsByToken.get(address) || new Set()).forEach((chain) => {
+        const chainId = getChainConfig(chain)?.chainId;
+        if (chainId !== undefined) {
+          getListedTokenFlags(chainId, address, denylist).forEach(flag => flags.add(flag));
+        }
+        const probe = probes.get(chain)?.get(address);
+        if (probe) {
+          probe.flags.forEach(flag => flags.add(flag));
+          if (probe.transferFeeBps !== undefined) {
+            transferFeeBps = Math.max(transferFeeBps ?? 0, probe.transferFeeBps);
+          }
+        }
+      });
+
+      return {
+        ...token,
+        safetyFlags: Array.from(flags).sort(),
+        ...(transferFeeBps !== undefined && { transferFeeBps })
+      };
+    })
+  };
+}
+
+/**
+ * Drop pools holding a token that carries any of the given flags
+ * @param {import('./dex-data-fetcher').Pool[]} pools - Pools
+ * @param {import('./dex-data-fetcher').Token[]} tokens - Tokens with safetyFlags
+ * @param {string[]} flags - Flags to exclude (see TOKEN_FLAGS)
+ * @returns {import('./dex-data-fetcher').Pool[]} - Pools without flagged tokens
+ */
+function excludeFlaggedPools(pools, tokens, flags) {
+  if (!flags || flags.length === 0) {
+    return pools;
+  }
+  const flagged = new Set(
+    tokens
+      .filter(token => (token.safetyFlags || []).some(flag => flags.includes(flag)))
+      .map(token => token.address.toLowerCase())
+  );
+  return pools.filter(pool => !getPoolTokens(pool).some(token => flagged.has(token.toLowerCase())));
+}
+
+module.exports = {
+  TOKEN_FLAGS,
+  PROBE_ADDRESS,
+  DEFAULT_TOKEN_DENYLIST,
+  DEFAULT_PROBE_CACHE_TTL_MS,
+  createProbeCache,
+  loadDenylist,
+  getDenylistFromEnv,
+  getListedTokenFlags,
+  simulateTransfer,
+  probeToken,
+  screenTokens,
+  excludeFlaggedPools
+};
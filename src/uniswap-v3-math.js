@@ -0,0 +1,218 @@
+/**
+ * Uniswap V3 Math - BigInt ports of the core pool math
+ * Used to derive virtual and in-range reserves from concentrated liquidity state
+ */
+
+/**
+ * 2^96, the fixed-point scale of sqrtPriceX96
+ */
+const Q96 = BigInt(2) ** BigInt(96);
+
+/**
+ * Lowest and highest ticks supported by Uniswap V3
+ */
+const MIN_TICK = -887272;
+const MAX_TICK = 887272;
+
+/**
+ * Tick spacing enabled by the Uniswap V3 factory for each fee tier
+ * @type {Object<string, number>}
+ */
+const FEE_TIER_TICK_SPACING = {
+  100: 1,
+  500: 10,
+  3000: 60,
+  10000: 200
+};
+
+const MAX_UINT256 = (BigInt(1) << BigInt(256)) - BigInt(1);
+
+/**
+ * Per-bit multipliers from TickMath.getSqrtRatioAtTick, for bits 0x2 and up
+ */
+const TICK_RATIO_MULTIPLIERS = [
+  [0x2, BigInt('0xfff97272373d413259a46990580e213a')],
+  [0x4, BigInt('0xfff2e50f5f656932ef12357cf3c7fdcc')],
+  [0x8, BigInt('0xffe5caca7e10e4e61c3624eaa0941cd0')],
+  [0x10, BigInt('0xffcb9843d60f6159c9db58835c926644')],
+  [0x20, BigInt('0xff973b41fa98c081472e6896dfb254c0')],
+  [0x40, BigInt('0xff2ea16466c96a3843ec78b326b52861')],
+  [0x80, BigInt('0xfe5dee046a99a2a811c461f1969c3053')],
+  [0x100, BigInt('0xfcbe86c7900a88aedcffc83b479aa3a4')],
+  [0x200, BigInt('0xf987a7253ac413176f2b074cf7815e54')],
+  [0x400, BigInt('0xf3392b0822b70005940c7a398e4b70f3')],
+  [0x800, BigInt('0xe7159475a2c29b7443b29c7fa6e889d9')],
+  [0x1000, BigInt('0xd097f3bdfd2022b8845ad8f792aa5825')],
+  [0x2000, BigInt('0xa9f746462d870fdf8a65dc1f90e061e5')],
+  [0x4000, BigInt('0x70d869a156d2a1b890bb3df62baf32f7')],
+  [0x8000, BigInt('0x31be135f97d08fd981231505542fcfa6')],
+  [0x10000, BigInt('0x9aa508b5b7a84e1c677de54f3e99bc9')],
+  [0x20000, BigInt('0x5d6af8dedb81196699c329225ee604')],
+  [0x40000, BigInt('0x2216e584f5fa1ea926041bedfe98')],
+  [0x80000, BigInt('0x48a170391f7dc42444e8fa2')]
+];
+
+/**
+ * Get the tick spacing for a fee tier
+ * @param {bigint|number} fee - Fee tier in hundredths of a bip (e.g., 3000 = 0.3%)
+ * @returns {number} - Tick spacing (defaults to 60 for unknown tiers)
+ */
+function getTickSpacing(fee) {
+  return FEE_TIER_TICK_SPACING[Number(fee)] || FEE_TIER_TICK_SPACING[3000];
+}
+
+/**
+ * Calculate sqrt(1.0001^tick) * 2^96, matching TickMath.getSqrtRatioAtTick
+ * @param {number} tick - Tick index
+ * @returns {bigint} - sqrtPriceX96 at the tick
+ */
+function getSqrtRatioAtTick(tick) {
+  if (!Number.isInteger(tick) || tick < MIN_TICK || tick > MAX_TICK) {
+    throw new Error(`Tick out of range: ${tick}`);
+  }
+
+  const absTick = Math.abs(tick);
+  let ratio = (absTick & 0x1) !== 0
+    ? BigInt('0xfffcb933bd6fad37aa2d162d1a594001')
+    : BigInt('0x100000000000000000000000000000000');
+
+  TICK_RATIO_MULTIPLIERS.forEach(([bit, multiplier]) => {
+    if ((absTick & bit) !== 0) {
+      ratio = (ratio * multiplier) >> BigInt(128);
+    }
+  });
+
+  if (tick > 0) {
+    ratio = MAX_UINT256 / ratio;
+  }
+
+  // Round up when converting from Q128.128 to Q64.96
+  const remainder = ratio % (BigInt(1) << BigInt(32));
+  return (ratio >> BigInt(32)) + (remainder === BigInt(0) ? BigInt(0) : BigInt(1));
+}
+
+/**
+ * Get the initialized tick range containing the current tick.
+ * Positions can only be opened on spacing-aligned ticks within [MIN_TICK, MAX_TICK],
+ * so near either limit the range is clamped to the outermost usable one.
+ * @param {number} tick - Current pool tick
+ * @param {number} tickSpacing - Pool tick spacing
+ * @returns {{tickLower: number, tickUpper: number}} - Bounds of the active range
+ */
+function getActiveTickRange(tick, tickSpacing) {
+  const minTick = Math.ceil(MIN_TICK / tickSpacing) * tickSpacing;
+  const maxTick = Math.floor(MAX_TICK / tickSpacing) * tickSpacing;
+  const tickLower = Math.min(Math.max(Math.floor(tick / tickSpacing) * tickSpacing, minTick), maxTick - tickSpacing);
+  return {
+    tickLower,
+    tickUpper: tickLower + tickSpacing
+  };
+}
+
+/**
+ * Calculate virtual reserves for the active liquidity at the current price.
+ * These are the reserves of a constant-product pool with the same liquidity
+ * and price, so x * y = L^2 and y / x equals the pool price.
+ * @param {bigint} liquidity - Active liquidity
+ * @param {bigint} sqrtPriceX96 - Current sqrt price as Q64.96
+ * @returns {{reserve0: bigint, reserve1: bigint}} - Virtual reserves in raw token units
+ */
+function getVirtualReserves(liquidity, sqrtPriceX96) {
+  if (liquidity === BigInt(0) || sqrtPriceX96 === BigInt(0)) {
+    return { reserve0: BigInt(0), reserve1: BigInt(0) };
+  }
+
+  return {
+    reserve0: (liquidity * Q96) / sqrtPriceX96,
+    reserve1: (liquidity * sqrtPriceX96) / Q96
+  };
+}
+
+/**
+ * Calculate the token amounts backing the active liquidity within a tick range
+ * @param {bigint} liquidity - Active liquidity
+ * @param {bigint} sqrtPriceX96 - Current sqrt price as Q64.96
+ * @param {number} tickLower - Lower tick of the range
+ * @param {number} tickUpper - Upper tick of the range
+ * @returns {{amount0: bigint, amount1: bigint}} - Real token amounts in raw units
+ */
+function getRangeReserves(liquidity, sqrtPriceX96, tickLower, tickUpper) {
+  const sqrtLower = getSqrtRatioAtTick(tickLower);
+  const sqrtUpper = getSqrtRatioAtTick(tickUpper);
+
+  // Clamp the price into the range so out-of-range positions hold a single token
+  let sqrtPrice = sqrtPriceX96;
+  if (sqrtPrice < sqrtLower) sqrtPrice = sqrtLower;
+  if (sqrtPrice > sqrtUpper) sqrtPrice = sqrtUpper;
+
+  const amount0 = (liquidity * Q96 * (sqrtUpper - sqrtPrice)) / (sqrtPrice * sqrtUpper);
+  const amount1 = (liquidity * (sqrtPrice - sqrtLower)) / Q96;
+
+  return { amount0, amount1 };
+}
+
+/**
+ * Calculate the sqrt price after swapping an exact input within a single range,
+ * matching SqrtPriceMath.getNextSqrtPriceFromInput
+ * @param {bigint} sqrtPriceX96 - Current sqrt price as Q64.96
+ * @param {bigint} liquidity - Active liquidity
+ * @param {bigint} amountIn - Input amount after fees
+ * @param {boolean} zeroForOne - True when swapping token0 for token1
+ * @returns {bigint} - Next sqrt price as Q64.96
+ */
+function getNextSqrtPriceFromInput(sqrtPriceX96, liquidity, amountIn, zeroForOne) {
+  if (amountIn === BigInt(0)) {
+    return sqrtPriceX96;
+  }
+
+  if (zeroForOne) {
+    // Price moves down; round up so the output is never overstated
+    const numerator = liquidity * Q96 * sqrtPriceX96;
+    const denominator = liquidity * Q96 + amountIn * sqrtPriceX96;
+    return (numerator + denominator - BigInt(1)) / denominator;
+  }
+
+  return sqrtPriceX96 + (amountIn * Q96) / liquidity;
+}
+
+/**
+ * Calculate the token0 amount between two sqrt prices, rounded down
+ * @param {bigint} sqrtRatioA - First sqrt price as Q64.96
+ * @param {bigint} sqrtRatioB - Second sqrt price as Q64.96
+ * @param {bigint} liquidity - Liquidity between the prices
+ * @returns {bigint} - Amount of token0 in raw units
+ */
+function getAmount0Delta(sqrtRatioA, sqrtRatioB, liquidity) {
+  const [lower, upper] = sqrtRatioA < sqrtRatioB ? [sqrtRatioA, sqrtRatioB] : [sqrtRatioB, sqrtRatioA];
+  if (lower === BigInt(0)) {
+    return BigInt(0);
+  }
+  return (liquidity * Q96 * (upper - lower)) / upper / lower;
+}
+
+/**
+ * Calculate the token1 amount between two sqrt prices, rounded down
+ * @param {bigint} sqrtRatioA - First sqrt price as Q64.96
+ * @param {bigint} sqrtRatioB - Second sqrt price as Q64.96
+ * @param {bigint} liquidity - Liquidity between the prices
+ * @returns {bigint} - Amount of token1 in raw units
+ */
+function getAmount1Delta(sqrtRatioA, sqrtRatioB, liquidity) {
+  const [lower, upper] = sqrtRatioA < sqrtRatioB ? [sqrtRatioA, sqrtRatioB] : [sqrtRatioB, sqrtRatioA];
+  return (liquidity * (upper - lower)) / Q96;
+}
+
+module.exports = {
+  Q96,
+  MIN_TICK,
+  MAX_TICK,
+  FEE_TIER_TICK_SPACING,
+  getTickSpacing,
+  getSqrtRatioAtTick,
+  getActiveTickRange,
+  getVirtualReserves,
+  getRangeReserves,
+  getNextSqrtPriceFromInput,
+  getAmount0Delta,
+  getAmount1Delta
+};
@@ -0,0 +1,237 @@
+/**
+ * USD Pricing - Derives token USD prices and pool TVL from the fetched pool graph
+ * Each chain's stablecoins are anchored at $1. Prices then spread one hop per
+ * round: a token paired with an already-priced token in a deep pool is priced
+ * at the median of the spot prices those pools quote.
+ */
+
+const { getStablecoins } = require('./chain-config');
+const { getPoolTokens, isMultiAssetPool } = require('./dex-adapters');
+const { getSpotPrice } = require('./swap-math');
+
+/**
+ * Default USD value the priced side of a pool must hold for the pool to quote a price
+ */
+const DEFAULT_MIN_LIQUIDITY_USD = 10000;
+
+/**
+ * Default number of hops a price may travel away from the stablecoins
+ */
+const DEFAULT_MAX_PRICING_HOPS = 3;
+
+/**
+ * @typedef {Object} PricingOptions
+ * @property {number} [minLiquidityUsd] - USD value the priced side of a pool must hold to quote a price
+ * @property {number} [maxHops] - Number of hops a price may travel away from the stablecoins
+ */
+
+/**
+ * Median of a non-empty list of numbers
+ * @param {number[]} values - Values
+ * @returns {number} - Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Get the decimals of one of a pool's tokens
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @param {string} token - Token address (lowercase)
+ * @param {Map<string, number>} decimalsByAddress - Token decimals keyed by lowercase address
+ * @returns {number} - Decimals (18 if unknown)
+ */
+function getTokenDecimals(pool, token, decimalsByAddress) {
+  if (isMultiAssetPool(pool)) {
+    return pool.tokenDecimals[pool.tokens.indexOf(token)];
+  }
+  return decimalsByAddress.get(token) ?? 18;
+}
+
+/**
+ * Get the raw amount of a token a pool actually holds.
+ * Concentrated pools report the locked totals rather than their virtual reserves.
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @param {string} token - Token address (lowercase)
+ * @returns {bigint} - Raw balance
+ */
+function getLockedBalance(pool, token) {
+  if (isMultiAssetPool(pool)) {
+    return pool.balances[pool.tokens.indexOf(token)];
+  }
+  const isToken0 = token === pool.token0.toLowerCase();
+  const locked = isToken0 ? pool.totalValueLocked0 : pool.totalValueLocked1;
+  if (locked !== undefined) {
+    return locked;
+  }
+  return isToken0 ? pool.reserve0 : pool.reserve1;
+}
+
+/**
+ * Value of a pool's balance of one token in USD
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @param {string} token - Token address (lowercase)
+ * @param {number} priceUSD - USD price of one whole token
+ * @param {Map<string, number>} decimalsByAddress - Token decimals keyed by lowercase address
+ * @returns {number} - USD value
+ */
+function getBalanceUSD(pool, token, priceUSD, decimalsByAddress) {
+  const decimals = getTokenDecimals(pool, token, decimalsByAddress);
+  return (Number(getLockedBalance(pool, token)) / 10 ** decimals) * priceUSD;
+}
+
+/**
+ * Build a lookup of token decimals
+ * @param {import('./dex-data-fetcher').Token[]} tokens - Tokens
+ * @returns {Map<string, number>} - Decimals keyed by lowercase address
+ */
+function buildDecimalsMap(tokens) {
+  return new Map(tokens.map(token => [token.address.toLowerCase(), token.decimals]));
+}
+
+/**
+ * Derive the USD price of every token reachable from a chain's stablecoins
+ * @param {import('./dex-data-fetcher').Pool[]} pools - Pools of the chain
+ * @param {string} chain - Chain name (selects the stablecoin anchors)
+ * @param {Map<string, number>} decimalsByAddress - Token decimals keyed by lowercase address
+ * @param {PricingOptions} [options] - Pricing options
+ * @returns {Map<string, number>} - USD price of one whole token, keyed by lowercase address
+ */
+function getChainTokenPricesUSD(pools, chain, decimalsByAddress, options = {}) {
+  const minLiquidityUsd = options.minLiquidityUsd ?? DEFAULT_MIN_LIQUIDITY_USD;
+  const maxHops = options.maxHops ?? DEFAULT_MAX_PRICING_HOPS;
+
+  const prices = new Map(getStablecoins(chain).map(token => [token.address.toLowerCase(), 1]));
+
+  for (let hop = 0; hop < maxHops; hop++) {
+    // Quotes only use prices known before this round, so a hop never feeds on itself
+    const quotes = new Map();
+
+    pools.forEach((pool) => {
+      const poolTokens = getPoolTokens(pool).map(token => token.toLowerCase());
+      poolTokens.forEach((pricedToken) => {
+        const pricedUSD = prices.get(pricedToken);
+        if (pricedUSD === undefined || getBalanceUSD(pool, pricedToken, pricedUSD, decimalsByAddress) < minLiquidityUsd) {
+          return;
+        }
+
+        poolTokens.forEach((token) => {
+          if (prices.has(token)) {
+            return;
+          }
+          // Raw priced-token units per raw token unit, rescaled to whole tokens
+          const spotPrice = getSpotPrice(pool, token, pricedToken);
+          const scale = 10 ** (getTokenDecimals(pool, token, decimalsByAddress) - getTokenDecimals(pool, pricedToken, decimalsByAddress));
+          const priceUSD = spotPrice * scale * pricedUSD;
+          if (!(priceUSD > 0) || !Number.isFinite(priceUSD)) {
+            return;
+          }
+          if (!quotes.has(token)) {
+            quotes.set(token, []);
+          }
+          quotes.get(token).push(priceUSD);
+        });
+      });
+    });
+
+    if (quotes.size === 0) {
+      break;
+    }
+    quotes.forEach((tokenQuotes, token) => {
+      prices.set(token, median(tokenQuotes));
+    });
+  }
+
+  return prices;
+}
+
+/**
+ * Calculate the USD value locked in a pool
+ * @param {import('./dex-data-fetcher').Pool} pool - Pool
+ * @param {Map<string, number>} prices - USD prices keyed by lowercase address
+ * @param {Map<string, number>} decimalsByAddress - Token decimals keyed by lowercase address
+ * @returns {number|null} - TVL in USD counting only priced tokens, or null if none of its tokens is priced
+ */
+function getPoolTvlUSD(pool, prices, decimalsByAddress) {
+  let tvlUSD = null;
+  getPoolTokens(pool).forEach((address) => {
+    const token = address.toLowerCase();
+    const priceUSD = prices.get(token);
+    if (priceUSD !== undefined) {
+      tvlUSD = (tvlUSD ?? 0) + getBalanceUSD(pool, token, priceUSD, decimalsByAddress);
+    }
+  });
+  return tvlUSD;
+}
+
+/**
+ * Derive token USD prices separately for every chain of the fetched data
+ * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools
+ * @param {PricingOptions} [options] - Pricing options
+ * @returns {Map<string, Map<string, number>>} - Prices keyed by lowercase address, keyed by chain name
+ */
+function getTokenPricesByChain(dexData, options = {}) {
+  const decimalsByAddress = buildDecimalsMap(dexData.tokens);
+
+  const poolsByChain = new Map();
+  dexData.pools.forEach((pool) => {
+    if (!poolsByChain.has(pool.chain)) {
+      poolsByChain.set(pool.chain, []);
+    }
+    poolsByChain.get(pool.chain).push(pool);
+  });
+
+  const pricesByChain = new Map();
+  poolsByChain.forEach((chainPools, chain) => {
+    pricesByChain.set(chain, getChainTokenPricesUSD(chainPools, chain, decimalsByAddress, options));
+  });
+  return pricesByChain;
+}
+
+/**
+ * Attach USD prices to tokens and USD TVL to pools.
+ * Tokens are shared between chains by address, so a token deployed at the same
+ * address on several chains takes the price of the first chain that prices it;
+ * use getTokenPricesByChain for per-chain prices.
+ * @param {import('./dex-data-fetcher').DexData} dexData - Tokens and pools
+ * @param {PricingOptions} [options] - Pricing options
+ * @returns {import('./dex-data-fetcher').DexData} - Copies of the tokens with priceUSD and pools with tvlUSD (null when unknown)
+ */
+function priceDexData(dexData, options = {}) {
+  const decimalsByAddress = buildDecimalsMap(dexData.tokens);
+  const pricesByChain = getTokenPricesByChain(dexData, options);
+
+  const tokenPrices = new Map();
+  pricesByChain.forEach((prices) => {
+    prices.forEach((priceUSD, token) => {
+      if (!tokenPrices.has(token)) {
+        tokenPrices.set(token, priceUSD);
+      }
+    });
+  });
+
+  return {
+    ...dexData,
+    tokens: dexData.tokens.map(token => ({
+      ...token,
+      priceUSD: tokenPrices.get(token.address.toLowerCase()) ?? null
+    })),
+    pools: dexData.pools.map(pool => ({
+      ...pool,
+      tvlUSD: getPoolTvlUSD(pool, pricesByChain.get(pool.chain), decimalsByAddress)
+    }))
+  };
+}
+
+module.exports = {
+  DEFAULT_MIN_LIQUIDITY_USD,
+  DEFAULT_MAX_PRICING_HOPS,
+  median,
+  getLockedBalance,
+  getChainTokenPricesUSD,
+  getPoolTvlUSD,
+  getTokenPricesByChain,
+  priceDexData
+};
@@ -0,0 +1,142 @@
+/**
+ * Weighted Math - BigInt port of Balancer's weighted pool swap formula
+ * Weights are 18-decimal fractions summing to 1; powers are computed in
+ * 18-decimal fixed point via natural log and exponential series
+ */
+
+/**
+ * 1.0 in 18-decimal fixed point
+ */
+const ONE = BigInt('1000000000000000000');
+
+/**
+ * ln(2) in 18-decimal fixed point
+ */
+const LN2 = BigInt('693147180559945309');
+
+/**
+ * Largest input accepted by the pool, as a fraction of its balance (30%, as enforced by the Vault)
+ */
+const MAX_IN_RATIO = BigInt('300000000000000000');
+
+/**
+ * Natural logarithm in 18-decimal fixed point
+ * @param {bigint} x - Positive value in 18-decimal fixed point
+ * @returns {bigint} - ln(x) in 18-decimal fixed point
+ */
+function lnFixed(x) {
+  // Reduce x into [1, 2) and count the powers of two taken out
+  let k = BigInt(0);
+  let value = x;
+  while (value >= BigInt(2) * ONE) {
+    value /= BigInt(2);
+    k++;
+  }
+  while (value < ONE) {
+    value *= BigInt(2);
+    k--;
+  }
+
+  // ln(v) = 2 * atanh((v - 1) / (v + 1)), which converges quickly for v in [1, 2)
+  const z = ((value - ONE) * ONE) / (value + ONE);
+  const zSquared = (z * z) / ONE;
+  let term = z;
+  let sum = BigInt(0);
+  for (let m = BigInt(1); term !== BigInt(0); m += BigInt(2)) {
+    sum += term / m;
+    term = (term * zSquared) / ONE;
+  }
+
+  return BigInt(2) * sum + k * LN2;
+}
+
+/**
+ * Exponential in 18-decimal fixed point
+ * @param {bigint} y - Exponent in 18-decimal fixed point
+ * @returns {bigint} - e^y in 18-decimal fixed point
+ */
+function expFixed(y) {
+  // e^y = 2^k * e^r with r in [0, ln 2)
+  let k = y / LN2;
+  if (y < BigInt(0) && k * LN2 !== y) {
+    k--;
+  }
+  const r = y - k * LN2;
+
+  let term = ONE;
+  let sum = ONE;
+  for (let n = BigInt(1); term !== BigInt(0); n++) {
+    term = (term * r) / (n * ONE);
+    sum += term;
+  }
+
+  return k >= BigInt(0) ? sum << k : sum >> -k;
+}
+
+/**
+ * Raise a fixed-point base to a fixed-point exponent
+ * @param {bigint} base - Base in 18-decimal fixed point
+ * @param {bigint} exponent - Exponent in 18-decimal fixed point
+ * @returns {bigint} - base^exponent in 18-decimal fixed point
+ */
+function powFixed(base, exponent) {
+  if (base === BigInt(0)) {
+    return BigInt(0);
+  }
+  if (exponent === ONE) {
+    return base;
+  }
+  return expFixed((lnFixed(base) * exponent) / ONE);
+}
+
+/**
+ * Calculate the output of a weighted pool swap (WeightedMath._calcOutGivenIn).
+ * The fee must already be taken out of amountIn.
+ * @param {bigint} balanceIn - Balance of the input token in raw units
+ * @param {bigint} weightIn - Weight of the input token (18-decimal fraction)
+ * @param {bigint} balanceOut - Balance of the output token in raw units
+ * @param {bigint} weightOut - Weight of the output token (18-decimal fraction)
+ * @param {bigint} amountIn - Input amount in raw units, after fees
+ * @returns {bigint} - Output amount in raw units (0 if the input exceeds MAX_IN_RATIO)
+ */
+function getAmountOutWeighted(balanceIn, weightIn, balanceOut, weightOut, amountIn) {
+  if (amountIn <= BigInt(0) || balanceIn <= BigInt(0) || balanceOut <= BigInt(0) || weightOut <= BigInt(0)) {
+    return BigInt(0);
+  }
+  // The Vault rejects the swap, so it yields nothing
+  if (amountIn > (balanceIn * MAX_IN_RATIO) / ONE) {
+    return BigInt(0);
+  }
+
+  const base = (balanceIn * ONE) / (balanceIn + amountIn);
+  const power = powFixed(base, (weightIn * ONE) / weightOut);
+  if (power >= ONE) {
+    return BigInt(0);
+  }
+  return (balanceOut * (ONE - power)) / ONE;
+}
+
+/**
+ * Calculate the spot price of a weighted pool, excluding fees
+ * @param {bigint} balanceIn - Balance of the input token in raw units
+ * @param {bigint} weightIn - Weight of the input token (18-decimal fraction)
+ * @param {bigint} balanceOut - Balance of the output token in raw units
+ * @param {bigint} weightOut - Weight of the output token (18-decimal fraction)
+ * @returns {number} - Output token received per input token, in raw units (0 if the pool is empty)
+ */
+function getWeightedSpotPrice(balanceIn, weightIn, balanceOut, weightOut) {
+  if (balanceIn <= BigInt(0) || weightOut <= BigInt(0)) {
+    return 0;
+  }
+  return (Number(balanceOut) * Number(weightIn)) / (Number(balanceIn) * Number(weightOut));
+}
+
+module.exports = {
+  ONE,
+  MAX_IN_RATIO,
+  lnFixed,
+  expFixed,
+  powFixed,
+  getAmountOutWeighted,
+  getWeightedSpotPrice
+};
@@ -125,14 +125,30 @@ function validateJavaScriptImports() {
   // Check dex-data-fetcher.js
   validateFileExists('src/dex-data-fetcher.js', 'DEX data fetcher module');
   validateFileContent('src/dex-data-fetcher.js', [
-    { pattern: /require.*graphql-request/, name: 'GraphQL client import' },
-    { pattern: /fetchUniswapV3Data/, name: 'Uniswap V3 fetcher function' },
-    { pattern: /fetchSushiSwapData/, name: 'SushiSwap fetcher function' },
-    { pattern: /fetchQuickSwapData/, name: 'QuickSwap fetcher function' },
+    { pattern: /require.*subgraph-client/, name: 'Subgraph client import' },
+    { pattern: /require.*dex-adapters/, name: 'DEX adapters import' },
+    { pattern: /fetchAdapterData/, name: 'Adapter fetcher function' },
     { pattern: /fetchAllDexData/, name: 'Main fetcher function' },
     { pattern: /module\.exports/, name: 'Module exports' }
   ], 'DEX data fetcher implementation');
 
+  // Check subgraph-client.js
+  validateFileExists('src/subgraph-client.js', 'Subgraph client module');
+  validateFileContent('src/subgraph-client.js', [
+    { pattern: /require.*graphql-request/, name: 'GraphQL client import' },
+    { pattern: /fetchPaginated/, name: 'Paginated fetch function' }
+  ], 'Subgraph client implementation');
+
+  // Check dex-adapters.js
+  validateFileExists('src/dex-adapters.js', 'DEX adapters module');
+  validateFileContent('src/dex-adapters.js', [
+    { pattern: /registerAdapter/, name: 'registerAdapter function' },
+    { pattern: /getAdapters/, name: 'getAdapters function' },
+    { pattern: /name: 'uniswapV3'/, name: 'Uniswap V3 adapter' },
+    { pattern: /name: 'sushiswap'/, name: 'SushiSwap adapter' },
+    { pattern: /name: 'quickswap'/, name: 'QuickSwap adapter' }
+  ], 'DEX adapters implementation');
+
   // Check token-registry.js
   validateFileExists('src/token-registry.js', 'Token registry module');
   validateFileContent('src/token-registry.js', [
@@ -382,9 +398,8 @@ function generateWiringDiagram() {
             │      JAVASCRIPT DATA FETCHER          │
             │   (src/dex-data-fetcher.js)           │
             │                                       │
-            │  - fetchUniswapV3Data()               │
-            │  - fetchSushiSwapData()               │
-            │  - fetchQuickSwapData()               │
+            │  - getAdapters() (src/dex-adapters.js)│
+            │  - fetchAdapterData()                 │
             │  - fetchAllDexData()                  │
             └──────────┬────────────────────────────┘
                        │